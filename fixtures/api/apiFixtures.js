@@ -7,10 +7,28 @@
  * the DRY (Don't Repeat Yourself) principle.
  */
 
-import { test as base } from '@playwright/test';
+import { test as base } from '../config/configFixtures.js';
 import { apiRequest as apiRequestOriginal } from '../../utils/api-helper.js';
+import { ApiSession } from '../../utils/api-session.js';
+import { ParabankClient } from '../../utils/parabank-client.js';
+import { ParabankAdminClient } from '../../utils/parabank-admin.js';
+import { ParabankSoapClient } from '../../utils/soap-client.js';
+import { describeAttempts } from '../../utils/retry-policy.js';
+import { exchangeAttachmentName } from '../../utils/api-exchange-log.js';
+import { redactText } from '../../utils/redaction.js';
 
 export const test = base.extend({
+    /**
+     * apiSession Fixture
+     *
+     * WHY: Each test receives its own cookie jar. Cookies set by one call (e.g. the
+     * JSESSIONID issued by the login form) are replayed on subsequent calls without
+     * the test having to thread them manually, and tests never share session state.
+     */
+    apiSession: async ({}, use) => {
+        await use(new ApiSession());
+    },
+
     /**
      * apiRequest Fixture
      *
@@ -18,41 +36,101 @@ export const test = base.extend({
      * leverage Dependency Injection. This allows any test to perform API
      * calls simply by requesting 'apiRequest' in its arguments, keeping
      * test setup clean and readable.
+     *
+     * Every call is attached to the test (and therefore to the Allure report) as a
+     * JSON exchange: request, redacted headers, bodies, status, timing, retries and
+     * a cURL command. A per-test script with all cURL commands is attached at the end.
      */
-    apiRequest: async ({ request }, use) => {
+    apiRequest: async ({ request, apiSession, config }, use, testInfo) => {
+        const exchanges = [];
+
+        /**
+         * WHY: Attached as the call completes (not at teardown), so the report
+         * shows each exchange inside the test step that made it.
+         */
+        const attachExchange = async (exchange) => {
+            exchanges.push(exchange);
+            await testInfo.attach(exchangeAttachmentName(exchange, exchanges.length), {
+                body: JSON.stringify(exchange, null, 2),
+                contentType: 'application/json',
+            });
+        };
+
         /**
          * Inner request handler function.
          *
          * @param {Object} options - Configuration for the HTTP request.
          * @param {string} options.method - HTTP verb (GET, POST, etc.).
          * @param {string} options.url - The endpoint path.
-         * @param {string} options.baseUrl - The base URL from environment config.
+         * @param {string} [options.baseUrl] - Defaults to the config fixture's baseUrl.
          * @param {Object} [options.body] - Payload for POST/PUT requests.
          * @param {Object} [options.headers] - Custom headers.
          * @param {boolean} [options.isFormData] - Flag to handle multipart/form-data.
+         * @param {ApiSession | null} [options.session] - Cookie jar to use. Defaults to the
+         * test's apiSession; pass null to send a cookie-less request.
+         * @param {import('zod').ZodType} [options.schema] - Validates and types the response body.
+         * @param {string} [options.responseType] - One of RESPONSE_TYPES (utils/api-helper.js).
+         * @param {number} [options.timeout] - Per-attempt timeout. Defaults to config.apiTimeout.
+         * @param {Object | boolean} [options.retry] - Retry policy overrides; false disables retries.
          */
         const apiRequestFn = async ({
             method,
             url,
-            baseUrl,
+            baseUrl = config.baseUrl,
             body = null,
             headers,
             isFormData = false,
+            session = apiSession,
+            schema,
+            responseType,
+            timeout = config.apiTimeout,
+            retry,
         }) => {
+            const attempts = [];
+            let exchange;
+
+            /**
+             * WHY: Retried calls are recorded as test annotations, so the report shows
+             * which requests only passed after a retry, and what they waited for.
+             */
+            const recordRetries = () => {
+                if (attempts.length > 1) {
+                    testInfo.annotations.push({
+                        type: 'api-retry',
+                        description: redactText(
+                            `${method.toUpperCase()} ${url}: ${describeAttempts(attempts)}`,
+                        ),
+                    });
+                }
+            };
+
             /**
              * WHY: We delegate the actual network call to a specialized utility
              * (apiRequestOriginal). This separates the "fixture management"
              * logic from the "network communication" logic (Single Responsibility Principle).
              */
-            const response = await apiRequestOriginal({
-                request, // The raw Playwright request context
-                method,
-                url,
-                baseUrl,
-                body,
-                headers,
-                isFormData,
-            });
+            let response;
+            try {
+                response = await apiRequestOriginal({
+                    request, // The raw Playwright request context
+                    method,
+                    url,
+                    baseUrl,
+                    body,
+                    headers,
+                    isFormData,
+                    session,
+                    schema,
+                    responseType,
+                    timeout,
+                    retry: retry === false ? false : { retries: config.apiRetries, ...retry },
+                    onAttempt: (attempt) => attempts.push(attempt),
+                    onExchange: (reportedExchange) => (exchange = reportedExchange),
+                });
+            } finally {
+                recordRetries();
+                if (exchange) await attachExchange(exchange);
+            }
 
             /**
              * WHY: We return a simplified, pre-parsed object. This ensures
@@ -64,11 +142,55 @@ export const test = base.extend({
                 status: response.status,
                 body: response.body,
                 headers: response.headers,
+                attempts: response.attempts,
             };
         };
 
         // Expose the helper function to the test context
         await use(apiRequestFn);
+
+        if (exchanges.length > 0) {
+            await testInfo.attach('API cURL reproduction', {
+                body: exchanges
+                    .map(
+                        (exchange, index) =>
+                            `# ${exchangeAttachmentName(exchange, index + 1)}\n${exchange.request.curl}`,
+                    )
+                    .join('\n\n'),
+                contentType: 'text/plain',
+            });
+        }
+    },
+
+    /**
+     * parabankClient Fixture
+     *
+     * WHY: Builds the typed Parabank SDK on top of the apiRequest fixture so
+     * specs express intent (transfer, requestLoan, findTransactions) instead
+     * of duplicating endpoint paths, query strings and schema checks.
+     */
+    parabankClient: async ({ apiRequest, apiSession, config }, use) => {
+        await use(new ParabankClient({ apiRequest, baseUrl: config.baseUrl, session: apiSession }));
+    },
+
+    /**
+     * parabankSoapClient Fixture
+     *
+     * WHY: Exposes the SOAP transport of the same banking operations, validated
+     * with the same schemas as parabankClient, for SOAP vs REST parity checks.
+     */
+    parabankSoapClient: async ({ apiRequest, config }, use) => {
+        await use(new ParabankSoapClient({ apiRequest, baseUrl: config.baseUrl }));
+    },
+
+    /**
+     * parabankAdmin Fixture
+     *
+     * WHY: Database resets and setting changes affect every user of the instance,
+     * so they live on a separate client that specs must request explicitly.
+     */
+    parabankAdmin: async ({ apiRequest, config }, use) => {
+        await use(new ParabankAdminClient({ apiRequest, baseUrl: config.baseUrl }));
     },
 });
 
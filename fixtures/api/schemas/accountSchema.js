@@ -0,0 +1,41 @@
+/**
+ * Account Data Schemas for Parabank Portfolio Validation.
+ *
+ * WHY: Account lists drive almost every downstream scenario (transfers, bill pay,
+ * loans). Validating them at the boundary guarantees tests never compute balances
+ * from a malformed or partially populated account record.
+ */
+
+import { z } from 'zod';
+
+/**
+ * Individual Account Schema
+ *
+ * WHY: This matches the 'Account' object model returned by Parabank's REST
+ * services (e.g. /customers/{id}/accounts and /createAccount).
+ */
+export const AccountSchema = z.object({
+    id: z.number(),
+
+    customerId: z.number(),
+
+    /**
+     * WHY: Parabank only supports three account products. An Enum ensures a
+     * renamed or newly introduced product type is surfaced immediately.
+     */
+    type: z.enum(['CHECKING', 'SAVINGS', 'LOAN']),
+
+    /**
+     * WHY: Balances may be negative (overdrafts and loans), so we only
+     * enforce the numeric type rather than a minimum value.
+     */
+    balance: z.number(),
+});
+
+/**
+ * Account List Schema
+ *
+ * WHY: The customer accounts endpoint returns an array. Reusing AccountSchema
+ * keeps the validation rules identical for single and list responses.
+ */
+export const AccountListSchema = z.array(AccountSchema);
@@ -0,0 +1,42 @@
+/**
+ * Bill Payment Data Schemas for Parabank Payment Validation.
+ *
+ * WHY: Bill payments move money to third parties. Validating the payee we send
+ * and the receipt returned by the API ensures the payee, amount and source
+ * account were recorded exactly as requested.
+ */
+
+import { z } from 'zod';
+import { AddressSchema } from './userSchema.js';
+
+/**
+ * Payee Schema
+ *
+ * WHY: This matches the 'Payee' object posted to /billpay. The address reuses
+ * AddressSchema, since Customers and Payees share the same address model.
+ */
+export const PayeeSchema = z.object({
+    name: z.string().min(1, 'Payee name is required'),
+    address: AddressSchema,
+    phoneNumber: z.string().min(1, 'Phone number is required'),
+
+    /**
+     * WHY: Parabank stores the payee account number as a number, but the UI
+     * form accepts it as text. We accept both and let the API coerce it.
+     */
+    accountNumber: z.union([
+        z.number(),
+        z.string().regex(/^\d+$/, 'Account number must be numeric'),
+    ]),
+});
+
+/**
+ * Bill Pay Result Schema
+ *
+ * WHY: This matches the 'BillPayResult' receipt returned by /billpay.
+ */
+export const BillPayResultSchema = z.object({
+    payeeName: z.string(),
+    amount: z.number(),
+    accountId: z.number(),
+});
@@ -0,0 +1,36 @@
+/**
+ * Loan Data Schemas for Parabank Lending Validation.
+ *
+ * WHY: Loan decisions are produced by a pluggable loan provider in Parabank.
+ * Validating the response contract ensures approval/denial assertions are made
+ * against a well-formed decision rather than an error payload.
+ */
+
+import { z } from 'zod';
+
+/**
+ * Loan Response Schema
+ *
+ * WHY: This matches the 'LoanResponse' object returned by /requestLoan.
+ */
+export const LoanResponseSchema = z.object({
+    /**
+     * WHY: Like transactions, Parabank may serialize dates as an epoch
+     * timestamp or as a string depending on the data access mode.
+     */
+    responseDate: z.union([z.string(), z.number()]),
+
+    loanProviderName: z.string(),
+
+    approved: z.boolean(),
+
+    /**
+     * WHY: The message is only populated for denied loans (e.g. 'error.insufficient.funds').
+     */
+    message: z.string().nullish(),
+
+    /**
+     * WHY: A new loan account is only created when the loan is approved.
+     */
+    accountId: z.number().nullish(),
+});
@@ -0,0 +1,54 @@
+/**
+ * Investment Data Schemas for Parabank Portfolio Validation.
+ *
+ * WHY: Stock positions and their price history drive buy/sell assertions.
+ * Validating them guarantees share counts and prices are numeric before any
+ * "shares × price" calculation is performed in a test.
+ */
+
+import { z } from 'zod';
+
+/**
+ * Individual Position Schema
+ *
+ * WHY: This matches the 'Position' object returned by the /positions and
+ * /buyPosition / /sellPosition endpoints.
+ */
+export const PositionSchema = z.object({
+    positionId: z.number(),
+
+    customerId: z.number(),
+
+    name: z.string(),
+
+    symbol: z.string().min(1, 'Symbol cannot be empty'),
+
+    /**
+     * WHY: Parabank only trades whole shares, so fractional values indicate
+     * a serialization or calculation bug.
+     */
+    shares: z.number().int(),
+
+    purchasePrice: z.number(),
+});
+
+/**
+ * Position List Schema
+ *
+ * WHY: Listing, buying and selling all return the customer's full portfolio.
+ */
+export const PositionListSchema = z.array(PositionSchema);
+
+/**
+ * History Point Schema
+ *
+ * WHY: This matches a single closing price in a position's price history.
+ * Dates follow the same epoch-or-string inconsistency as transactions.
+ */
+export const HistoryPointSchema = z.object({
+    symbol: z.string(),
+    date: z.union([z.string(), z.number()]),
+    closingPrice: z.number(),
+});
+
+export const HistoryPointListSchema = z.array(HistoryPointSchema);
@@ -0,0 +1,49 @@
+/**
+ * Configuration Fixtures
+ *
+ * WHY: Page objects, API clients and specs receive the validated configuration
+ * through dependency injection instead of reading process.env. POM and API
+ * fixtures both build on this file, so every layer shares one config object.
+ */
+
+import { test as base } from '@playwright/test';
+import { getConfig, withConfigOverrides } from '../../utils/config.js';
+import { installConsoleRedaction } from '../../utils/redaction.js';
+
+export const test = base.extend({
+    /**
+     * configOverrides Option
+     *
+     * WHY: The last configuration layer. A project in playwright.config.js can
+     * change any setting for its own tests, e.g.
+     * use: { configOverrides: { navigationTimeout: 60000 } }
+     */
+    configOverrides: [{}, { option: true, scope: 'worker' }],
+
+    /**
+     * config
+     *
+     * WHY: Worker-scoped because worker fixtures (e.g. the user pool) need the
+     * base URL too, and the configuration never changes during a worker's life.
+     */
+    config: [
+        async ({ configOverrides }, use) => {
+            await use(withConfigOverrides(getConfig(), configOverrides));
+        },
+        { scope: 'worker' },
+    ],
+
+    /**
+     * consoleRedaction Fixture
+     *
+     * WHY: Worker output (console.* in specs, fixtures and libraries) is copied
+     * into the reports, so every worker redacts it before any test runs.
+     */
+    consoleRedaction: [
+        async ({}, use) => {
+            installConsoleRedaction();
+            await use();
+        },
+        { scope: 'worker', auto: true },
+    ],
+});
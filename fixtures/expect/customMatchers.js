@@ -0,0 +1,170 @@
+/**
+ * Custom Expect Matchers for Contracts and Financial Assertions
+ *
+ * WHY: UI and API specs used to express the same checks in different ways
+ * (safeParse + toBe(true), local parseCurrency helpers, toBeCloseTo on floats).
+ * These matchers give both suites one vocabulary for financial assertions, compare
+ * money as exact Money values (see utils/money.js), and print readable diffs.
+ */
+
+import { Money } from '../../utils/money.js';
+import { formatSchemaIssues } from '../../utils/schema-validator.js';
+
+// ==================== Private Helpers ====================
+
+/**
+ * WHY: Every matcher must fail loudly (not silently pass) when handed a value
+ * that cannot be interpreted as money.
+ */
+function invalidMoneyResult(context, matcherName, label, value) {
+    return {
+        pass: false,
+        message: () =>
+            `${context.utils.matcherHint(matcherName, undefined, undefined, { isNot: context.isNot })}\n\n` +
+            `${label} is not a currency value: ${context.utils.printReceived(value)}`,
+    };
+}
+
+// ==================== Matchers ====================
+
+export const customMatchers = {
+    /**
+     * Asserts that a payload satisfies a Zod schema.
+     *
+     * @example expect(response.body).toMatchSchema(UserResponseSchema);
+     */
+    toMatchSchema(received, schema) {
+        const validation = schema.safeParse(received);
+        const hint = this.utils.matcherHint('toMatchSchema', undefined, 'schema', {
+            isNot: this.isNot,
+        });
+
+        return {
+            pass: validation.success,
+            message: () =>
+                validation.success
+                    ? `${hint}\n\nExpected payload not to match the schema, but it did.\n` +
+                      `Received: ${this.utils.printReceived(received)}`
+                    : `${hint}\n\nPayload does not match the schema:\n` +
+                      `${formatSchemaIssues(validation.error.issues)}\n\n` +
+                      `Received: ${this.utils.printReceived(received)}`,
+        };
+    },
+
+    /**
+     * Asserts that a currency string or number equals an expected amount.
+     *
+     * @example expect(await accountActivityPage.getBalanceText()).toEqualCurrency('$100.00');
+     */
+    toEqualCurrency(received, expected) {
+        const receivedMoney = Money.tryParse(received);
+        const expectedMoney = Money.tryParse(expected);
+
+        if (receivedMoney === null) {
+            return invalidMoneyResult(this, 'toEqualCurrency', 'Received', received);
+        }
+        if (expectedMoney === null) {
+            return invalidMoneyResult(this, 'toEqualCurrency', 'Expected', expected);
+        }
+
+        const pass = receivedMoney.equals(expectedMoney);
+
+        return {
+            pass,
+            message: () =>
+                `${this.utils.matcherHint('toEqualCurrency', undefined, undefined, { isNot: this.isNot })}\n\n` +
+                `Expected: ${this.isNot ? 'not ' : ''}${this.utils.printExpected(String(expectedMoney))}\n` +
+                `Received: ${this.utils.printReceived(String(receivedMoney))}` +
+                (pass ? '' : ` (off by ${receivedMoney.minus(expectedMoney)})`),
+        };
+    },
+
+    /**
+     * Asserts that a balance changed by an exact amount.
+     * WHY: The received value is the balance AFTER the operation. A positive amount
+     * means a credit, a negative amount a debit.
+     *
+     * @example expect(checkingAfter).toHaveBalanceDelta(checkingBefore, '-10.00');
+     */
+    toHaveBalanceDelta(received, before, amount) {
+        const afterMoney = Money.tryParse(received);
+        const beforeMoney = Money.tryParse(before);
+        const amountMoney = Money.tryParse(amount);
+
+        if (afterMoney === null) {
+            return invalidMoneyResult(this, 'toHaveBalanceDelta', 'Received balance', received);
+        }
+        if (beforeMoney === null) {
+            return invalidMoneyResult(this, 'toHaveBalanceDelta', 'Balance before', before);
+        }
+        if (amountMoney === null) {
+            return invalidMoneyResult(this, 'toHaveBalanceDelta', 'Expected delta', amount);
+        }
+
+        const actualDelta = afterMoney.minus(beforeMoney);
+        const pass = actualDelta.equals(amountMoney);
+
+        return {
+            pass,
+            message: () =>
+                `${this.utils.matcherHint('toHaveBalanceDelta', 'after', 'before, amount', { isNot: this.isNot })}\n\n` +
+                `Balance before: ${beforeMoney}\n` +
+                `Balance after:  ${afterMoney}\n\n` +
+                `Expected delta: ${this.isNot ? 'not ' : ''}${this.utils.printExpected(String(amountMoney))}\n` +
+                `Received delta: ${this.utils.printReceived(String(actualDelta))}`,
+        };
+    },
+
+    /**
+     * Asserts that a transaction list contains an entry matching every provided field.
+     * WHY: Amounts are compared as Money and descriptions by substring, because
+     * Parabank appends account-specific details to descriptions.
+     *
+     * @example expect(transactions).toContainTransaction({ amount: 10, type: 'Debit', description: 'Funds Transfer Sent' });
+     */
+    toContainTransaction(received, { amount, type, description } = {}) {
+        const hint = this.utils.matcherHint('toContainTransaction', undefined, 'criteria', {
+            isNot: this.isNot,
+        });
+
+        if (!Array.isArray(received)) {
+            return {
+                pass: false,
+                message: () =>
+                    `${hint}\n\nReceived value must be an array of transactions: ${this.utils.printReceived(received)}`,
+            };
+        }
+
+        const expectedAmount = amount === undefined ? undefined : Money.tryParse(amount);
+
+        if (expectedAmount === null) {
+            return invalidMoneyResult(this, 'toContainTransaction', 'Expected amount', amount);
+        }
+
+        const isMatch = (transaction) =>
+            (expectedAmount === undefined || expectedAmount.equals(transaction.amount)) &&
+            (type === undefined || transaction.type === type) &&
+            (description === undefined || String(transaction.description).includes(description));
+
+        const pass = received.some(isMatch);
+        const criteria = Object.fromEntries(
+            Object.entries({ amount, type, description }).filter(
+                ([, value]) => value !== undefined,
+            ),
+        );
+
+        return {
+            pass,
+            message: () =>
+                `${hint}\n\n` +
+                `Expected ${this.isNot ? 'no' : 'a'} transaction matching: ${this.utils.printExpected(criteria)}\n` +
+                `Received ${received.length} transaction(s):\n` +
+                received
+                    .map(
+                        (transaction) =>
+                            `  - #${transaction.id} ${transaction.type} ${Money.tryParse(transaction.amount) ?? transaction.amount} "${transaction.description}"`,
+                    )
+                    .join('\n'),
+        };
+    },
+};
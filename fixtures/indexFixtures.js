@@ -11,6 +11,10 @@ import { test as baseTest, mergeTests } from '@playwright/test';
 import { test as pomFixtures } from './pom/pomFixtures';
 import { test as customFixtures } from './pom/customFixtures';
 import { test as apiFixtures } from './api/apiFixtures';
+import { test as faultFixtures } from './network/faultFixtures';
+import { test as harFixtures } from './network/harFixtures';
+import { customMatchers } from './expect/customMatchers';
+import { redactText } from '../utils/redaction.js';
 
 /**
  * Merge specialized fixture sets into a single unified test object.
@@ -24,14 +28,48 @@ const test = mergeTests(
     pomFixtures, // Includes all Page Object Models (Login, Register, etc.)
     customFixtures, // Includes high-level logic (User creation, setup/teardown)
     apiFixtures, // Includes REST API request utilities
+    faultFixtures, // Includes the per-test network fault policy (page.route)
+    harFixtures, // Includes HAR record & replay of browser traffic (NETWORK_MODE)
 );
 
 /**
- * Export the standard expect from the base Playwright library.
+ * Returns the location of the code that called the step wrapper.
+ *
+ * WHY: Playwright records where test.step() was called; without an explicit
+ * location every step would point at the wrapper below instead of the spec line.
+ * Stack strings are already source-mapped by Playwright.
+ */
+function callerLocation() {
+    const callerFrame = new Error().stack.split('\n')[3] ?? '';
+    const match = callerFrame.match(/\(?(?:file:\/\/)?([^\s()]+):(\d+):(\d+)\)?$/);
+
+    return match ? { file: match[1], line: Number(match[2]), column: Number(match[3]) } : undefined;
+}
+
+/**
+ * Redact secrets from step titles.
+ *
+ * WHY: Step titles are interpolated from test data (usernames, amounts, and
+ * sometimes credentials) and end up verbatim in the HTML and Allure reports.
+ * Wrapping test.step once here covers every spec without changing how steps
+ * are written.
+ */
+const { step } = test;
+const redactedStep =
+    (runStep) =>
+    (title, body, options = {}) =>
+        runStep(redactText(title), body, { location: callerLocation(), ...options });
+
+test.step = Object.assign(redactedStep(step), { skip: redactedStep(step.skip) });
+
+/**
+ * Export the Playwright expect, extended with the framework's custom matchers
+ * (toMatchSchema, toEqualCurrency, toHaveBalanceDelta, toContainTransaction).
  *
  * WHY: By exporting both 'test' and 'expect' from this index, we ensure
- * developers only ever need to remember one import path for their test files.
+ * developers only ever need to remember one import path for their test files,
+ * and UI and API suites share one vocabulary for financial assertions.
  */
-const expect = baseTest.expect;
+const expect = baseTest.expect.extend(customMatchers);
 
 export { test, expect };
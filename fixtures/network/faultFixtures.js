@@ -0,0 +1,57 @@
+/**
+ * Fault Injection Fixtures
+ *
+ * WHY: Reproducing Parabank's flakiness on demand lets specs prove that the
+ * page objects' retry and wait logic recovers, and that it fails with a clear
+ * message when it cannot. The policy is a per-test option, so a spec declares
+ * its faults next to the scenario they belong to:
+ *
+ *   test.use({ faultPolicy: [serverError(FAULT_TARGETS.billPay, { times: 1 })] });
+ */
+
+import { test as base } from '../config/configFixtures.js';
+import { FaultInjector } from '../../utils/fault-injection.js';
+
+export const test = base.extend({
+    /**
+     * faultPolicy Option
+     *
+     * WHY: Empty by default, so no route is installed and pages behave exactly
+     * as without this fixture.
+     *
+     * @type {import('../../utils/fault-injection.js').FaultPolicy}
+     */
+    faultPolicy: [[], { option: true }],
+
+    /**
+     * faultInjector
+     *
+     * WHY: Exposed so a spec can add rules mid-test (after the setup the fault
+     * must not affect) and assert which faults actually fired. The log is
+     * attached to every test that configured a fault.
+     */
+    faultInjector: async ({ faultPolicy }, use, testInfo) => {
+        const injector = new FaultInjector(faultPolicy);
+
+        await use(injector);
+
+        if (injector.rules.length > 0) {
+            await testInfo.attach('Fault injection log', {
+                body: JSON.stringify(injector, null, 2),
+                contentType: 'application/json',
+            });
+        }
+    },
+
+    /**
+     * page Override
+     *
+     * WHY: Installing the policy on the page itself means every page object and
+     * business fixture runs under the same faults without knowing about them.
+     */
+    page: async ({ page, faultInjector }, use) => {
+        await faultInjector.install(page);
+        await use(page);
+        await faultInjector.uninstall();
+    },
+});
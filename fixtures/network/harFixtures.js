@@ -0,0 +1,66 @@
+/**
+ * HAR Record & Replay Fixtures
+ *
+ * WHY: NETWORK_MODE (config.networkMode) decides per run, or per project via
+ * configOverrides, whether the browser talks to Parabank (live), records its
+ * traffic (record) or replays a recording (replay). Specs do not change:
+ *
+ *   NETWORK_MODE=record npx playwright test bill-pay --project=chromium
+ *   NETWORK_MODE=replay npx playwright test bill-pay --project=chromium
+ */
+
+import path from 'path';
+import { test as base } from '../config/configFixtures.js';
+import { HarRecorder, harPathFor } from '../../utils/har-recorder.js';
+import { seedRandomData } from '../../utils/helpers.js';
+
+export const test = base.extend({
+    /**
+     * harRecorder
+     *
+     * WHY: Automatic, so the generated test data is seeded before any other
+     * fixture creates a user; a replay must send the data that was recorded.
+     * The recording path is shown as an annotation in the report. Being auto, it
+     * is set up before the context and torn down after Playwright closed it, so
+     * the recording has been written when it is normalized.
+     */
+    harRecorder: [
+        async ({ config }, use, testInfo) => {
+            const recorder = new HarRecorder({
+                mode: config.networkMode,
+                harPath: harPathFor(testInfo),
+            });
+
+            if (!recorder.active) {
+                await use(recorder);
+                return;
+            }
+
+            testInfo.annotations.push({
+                type: `network-${recorder.mode}`,
+                description: path.relative(process.cwd(), recorder.harPath),
+            });
+
+            seedRandomData(recorder.seed);
+            try {
+                await use(recorder);
+            } finally {
+                seedRandomData();
+            }
+
+            recorder.finish();
+        },
+        { auto: true },
+    ],
+
+    /**
+     * context Override
+     *
+     * WHY: Routing on the context rather than the page also covers popups and
+     * any page a fixture opens, and lets Playwright write the recording on close.
+     */
+    context: async ({ context, harRecorder }, use) => {
+        await harRecorder.attach(context);
+        await use(context);
+    },
+});
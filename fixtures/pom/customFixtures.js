@@ -7,73 +7,368 @@
  * rather than executing the "process" to create it.
  */
 
+import { mergeTests } from '@playwright/test';
 import { test as pomFixtures } from './pomFixtures';
-import { generateRandomUser, saveCredentials } from '../../utils/helpers';
+import { test as apiFixtures } from '../api/apiFixtures';
+import { test as harFixtures } from '../network/harFixtures';
+import { generateRandomUser } from '../../utils/helpers';
+import { saveCredentials } from '../../utils/credentials-store.js';
+import { apiRequest } from '../../utils/api-helper.js';
+import { ParabankClient } from '../../utils/parabank-client.js';
+import { UserPool, MUTATING_TAG } from '../../utils/user-pool.js';
+import { Money } from '../../utils/money.js';
+import {
+    OPERATIONS,
+    assertOperationAllowed,
+    assertCanCreateUsers,
+    assertTagsAllowed,
+    getEnvironmentProfile,
+} from '../../utils/environment-guard.js';
 
 const INDEX_PAGE_URL = '/parabank/index.htm';
 
-export const test = pomFixtures.extend({
+// ==================== Provisioning Flows ====================
+
+/**
+ * Persists a freshly registered identity.
+ * WHY: The credentials store serves as a 'flight recorder'. If a regression
+ * occurs, developers can use these credentials to manually reproduce the issue
+ * in the browser. Tags make the record traceable to the test that created it.
+ */
+function recordCredentials(identity, tags) {
+    saveCredentials(identity, { tags });
+}
+
+/**
+ * Registers a user through the browser and discovers the default checking account.
+ * WHY: UI specs must keep exercising the real onboarding flow end to end.
+ */
+async function registerUserViaUi({ basePage, loginPage, registerPage, homePage }, identity, tags) {
     /**
-     * userCreationFixture
+     * WHY: RegisterPage.submitRegistration() enforces the profile too, but inside
+     * toPass a refusal would be retried for 10s; checking first fails immediately.
+     */
+    assertCanCreateUsers();
+
+    await basePage.navigateTo(INDEX_PAGE_URL);
+    await loginPage.clickRegisterLink();
+
+    /**
+     * WHY: Parabank occasionally fails to commit the new user record
+     * before the UI redirects. We use toPass() to retry the registration
+     * attempt until the welcome message confirms success.
+     */
+    const failureMessage = `Registration of ${identity.username} was not confirmed ("Welcome ${identity.username}") after retrying for 10s`;
+
+    await test
+        .expect(async () => {
+            await registerPage.fillRegistrationForm(identity);
+            await registerPage.submitRegistration();
+            await test.expect(registerPage.welcomeMessage).toBeVisible({ timeout: 1000 });
+        }, failureMessage)
+        .toPass({
+            intervals: [1000, 2000],
+            timeout: 10000,
+        });
+
+    recordCredentials(identity, tags);
+
+    // Discovery step: Capture the checking account Parabank creates automatically
+    await homePage.navigateViaLeftMenu('Accounts Overview');
+    const checkingAccountId = await homePage.getFirstAccountId();
+
+    /**
+     * WHY: We log out to ensure the test starts from a clean, unauthenticated
+     * state. This prevents session bleed between fixtures and tests.
+     */
+    await homePage.clickLogout();
+
+    return { checkingAccountId };
+}
+
+/**
+ * Registers a user by posting the registration form and discovers the default
+ * checking account through the REST accounts endpoint.
+ * WHY: API tests only need the resulting database state, not the UI journey,
+ * so this path avoids launching a full browser onboarding for every test.
+ */
+async function registerUserViaApi(parabankClient, identity, tags) {
+    await parabankClient.register(identity);
+    recordCredentials(identity, tags);
+
+    const customer = await parabankClient.login(identity.username, identity.password);
+    const accounts = await parabankClient.getAccounts(customer.id);
+    const checkingAccount = accounts.find((account) => account.type === 'CHECKING');
+
+    if (!checkingAccount) {
+        throw new Error(
+            `Fixture Setup Failed: No default checking account found for user ${identity.username}`,
+        );
+    }
+
+    /**
+     * WHY: IDs are returned as strings to match the shape produced by the UI
+     * flow, which reads them from the page.
+     */
+    return { customerId: customer.id, checkingAccountId: String(checkingAccount.id) };
+}
+
+/**
+ * Provisions a complete API user in the shape returned by userCreationFixture.
+ */
+async function createUserViaApi(parabankClient, tags) {
+    const newIdentity = generateRandomUser();
+    const accountState = await registerUserViaApi(parabankClient, newIdentity, tags);
+
+    return {
+        ...newIdentity,
+        ...newIdentity.address, // Flattened for cleaner test assertions
+        ...accountState,
+    };
+}
+
+async function openSavingsAccountViaUi({ loginPage, homePage, openAccountPage }, user) {
+    assertOperationAllowed(OPERATIONS.OPEN_ACCOUNT, 'open SAVINGS account');
+
+    // Re-authenticate using the credentials from the dependency fixture
+    await loginPage.login(user.username, user.password);
+
+    await homePage.navigateViaLeftMenu('Open New Account');
+    await openAccountPage.openAccount('SAVINGS', user.checkingAccountId);
+
+    return openAccountPage.getNewAccountId();
+}
+
+async function openSavingsAccountViaApi(parabankClient, user) {
+    await parabankClient.login(user.username, user.password);
+
+    const savingsAccount = await parabankClient.createAccount({
+        type: 'SAVINGS',
+        fromAccountId: user.checkingAccountId,
+    });
+
+    return String(savingsAccount.id);
+}
+
+/**
+ * Opens an account funded from the user's checking account and brings it to an
+ * exact balance with one deposit or withdrawal.
+ * WHY: The balance is read back before the test starts, so a seeding problem
+ * fails the fixture instead of surfacing later as a wrong balance delta.
+ *
+ * @param {ParabankClient} parabankClient - Logged in as the user.
+ * @param {{ checkingAccountId: string }} user
+ * @param {Object} request
+ * @param {'CHECKING' | 'SAVINGS'} [request.type]
+ * @param {Money | string | number} request.balance - May be negative (overdrawn).
+ * @returns {Promise<{ accountId: string, balance: Money }>}
+ */
+async function openAccountWithBalance(parabankClient, user, { type = 'CHECKING', balance }) {
+    const account = await parabankClient.createAccount({
+        type,
+        fromAccountId: user.checkingAccountId,
+    });
+    const seededAccount = await parabankClient.setBalance({ accountId: account.id, balance });
+    const seededBalance = Money.parse(seededAccount.balance);
+
+    if (!seededBalance.equals(balance)) {
+        throw new Error(
+            `Fixture Setup Failed: ${type} account ${account.id} holds ${seededBalance} instead of ${Money.parse(balance)}`,
+        );
+    }
+
+    return { accountId: String(account.id), balance: seededBalance };
+}
+
+/**
+ * WHY: We validate the ID immediately. Failing the fixture here
+ * provides a clearer error than letting the test fail later
+ * with a 'null' account ID error.
+ */
+function assertSavingsAccountCreated(savingsAccountId, user) {
+    if (!savingsAccountId) {
+        throw new Error(
+            `Fixture Setup Failed: Savings Account ID was not captured for user ${user.username}`,
+        );
+    }
+}
+
+/**
+ * WHY: Pooled users are shared by every read-only test of the worker. A fixture
+ * that changes the user's accounts must refuse one instead of silently mutating it.
+ */
+function assertNotLeased(userPool, user, fixtureName) {
+    if (userPool.isLeased(user)) {
+        throw new Error(
+            `Fixture Setup Failed: ${fixtureName} would change the accounts of ${user.username}, ` +
+                `a user leased from the pool. Tag the test '${MUTATING_TAG}' to register a fresh user.`,
+        );
+    }
+}
+
+/**
+ * WHY: Business fixtures orchestrate both the browser (POMs) and the REST layer
+ * (apiSession, parabankClient), so we build on top of both fixture sets. The HAR
+ * recorder decides which username a recorded or replayed registration sends.
+ */
+export const test = mergeTests(pomFixtures, apiFixtures, harFixtures).extend({
+    /**
+     * environmentGuard
      *
-     * WHY: Provides a unique, authenticated user session. It includes a
-     * retry mechanism because Parabank's registration endpoint frequently
-     * fails due to eventual consistency lag in its internal database.
+     * WHY: Runs automatically before every test. A test tagged '@destructive' fails
+     * before any page or API call when the environment profile does not allow
+     * destructive operations. Tests can also read the yielded profile.
      */
-    userCreationFixture: async ({ loginPage, registerPage, homePage, basePage }, use) => {
-        const newIdentity = generateRandomUser();
+    environmentGuard: [
+        async ({}, use, testInfo) => {
+            assertTagsAllowed(testInfo.tags);
+            await use(getEnvironmentProfile());
+        },
+        { auto: true },
+    ],
+
+    /**
+     * provisioningMode Option
+     *
+     * WHY: Chooses how userCreationFixture and savingsAccountCreationFixture build
+     * their state. Browser projects keep 'ui' so UI specs exercise the real flow; a
+     * UI spec can switch to 'api' to skip the onboarding (see fault-injection.spec.js).
+     * Both fixtures still depend on page objects, so specs in tests/api use the
+     * api* fixtures instead, which never request a page.
+     */
+    provisioningMode: ['ui', { option: true }],
+
+    /**
+     * leaseFromUserPool Option
+     *
+     * WHY: Opt-in switch for tests that only read the user's state. When true,
+     * userCreationFixture leases a pre-provisioned user from the worker's pool
+     * instead of registering a new one. Tests tagged '@mutating' always get a
+     * fresh user, even when the option is enabled for the whole file or project.
+     * Pooled users are provisioned through REST, so leasing requires
+     * provisioningMode 'api'; savingsAccountCreationFixture and accountWithBalance
+     * refuse a leased user.
+     *
+     * Usage: test.use({ provisioningMode: 'api', leaseFromUserPool: true });
+     */
+    leaseFromUserPool: [false, { option: true }],
+
+    /**
+     * userPoolSize Option
+     *
+     * WHY: Number of users each worker provisions the first time a test leases
+     * from the pool. The pool grows beyond this only if every user is leased.
+     */
+    userPoolSize: [3, { option: true, scope: 'worker' }],
+
+    /**
+     * userPool
+     *
+     * WHY: Worker-scoped so the provisioning cost is paid once per worker. Each
+     * worker owns a disjoint set of users, and the pool tracks leases, so two
+     * tests running in parallel can never share a user. Users are provisioned
+     * through the REST layer with a worker-level request context, because the
+     * test-scoped 'request' fixture is not available at worker scope.
+     */
+    userPool: [
+        async ({ playwright, userPoolSize, config }, use) => {
+            const requestContext = await playwright.request.newContext({
+                ignoreHTTPSErrors: true,
+            });
+
+            const parabankClient = new ParabankClient({
+                apiRequest: (options) => apiRequest({ request: requestContext, ...options }),
+                baseUrl: config.baseUrl,
+            });
+
+            await use(
+                new UserPool({
+                    size: userPoolSize,
+                    provision: () => createUserViaApi(parabankClient, ['@pool']),
+                }),
+            );
 
-        await basePage.navigateTo(INDEX_PAGE_URL);
-        await loginPage.clickRegisterLink();
+            await requestContext.dispose();
+        },
+        { scope: 'worker' },
+    ],
 
+    /**
+     * userCreationFixture
+     *
+     * WHY: Provides a unique, registered user with its default checking account.
+     * In 'ui' mode it includes a retry mechanism because Parabank's registration
+     * endpoint frequently fails due to eventual consistency lag in its internal database.
+     */
+    userCreationFixture: async (
+        {
+            provisioningMode,
+            leaseFromUserPool,
+            userPool,
+            basePage,
+            loginPage,
+            registerPage,
+            homePage,
+            parabankClient,
+            harRecorder,
+        },
+        use,
+        testInfo,
+    ) => {
         /**
-         * WHY: Parabank occasionally fails to commit the new user record
-         * before the UI redirects. We use toPass() to retry the registration
-         * attempt until the welcome message confirms success.
+         * WHY: A UI registration runs the onboarding in the test's page, which a
+         * pooled user never went through. Rather than emulate that browser state,
+         * leasing is limited to 'api' mode, whose state lives in parabankClient.
          */
-        await test
-            .expect(async () => {
-                await registerPage.fillRegistrationForm(newIdentity);
-                await registerPage.submitRegistration();
-                await test.expect(registerPage.welcomeMessage).toBeVisible({ timeout: 1000 });
-            })
-            .toPass({
-                intervals: [1000, 2000],
-                timeout: 10000,
-            });
+        if (leaseFromUserPool && provisioningMode !== 'api') {
+            throw new Error(
+                `leaseFromUserPool requires provisioningMode 'api' (got '${provisioningMode}'): ` +
+                    'pooled users are provisioned through REST, not the browser.',
+            );
+        }
 
         /**
-         * WHY: Persisting credentials to a JSON file serves as a 'flight recorder'.
-         * If a regression occurs, developers can use these credentials to
-         * manually reproduce the issue in the browser.
+         * WHY: Leasing is only safe for tests that declare they do not mutate
+         * shared state (UserPool.leaseFor). The lease is released after the test,
+         * even on failure.
          */
-        await saveCredentials(
-            newIdentity.username,
-            newIdentity.password,
-            newIdentity.firstName,
-            newIdentity.lastName,
-            newIdentity.address.street,
-            newIdentity.address.city,
-            newIdentity.address.state,
-            newIdentity.address.zipCode,
-            newIdentity.phoneNumber,
-            newIdentity.ssn,
-        );
+        const leasedUser = leaseFromUserPool ? await userPool.leaseFor(testInfo) : null;
 
-        // Discovery step: Capture the checking account Parabank creates automatically
-        await homePage.navigateViaLeftMenu('Accounts Overview');
-        const checkingAccountId = await homePage.getFirstAccountId();
+        if (leasedUser) {
+            try {
+                /**
+                 * WHY: registerUserViaApi leaves the test's client logged in as the
+                 * new user; a leased user must start from the same session.
+                 */
+                await parabankClient.login(leasedUser.username, leasedUser.password);
+                await use(leasedUser);
+            } finally {
+                userPool.release(leasedUser);
+            }
+            return;
+        }
+
+        const newIdentity = generateRandomUser();
 
         /**
-         * WHY: We log out to ensure the test starts from a clean, unauthenticated
-         * state. This prevents session bleed between fixtures and tests.
+         * WHY: While recording, the seeded username may already exist on the
+         * server; the recorder sends a unique one and stores the seeded one.
          */
-        await homePage.clickLogout();
+        newIdentity.username = harRecorder.uniqueValue(newIdentity.username);
+
+        const accountState =
+            provisioningMode === 'api'
+                ? await registerUserViaApi(parabankClient, newIdentity, testInfo.tags)
+                : await registerUserViaUi(
+                      { basePage, loginPage, registerPage, homePage },
+                      newIdentity,
+                      testInfo.tags,
+                  );
 
         await use({
             ...newIdentity,
             ...newIdentity.address, // Flattened for cleaner test assertions
-            checkingAccountId,
+            ...accountState,
         });
     },
 
@@ -85,43 +380,112 @@ export const test = pomFixtures.extend({
      * without repeating the onboarding steps.
      */
     savingsAccountCreationFixture: async (
-        { userCreationFixture, loginPage, homePage, openAccountPage },
+        {
+            provisioningMode,
+            userCreationFixture,
+            userPool,
+            loginPage,
+            homePage,
+            openAccountPage,
+            parabankClient,
+        },
         use,
     ) => {
-        // Re-authenticate using the credentials from the dependency fixture
-        await loginPage.login(userCreationFixture.username, userCreationFixture.password);
+        assertNotLeased(userPool, userCreationFixture, 'savingsAccountCreationFixture');
 
-        await homePage.navigateViaLeftMenu('Open New Account');
-        await openAccountPage.openAccount('SAVINGS', userCreationFixture.checkingAccountId);
+        const savingsAccountId =
+            provisioningMode === 'api'
+                ? await openSavingsAccountViaApi(parabankClient, userCreationFixture)
+                : await openSavingsAccountViaUi(
+                      { loginPage, homePage, openAccountPage },
+                      userCreationFixture,
+                  );
 
-        const savingsAccountId = await openAccountPage.getNewAccountId();
+        assertSavingsAccountCreated(savingsAccountId, userCreationFixture);
 
-        /**
-         * WHY: We validate the ID immediately. Failing the fixture here
-         * provides a clearer error than letting the test fail later
-         * with a 'null' account ID error.
-         */
-        if (!savingsAccountId) {
-            throw new Error(
-                `Fixture Setup Failed: Savings Account ID was not captured for user ${userCreationFixture.username}`,
-            );
-        }
+        await use({
+            savingsAccountId,
+        });
+    },
+
+    /**
+     * apiUserCreationFixture
+     *
+     * WHY: Always provisions through the REST layer regardless of the project's
+     * provisioningMode. Use it in specs that never need the browser at all.
+     */
+    apiUserCreationFixture: async ({ parabankClient }, use, testInfo) => {
+        await use(await createUserViaApi(parabankClient, testInfo.tags));
+    },
+
+    /**
+     * apiSavingsAccountCreationFixture
+     *
+     * WHY: API counterpart of savingsAccountCreationFixture built on apiUserCreationFixture.
+     */
+    apiSavingsAccountCreationFixture: async ({ apiUserCreationFixture, parabankClient }, use) => {
+        const savingsAccountId = await openSavingsAccountViaApi(
+            parabankClient,
+            apiUserCreationFixture,
+        );
+
+        assertSavingsAccountCreated(savingsAccountId, apiUserCreationFixture);
 
         await use({
             savingsAccountId,
         });
     },
 
+    /**
+     * accountWithBalance
+     *
+     * WHY: Transfer and bill pay specs otherwise depend on the opening deposit and
+     * cannot reach large amounts or overdrafts. This factory opens accounts for the
+     * test's user and sets each to an exact balance, so a spec declares the ledger
+     * it starts from:
+     *
+     *   const { accountId } = await accountWithBalance({ type: 'SAVINGS', balance: '25000.00' });
+     *
+     * The user honors provisioningMode; the seeding itself always goes through the
+     * REST layer because it is setup, not the behavior under test.
+     */
+    accountWithBalance: async ({ userCreationFixture, userPool, parabankClient }, use) => {
+        assertNotLeased(userPool, userCreationFixture, 'accountWithBalance');
+
+        /**
+         * WHY: In 'ui' mode the user was registered in the browser, so the client
+         * has no session yet. One login covers every account the test opens.
+         */
+        await parabankClient.login(userCreationFixture.username, userCreationFixture.password);
+
+        await use((request) =>
+            openAccountWithBalance(parabankClient, userCreationFixture, request),
+        );
+    },
+
+    /**
+     * apiAccountWithBalance
+     *
+     * WHY: API counterpart of accountWithBalance built on apiUserCreationFixture,
+     * whose client is already logged in.
+     */
+    apiAccountWithBalance: async ({ apiUserCreationFixture, parabankClient }, use) => {
+        await use((request) =>
+            openAccountWithBalance(parabankClient, apiUserCreationFixture, request),
+        );
+    },
+
     /**
      * userAndAccountCreationForApiFixture
      *
      * WHY: This specialized fixture is designed for API-level tests that
      * require a pre-configured database state (User + Checking + Savings).
-     * It uses the UI for setup because Parabank's API does not always
-     * initialize session cookies correctly without a UI-based login.
+     * It is built on the api* fixtures rather than userCreationFixture, whose
+     * UI flow depends on page objects: requesting any of them would launch a
+     * browser even when provisioningMode is 'api'.
      */
     userAndAccountCreationForApiFixture: async (
-        { userCreationFixture, savingsAccountCreationFixture },
+        { apiUserCreationFixture, apiSavingsAccountCreationFixture },
         use,
     ) => {
         /**
@@ -130,10 +494,36 @@ export const test = pomFixtures.extend({
          * account opening flows into a single object for the API tests.
          */
         await use({
-            ...userCreationFixture,
-            savingsAccountId: savingsAccountCreationFixture.savingsAccountId,
+            ...apiUserCreationFixture,
+            savingsAccountId: apiSavingsAccountCreationFixture.savingsAccountId,
         });
     },
+
+    /**
+     * authenticatedApiSession
+     *
+     * WHY: Logs the provisioned API user in once and yields the populated cookie
+     * jar. Because apiRequest and parabankClient share the test's apiSession, every
+     * subsequent call is authenticated automatically, so API tests no longer need
+     * .serial blocks to hand a JSESSIONID from one test to the next.
+     */
+    authenticatedApiSession: async (
+        { userAndAccountCreationForApiFixture, parabankClient, apiSession },
+        use,
+    ) => {
+        await parabankClient.login(
+            userAndAccountCreationForApiFixture.username,
+            userAndAccountCreationForApiFixture.password,
+        );
+
+        if (!apiSession.get('JSESSIONID')) {
+            throw new Error(
+                `Fixture Setup Failed: No JSESSIONID captured for user ${userAndAccountCreationForApiFixture.username}`,
+            );
+        }
+
+        await use(apiSession);
+    },
 });
 
 export const expect = test.expect;
@@ -7,7 +7,7 @@
  * are instantiated only when needed (Lazy Loading).
  */
 
-import { test as base } from '@playwright/test';
+import { test as base } from '../config/configFixtures.js';
 
 // Import Page Object Models
 import { BasePage } from '../../pages/BasePage';
@@ -19,6 +19,12 @@ import { AccountsOverviewPage } from '../../pages/AccountsOverviewPage';
 import { TransferFundsPage } from '../../pages/TransferFundsPage';
 import { BillPayPage } from '../../pages/BillPayPage';
 import { AccountActivityPage } from '../../pages/AccountActivityPage';
+import { FindTransactionsPage } from '../../pages/FindTransactionsPage';
+import { RequestLoanPage } from '../../pages/RequestLoanPage';
+import { ProfilePage } from '../../pages/ProfilePage';
+import { CustomerLookupPage } from '../../pages/CustomerLookupPage';
+import { AdminPage } from '../../pages/AdminPage';
+import { PositionsPage } from '../../pages/PositionsPage';
 
 /**
  * Extend the base test with POM fixtures.
@@ -32,8 +38,8 @@ export const test = base.extend({
      * WHY: We provide access to the BasePage for common utilities like
      * cross-module navigation or global health checks.
      */
-    basePage: async ({ page }, use) => {
-        await use(new BasePage(page));
+    basePage: async ({ page, config }, use) => {
+        await use(new BasePage(page, config));
     },
 
     /**
@@ -72,4 +78,28 @@ export const test = base.extend({
     accountActivityPage: async ({ page }, use) => {
         await use(new AccountActivityPage(page));
     },
+
+    findTransactionsPage: async ({ page }, use) => {
+        await use(new FindTransactionsPage(page));
+    },
+
+    requestLoanPage: async ({ page }, use) => {
+        await use(new RequestLoanPage(page));
+    },
+
+    profilePage: async ({ page }, use) => {
+        await use(new ProfilePage(page));
+    },
+
+    customerLookupPage: async ({ page }, use) => {
+        await use(new CustomerLookupPage(page));
+    },
+
+    adminPage: async ({ page }, use) => {
+        await use(new AdminPage(page));
+    },
+
+    positionsPage: async ({ page }, use) => {
+        await use(new PositionsPage(page));
+    },
 });
@@ -0,0 +1,36 @@
+/**
+ * Playwright Global Setup
+ *
+ * WHY: Runs once in the runner process before any worker starts. When the target
+ * environment's profile is flagged as disposable (e.g. env/profiles/local.json for
+ * a local Docker container), the database is restored to Parabank's seed data so
+ * every run starts from the same state. Shared instances are never touched.
+ */
+
+import { request } from '@playwright/test';
+import { apiRequest } from './utils/api-helper.js';
+import { getConfig } from './utils/config.js';
+import { ParabankAdminClient, isDisposableEnvironment } from './utils/parabank-admin.js';
+
+export default async function globalSetup() {
+    if (!isDisposableEnvironment()) {
+        console.log(
+            '🔒 Skipping database reset: environment profile is not flagged as disposable.',
+        );
+        return;
+    }
+
+    const requestContext = await request.newContext({ ignoreHTTPSErrors: true });
+
+    try {
+        const admin = new ParabankAdminClient({
+            apiRequest: (options) => apiRequest({ request: requestContext, ...options }),
+            baseUrl: getConfig().baseUrl,
+        });
+
+        await admin.initializeDatabase();
+        console.log(`🧹 Database initialized on ${getConfig().baseUrl}`);
+    } finally {
+        await requestContext.dispose();
+    }
+}
@@ -0,0 +1,620 @@
+/**
+ * In-memory bank behind the local Parabank stand-in.
+ *
+ * WHY: The stand-in server must behave like Parabank for everything the suite
+ * checks (default balances, ledger entries, loan decisions, duplicate usernames),
+ * but it must not need a database: state lives for one server process and is
+ * restored by initializeDB, exactly like global-setup expects of a disposable
+ * instance. Amounts and share prices are kept in integer cents so balances
+ * never drift.
+ */
+
+export class BankError extends Error {
+    /**
+     * @param {string} message - Returned to the client as the response body.
+     * @param {number} [status=400]
+     */
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'BankError';
+        this.status = status;
+    }
+}
+
+export const ACCOUNT_TYPES = ['CHECKING', 'SAVINGS', 'LOAN'];
+
+/**
+ * WHY: The same defaults as a fresh Parabank installation (Admin page), so
+ * specs that assert on "$100.00" or on loan decisions pass against both.
+ */
+const DEFAULT_SETTINGS = {
+    initialBalance: 51550,
+    minimumBalance: 10000,
+    loanProvider: 'local',
+    loanProcessor: 'combined',
+    loanProcessorThreshold: 20,
+
+    /**
+     * WHY: Stored so ParabankAdminClient.setDataAccessMode() succeeds, but the
+     * stand-in always answers from memory.
+     */
+    accessMode: 'jdbc',
+};
+
+const LOAN_PROVIDER_NAMES = {
+    local: 'ParaBank',
+    ws: 'Wealth Securities Dynamic Loans (WSDL)',
+    jms: 'Wealth Securities Dynamic Loans (JMS)',
+};
+
+/**
+ * WHY: Mirrors Parabank's seed data, so PARABANK_SEED_USERNAME/PASSWORD and the
+ * admin spec work against the stand-in unchanged.
+ */
+const SEED_CUSTOMER = {
+    firstName: 'John',
+    lastName: 'Smith',
+    address: { street: '1431 Main St', city: 'Beverly Hills', state: 'CA', zipCode: '90210' },
+    phoneNumber: '310-447-4121',
+    ssn: '622-11-9999',
+    username: 'john',
+    password: 'demo',
+};
+
+// ==================== Money ====================
+
+/**
+ * @param {string | number} amount - e.g. '10.00', 10 or '10'
+ * @returns {number} Cents.
+ * @throws {BankError} When the amount is not a positive decimal.
+ */
+export function parseAmount(amount) {
+    const text = String(amount ?? '').trim();
+
+    if (!/^\d+(\.\d{1,2})?$/.test(text)) {
+        throw new BankError(`Invalid amount: ${amount}`);
+    }
+
+    const [whole, fraction = ''] = text.split('.');
+    return Number(whole) * 100 + Number(fraction.padEnd(2, '0'));
+}
+
+/**
+ * @param {number} cents
+ * @returns {string} e.g. '$1,234.50' or '-$10.00', as Parabank renders currency.
+ */
+export function formatCurrency(cents) {
+    const sign = cents < 0 ? '-' : '';
+    const absolute = Math.abs(cents);
+    const whole = Math.floor(absolute / 100).toLocaleString('en-US');
+
+    return `${sign}$${whole}.${String(absolute % 100).padStart(2, '0')}`;
+}
+
+/**
+ * @param {number} cents
+ * @returns {number} The decimal amount used in REST payloads.
+ */
+export function toDecimal(cents) {
+    return cents / 100;
+}
+
+// ==================== Bank ====================
+
+export class LocalBank {
+    constructor() {
+        this.initialize();
+    }
+
+    // ==================== Administration ====================
+
+    /**
+     * Restores the seed data and default settings (Parabank's initializeDB).
+     */
+    initialize() {
+        this.clean();
+
+        const seedCustomer = this._addCustomer(SEED_CUSTOMER);
+        this._openFundedAccount(seedCustomer.id, 'CHECKING', this.settings.initialBalance);
+        this._openFundedAccount(seedCustomer.id, 'SAVINGS', this.settings.initialBalance);
+    }
+
+    /**
+     * Removes every customer, account and transaction (Parabank's cleanDB).
+     */
+    clean() {
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.customers = new Map();
+        this.accounts = new Map();
+        this.transactions = [];
+        this.positions = new Map();
+
+        /**
+         * WHY: Parabank's identifier ranges, so IDs look familiar in reports.
+         */
+        this.nextIds = { customer: 12212, account: 13344, transaction: 14476, position: 12345 };
+    }
+
+    /**
+     * @param {string} name - initialBalance, minimumBalance, loanProvider,
+     * loanProcessor, loanProcessorThreshold or accessMode.
+     * @param {string} value
+     */
+    setParameter(name, value) {
+        if (!(name in DEFAULT_SETTINGS)) {
+            throw new BankError(`Unknown parameter: ${name}`);
+        }
+
+        if (name === 'initialBalance' || name === 'minimumBalance') {
+            this.settings[name] = parseAmount(value);
+        } else if (name === 'loanProcessorThreshold') {
+            this.settings[name] = Number(value);
+        } else {
+            this.settings[name] = value;
+        }
+    }
+
+    // ==================== Customers ====================
+
+    /**
+     * Registers a customer with a funded checking account.
+     *
+     * @param {Object} identity - Same shape as UserResponseSchema, plus username and password.
+     * @returns {Object} The stored customer.
+     * @throws {BankError} When the username is taken.
+     */
+    register(identity) {
+        if (this.findCustomerByUsername(identity.username)) {
+            throw new BankError('This username already exists.');
+        }
+
+        const customer = this._addCustomer(identity);
+        this._openFundedAccount(customer.id, 'CHECKING', this.settings.initialBalance);
+
+        return customer;
+    }
+
+    findCustomerByUsername(username) {
+        return [...this.customers.values()].find((customer) => customer.username === username);
+    }
+
+    /**
+     * @returns {Object | undefined} The customer, when the credentials match.
+     */
+    authenticate(username, password) {
+        const customer = this.findCustomerByUsername(username);
+        return customer?.password === password ? customer : undefined;
+    }
+
+    /**
+     * @throws {BankError} 400 for an unknown customer, as Parabank answers.
+     */
+    getCustomer(customerId) {
+        const customer = this.customers.get(Number(customerId));
+        if (!customer) throw new BankError(`Could not find customer #${customerId}`);
+
+        return customer;
+    }
+
+    /**
+     * Lookup used by "Forgot login info?".
+     */
+    findCustomerByIdentity({ firstName, lastName, ssn }) {
+        return [...this.customers.values()].find(
+            (customer) =>
+                customer.firstName === firstName &&
+                customer.lastName === lastName &&
+                customer.ssn === ssn,
+        );
+    }
+
+    /**
+     * @param {number|string} customerId
+     * @param {Object} profile - Fields to change; omitted fields keep their value.
+     */
+    updateCustomer(customerId, profile) {
+        const customer = this.getCustomer(customerId);
+        const { address = {}, ...fields } = profile;
+
+        for (const [key, value] of Object.entries(fields)) {
+            if (value !== undefined && key in customer) customer[key] = value;
+        }
+        for (const [key, value] of Object.entries(address)) {
+            if (value !== undefined && key in customer.address) customer.address[key] = value;
+        }
+
+        return customer;
+    }
+
+    // ==================== Accounts ====================
+
+    getAccounts(customerId) {
+        this.getCustomer(customerId);
+
+        return [...this.accounts.values()].filter(
+            (account) => account.customerId === Number(customerId),
+        );
+    }
+
+    /**
+     * @throws {BankError} 400 for an unknown account, as Parabank answers.
+     */
+    getAccount(accountId) {
+        const account = this.accounts.get(Number(accountId));
+        if (!account) throw new BankError(`Could not find account #${accountId}`);
+
+        return account;
+    }
+
+    /**
+     * Opens an account funded with the minimum balance from an existing account.
+     *
+     * @param {Object} params
+     * @param {number|string} params.customerId
+     * @param {string} params.type - CHECKING, SAVINGS or LOAN.
+     * @param {number|string} params.fromAccountId
+     */
+    openAccount({ customerId, type, fromAccountId }) {
+        if (!ACCOUNT_TYPES.includes(type)) throw new BankError(`Invalid account type: ${type}`);
+
+        const fromAccount = this._getOwnedAccount(fromAccountId, customerId);
+        const account = this._createAccount(fromAccount.customerId, type);
+
+        this._moveFunds(fromAccount, account, this.settings.minimumBalance);
+        return account;
+    }
+
+    // ==================== Money Movement ====================
+
+    /**
+     * WHY: Parabank does not reject overdrafts on transfers; balances may go negative.
+     */
+    transfer({ fromAccountId, toAccountId, amount }) {
+        const cents = parseAmount(amount);
+        this._moveFunds(this.getAccount(fromAccountId), this.getAccount(toAccountId), cents);
+
+        return cents;
+    }
+
+    deposit({ accountId, amount }) {
+        const cents = parseAmount(amount);
+        this._post(this.getAccount(accountId), 'Credit', cents, 'Deposit via Web Service');
+
+        return cents;
+    }
+
+    withdraw({ accountId, amount }) {
+        const cents = parseAmount(amount);
+        this._post(this.getAccount(accountId), 'Debit', cents, 'Withdrawal via Web Service');
+
+        return cents;
+    }
+
+    /**
+     * @param {Object} params
+     * @param {number|string} params.accountId
+     * @param {string|number} params.amount
+     * @param {{ name: string }} params.payee
+     */
+    payBill({ accountId, amount, payee }) {
+        if (!payee?.name) throw new BankError('Payee name is required.');
+
+        const account = this.getAccount(accountId);
+        const cents = parseAmount(amount);
+        this._post(account, 'Debit', cents, `Bill Payment to ${payee.name}`);
+
+        return { payeeName: payee.name, amount: toDecimal(cents), accountId: account.id };
+    }
+
+    /**
+     * Decides a loan with the configured processor.
+     * WHY: 'down' requires a down payment of at least loanProcessorThreshold
+     * percent of the loan, 'funds' requires the down payment to be covered by the
+     * funding account, and 'combined' (the default) requires both.
+     */
+    requestLoan({ customerId, amount, downPayment, fromAccountId }) {
+        const loanCents = parseAmount(amount);
+        const downPaymentCents = parseAmount(downPayment);
+        const fromAccount = this._getOwnedAccount(fromAccountId, customerId);
+        const { loanProcessor, loanProcessorThreshold } = this.settings;
+
+        const hasFunds = fromAccount.balance >= downPaymentCents;
+        const hasDownPayment = downPaymentCents * 100 >= loanCents * loanProcessorThreshold;
+
+        let message = null;
+        if (loanProcessor !== 'down' && !hasFunds) {
+            message = 'error.insufficient.funds.for.down.payment';
+        } else if (loanProcessor !== 'funds' && !hasDownPayment) {
+            message = 'error.insufficient.down.payment';
+        }
+
+        const decision = {
+            responseDate: Date.now(),
+            loanProviderName: LOAN_PROVIDER_NAMES[this.settings.loanProvider] ?? 'ParaBank',
+            approved: message === null,
+            message,
+            accountId: null,
+        };
+
+        if (decision.approved) {
+            const loanAccount = this._createAccount(fromAccount.customerId, 'LOAN');
+            this._post(loanAccount, 'Credit', loanCents, 'Loan Funds');
+            this._post(fromAccount, 'Debit', downPaymentCents, 'Down Payment for Loan');
+            decision.accountId = loanAccount.id;
+        }
+
+        return decision;
+    }
+
+    // ==================== Positions ====================
+
+    getPositions(customerId) {
+        this.getCustomer(customerId);
+
+        return [...this.positions.values()].filter(
+            (position) => position.customerId === Number(customerId),
+        );
+    }
+
+    /**
+     * @throws {BankError} 400 for an unknown position, as Parabank answers.
+     */
+    getPosition(positionId) {
+        const position = this.positions.get(Number(positionId));
+        if (!position) throw new BankError(`Could not find position #${positionId}`);
+
+        return position;
+    }
+
+    /**
+     * Buys shares, debiting shares × pricePerShare from the funding account.
+     * WHY: Every purchase opens its own position with its own purchase price, so
+     * selling one lot never changes the cost basis of another.
+     *
+     * @param {Object} params
+     * @param {number|string} params.customerId
+     * @param {number|string} params.accountId - The funding account.
+     * @param {string} params.name
+     * @param {string} params.symbol
+     * @param {number|string} params.shares
+     * @param {number|string} params.pricePerShare
+     * @returns {Object[]} The customer's positions after the purchase.
+     */
+    buyPosition({ customerId, accountId, name, symbol, shares, pricePerShare }) {
+        if (!name || !symbol) throw new BankError('Name and symbol are required.');
+
+        const account = this._getOwnedAccount(accountId, customerId);
+        const shareCount = parseShares(shares);
+        const priceCents = parseAmount(pricePerShare);
+
+        this._post(
+            account,
+            'Debit',
+            shareCount * priceCents,
+            `Buy ${shareCount} shares of ${symbol}`,
+        );
+
+        const position = {
+            positionId: this.nextIds.position++,
+            customerId: account.customerId,
+            name,
+            symbol: symbol.toUpperCase(),
+            shares: shareCount,
+            purchasePrice: priceCents,
+        };
+        this.positions.set(position.positionId, position);
+
+        return this.getPositions(account.customerId);
+    }
+
+    /**
+     * Sells shares, crediting shares × pricePerShare to the receiving account.
+     * A position sold down to zero shares is closed.
+     *
+     * @param {Object} params
+     * @param {number|string} params.customerId
+     * @param {number|string} params.accountId - The receiving account.
+     * @param {number|string} params.positionId
+     * @param {number|string} params.shares
+     * @param {number|string} params.pricePerShare
+     * @returns {Object[]} The customer's positions after the sale.
+     * @throws {BankError} When selling more shares than the position holds.
+     */
+    sellPosition({ customerId, accountId, positionId, shares, pricePerShare }) {
+        const account = this._getOwnedAccount(accountId, customerId);
+        const position = this.getPosition(positionId);
+        const shareCount = parseShares(shares);
+        const priceCents = parseAmount(pricePerShare);
+
+        if (position.customerId !== account.customerId) {
+            throw new BankError(
+                `Position #${positionId} does not belong to customer #${customerId}`,
+            );
+        }
+        if (shareCount > position.shares) {
+            throw new BankError(
+                `Cannot sell ${shareCount} shares of position #${positionId}; it holds ${position.shares}`,
+            );
+        }
+
+        this._post(
+            account,
+            'Credit',
+            shareCount * priceCents,
+            `Sell ${shareCount} shares of ${position.symbol}`,
+        );
+
+        position.shares -= shareCount;
+        if (position.shares === 0) this.positions.delete(position.positionId);
+
+        return this.getPositions(account.customerId);
+    }
+
+    /**
+     * Daily closing prices of a position's symbol.
+     * WHY: There is no market feed; prices drift around the purchase price by a
+     * deterministic amount per day, so the same range always returns the same points.
+     *
+     * @param {number|string} positionId
+     * @param {string} startDate - MM-DD-YYYY
+     * @param {string} endDate - MM-DD-YYYY
+     * @returns {{ symbol: string, date: number, closingPrice: number }[]} Prices in cents.
+     */
+    getPositionHistory(positionId, startDate, endDate) {
+        const { symbol, purchasePrice } = this.getPosition(positionId);
+        const points = [];
+
+        for (let day = parseDate(startDate); day <= parseDate(endDate); day = nextDay(day)) {
+            const drift = ((Math.floor(day / DAY_MS) * 7919) % 201) - 100; // -100..100 ‰
+            points.push({
+                symbol,
+                date: day,
+                closingPrice: Math.max(1, Math.round((purchasePrice * (1000 + drift)) / 1000)),
+            });
+        }
+
+        return points;
+    }
+
+    // ==================== Transactions ====================
+
+    getTransaction(transactionId) {
+        const transaction = this.transactions.find(({ id }) => id === Number(transactionId));
+        if (!transaction) throw new BankError(`Could not find transaction #${transactionId}`);
+
+        return transaction;
+    }
+
+    /**
+     * @param {number|string} accountId
+     * @param {Object} [criteria]
+     * @param {string} [criteria.amount]
+     * @param {string} [criteria.onDate] - MM-DD-YYYY
+     * @param {string} [criteria.fromDate] - MM-DD-YYYY
+     * @param {string} [criteria.toDate] - MM-DD-YYYY
+     */
+    findTransactions(accountId, { amount, onDate, fromDate, toDate } = {}) {
+        const account = this.getAccount(accountId);
+        let matches = this.transactions.filter(
+            (transaction) => transaction.accountId === account.id,
+        );
+
+        if (amount !== undefined) {
+            const cents = parseAmount(amount);
+            matches = matches.filter((transaction) => transaction.amount === cents);
+        }
+        if (onDate) {
+            matches = matches.filter((transaction) => sameDay(transaction.date, parseDate(onDate)));
+        }
+        if (fromDate && toDate) {
+            const from = parseDate(fromDate);
+            const to = parseDate(toDate) + 24 * 60 * 60 * 1000;
+            matches = matches.filter(({ date }) => date >= from && date < to);
+        }
+
+        return matches;
+    }
+
+    // ==================== Private Helpers ====================
+
+    _addCustomer({ firstName, lastName, address, phoneNumber, ssn, username, password }) {
+        const customer = {
+            id: this.nextIds.customer++,
+            firstName,
+            lastName,
+            address: { ...address },
+            phoneNumber,
+            ssn,
+            username,
+            password,
+        };
+
+        this.customers.set(customer.id, customer);
+        return customer;
+    }
+
+    _createAccount(customerId, type) {
+        const account = { id: this.nextIds.account++, customerId, type, balance: 0 };
+
+        this.accounts.set(account.id, account);
+        return account;
+    }
+
+    _openFundedAccount(customerId, type, balance) {
+        const account = this._createAccount(customerId, type);
+        this._post(account, 'Credit', balance, 'Initial deposit');
+
+        return account;
+    }
+
+    /**
+     * WHY: Only the customer's own accounts may fund a new account or a loan.
+     */
+    _getOwnedAccount(accountId, customerId) {
+        const account = this.getAccount(accountId);
+
+        if (customerId !== undefined && account.customerId !== Number(customerId)) {
+            throw new BankError(`Account #${accountId} does not belong to customer #${customerId}`);
+        }
+
+        return account;
+    }
+
+    _moveFunds(fromAccount, toAccount, cents) {
+        this._post(fromAccount, 'Debit', cents, 'Funds Transfer Sent');
+        this._post(toAccount, 'Credit', cents, 'Funds Transfer Received');
+    }
+
+    _post(account, type, cents, description) {
+        account.balance += type === 'Credit' ? cents : -cents;
+
+        this.transactions.push({
+            id: this.nextIds.transaction++,
+            accountId: account.id,
+            type,
+            date: Date.now(),
+            amount: cents,
+            description,
+        });
+    }
+}
+
+/**
+ * @param {number|string} shares
+ * @returns {number}
+ * @throws {BankError} When shares is not a positive whole number.
+ */
+function parseShares(shares) {
+    const text = String(shares ?? '').trim();
+    if (!/^\d+$/.test(text) || Number(text) === 0) throw new BankError(`Invalid shares: ${shares}`);
+
+    return Number(text);
+}
+
+// ==================== Dates ====================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} value - MM-DD-YYYY, the format of Parabank's search endpoints.
+ * @returns {number} Local midnight of that day, in epoch milliseconds.
+ */
+function parseDate(value) {
+    const match = /^(\d{2})-(\d{2})-(\d{4})$/.exec(value);
+    if (!match) throw new BankError(`Invalid date: ${value}`);
+
+    const [, month, day, year] = match;
+    return new Date(Number(year), Number(month) - 1, Number(day)).getTime();
+}
+
+function sameDay(timestamp, dayStart) {
+    return timestamp >= dayStart && timestamp < dayStart + 24 * 60 * 60 * 1000;
+}
+
+/**
+ * WHY: Adding 24 hours would drift across daylight-saving changes.
+ */
+function nextDay(dayStart) {
+    const date = new Date(dayStart);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+}
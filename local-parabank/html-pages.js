@@ -0,0 +1,750 @@
+/**
+ * HTML pages of the local Parabank stand-in.
+ *
+ * WHY: The page objects in pages/ locate elements by Parabank's ids, names,
+ * headings and messages, so every page reproduces that markup. Like Parabank's
+ * AngularJS pages, dropdowns, balances and form submissions go through the
+ * /services_proxy/bank endpoints from the browser rather than being rendered on
+ * the server. Waits in the page objects and routes on those endpoints therefore
+ * behave the same against the stand-in as against a real instance.
+ */
+
+import { escapeHtml } from './http-utils.js';
+
+/**
+ * WHY: Names and order of Parabank's "Account Services" menu, which
+ * HomePage.navigateViaLeftMenu() clicks by link text.
+ */
+const ACCOUNT_SERVICES = [
+    ['openaccount.htm', 'Open New Account'],
+    ['overview.htm', 'Accounts Overview'],
+    ['transfer.htm', 'Transfer Funds'],
+    ['billpay.htm', 'Bill Pay'],
+    ['findtrans.htm', 'Find Transactions'],
+    ['updateprofile.htm', 'Update Contact Info'],
+    ['requestloan.htm', 'Request Loan'],
+    ['logout.htm', 'Log Out'],
+];
+
+const REGISTRATION_FIELDS = [
+    ['customer.firstName', 'First Name:', 'First name is required.'],
+    ['customer.lastName', 'Last Name:', 'Last name is required.'],
+    ['customer.address.street', 'Address:', 'Address is required.'],
+    ['customer.address.city', 'City:', 'City is required.'],
+    ['customer.address.state', 'State:', 'State is required.'],
+    ['customer.address.zipCode', 'Zip Code:', 'Zip Code is required.'],
+    ['customer.phoneNumber', 'Phone #:', null],
+    ['customer.ssn', 'SSN:', 'Social Security Number is required.'],
+    ['customer.username', 'Username:', 'Username is required.'],
+    ['customer.password', 'Password:', 'Password is required.'],
+    ['repeatedPassword', 'Confirm:', 'Password confirmation is required.'],
+];
+
+/**
+ * Helpers shared by the scripts of every logged-in page.
+ * WHY: Requests are relative to /parabank/, so they reach the same
+ * services_proxy path a real instance would be asked for.
+ */
+const CLIENT_HELPERS = `
+async function api(method, path, body) {
+    const headers = { Accept: 'application/json' };
+    if (body) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch('services_proxy/bank/' + path, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+
+    if (!response.ok) throw new Error(text || response.statusText);
+    return (response.headers.get('content-type') || '').includes('json') ? JSON.parse(text) : text;
+}
+
+function formatCurrency(amount) {
+    const formatted = Math.abs(amount).toLocaleString('en-US', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+    });
+    return (amount < 0 ? '-$' : '$') + formatted;
+}
+
+function escapeHtml(value) {
+    const element = document.createElement('span');
+    element.textContent = String(value);
+    return element.innerHTML;
+}
+
+async function fillAccountOptions(...selects) {
+    const accounts = await api('GET', 'customers/' + CUSTOMER_ID + '/accounts');
+    const options = accounts
+        .map((account) => '<option value="' + account.id + '">' + account.id + '</option>')
+        .join('');
+
+    for (const select of selects) select.innerHTML = options;
+}
+
+function showError(container, error) {
+    container.innerHTML =
+        '<h1 class="title">Error!</h1><p class="error">' + escapeHtml(error.message) + '</p>';
+}
+`;
+
+// ==================== Layout ====================
+
+function loginPanel() {
+    return `
+        <h2>Customer Login</h2>
+        <form name="login" method="post" action="login.htm">
+            <p><b>Username</b></p>
+            <div class="login"><input type="text" class="input" name="username" /></div>
+            <p><b>Password</b></p>
+            <div class="login"><input type="password" class="input" name="password" /></div>
+            <div class="login"><input type="submit" class="button" value="Log In" /></div>
+        </form>
+        <p><a href="lookup.htm">Forgot login info?</a></p>
+        <p><a href="register.htm">Register</a></p>`;
+}
+
+function accountServicesPanel(customer) {
+    const links = ACCOUNT_SERVICES.map(
+        ([href, name]) => `<li><a href="${href}">${name}</a></li>`,
+    ).join('');
+
+    return `
+        <p class="smallText"><b>Welcome</b> ${escapeHtml(customer.firstName)} ${escapeHtml(customer.lastName)}</p>
+        <h2>Account Services</h2>
+        <ul>${links}</ul>`;
+}
+
+/**
+ * @param {Object} page
+ * @param {string} page.title - Document title suffix.
+ * @param {Object | null} page.customer - The logged-in customer, if any.
+ * @param {string} page.content - Markup of #rightPanel.
+ * @param {string} [page.script] - Page script; runs after CLIENT_HELPERS.
+ * @returns {string}
+ */
+function layout({ title, customer, content, script = '' }) {
+    const pageScript = customer
+        ? `<script>
+const CUSTOMER_ID = ${JSON.stringify(customer.id)};
+${CLIENT_HELPERS}
+${script}
+</script>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8" />
+    <title>ParaBank | ${escapeHtml(title)}</title>
+</head>
+<body>
+<div id="mainPanel">
+    <div id="headerPanel"><p class="caption">Local ParaBank stand-in</p></div>
+    <div id="bodyPanel">
+        <div id="leftPanel">${customer ? accountServicesPanel(customer) : loginPanel()}</div>
+        <div id="rightPanel">${content}</div>
+    </div>
+</div>
+${pageScript}
+</body>
+</html>`;
+}
+
+// ==================== Public Pages ====================
+
+export function renderIndex({ customer }) {
+    return layout({
+        title: 'Welcome | Online Banking',
+        customer,
+        content: `
+            <h2>Online Services</h2>
+            <p>This in-memory stand-in serves the pages and REST endpoints the test suite uses.</p>`,
+    });
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.message - e.g. 'The username and password could not be verified.'
+ */
+export function renderLoginError({ message }) {
+    return layout({
+        title: 'Error',
+        customer: null,
+        content: `
+            <h1 class="title">Error!</h1>
+            <p class="error">${escapeHtml(message)}</p>`,
+    });
+}
+
+/**
+ * Registration form, re-rendered with the submitted values on validation errors.
+ *
+ * @param {Object} params
+ * @param {Object<string, string>} [params.values] - Submitted form fields.
+ * @param {Object<string, string>} [params.errors] - Messages by field name.
+ */
+export function renderRegister({ values = {}, errors = {} }) {
+    const rows = REGISTRATION_FIELDS.map(([name, label]) => {
+        const type = name.endsWith('assword') ? 'password' : 'text';
+        const value = type === 'text' ? escapeHtml(values[name]) : '';
+        const error = errors[name]
+            ? `<span id="${name}.errors" class="error">${escapeHtml(errors[name])}</span>`
+            : '';
+
+        return `
+                <tr>
+                    <td align="right" width="20%"><b>${label}</b></td>
+                    <td width="20%"><input id="${name}" name="${name}" class="input" type="${type}" value="${value}" /></td>
+                    <td>${error}</td>
+                </tr>`;
+    }).join('');
+
+    return layout({
+        title: 'Register for Free Online Account Access',
+        customer: null,
+        content: `
+            <h1 class="title">Signing up is easy!</h1>
+            <p>If you have an account with us you can sign-up for free instant online access.</p>
+            <form id="customerForm" method="post" action="register.htm">
+                <table class="form2">${rows}
+                    <tr>
+                        <td></td>
+                        <td colspan="2"><input type="submit" class="button" value="Register" /></td>
+                    </tr>
+                </table>
+            </form>`,
+    });
+}
+
+export function renderRegistered({ customer }) {
+    return layout({
+        title: 'Customer Created',
+        customer,
+        content: `
+            <h1 class="title">Welcome ${escapeHtml(customer.username)}</h1>
+            <p>Your account was created successfully. You are now logged in.</p>`,
+    });
+}
+
+// ==================== Account Services ====================
+
+export function renderOverview({ customer }) {
+    return layout({
+        title: 'Accounts Overview',
+        customer,
+        content: `
+            <div id="showOverview">
+                <h1 class="title">Accounts Overview</h1>
+                <table id="accountTable" class="gridTable">
+                    <thead>
+                        <tr><th>Account</th><th>Balance*</th><th>Available Amount</th></tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+                <p class="smallText">*Balance includes deposits that may be subject to holds</p>
+            </div>
+            <div id="showError"></div>`,
+        script: `
+api('GET', 'customers/' + CUSTOMER_ID + '/accounts')
+    .then((accounts) => {
+        const total = accounts.reduce((sum, account) => sum + account.balance, 0);
+        const rows = accounts.map(
+            (account) =>
+                '<tr><td><a href="activity.htm?id=' + account.id + '">' + account.id + '</a></td>' +
+                '<td>' + formatCurrency(account.balance) + '</td>' +
+                '<td>' + formatCurrency(Math.max(account.balance, 0)) + '</td></tr>',
+        );
+        rows.push('<tr><td><b>Total</b></td><td><b>' + formatCurrency(total) + '</b></td><td>&nbsp;</td></tr>');
+        document.querySelector('#accountTable tbody').innerHTML = rows.join('');
+    })
+    .catch((error) => showError(document.getElementById('showError'), error));`,
+    });
+}
+
+export function renderOpenAccount({ customer }) {
+    return layout({
+        title: 'Open Account',
+        customer,
+        content: `
+            <div id="openAccountForm">
+                <h1 class="title">Open New Account</h1>
+                <form>
+                    <p><b>What type of Account would you like to open?</b></p>
+                    <select id="type" class="input">
+                        <option value="CHECKING">CHECKING</option>
+                        <option value="SAVINGS">SAVINGS</option>
+                    </select>
+                    <p><b>A minimum of the configured minimum balance must be deposited into this account at time of opening. Please choose an existing account to transfer funds into the new account.</b></p>
+                    <select id="fromAccountId" class="input"></select>
+                    <div><input type="button" class="button" value="Open New Account" /></div>
+                </form>
+            </div>
+            <div id="openAccountResult"></div>`,
+        script: `
+const TYPE_CODES = { CHECKING: 0, SAVINGS: 1, LOAN: 2 };
+const result = document.getElementById('openAccountResult');
+fillAccountOptions(document.getElementById('fromAccountId'));
+
+document.querySelector('#openAccountForm input.button').addEventListener('click', async () => {
+    const query = new URLSearchParams({
+        customerId: CUSTOMER_ID,
+        newAccountType: TYPE_CODES[document.getElementById('type').value],
+        fromAccountId: document.getElementById('fromAccountId').value,
+    });
+
+    try {
+        const account = await api('POST', 'createAccount?' + query);
+        document.getElementById('openAccountForm').remove();
+        result.innerHTML =
+            '<h1 class="title">Account Opened!</h1>' +
+            '<p>Congratulations, your account is now open.</p>' +
+            '<p><b>Your new account number:</b> <a id="newAccountId" href="activity.htm?id=' +
+            account.id + '">' + account.id + '</a></p>';
+    } catch (error) {
+        showError(result, error);
+    }
+});`,
+    });
+}
+
+export function renderTransfer({ customer }) {
+    return layout({
+        title: 'Transfer Funds',
+        customer,
+        content: `
+            <div id="showForm">
+                <h1 class="title">Transfer Funds</h1>
+                <form>
+                    <p><b>Amount:</b> $<input id="amount" class="input" type="text" /></p>
+                    <p>From account #<select id="fromAccountId" class="input"></select>
+                    to account #<select id="toAccountId" class="input"></select></p>
+                    <input type="submit" class="button" value="Transfer" />
+                </form>
+            </div>
+            <div id="showResult"></div>`,
+        script: `
+const result = document.getElementById('showResult');
+fillAccountOptions(document.getElementById('fromAccountId'), document.getElementById('toAccountId'));
+
+document.querySelector('#showForm form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const amount = document.getElementById('amount').value;
+    const fromAccountId = document.getElementById('fromAccountId').value;
+    const toAccountId = document.getElementById('toAccountId').value;
+
+    try {
+        await api('POST', 'transfer?' + new URLSearchParams({ fromAccountId, toAccountId, amount }));
+        document.getElementById('showForm').remove();
+        result.innerHTML =
+            '<h1 class="title">Transfer Complete!</h1>' +
+            '<p><span id="amountResult">' + formatCurrency(Number(amount)) + '</span>' +
+            ' has been transferred from account #<span id="fromAccountIdResult">' + fromAccountId +
+            '</span> to account #<span id="toAccountIdResult">' + toAccountId + '</span>.</p>' +
+            '<p>See Account Activity for more details.</p>';
+    } catch (error) {
+        showError(result, error);
+    }
+});`,
+    });
+}
+
+export function renderBillPay({ customer }) {
+    const payeeField = (name, label) =>
+        `<tr><td align="right"><b>${label}</b></td><td><input class="input" name="${name}" type="text" /></td></tr>`;
+
+    return layout({
+        title: 'Bill Pay',
+        customer,
+        content: `
+            <div id="billpayForm">
+                <h1 class="title">Bill Payment Service</h1>
+                <p>Enter payee information</p>
+                <form>
+                    <table class="form2">
+                        ${payeeField('payee.name', 'Payee Name:')}
+                        ${payeeField('payee.address.street', 'Address:')}
+                        ${payeeField('payee.address.city', 'City:')}
+                        ${payeeField('payee.address.state', 'State:')}
+                        ${payeeField('payee.address.zipCode', 'Zip Code:')}
+                        ${payeeField('payee.phoneNumber', 'Phone #:')}
+                        ${payeeField('payee.accountNumber', 'Account #:')}
+                        ${payeeField('verifyAccount', 'Verify Account #:')}
+                        ${payeeField('amount', 'Amount: $')}
+                        <tr>
+                            <td align="right"><b>From account #:</b></td>
+                            <td><select name="fromAccountId" class="input"></select></td>
+                        </tr>
+                        <tr><td></td><td><input type="button" class="button" value="Send Payment" /></td></tr>
+                    </table>
+                </form>
+            </div>
+            <div id="billpayResult" ng-show="showResult"></div>`,
+        script: `
+const result = document.getElementById('billpayResult');
+const field = (name) => document.querySelector('#billpayForm [name="' + name + '"]').value;
+fillAccountOptions(document.querySelector('#billpayForm select[name="fromAccountId"]'));
+
+document.querySelector('#billpayForm input.button').addEventListener('click', async () => {
+    const payee = {
+        name: field('payee.name'),
+        address: {
+            street: field('payee.address.street'),
+            city: field('payee.address.city'),
+            state: field('payee.address.state'),
+            zipCode: field('payee.address.zipCode'),
+        },
+        phoneNumber: field('payee.phoneNumber'),
+        accountNumber: field('payee.accountNumber'),
+    };
+    const query = new URLSearchParams({ accountId: field('fromAccountId'), amount: field('amount') });
+
+    try {
+        const payment = await api('POST', 'billpay?' + query, payee);
+        document.getElementById('billpayForm').remove();
+        result.innerHTML =
+            '<h1 class="title">Bill Payment Complete</h1>' +
+            '<p>Bill Payment to <span id="payeeName">' + escapeHtml(payment.payeeName) + '</span>' +
+            ' in the amount of <span id="amount">' + formatCurrency(payment.amount) + '</span>' +
+            ' from account <span id="fromAccountId">' + payment.accountId + '</span> was successful.</p>' +
+            '<p>See Account Activity for more details.</p>';
+    } catch (error) {
+        showError(result, error);
+    }
+});`,
+    });
+}
+
+export function renderActivity({ customer, accountId }) {
+    return layout({
+        title: 'Account Activity',
+        customer,
+        content: `
+            <div id="accountDetails">
+                <h1 class="title">Account Details</h1>
+                <table>
+                    <tr><td align="right">Account Number:</td><td id="accountId"></td></tr>
+                    <tr><td align="right">Account Type:</td><td id="accountType"></td></tr>
+                    <tr><td align="right">Balance:</td><td id="balance"></td></tr>
+                    <tr><td align="right">Available:</td><td id="availableBalance"></td></tr>
+                </table>
+            </div>
+            <div id="accountActivity">
+                <h1 class="title">Account Activity</h1>
+                <table id="transactionTable" class="gridTable">
+                    <thead>
+                        <tr><th>Date</th><th>Transaction</th><th>Debit (-)</th><th>Credit (+)</th></tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+            <div id="activityError"></div>`,
+        script: `
+const ACCOUNT_ID = ${JSON.stringify(String(accountId ?? ''))};
+
+Promise.all([
+    api('GET', 'accounts/' + encodeURIComponent(ACCOUNT_ID)),
+    api('GET', 'accounts/' + encodeURIComponent(ACCOUNT_ID) + '/transactions'),
+])
+    .then(([account, transactions]) => {
+        document.getElementById('accountId').textContent = account.id;
+        document.getElementById('accountType').textContent = account.type;
+        document.getElementById('balance').textContent = formatCurrency(account.balance);
+        document.getElementById('availableBalance').textContent = formatCurrency(
+            Math.max(account.balance, 0),
+        );
+        document.querySelector('#transactionTable tbody').innerHTML = transactions
+            .map(
+                (transaction) =>
+                    '<tr><td>' + new Date(transaction.date).toLocaleDateString('en-US') + '</td>' +
+                    '<td><a href="transaction.htm?id=' + transaction.id + '">' +
+                    escapeHtml(transaction.description) + '</a></td>' +
+                    '<td>' + (transaction.type === 'Debit' ? formatCurrency(transaction.amount) : '') + '</td>' +
+                    '<td>' + (transaction.type === 'Credit' ? formatCurrency(transaction.amount) : '') + '</td></tr>',
+            )
+            .join('');
+    })
+    .catch((error) => showError(document.getElementById('activityError'), error));`,
+    });
+}
+
+/**
+ * WHY: Errors are shown by the page script before anything is sent, like
+ * Parabank's client-side validation, and the profile is loaded through
+ * services_proxy so ProfilePage.waitForProfileLoaded() has something to wait for.
+ */
+export function renderUpdateProfile({ customer }) {
+    const profileField = (id, label, errorId) => `
+                    <tr>
+                        <td align="right"><b>${label}</b></td>
+                        <td><input id="${id}" name="${id}" class="input" type="text" /></td>
+                        <td>${errorId ? `<span id="${errorId}" class="error"></span>` : ''}</td>
+                    </tr>`;
+
+    return layout({
+        title: 'Update Profile',
+        customer,
+        content: `
+            <div id="updateProfileForm">
+                <h1 class="title">Update Profile</h1>
+                <form>
+                    <table class="form2">
+                        ${profileField('customer.firstName', 'First Name:', 'firstName-error')}
+                        ${profileField('customer.lastName', 'Last Name:', 'lastName-error')}
+                        ${profileField('customer.address.street', 'Address:', 'street-error')}
+                        ${profileField('customer.address.city', 'City:', 'city-error')}
+                        ${profileField('customer.address.state', 'State:', 'state-error')}
+                        ${profileField('customer.address.zipCode', 'Zip Code:', 'zipCode-error')}
+                        ${profileField('customer.phoneNumber', 'Phone #:', null)}
+                        <tr><td></td><td><input type="button" class="button" value="Update Profile" /></td></tr>
+                    </table>
+                </form>
+            </div>
+            <div id="updateProfileResult"></div>`,
+        script: `
+const REQUIRED_FIELDS = [
+    ['customer.firstName', 'firstName-error', 'First name is required.'],
+    ['customer.lastName', 'lastName-error', 'Last name is required.'],
+    ['customer.address.street', 'street-error', 'Address is required.'],
+    ['customer.address.city', 'city-error', 'City is required.'],
+    ['customer.address.state', 'state-error', 'State is required.'],
+    ['customer.address.zipCode', 'zipCode-error', 'Zip Code is required.'],
+];
+const input = (id) => document.getElementById(id);
+const result = document.getElementById('updateProfileResult');
+
+api('GET', 'customers/' + CUSTOMER_ID)
+    .then((profile) => {
+        input('customer.firstName').value = profile.firstName;
+        input('customer.lastName').value = profile.lastName;
+        input('customer.address.street').value = profile.address.street;
+        input('customer.address.city').value = profile.address.city;
+        input('customer.address.state').value = profile.address.state;
+        input('customer.address.zipCode').value = profile.address.zipCode;
+        input('customer.phoneNumber').value = profile.phoneNumber;
+    })
+    .catch((error) => showError(result, error));
+
+document.querySelector('#updateProfileForm input.button').addEventListener('click', async () => {
+    let valid = true;
+    for (const [id, errorId, message] of REQUIRED_FIELDS) {
+        const missing = input(id).value.trim() === '';
+        input(errorId).textContent = missing ? message : '';
+        valid = valid && !missing;
+    }
+    if (!valid) return;
+
+    const query = new URLSearchParams({
+        firstName: input('customer.firstName').value,
+        lastName: input('customer.lastName').value,
+        street: input('customer.address.street').value,
+        city: input('customer.address.city').value,
+        state: input('customer.address.state').value,
+        zipCode: input('customer.address.zipCode').value,
+        phoneNumber: input('customer.phoneNumber').value,
+    });
+
+    try {
+        await api('POST', 'customers/update/' + CUSTOMER_ID + '?' + query);
+        document.getElementById('updateProfileForm').remove();
+        result.innerHTML =
+            '<h1 class="title">Profile Updated</h1>' +
+            '<p>Your updated address and phone number have been added to the system.</p>';
+    } catch (error) {
+        showError(result, error);
+    }
+});`,
+    });
+}
+
+export function renderRequestLoan({ customer }) {
+    return layout({
+        title: 'Request Loan',
+        customer,
+        content: `
+            <div id="requestLoanForm">
+                <h1 class="title">Apply for a Loan</h1>
+                <form>
+                    <table class="form2">
+                        <tr><td align="right"><b>Loan Amount:</b></td><td>$ <input id="amount" class="input" type="text" /></td></tr>
+                        <tr><td align="right"><b>Down Payment:</b></td><td>$ <input id="downPayment" class="input" type="text" /></td></tr>
+                        <tr><td align="right"><b>From account #:</b></td><td><select id="fromAccountId" class="input"></select></td></tr>
+                        <tr><td></td><td><input type="button" class="button" value="Apply Now" /></td></tr>
+                    </table>
+                </form>
+            </div>
+            <div id="requestLoanResult"></div>
+            <div id="requestLoanError"></div>`,
+        script: `
+const DENIAL_MESSAGES = {
+    'error.insufficient.funds.for.down.payment': 'You do not have sufficient funds for the given down payment.',
+    'error.insufficient.down.payment': 'We cannot grant a loan in that amount with the given down payment.',
+};
+const result = document.getElementById('requestLoanResult');
+fillAccountOptions(document.getElementById('fromAccountId'));
+
+document.querySelector('#requestLoanForm input.button').addEventListener('click', async () => {
+    const query = new URLSearchParams({
+        customerId: CUSTOMER_ID,
+        amount: document.getElementById('amount').value,
+        downPayment: document.getElementById('downPayment').value,
+        fromAccountId: document.getElementById('fromAccountId').value,
+    });
+
+    try {
+        const decision = await api('POST', 'requestLoan?' + query);
+        const outcome = decision.approved
+            ? '<div id="loanRequestApproved"><p>Congratulations, your loan has been approved.</p>' +
+              '<p><b>Your new account number:</b> <a id="newAccountId" href="activity.htm?id=' +
+              decision.accountId + '">' + decision.accountId + '</a></p></div>'
+            : '<div id="loanRequestDenied"><p class="error">' +
+              escapeHtml(DENIAL_MESSAGES[decision.message] || decision.message) + '</p></div>';
+
+        document.getElementById('requestLoanForm').remove();
+        result.innerHTML =
+            '<h1 class="title">Loan Request Processed</h1>' +
+            '<table><tr><td align="right"><b>Loan Provider:</b></td><td id="loanProviderName">' +
+            escapeHtml(decision.loanProviderName) + '</td></tr>' +
+            '<tr><td align="right"><b>Date:</b></td><td id="responseDate">' +
+            new Date(decision.responseDate).toLocaleDateString('en-US') + '</td></tr>' +
+            '<tr><td align="right"><b>Status:</b></td><td id="loanStatus">' +
+            (decision.approved ? 'Approved' : 'Denied') + '</td></tr></table>' + outcome;
+    } catch (error) {
+        showError(document.getElementById('requestLoanError'), error);
+    }
+});`,
+    });
+}
+
+/**
+ * WHY: Parabank's menu links no trading page; this one is reached by URL and
+ * drives the same buyPosition/sellPosition services the REST specs call.
+ */
+export function renderPositions({ customer }) {
+    const tradeField = (id, label, control = 'input') =>
+        `<tr><td align="right"><b>${label}</b></td><td>${
+            control === 'select'
+                ? `<select id="${id}" class="input"></select>`
+                : `<input id="${id}" class="input" type="text" />`
+        }</td></tr>`;
+
+    return layout({
+        title: 'Positions',
+        customer,
+        content: `
+            <h1 class="title">Positions</h1>
+            <table id="positionsTable" class="gradient-style">
+                <thead>
+                    <tr><th>Position</th><th>Name</th><th>Symbol</th><th>Shares</th><th>Purchase Price</th></tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <div id="buyPositionForm">
+                <h2>Buy Shares</h2>
+                <form>
+                    <table class="form2">
+                        ${tradeField('buyAccountId', 'From account #:', 'select')}
+                        ${tradeField('buyName', 'Name:')}
+                        ${tradeField('buySymbol', 'Symbol:')}
+                        ${tradeField('buyShares', 'Shares:')}
+                        ${tradeField('buyPricePerShare', 'Price per share: $')}
+                        <tr><td></td><td><input type="button" class="button" value="Buy Shares" /></td></tr>
+                    </table>
+                </form>
+            </div>
+            <div id="sellPositionForm">
+                <h2>Sell Shares</h2>
+                <form>
+                    <table class="form2">
+                        ${tradeField('sellPositionId', 'Position #:', 'select')}
+                        ${tradeField('sellAccountId', 'To account #:', 'select')}
+                        ${tradeField('sellShares', 'Shares:')}
+                        ${tradeField('sellPricePerShare', 'Price per share: $')}
+                        <tr><td></td><td><input type="button" class="button" value="Sell Shares" /></td></tr>
+                    </table>
+                </form>
+            </div>
+            <div id="positionResult"></div>`,
+        script: `
+const result = document.getElementById('positionResult');
+const value = (id) => document.getElementById(id).value;
+
+function showPositions(positions) {
+    document.querySelector('#positionsTable tbody').innerHTML = positions
+        .map(
+            (position) =>
+                '<tr data-position-id="' + position.positionId + '"><td>' + position.positionId + '</td>' +
+                '<td>' + escapeHtml(position.name) + '</td>' +
+                '<td>' + escapeHtml(position.symbol) + '</td>' +
+                '<td>' + position.shares + '</td>' +
+                '<td>' + formatCurrency(position.purchasePrice) + '</td></tr>',
+        )
+        .join('');
+    document.getElementById('sellPositionId').innerHTML = positions
+        .map((position) => '<option value="' + position.positionId + '">' + position.positionId + '</option>')
+        .join('');
+}
+
+async function trade(path, query, summary) {
+    result.innerHTML = '';
+    try {
+        showPositions(await api('POST', 'customers/' + CUSTOMER_ID + '/' + path + '?' + new URLSearchParams(query)));
+        result.innerHTML = '<h1 class="title">Trade Complete</h1><p id="tradeSummary">' + escapeHtml(summary) + '</p>';
+    } catch (error) {
+        showError(result, error);
+    }
+}
+
+fillAccountOptions(document.getElementById('buyAccountId'), document.getElementById('sellAccountId'));
+api('GET', 'customers/' + CUSTOMER_ID + '/positions')
+    .then(showPositions)
+    .catch((error) => showError(result, error));
+
+document.querySelector('#buyPositionForm input.button').addEventListener('click', () => {
+    const query = {
+        accountId: value('buyAccountId'),
+        name: value('buyName'),
+        symbol: value('buySymbol'),
+        shares: value('buyShares'),
+        pricePerShare: value('buyPricePerShare'),
+    };
+    trade('buyPosition', query, 'Bought ' + query.shares + ' shares of ' + query.symbol.toUpperCase() + '.');
+});
+
+document.querySelector('#sellPositionForm input.button').addEventListener('click', () => {
+    const query = {
+        accountId: value('sellAccountId'),
+        positionId: value('sellPositionId'),
+        shares: value('sellShares'),
+        pricePerShare: value('sellPricePerShare'),
+    };
+    trade('sellPosition', query, 'Sold ' + query.shares + ' shares of position #' + query.positionId + '.');
+});`,
+    });
+}
+
+/**
+ * WHY: Transaction search is served through the REST API only; the page exists
+ * so the Account Services menu has no dead link.
+ */
+export function renderFindTransactions({ customer }) {
+    return layout({
+        title: 'Find Transactions',
+        customer,
+        content: `
+            <h1 class="title">Find Transactions</h1>
+            <p>Transaction search is not available in the local stand-in. Use the REST endpoints under /parabank/services/bank/accounts/{id}/transactions instead.</p>`,
+    });
+}
+
+export function renderNotFound({ customer, path }) {
+    return layout({
+        title: 'Not Found',
+        customer,
+        content: `
+            <h1 class="title">Error!</h1>
+            <p class="error">The local stand-in does not serve ${escapeHtml(path)}.</p>`,
+    });
+}
@@ -0,0 +1,128 @@
+/**
+ * Small HTTP helpers for the local Parabank stand-in.
+ *
+ * WHY: The stand-in uses node:http only, so it starts in milliseconds on an
+ * air-gapped agent and adds no dependency to the framework.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * @param {import('http').IncomingMessage} request
+ * @returns {Promise<string>}
+ */
+export async function readBody(request) {
+    const chunks = [];
+    for await (const chunk of request) chunks.push(chunk);
+
+    return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * Parses a form or JSON body into a plain object.
+ * WHY: Parabank's .htm pages post forms, its REST endpoints accept JSON (bill
+ * pay) and the stand-in's own page scripts send JSON.
+ *
+ * @param {string} rawBody
+ * @param {string} [contentType]
+ * @returns {Object}
+ */
+export function parseBody(rawBody, contentType = '') {
+    if (!rawBody) return {};
+
+    if (contentType.includes('application/json')) {
+        try {
+            return JSON.parse(rawBody);
+        } catch {
+            return {};
+        }
+    }
+
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+        return Object.fromEntries(new URLSearchParams(rawBody));
+    }
+
+    return {};
+}
+
+/**
+ * @param {string} [cookieHeader]
+ * @returns {Object<string, string>}
+ */
+export function parseCookies(cookieHeader = '') {
+    return Object.fromEntries(
+        cookieHeader
+            .split(';')
+            .map((pair) => pair.trim())
+            .filter(Boolean)
+            .map((pair) => {
+                const separator = pair.indexOf('=');
+                return [pair.slice(0, separator), pair.slice(separator + 1)];
+            }),
+    );
+}
+
+export function createSessionId() {
+    return crypto.randomBytes(16).toString('hex').toUpperCase();
+}
+
+/**
+ * @param {import('http').ServerResponse} response
+ * @param {number} status
+ * @param {string} body
+ * @param {Object<string, string>} [headers]
+ */
+export function send(response, status, body, headers = {}) {
+    response.writeHead(status, {
+        'Content-Length': Buffer.byteLength(body),
+        ...headers,
+    });
+    response.end(body);
+}
+
+/**
+ * WHY: Parabank answers a successful login form with a 302, which the framework
+ * treats as the success signal (apiRequest never follows redirects).
+ */
+export function redirect(response, location) {
+    response.writeHead(302, { Location: location, 'Content-Length': 0 });
+    response.end();
+}
+
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Serializes a REST result the way Parabank's JAXB layer does.
+ * WHY: Lists are wrapped in a container element (<accounts><account/>…</accounts>)
+ * and every field becomes a child element, which is what utils/xml-parser.js
+ * maps back to the JSON shape.
+ *
+ * @param {string} elementName
+ * @param {unknown} value
+ * @param {string} [itemName] - Element name of list items.
+ * @returns {string}
+ */
+export function toXml(elementName, value, itemName) {
+    if (Array.isArray(value)) {
+        const items = value.map((item) => toXml(itemName, item)).join('');
+        return `<${elementName}>${items}</${elementName}>`;
+    }
+
+    if (value === null || value === undefined) return `<${elementName}/>`;
+
+    if (typeof value === 'object') {
+        const children = Object.entries(value)
+            .map(([key, child]) => toXml(key, child))
+            .join('');
+        return `<${elementName}>${children}</${elementName}>`;
+    }
+
+    return `<${elementName}>${escapeHtml(value)}</${elementName}>`;
+}
@@ -0,0 +1,400 @@
+/**
+ * Parabank's /services/bank REST surface, backed by the in-memory LocalBank.
+ *
+ * WHY: The routes, status codes and plain-text confirmations match what
+ * utils/parabank-client.js and utils/parabank-admin.js expect from a real
+ * instance, so the API specs run unchanged against the stand-in. Resources are
+ * answered in JSON when the Accept header asks for it and in XML otherwise,
+ * like Parabank's JAX-RS layer.
+ */
+
+import { ACCOUNT_TYPES, BankError, toDecimal } from './bank.js';
+import { toXml } from './http-utils.js';
+
+// ==================== Representations ====================
+
+/**
+ * WHY: Parabank never returns credentials from its customer resources.
+ */
+function customerView({ id, firstName, lastName, address, phoneNumber, ssn }) {
+    return { id, firstName, lastName, address: { ...address }, phoneNumber, ssn };
+}
+
+function accountView({ id, customerId, type, balance }) {
+    return { id, customerId, type, balance: toDecimal(balance) };
+}
+
+/**
+ * WHY: The JSON serializer writes dates as epoch milliseconds and the XML one as
+ * xsd:dateTime; the XML specs compare both by instant.
+ */
+function transactionView(transaction, format) {
+    return {
+        id: transaction.id,
+        accountId: transaction.accountId,
+        type: transaction.type,
+        date: formatDate(transaction.date, format),
+        amount: toDecimal(transaction.amount),
+        description: transaction.description,
+    };
+}
+
+function positionView({ positionId, customerId, name, symbol, shares, purchasePrice }) {
+    return {
+        positionId,
+        customerId,
+        name,
+        symbol,
+        shares,
+        purchasePrice: toDecimal(purchasePrice),
+    };
+}
+
+function historyPointView({ symbol, date, closingPrice }, format) {
+    return { symbol, date: formatDate(date, format), closingPrice: toDecimal(closingPrice) };
+}
+
+function formatDate(timestamp, format) {
+    return format === 'json' ? timestamp : new Date(timestamp).toISOString();
+}
+
+/**
+ * @param {string} element - Root element name in XML.
+ * @param {(format: 'json' | 'xml') => unknown} render
+ */
+const resource = (element, render) => ({ element, render });
+
+/**
+ * @param {string} element - Container element name in XML, e.g. 'accounts'.
+ * @param {string} itemElement - Item element name in XML, e.g. 'account'.
+ * @param {(format: 'json' | 'xml') => unknown[]} render
+ */
+const collection = (element, itemElement, render) => ({ element, itemElement, render });
+
+const positionList = (positions) =>
+    collection('positions', 'position', () => positions.map(positionView));
+
+const transactionList = (transactions) =>
+    collection('transactions', 'transaction', (format) =>
+        transactions.map((transaction) => transactionView(transaction, format)),
+    );
+
+// ==================== Routes ====================
+
+/**
+ * WHY: Handlers return a resource, a collection, a plain-text confirmation
+ * (string) or null for an empty 204 answer. BankErrors become 400 responses
+ * with their message as the body, which is how Parabank reports business errors.
+ *
+ * @type {Array<{ method: string, pattern: RegExp, handle: Function }>}
+ */
+const ROUTES = [
+    {
+        method: 'GET',
+        pattern: /^\/login\/([^/]+)\/([^/]+)$/,
+        handle: (bank, { params: [username, password] }) => {
+            const customer = bank.authenticate(username, password);
+            if (!customer) throw new BankError('Invalid username and/or password');
+
+            return resource('customer', () => customerView(customer));
+        },
+    },
+    {
+        method: 'GET',
+        pattern: /^\/customers\/(\d+)$/,
+        handle: (bank, { params: [customerId] }) =>
+            resource('customer', () => customerView(bank.getCustomer(customerId))),
+    },
+    {
+        method: 'GET',
+        pattern: /^\/customers\/(\d+)\/accounts$/,
+        handle: (bank, { params: [customerId] }) => {
+            const accounts = bank.getAccounts(customerId);
+            return collection('accounts', 'account', () => accounts.map(accountView));
+        },
+    },
+    {
+        method: 'POST',
+        pattern: /^\/customers\/update\/(\d+)$/,
+        handle: (bank, { params: [customerId], query }) => {
+            bank.updateCustomer(customerId, {
+                firstName: query.get('firstName') ?? undefined,
+                lastName: query.get('lastName') ?? undefined,
+                address: {
+                    street: query.get('street') ?? undefined,
+                    city: query.get('city') ?? undefined,
+                    state: query.get('state') ?? undefined,
+                    zipCode: query.get('zipCode') ?? undefined,
+                },
+                phoneNumber: query.get('phoneNumber') ?? undefined,
+                ssn: query.get('ssn') ?? undefined,
+                username: query.get('username') ?? undefined,
+                password: query.get('password') ?? undefined,
+            });
+
+            return 'Successfully updated customer profile';
+        },
+    },
+    {
+        method: 'GET',
+        pattern: /^\/accounts\/(\d+)$/,
+        handle: (bank, { params: [accountId] }) =>
+            resource('account', () => accountView(bank.getAccount(accountId))),
+    },
+    {
+        method: 'GET',
+        pattern: /^\/accounts\/(\d+)\/transactions$/,
+        handle: (bank, { params: [accountId] }) =>
+            transactionList(bank.findTransactions(accountId)),
+    },
+    {
+        method: 'GET',
+        pattern: /^\/accounts\/(\d+)\/transactions\/amount\/([^/]+)$/,
+        handle: (bank, { params: [accountId, amount] }) =>
+            transactionList(bank.findTransactions(accountId, { amount })),
+    },
+    {
+        method: 'GET',
+        pattern: /^\/accounts\/(\d+)\/transactions\/onDate\/([^/]+)$/,
+        handle: (bank, { params: [accountId, onDate] }) =>
+            transactionList(bank.findTransactions(accountId, { onDate })),
+    },
+    {
+        method: 'GET',
+        pattern: /^\/accounts\/(\d+)\/transactions\/fromDate\/([^/]+)\/toDate\/([^/]+)$/,
+        handle: (bank, { params: [accountId, fromDate, toDate] }) =>
+            transactionList(bank.findTransactions(accountId, { fromDate, toDate })),
+    },
+    {
+        method: 'GET',
+        pattern: /^\/transactions\/(\d+)$/,
+        handle: (bank, { params: [transactionId] }) => {
+            const transaction = bank.getTransaction(transactionId);
+            return resource('transaction', (format) => transactionView(transaction, format));
+        },
+    },
+    {
+        /**
+         * WHY: Confirmations echo the amount exactly as it was sent, like Parabank.
+         */
+        method: 'POST',
+        pattern: /^\/transfer$/,
+        handle: (bank, { query }) => {
+            const fromAccountId = query.get('fromAccountId');
+            const toAccountId = query.get('toAccountId');
+            const amount = query.get('amount');
+            bank.transfer({ fromAccountId, toAccountId, amount });
+
+            return `Successfully transferred $${amount} from account #${fromAccountId} to account #${toAccountId}`;
+        },
+    },
+    {
+        method: 'POST',
+        pattern: /^\/deposit$/,
+        handle: (bank, { query }) => {
+            const accountId = query.get('accountId');
+            const amount = query.get('amount');
+            bank.deposit({ accountId, amount });
+
+            return `Successfully deposited $${amount} to account #${accountId}`;
+        },
+    },
+    {
+        method: 'POST',
+        pattern: /^\/withdraw$/,
+        handle: (bank, { query }) => {
+            const accountId = query.get('accountId');
+            const amount = query.get('amount');
+            bank.withdraw({ accountId, amount });
+
+            return `Successfully withdrew $${amount} from account #${accountId}`;
+        },
+    },
+    {
+        method: 'POST',
+        pattern: /^\/billpay$/,
+        handle: (bank, { query, body }) => {
+            const result = bank.payBill({
+                accountId: query.get('accountId'),
+                amount: query.get('amount'),
+                payee: body,
+            });
+
+            return resource('billPayResult', () => result);
+        },
+    },
+    {
+        /**
+         * WHY: newAccountType is the ordinal of Parabank's AccountType enum.
+         */
+        method: 'POST',
+        pattern: /^\/createAccount$/,
+        handle: (bank, { query }) => {
+            const account = bank.openAccount({
+                customerId: query.get('customerId'),
+                type: ACCOUNT_TYPES[Number(query.get('newAccountType'))],
+                fromAccountId: query.get('fromAccountId'),
+            });
+
+            return resource('account', () => accountView(account));
+        },
+    },
+    {
+        method: 'POST',
+        pattern: /^\/requestLoan$/,
+        handle: (bank, { query }) => {
+            const decision = bank.requestLoan({
+                customerId: query.get('customerId'),
+                amount: query.get('amount'),
+                downPayment: query.get('downPayment'),
+                fromAccountId: query.get('fromAccountId'),
+            });
+
+            return resource('loanResponse', (format) => ({
+                ...decision,
+                responseDate: formatDate(decision.responseDate, format),
+            }));
+        },
+    },
+    {
+        method: 'GET',
+        pattern: /^\/customers\/(\d+)\/positions$/,
+        handle: (bank, { params: [customerId] }) => positionList(bank.getPositions(customerId)),
+    },
+    {
+        method: 'POST',
+        pattern: /^\/customers\/(\d+)\/buyPosition$/,
+        handle: (bank, { params: [customerId], query }) =>
+            positionList(
+                bank.buyPosition({
+                    customerId,
+                    accountId: query.get('accountId'),
+                    name: query.get('name'),
+                    symbol: query.get('symbol'),
+                    shares: query.get('shares'),
+                    pricePerShare: query.get('pricePerShare'),
+                }),
+            ),
+    },
+    {
+        method: 'POST',
+        pattern: /^\/customers\/(\d+)\/sellPosition$/,
+        handle: (bank, { params: [customerId], query }) =>
+            positionList(
+                bank.sellPosition({
+                    customerId,
+                    accountId: query.get('accountId'),
+                    positionId: query.get('positionId'),
+                    shares: query.get('shares'),
+                    pricePerShare: query.get('pricePerShare'),
+                }),
+            ),
+    },
+    {
+        method: 'GET',
+        pattern: /^\/positions\/(\d+)$/,
+        handle: (bank, { params: [positionId] }) =>
+            resource('position', () => positionView(bank.getPosition(positionId))),
+    },
+    {
+        method: 'GET',
+        pattern: /^\/positions\/(\d+)\/([^/]+)\/([^/]+)$/,
+        handle: (bank, { params: [positionId, startDate, endDate] }) => {
+            const history = bank.getPositionHistory(positionId, startDate, endDate);
+            return collection('historyPoints', 'historyPoint', (format) =>
+                history.map((point) => historyPointView(point, format)),
+            );
+        },
+    },
+    {
+        method: 'POST',
+        pattern: /^\/initializeDB$/,
+        handle: (bank) => {
+            bank.initialize();
+            return null;
+        },
+    },
+    {
+        method: 'POST',
+        pattern: /^\/cleanDB$/,
+        handle: (bank) => {
+            bank.clean();
+            return null;
+        },
+    },
+    {
+        method: 'POST',
+        pattern: /^\/setParameter\/([^/]+)\/([^/]+)$/,
+        handle: (bank, { params: [name, value] }) => {
+            bank.setParameter(name, value);
+            return null;
+        },
+    },
+];
+
+// ==================== Public API ====================
+
+/**
+ * @typedef {Object} RestResponse
+ * @property {number} status
+ * @property {Object<string, string>} headers
+ * @property {string} body
+ */
+
+/**
+ * Answers a request below /services/bank (or the /services_proxy/bank alias the
+ * pages call).
+ *
+ * @param {import('./bank.js').LocalBank} bank
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {string} request.path - Path below the service root, e.g. '/accounts/13344'.
+ * @param {URLSearchParams} request.query
+ * @param {Object} request.body - Parsed JSON body.
+ * @param {string} [request.accept] - Accept header.
+ * @returns {RestResponse}
+ */
+export function handleRestRequest(bank, { method, path, query, body, accept = '' }) {
+    const candidates = ROUTES.filter((route) => route.pattern.test(path));
+    const route = candidates.find((candidate) => candidate.method === method);
+
+    if (!route) {
+        return candidates.length > 0
+            ? textResponse(405, `Method ${method} not allowed`)
+            : textResponse(404, `No such resource: ${path}`);
+    }
+
+    const params = route.pattern.exec(path).slice(1).map(decodeURIComponent);
+
+    let result;
+    try {
+        result = route.handle(bank, { params, query, body });
+    } catch (error) {
+        if (error instanceof BankError) return textResponse(error.status, error.message);
+        throw error;
+    }
+
+    if (result === null) return { status: 204, headers: {}, body: '' };
+    if (typeof result === 'string') return textResponse(200, result);
+
+    const format = accept.includes('json') ? 'json' : 'xml';
+    const value = result.render(format);
+
+    if (format === 'json') {
+        return {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(value),
+        };
+    }
+
+    return {
+        status: 200,
+        headers: { 'Content-Type': 'application/xml' },
+        body: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>${toXml(result.element, value, result.itemElement)}`,
+    };
+}
+
+function textResponse(status, message) {
+    return { status, headers: { 'Content-Type': 'text/plain' }, body: message };
+}
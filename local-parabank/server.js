@@ -0,0 +1,271 @@
+/**
+ * Local Parabank stand-in server.
+ *
+ * WHY: Every spec assumes a running Parabank at APP_BASE_URL. This server
+ * implements the pages the page objects touch and the /services/bank REST
+ * endpoints the API specs call, backed by in-memory state, so the suite can run
+ * on an air-gapped agent without depending on shared public data.
+ * playwright.config.js starts it through `webServer` when ENVIRONMENT=local.
+ *
+ * Usage: node local-parabank/server.js [port]   (default: PORT or 8080)
+ */
+
+import http from 'http';
+import { pathToFileURL } from 'url';
+import { LocalBank, BankError } from './bank.js';
+import { handleRestRequest } from './rest-api.js';
+import {
+    createSessionId,
+    parseBody,
+    parseCookies,
+    readBody,
+    redirect,
+    send,
+} from './http-utils.js';
+import * as pages from './html-pages.js';
+
+const CONTEXT_PATH = '/parabank';
+
+/**
+ * WHY: The pages call /services_proxy/bank from the browser, while API clients
+ * call /services/bank; both reach the same handlers, as on a real instance.
+ */
+const SERVICE_ROOTS = [`${CONTEXT_PATH}/services/bank`, `${CONTEXT_PATH}/services_proxy/bank`];
+
+const HTML_HEADERS = { 'Content-Type': 'text/html;charset=UTF-8' };
+
+/**
+ * Pages that require a logged-in customer.
+ * WHY: Parabank sends visitors without a session back to the home page.
+ */
+const ACCOUNT_PAGES = {
+    'overview.htm': pages.renderOverview,
+    'openaccount.htm': pages.renderOpenAccount,
+    'transfer.htm': pages.renderTransfer,
+    'billpay.htm': pages.renderBillPay,
+    'activity.htm': pages.renderActivity,
+    'updateprofile.htm': pages.renderUpdateProfile,
+    'requestloan.htm': pages.renderRequestLoan,
+    'findtrans.htm': pages.renderFindTransactions,
+    'positions.htm': pages.renderPositions,
+};
+
+// ==================== Registration ====================
+
+/**
+ * @param {Object<string, string>} form - The posted registration form.
+ * @returns {Object<string, string>} Messages by field name; empty when valid.
+ */
+function validateRegistration(form) {
+    const required = {
+        'customer.firstName': 'First name is required.',
+        'customer.lastName': 'Last name is required.',
+        'customer.address.street': 'Address is required.',
+        'customer.address.city': 'City is required.',
+        'customer.address.state': 'State is required.',
+        'customer.address.zipCode': 'Zip Code is required.',
+        'customer.ssn': 'Social Security Number is required.',
+        'customer.username': 'Username is required.',
+        'customer.password': 'Password is required.',
+        repeatedPassword: 'Password confirmation is required.',
+    };
+
+    const errors = Object.fromEntries(
+        Object.entries(required).filter(([name]) => !form[name]?.trim()),
+    );
+
+    if (!errors.repeatedPassword && form.repeatedPassword !== form['customer.password']) {
+        errors.repeatedPassword = 'Passwords did not match.';
+    }
+
+    return errors;
+}
+
+function toIdentity(form) {
+    return {
+        firstName: form['customer.firstName'],
+        lastName: form['customer.lastName'],
+        address: {
+            street: form['customer.address.street'],
+            city: form['customer.address.city'],
+            state: form['customer.address.state'],
+            zipCode: form['customer.address.zipCode'],
+        },
+        phoneNumber: form['customer.phoneNumber'] ?? '',
+        ssn: form['customer.ssn'],
+        username: form['customer.username'],
+        password: form['customer.password'],
+    };
+}
+
+// ==================== Server ====================
+
+/**
+ * Creates the stand-in server without starting it.
+ *
+ * @param {Object} [options]
+ * @param {LocalBank} [options.bank] - State to serve; a freshly seeded bank by default.
+ * @returns {import('http').Server}
+ */
+export function createLocalParabankServer({ bank = new LocalBank() } = {}) {
+    /** @type {Map<string, number>} JSESSIONID → customer ID */
+    const sessions = new Map();
+
+    function startSession(response, customer) {
+        const sessionId = createSessionId();
+        sessions.set(sessionId, customer.id);
+        response.setHeader('Set-Cookie', `JSESSIONID=${sessionId}; Path=${CONTEXT_PATH}; HttpOnly`);
+    }
+
+    function currentCustomer(request) {
+        const customerId = sessions.get(parseCookies(request.headers.cookie).JSESSIONID);
+        if (customerId === undefined) return null;
+
+        /**
+         * WHY: cleanDB/initializeDB remove customers behind open sessions.
+         */
+        return bank.customers.get(customerId) ?? null;
+    }
+
+    async function handle(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+        const method = request.method.toUpperCase();
+        const rawBody = await readBody(request);
+        const body = parseBody(rawBody, request.headers['content-type']);
+
+        const serviceRoot = SERVICE_ROOTS.find((root) => url.pathname.startsWith(`${root}/`));
+        if (serviceRoot) {
+            const result = handleRestRequest(bank, {
+                method,
+                path: url.pathname.slice(serviceRoot.length),
+                query: url.searchParams,
+                body,
+                accept: request.headers.accept,
+            });
+
+            return send(response, result.status, result.body, result.headers);
+        }
+
+        if (
+            url.pathname === '/' ||
+            url.pathname === CONTEXT_PATH ||
+            url.pathname === `${CONTEXT_PATH}/`
+        ) {
+            return redirect(response, `${CONTEXT_PATH}/index.htm`);
+        }
+
+        if (!url.pathname.startsWith(`${CONTEXT_PATH}/`)) {
+            return send(response, 404, 'Not Found', { 'Content-Type': 'text/plain' });
+        }
+
+        const page = url.pathname.slice(CONTEXT_PATH.length + 1);
+        const customer = currentCustomer(request);
+
+        if (page === 'index.htm') {
+            return send(response, 200, pages.renderIndex({ customer }), HTML_HEADERS);
+        }
+
+        if (page === 'login.htm' && method === 'POST') {
+            if (!body.username || !body.password) {
+                const html = pages.renderLoginError({
+                    message: 'Please enter a username and password.',
+                });
+                return send(response, 200, html, HTML_HEADERS);
+            }
+
+            const authenticated = bank.authenticate(body.username, body.password);
+            if (!authenticated) {
+                const html = pages.renderLoginError({
+                    message: 'The username and password could not be verified.',
+                });
+                return send(response, 200, html, HTML_HEADERS);
+            }
+
+            startSession(response, authenticated);
+            return redirect(response, `${CONTEXT_PATH}/overview.htm`);
+        }
+
+        if (page === 'logout.htm') {
+            sessions.delete(parseCookies(request.headers.cookie).JSESSIONID);
+            return redirect(response, `${CONTEXT_PATH}/index.htm`);
+        }
+
+        if (page === 'register.htm') {
+            if (method !== 'POST') {
+                return send(response, 200, pages.renderRegister({}), HTML_HEADERS);
+            }
+
+            const errors = validateRegistration(body);
+            if (
+                Object.keys(errors).length === 0 &&
+                bank.findCustomerByUsername(body['customer.username'])
+            ) {
+                errors['customer.username'] = 'This username already exists.';
+            }
+            if (Object.keys(errors).length > 0) {
+                return send(
+                    response,
+                    200,
+                    pages.renderRegister({ values: body, errors }),
+                    HTML_HEADERS,
+                );
+            }
+
+            const registered = bank.register(toIdentity(body));
+            startSession(response, registered);
+            return send(
+                response,
+                200,
+                pages.renderRegistered({ customer: registered }),
+                HTML_HEADERS,
+            );
+        }
+
+        const renderAccountPage = ACCOUNT_PAGES[page];
+        if (renderAccountPage) {
+            if (!customer) return redirect(response, `${CONTEXT_PATH}/index.htm`);
+
+            const html = renderAccountPage({ customer, accountId: url.searchParams.get('id') });
+            return send(response, 200, html, HTML_HEADERS);
+        }
+
+        return send(
+            response,
+            404,
+            pages.renderNotFound({ customer, path: url.pathname }),
+            HTML_HEADERS,
+        );
+    }
+
+    return http.createServer((request, response) => {
+        handle(request, response).catch((error) => {
+            const status = error instanceof BankError ? error.status : 500;
+            send(response, status, error.message, { 'Content-Type': 'text/plain' });
+        });
+    });
+}
+
+/**
+ * WHY: Playwright's webServer stops the process with SIGTERM. Idle keep-alive
+ * connections are closed so the process exits without waiting for them, while
+ * in-flight responses still finish.
+ */
+function start() {
+    const port = Number(process.argv[2] ?? process.env.PORT ?? 8080);
+    const server = createLocalParabankServer();
+
+    server.listen(port, () => {
+        console.log(
+            `Local Parabank stand-in listening on http://localhost:${port}${CONTEXT_PATH}/`,
+        );
+    });
+
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, () => {
+            server.close(() => process.exit(0));
+            server.closeIdleConnections();
+        });
+    }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) start();
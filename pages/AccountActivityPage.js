@@ -1,4 +1,5 @@
 import { expect } from '@playwright/test';
+import { Money } from '../utils/money.js';
 
 /**
  * Page Object Model representing the Account Activity page.
@@ -106,4 +107,21 @@ export class AccountActivityPage {
     async getAvailableBalanceText() {
         return this._getSafeText(this.availableBalance);
     }
+
+    /**
+     * WHY: Returning Money lets tests compare and subtract balances exactly,
+     * including negative balances rendered as "-$12.34".
+     *
+     * @returns {Promise<Money>}
+     */
+    async getBalanceMoney() {
+        return Money.parse(await this.getBalanceText());
+    }
+
+    /**
+     * @returns {Promise<Money>}
+     */
+    async getAvailableBalanceMoney() {
+        return Money.parse(await this.getAvailableBalanceText());
+    }
 }
@@ -1,3 +1,5 @@
+import { Money } from '../utils/money.js';
+
 /**
  * Page Object Model for the Accounts Overview page.
  * This class handles the extraction of financial data from the summary table.
@@ -68,6 +70,18 @@ export class AccountsOverviewPage {
         return this._getAccountField(accountId, AccountsOverviewPage.COLUMN_INDEX.BALANCE);
     }
 
+    /**
+     * Retrieves the Balance for the specified account as a Money value.
+     * WHY: Money parses negatives ("-$12.34") and thousands separators, so tests
+     * can do exact ledger arithmetic instead of parseFloat on the raw text.
+     *
+     * @param {string} accountId
+     * @returns {Promise<Money>}
+     */
+    async getAccountBalanceMoney(accountId) {
+        return Money.parse(await this.getAccountBalance(accountId));
+    }
+
     /**
      * Retrieves the Available Amount for the specified account.
      * @param {string} accountId
@@ -76,6 +90,38 @@ export class AccountsOverviewPage {
         return this._getAccountField(accountId, AccountsOverviewPage.COLUMN_INDEX.AVAILABLE_AMOUNT);
     }
 
+    /**
+     * Retrieves the Available Amount for the specified account as a Money value.
+     * @param {string} accountId
+     * @returns {Promise<Money>}
+     */
+    async getAvailableAmountMoney(accountId) {
+        return Money.parse(await this.getAvailableAmount(accountId));
+    }
+
+    /**
+     * Checks whether an account is listed in the overview table.
+     * WHY: The table is populated via AJAX, so we wait for it to render before
+     * deciding; otherwise a slow response would look like a missing account.
+     *
+     * @param {string} accountId
+     */
+    async isAccountListed(accountId) {
+        await this.page.locator('#accountTable tbody tr a').first().waitFor({ state: 'visible' });
+        return (await this._getAccountRow(accountId).count()) > 0;
+    }
+
+    /**
+     * Opens the Account Details (activity) page of an account.
+     * WHY: The overview table has no type column; the account type (e.g. LOAN)
+     * is only shown on the details page.
+     *
+     * @param {string} accountId
+     */
+    async openAccountDetails(accountId) {
+        await this._getAccountRow(accountId).locator(`a[href*="id=${accountId}"]`).click();
+    }
+
     /**
      * WHY: Added a specific validation method to ensure the table is loaded.
      * This can be used in test steps to verify the UI state before data extraction.
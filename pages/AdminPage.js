@@ -0,0 +1,160 @@
+import { expect } from '@playwright/test';
+import { OPERATIONS, assertOperationAllowed } from '../utils/environment-guard.js';
+
+/**
+ * Page Object Model for the Parabank Administration page.
+ * This class encapsulates the database maintenance buttons and the runtime
+ * settings form (data access mode, loan provider/processor, balances).
+ */
+export class AdminPage {
+    /**
+     * @param {import('@playwright/test').Page} page
+     */
+    constructor(page) {
+        this.page = page;
+    }
+
+    // ==================== Locators ====================
+
+    get pageTitle() {
+        return this.page.locator('#rightPanel h1.title').first();
+    }
+
+    get initializeButton() {
+        return this.page.locator('button[value="INIT"]');
+    }
+
+    get cleanButton() {
+        return this.page.locator('button[value="CLEAN"]');
+    }
+
+    get initialBalanceInput() {
+        return this.page.locator('#initialBalance');
+    }
+
+    get minimumBalanceInput() {
+        return this.page.locator('#minimumBalance');
+    }
+
+    get loanProviderDropdown() {
+        return this.page.locator('#loanProvider');
+    }
+
+    get loanProcessorDropdown() {
+        return this.page.locator('#loanProcessor');
+    }
+
+    get loanProcessorThresholdInput() {
+        return this.page.locator('#loanProcessorThreshold');
+    }
+
+    get submitButton() {
+        return this.page.locator('input[value="Submit"]');
+    }
+
+    get statusMessage() {
+        /**
+         * WHY: Every admin action reports its outcome in a bold paragraph at
+         * the top of the panel ("Database Initialized", "Settings saved successfully.").
+         */
+        return this.page.locator('#rightPanel p b').first();
+    }
+
+    // ==================== Private Helpers ====================
+
+    /**
+     * @param {string} mode - One of DATA_ACCESS_MODES (utils/parabank-admin.js).
+     */
+    _dataAccessModeRadio(mode) {
+        return this.page.locator(`input[name="accessMode"][value="${mode}"]`);
+    }
+
+    // ==================== Actions ====================
+
+    /**
+     * Sanity check to ensure navigation landed on the correct module.
+     */
+    async verifyOnAdminPage() {
+        await expect(this.pageTitle).toHaveText('Administration');
+    }
+
+    /**
+     * Restores the seed data. Destructive: affects every user of the instance.
+     * WHY: The buttons bypass ParabankAdminClient, so the page object checks the
+     * environment profile itself, exactly like the REST path does.
+     */
+    async initializeDatabase() {
+        assertOperationAllowed(OPERATIONS.RESET_DATABASE, 'initialize database');
+        await this.initializeButton.click();
+        await expect(this.statusMessage).toHaveText('Database Initialized');
+    }
+
+    /**
+     * Removes all data. Destructive: affects every user of the instance.
+     */
+    async cleanDatabase() {
+        assertOperationAllowed(OPERATIONS.RESET_DATABASE, 'clean database');
+        await this.cleanButton.click();
+        await expect(this.statusMessage).toHaveText('Database Cleaned');
+    }
+
+    /**
+     * Populates the settings form without saving it.
+     * WHY: Only the provided fields are touched, so callers can change a single
+     * setting without restating the rest of the configuration.
+     *
+     * @param {Object} settings
+     * @param {string} [settings.dataAccessMode] - One of DATA_ACCESS_MODES.
+     * @param {number | string} [settings.initialBalance]
+     * @param {number | string} [settings.minimumBalance]
+     * @param {string} [settings.loanProvider] - One of LOAN_PROVIDERS.
+     * @param {string} [settings.loanProcessor] - One of LOAN_PROCESSORS.
+     * @param {number | string} [settings.loanProcessorThreshold]
+     */
+    async fillSettingsForm({
+        dataAccessMode,
+        initialBalance,
+        minimumBalance,
+        loanProvider,
+        loanProcessor,
+        loanProcessorThreshold,
+    }) {
+        if (dataAccessMode !== undefined) {
+            await this._dataAccessModeRadio(dataAccessMode).check();
+        }
+        if (initialBalance !== undefined) {
+            await this.initialBalanceInput.fill(String(initialBalance));
+        }
+        if (minimumBalance !== undefined) {
+            await this.minimumBalanceInput.fill(String(minimumBalance));
+        }
+        if (loanProvider !== undefined) {
+            await this.loanProviderDropdown.selectOption(loanProvider);
+        }
+        if (loanProcessor !== undefined) {
+            await this.loanProcessorDropdown.selectOption(loanProcessor);
+        }
+        if (loanProcessorThreshold !== undefined) {
+            await this.loanProcessorThresholdInput.fill(String(loanProcessorThreshold));
+        }
+    }
+
+    /**
+     * A high-level workflow to change and save settings in a single call.
+     *
+     * @param {Object} settings - See fillSettingsForm().
+     */
+    async saveSettings(settings) {
+        assertOperationAllowed(OPERATIONS.CHANGE_SETTINGS, 'save admin settings');
+        await this.fillSettingsForm(settings);
+        await this.submitButton.click();
+        await expect(this.statusMessage).toHaveText('Settings saved successfully.');
+    }
+
+    /**
+     * @returns {Promise<string>} The checked data access mode, e.g. 'restjson'.
+     */
+    async getDataAccessMode() {
+        return this.page.locator('input[name="accessMode"]:checked').inputValue();
+    }
+}
@@ -6,32 +6,27 @@
 export class BasePage {
     /**
      * @param {import('@playwright/test').Page} page
+     * @param {import('../utils/config.js').FrameworkConfig} config - The config fixture.
      */
-    constructor(page) {
+    constructor(page, config) {
         this.page = page;
+        this.config = config;
     }
 
     /**
      * Navigates to a specific path within the application.
-     * WHY: We centralize navigation here to ensure consistent handling of environment
-     * variables and page load states across all tests.
+     * WHY: We centralize navigation here to ensure consistent handling of the base URL
+     * and page load states across all tests.
      *
      * @param {string} urlPath - The specific endpoint (e.g., '/register.htm').
      * Defaults to an empty string for the home page.
      */
     async navigateTo(urlPath = '') {
-        const baseUrl = process.env.APP_BASE_URL;
-
         /**
-         * WHY: We validate the base URL existence to "fail fast."
-         * This provides a clear error message if the environment configuration is missing,
-         * rather than letting Playwright fail with a generic navigation error.
+         * WHY: The config fixture has already validated the base URL, so a missing or
+         * malformed value fails the run at startup instead of here.
          */
-        if (!baseUrl) {
-            throw new Error(
-                'APP_BASE_URL is not defined. Please check your .env file or CI environment.',
-            );
-        }
+        const { baseUrl, navigationTimeout } = this.config;
 
         /**
          * WHY: Manual string concatenation can lead to "//" if both the base URL
@@ -47,7 +42,7 @@ export class BasePage {
          */
         await this.page.goto(fullUrl, {
             waitUntil: 'domcontentloaded',
-            timeout: 30000,
+            timeout: navigationTimeout,
         });
     }
 
@@ -132,6 +132,8 @@ export class BillPayPage {
      * @param {Object} paymentData
      */
     async payBill(paymentData) {
+        const failureMessage = `Bill payment to ${paymentData.payeeName} was not confirmed ("Bill Payment Complete") after retrying for 10s`;
+
         await expect(async () => {
             await this.fillBillPaymentForm(paymentData);
             await this.submitPayment();
@@ -144,7 +146,7 @@ export class BillPayPage {
             await expect(
                 this.page.getByRole('heading', { name: 'Bill Payment Complete' }),
             ).toBeVisible({ timeout: 1000 });
-        }).toPass({
+        }, failureMessage).toPass({
             intervals: [1000, 2000],
             timeout: 10000,
         });
@@ -0,0 +1,134 @@
+/**
+ * Page Object Model for the Customer Lookup ("Forgot login info?") page.
+ * This class encapsulates the identity form used to recover credentials and
+ * the parsing of the recovered username and password.
+ */
+export class CustomerLookupPage {
+    /**
+     * @param {import('@playwright/test').Page} page
+     */
+    constructor(page) {
+        this.page = page;
+    }
+
+    // ==================== Locators ====================
+
+    get firstNameInput() {
+        return this.page.locator('input[id="firstName"]');
+    }
+    get lastNameInput() {
+        return this.page.locator('input[id="lastName"]');
+    }
+    get streetInput() {
+        return this.page.locator('input[id="address.street"]');
+    }
+    get cityInput() {
+        return this.page.locator('input[id="address.city"]');
+    }
+    get stateInput() {
+        return this.page.locator('input[id="address.state"]');
+    }
+    get zipCodeInput() {
+        return this.page.locator('input[id="address.zipCode"]');
+    }
+    get ssnInput() {
+        return this.page.locator('input[id="ssn"]');
+    }
+
+    get findLoginInfoButton() {
+        return this.page.locator('input[value="Find My Login Info"]');
+    }
+
+    get successMessage() {
+        return this.page.locator('#rightPanel p', {
+            hasText: 'Your login information was located successfully.',
+        });
+    }
+
+    get recoveredCredentials() {
+        /**
+         * WHY: Parabank renders both values in a single paragraph
+         * ("Username: john Password: demo"), so we target it by its label.
+         */
+        return this.page.locator('#rightPanel p', { hasText: 'Username' });
+    }
+
+    get errorMessage() {
+        return this.page.locator('#rightPanel p.error');
+    }
+
+    // ==================== Private Helpers ====================
+
+    /**
+     * Standardized method to retrieve text from a locator.
+     * WHY: Centralizing this logic follows the DRY principle. It ensures consistent
+     * waiting for visibility and string trimming across all lookup assertions.
+     *
+     * @param {import('@playwright/test').Locator} locator
+     */
+    async _getTrimmedText(locator) {
+        await locator.waitFor({ state: 'visible' });
+        const text = await locator.textContent();
+        return text ? text.trim() : '';
+    }
+
+    // ==================== Actions ====================
+
+    /**
+     * Populates the lookup form.
+     * WHY: Accepts the user object produced by generateRandomUser() (nested
+     * address) or a fixture result (flattened street/city/state/zipCode).
+     *
+     * @param {Object} identity
+     */
+    async fillLookupForm(identity) {
+        const address = typeof identity.address === 'object' ? identity.address : identity;
+
+        await this.firstNameInput.fill(identity.firstName);
+        await this.lastNameInput.fill(identity.lastName);
+        await this.streetInput.fill(address.street);
+        await this.cityInput.fill(address.city);
+        await this.stateInput.fill(address.state);
+        await this.zipCodeInput.fill(address.zipCode);
+        await this.ssnInput.fill(identity.ssn);
+    }
+
+    /**
+     * Submits the lookup form.
+     */
+    async submitLookup() {
+        await this.findLoginInfoButton.click();
+    }
+
+    /**
+     * A high-level workflow to look up a customer in a single call.
+     *
+     * @param {Object} identity
+     */
+    async lookupCustomer(identity) {
+        await this.fillLookupForm(identity);
+        await this.submitLookup();
+    }
+
+    /**
+     * Parses the recovered credentials from the success page.
+     * WHY: Returning a structured object lets tests log straight back in
+     * without knowing how Parabank formats the recovery paragraph.
+     *
+     * @returns {Promise<{ username: string, password: string }>}
+     */
+    async getRecoveredCredentials() {
+        const text = await this._getTrimmedText(this.recoveredCredentials);
+        const match = text.match(/Username:\s*(\S+)\s*Password:\s*(\S+)/);
+
+        if (!match) {
+            throw new Error(`Unable to parse recovered credentials from: "${text}"`);
+        }
+
+        return { username: match[1], password: match[2] };
+    }
+
+    async getErrorMessageText() {
+        return this._getTrimmedText(this.errorMessage);
+    }
+}
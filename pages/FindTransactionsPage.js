@@ -0,0 +1,211 @@
+import { expect } from '@playwright/test';
+import { Money } from '../utils/money.js';
+
+/**
+ * @typedef {Object} TransactionRow
+ * @property {number} id - Parsed from the transaction link (transaction.htm?id=...).
+ * @property {string} date - As rendered by the UI, e.g. "10-18-2026" (MM-DD-YYYY).
+ * @property {string} description
+ * @property {'Debit' | 'Credit'} type - Derived from the column the amount appears in.
+ * @property {Money} amount - Always positive; the direction is carried by `type`.
+ */
+
+/**
+ * Page Object Model for the Find Transactions module.
+ * This class encapsulates the four search forms (ID, date, date range, amount)
+ * and parses the shared results table into typed rows.
+ */
+export class FindTransactionsPage {
+    /**
+     * WHY: Column indices of the results table, kept in one place to avoid
+     * "magic numbers" if the layout changes.
+     */
+    static COLUMN_INDEX = {
+        DATE: 0,
+        DESCRIPTION: 1,
+        DEBIT: 2,
+        CREDIT: 3,
+    };
+
+    /**
+     * @param {import('@playwright/test').Page} page
+     */
+    constructor(page) {
+        this.page = page;
+    }
+
+    // ==================== Locators ====================
+
+    get accountDropdown() {
+        return this.page.locator('#accountId');
+    }
+
+    get transactionIdInput() {
+        return this.page.locator('#transactionId');
+    }
+
+    get transactionDateInput() {
+        return this.page.locator('#transactionDate');
+    }
+
+    get fromDateInput() {
+        return this.page.locator('#fromDate');
+    }
+
+    get toDateInput() {
+        return this.page.locator('#toDate');
+    }
+
+    get amountInput() {
+        return this.page.locator('#amount');
+    }
+
+    get findByIdButton() {
+        return this.page.locator('#findById');
+    }
+
+    get findByDateButton() {
+        return this.page.locator('#findByDate');
+    }
+
+    get findByDateRangeButton() {
+        return this.page.locator('#findByDateRange');
+    }
+
+    get findByAmountButton() {
+        return this.page.locator('#findByAmount');
+    }
+
+    get resultContainer() {
+        /**
+         * WHY: #resultContainer is only shown once the AJAX search has returned,
+         * so it doubles as the "search finished" signal.
+         */
+        return this.page.locator('#resultContainer');
+    }
+
+    get transactionRows() {
+        return this.page.locator('#transactionTable tbody tr');
+    }
+
+    get errorContainer() {
+        return this.page.locator('#errorContainer');
+    }
+
+    // ==================== Private Helpers ====================
+
+    /**
+     * Selects the account to search in.
+     * WHY: Parabank loads the account list asynchronously via AJAX. Waiting for
+     * the specific option prevents selecting before the list is populated.
+     *
+     * @param {string} accountId
+     */
+    async _selectAccount(accountId) {
+        await expect(this.accountDropdown.locator(`option[value="${accountId}"]`)).toBeAttached();
+        await this.accountDropdown.selectOption(String(accountId));
+    }
+
+    /**
+     * Submits one of the search forms and waits for the results to render.
+     *
+     * @param {import('@playwright/test').Locator} button
+     */
+    async _submitSearch(button) {
+        await button.click();
+        await this.resultContainer.waitFor({ state: 'visible' });
+    }
+
+    /**
+     * Converts the raw cell text of one table row into a TransactionRow.
+     * WHY: The UI shows a transaction's amount in either the Debit or the Credit
+     * column. Mapping that to `type` gives rows the same shape as the REST
+     * Transaction model, so UI and API results can be compared directly.
+     *
+     * @param {{ cells: string[], href: string }} rawRow
+     * @returns {TransactionRow}
+     */
+    _parseRow({ cells, href }) {
+        const { DATE, DESCRIPTION, DEBIT, CREDIT } = FindTransactionsPage.COLUMN_INDEX;
+        const idMatch = href.match(/[?&]id=(\d+)/);
+
+        if (!idMatch) {
+            throw new Error(`Unable to read the transaction ID from link: ${href}`);
+        }
+
+        const isDebit = cells[DEBIT] !== '';
+
+        return {
+            id: Number(idMatch[1]),
+            date: cells[DATE],
+            description: cells[DESCRIPTION],
+            type: isDebit ? 'Debit' : 'Credit',
+            amount: Money.parse(isDebit ? cells[DEBIT] : cells[CREDIT]),
+        };
+    }
+
+    // ==================== Actions ====================
+
+    /**
+     * @param {string} accountId
+     * @param {string | number} transactionId
+     */
+    async findById(accountId, transactionId) {
+        await this._selectAccount(accountId);
+        await this.transactionIdInput.fill(String(transactionId));
+        await this._submitSearch(this.findByIdButton);
+    }
+
+    /**
+     * @param {string} accountId
+     * @param {string} date - MM-DD-YYYY, the format Parabank expects.
+     */
+    async findByDate(accountId, date) {
+        await this._selectAccount(accountId);
+        await this.transactionDateInput.fill(date);
+        await this._submitSearch(this.findByDateButton);
+    }
+
+    /**
+     * @param {string} accountId
+     * @param {string} fromDate - MM-DD-YYYY
+     * @param {string} toDate - MM-DD-YYYY
+     */
+    async findByDateRange(accountId, fromDate, toDate) {
+        await this._selectAccount(accountId);
+        await this.fromDateInput.fill(fromDate);
+        await this.toDateInput.fill(toDate);
+        await this._submitSearch(this.findByDateRangeButton);
+    }
+
+    /**
+     * WHY: Amounts are normalized through Money so callers can pass "$10.00",
+     * 10 or a Money instance; the form only accepts a plain decimal.
+     *
+     * @param {string} accountId
+     * @param {Money | string | number} amount
+     */
+    async findByAmount(accountId, amount) {
+        await this._selectAccount(accountId);
+        await this.amountInput.fill(Money.parse(amount).toAmountString());
+        await this._submitSearch(this.findByAmountButton);
+    }
+
+    /**
+     * Reads every row of the results table.
+     * WHY: All cells are read in a single evaluateAll() round trip instead of one
+     * locator call per cell, which keeps large result sets fast and consistent.
+     *
+     * @returns {Promise<TransactionRow[]>}
+     */
+    async getTransactions() {
+        const rawRows = await this.transactionRows.evaluateAll((rows) =>
+            rows.map((row) => ({
+                cells: [...row.querySelectorAll('td')].map((cell) => cell.textContent.trim()),
+                href: row.querySelector('a')?.getAttribute('href') ?? '',
+            })),
+        );
+
+        return rawRows.map((rawRow) => this._parseRow(rawRow));
+    }
+}
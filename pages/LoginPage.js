@@ -30,6 +30,10 @@ export class LoginPage {
         return this.page.getByRole('link', { name: 'Register', exact: true });
     }
 
+    get forgotLoginInfoLink() {
+        return this.page.getByRole('link', { name: 'Forgot login info?', exact: true });
+    }
+
     get errorMessage() {
         return this.page.locator('.error');
     }
@@ -63,6 +67,13 @@ export class LoginPage {
         await this.registerLink.click();
     }
 
+    /**
+     * Navigates to the Customer Lookup (credential recovery) page.
+     */
+    async clickForgotLoginInfoLink() {
+        await this.forgotLoginInfoLink.click();
+    }
+
     /**
      * Retrieves the text from the error message container.
      * WHY: We include a visibility check to ensure the asynchronous error
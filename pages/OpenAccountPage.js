@@ -83,9 +83,13 @@ export class OpenAccountPage {
             /**
              * WHY: Dropdowns in Parabank are often populated via AJAX after the
              * page loads. We ensure the dropdown actually contains the required
-             * ID before selecting to prevent "option not found" errors.
+             * ID before selecting to prevent "option not found" errors. The message
+             * names the AJAX call to blame when the accounts never arrive.
              */
-            await expect(this.fromAccountDropdown.locator('option')).not.toHaveCount(0);
+            await expect(
+                this.fromAccountDropdown.locator(`option[value="${fromAccountId}"]`),
+                `Funding account ${fromAccountId} never appeared in the "From account" dropdown (customers/{id}/accounts AJAX call)`,
+            ).toBeAttached();
             await this.fromAccountDropdown.selectOption(fromAccountId);
         }
 
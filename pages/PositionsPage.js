@@ -0,0 +1,181 @@
+import { expect } from '@playwright/test';
+import { Money } from '../utils/money.js';
+
+/**
+ * Page Object Model for the Positions (stock trading) page.
+ * This class encapsulates the portfolio table and the buy and sell forms,
+ * which call the same buyPosition/sellPosition services as ParabankClient.
+ */
+export class PositionsPage {
+    /**
+     * @param {import('@playwright/test').Page} page
+     */
+    constructor(page) {
+        this.page = page;
+    }
+
+    // ==================== Locators ====================
+
+    get positionRows() {
+        return this.page.locator('#positionsTable tbody tr');
+    }
+
+    get buyAccountDropdown() {
+        return this.page.locator('#buyAccountId');
+    }
+
+    get buyNameInput() {
+        return this.page.locator('#buyName');
+    }
+
+    get buySymbolInput() {
+        return this.page.locator('#buySymbol');
+    }
+
+    get buySharesInput() {
+        return this.page.locator('#buyShares');
+    }
+
+    get buyPriceInput() {
+        return this.page.locator('#buyPricePerShare');
+    }
+
+    get buyButton() {
+        return this.page.locator('input[value="Buy Shares"]');
+    }
+
+    get sellPositionDropdown() {
+        return this.page.locator('#sellPositionId');
+    }
+
+    get sellAccountDropdown() {
+        return this.page.locator('#sellAccountId');
+    }
+
+    get sellSharesInput() {
+        return this.page.locator('#sellShares');
+    }
+
+    get sellPriceInput() {
+        return this.page.locator('#sellPricePerShare');
+    }
+
+    get sellButton() {
+        return this.page.locator('input[value="Sell Shares"]');
+    }
+
+    get resultContainer() {
+        return this.page.locator('#positionResult');
+    }
+
+    get tradeSummary() {
+        return this.page.locator('#tradeSummary');
+    }
+
+    /**
+     * @param {number|string} positionId
+     */
+    positionRow(positionId) {
+        return this.page.locator(`#positionsTable tr[data-position-id="${positionId}"]`);
+    }
+
+    // ==================== Private Helpers ====================
+
+    async _getTrimmedText(locator) {
+        await locator.waitFor({ state: 'visible' });
+        const text = await locator.textContent();
+        return text ? text.trim() : '';
+    }
+
+    /**
+     * WHY: Account and position options are filled via AJAX after the page
+     * loads, so we wait for the specific option before selecting it.
+     */
+    async _selectLoadedOption(dropdown, value) {
+        await expect(dropdown.locator(`option[value="${value}"]`)).toBeAttached();
+        await dropdown.selectOption(String(value));
+    }
+
+    /**
+     * WHY: The page clears the previous result when a trade is submitted, so the
+     * next heading (Trade Complete or Error!) belongs to this trade, and the
+     * positions table has been refreshed by the time it appears.
+     */
+    async _submitTrade(button) {
+        await button.click();
+        await this.resultContainer.locator('h1.title').waitFor({ state: 'visible' });
+    }
+
+    // ==================== Actions ====================
+
+    /**
+     * Buys whole shares, paid from the given account.
+     * WHY: Prices are normalized through Money so callers can pass "$12.50",
+     * 12.5 or a Money instance; the form only accepts a plain decimal.
+     *
+     * @param {Object} order
+     * @param {string} order.accountId - The funding account.
+     * @param {string} order.name
+     * @param {string} order.symbol
+     * @param {number} order.shares
+     * @param {Money | string | number} order.pricePerShare
+     */
+    async buyShares({ accountId, name, symbol, shares, pricePerShare }) {
+        await this._selectLoadedOption(this.buyAccountDropdown, accountId);
+        await this.buyNameInput.fill(name);
+        await this.buySymbolInput.fill(symbol);
+        await this.buySharesInput.fill(String(shares));
+        await this.buyPriceInput.fill(Money.parse(pricePerShare).toAmountString());
+
+        await this._submitTrade(this.buyButton);
+    }
+
+    /**
+     * Sells whole shares of a position, crediting the given account.
+     *
+     * @param {Object} order
+     * @param {number|string} order.positionId
+     * @param {string} order.accountId - The receiving account.
+     * @param {number} order.shares
+     * @param {Money | string | number} order.pricePerShare
+     */
+    async sellShares({ positionId, accountId, shares, pricePerShare }) {
+        await this._selectLoadedOption(this.sellPositionDropdown, positionId);
+        await this._selectLoadedOption(this.sellAccountDropdown, accountId);
+        await this.sellSharesInput.fill(String(shares));
+        await this.sellPriceInput.fill(Money.parse(pricePerShare).toAmountString());
+
+        await this._submitTrade(this.sellButton);
+    }
+
+    async getTradeSummaryText() {
+        return this._getTrimmedText(this.tradeSummary);
+    }
+
+    /**
+     * Reads the portfolio table.
+     * WHY: Returning typed rows lets specs compare the UI with the REST
+     * positions without parsing cells themselves.
+     *
+     * @returns {Promise<Array<{ positionId: string, name: string, symbol: string, shares: number, purchasePrice: Money }>>}
+     */
+    async getPositions() {
+        const rows = await this.positionRows.all();
+
+        return Promise.all(
+            rows.map(async (row) => {
+                const [positionId, name, symbol, shares, purchasePrice] = (
+                    await row.locator('td').allTextContents()
+                ).map((text) => text.trim());
+
+                return {
+                    positionId,
+                    name,
+                    symbol,
+                    shares: Number(shares),
+                    purchasePrice: Money.parse(purchasePrice),
+                };
+            }),
+        );
+    }
+}
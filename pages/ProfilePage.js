@@ -97,6 +97,8 @@ export class ProfilePage {
      * @param {Object} userData
      */
     async fillProfileForm(userData) {
+        await this.waitForProfileLoaded();
+
         await this.firstNameInput.fill(userData.firstName);
         await this.lastNameInput.fill(userData.lastName);
 
@@ -113,6 +115,16 @@ export class ProfilePage {
         await this.phoneNumberInput.fill(userData.phoneNumber);
     }
 
+    /**
+     * Waits until the form has been pre-filled with the stored customer record.
+     * WHY: Parabank loads the current profile via AJAX after the page renders.
+     * Typing before that response arrives lets the late response overwrite our
+     * input, so we wait for the required First Name field to be populated.
+     */
+    async waitForProfileLoaded() {
+        await expect(this.firstNameInput).not.toHaveValue('');
+    }
+
     /**
      * Submits the profile update.
      */
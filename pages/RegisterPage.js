@@ -1,4 +1,5 @@
 import { expect } from '@playwright/test';
+import { assertCanCreateUsers } from '../utils/environment-guard.js';
 
 /**
  * Page Object Model for the User Registration page.
@@ -111,8 +112,12 @@ export class RegisterPage {
 
     /**
      * Submits the registration form.
+     * WHY: Every UI registration, from a fixture or straight from a spec, goes
+     * through this click, so the environment profile's readOnly, registerUser and
+     * maxUsersPerRun rules apply to the browser path as they do to ParabankClient.
      */
     async submitRegistration() {
+        assertCanCreateUsers();
         await this.registerButton.click();
     }
 
@@ -125,6 +130,11 @@ export class RegisterPage {
      * resilient onboarding process.
      */
     async registerNewUser(userData) {
+        const failureMessage = `Registration of ${userData.username} was not confirmed ("Welcome ${userData.username}") after retrying for 10s`;
+
+        // WHY: Checked before toPass, which would otherwise retry a refusal for 10s
+        assertCanCreateUsers();
+
         await expect(async () => {
             await this.fillRegistrationForm(userData);
             await this.submitRegistration();
@@ -134,7 +144,7 @@ export class RegisterPage {
              * that the registration transaction was successfully processed.
              */
             await expect(this.welcomeMessage).toBeVisible({ timeout: 1000 });
-        }).toPass({
+        }, failureMessage).toPass({
             intervals: [1000, 2000],
             timeout: 10000,
         });
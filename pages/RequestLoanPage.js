@@ -0,0 +1,142 @@
+import { expect } from '@playwright/test';
+import { Money } from '../utils/money.js';
+
+/**
+ * Page Object Model for the Request Loan module.
+ * This class encapsulates the loan application form and the decision screen
+ * rendered by Parabank's configured loan provider.
+ */
+export class RequestLoanPage {
+    /**
+     * @param {import('@playwright/test').Page} page
+     */
+    constructor(page) {
+        this.page = page;
+    }
+
+    // ==================== Locators ====================
+
+    get amountInput() {
+        return this.page.locator('#amount');
+    }
+
+    get downPaymentInput() {
+        return this.page.locator('#downPayment');
+    }
+
+    get fromAccountDropdown() {
+        return this.page.locator('#fromAccountId');
+    }
+
+    get applyNowButton() {
+        return this.page.locator('input[value="Apply Now"]');
+    }
+
+    get resultContainer() {
+        /**
+         * WHY: #requestLoanResult is only shown after the loan provider has
+         * returned a decision, so it doubles as the "request finished" signal.
+         */
+        return this.page.locator('#requestLoanResult');
+    }
+
+    get loanProviderName() {
+        return this.page.locator('#loanProviderName');
+    }
+
+    get loanStatus() {
+        return this.page.locator('#loanStatus');
+    }
+
+    get approvedMessage() {
+        return this.page.locator('#loanRequestApproved');
+    }
+
+    get deniedMessage() {
+        return this.page.locator('#loanRequestDenied');
+    }
+
+    get newAccountIdLink() {
+        return this.page.locator('#newAccountId');
+    }
+
+    get errorContainer() {
+        return this.page.locator('#requestLoanError');
+    }
+
+    // ==================== Private Helpers ====================
+
+    /**
+     * Standardized text extraction helper.
+     * WHY: Centralizing this ensures we handle visibility and whitespace
+     * consistently, reducing boilerplate in public methods.
+     */
+    async _getTrimmedText(locator) {
+        await locator.waitFor({ state: 'visible' });
+        const text = await locator.textContent();
+        return text ? text.trim() : '';
+    }
+
+    // ==================== Actions ====================
+
+    /**
+     * Populates the loan application form.
+     * WHY: Amounts are normalized through Money so callers can pass "$1,000.00",
+     * 1000 or a Money instance; the form only accepts a plain decimal.
+     *
+     * @param {Object} application
+     * @param {Money | string | number} application.amount
+     * @param {Money | string | number} application.downPayment
+     * @param {string} application.fromAccountId
+     */
+    async fillLoanForm({ amount, downPayment, fromAccountId }) {
+        await this.amountInput.fill(Money.parse(amount).toAmountString());
+        await this.downPaymentInput.fill(Money.parse(downPayment).toAmountString());
+
+        /**
+         * WHY: The account list is populated via AJAX after the page loads. We
+         * wait for the specific option to prevent "option not found" errors.
+         */
+        await expect(
+            this.fromAccountDropdown.locator(`option[value="${fromAccountId}"]`),
+        ).toBeAttached();
+        await this.fromAccountDropdown.selectOption(String(fromAccountId));
+    }
+
+    /**
+     * A high-level workflow method to apply for a loan in a single call.
+     * WHY: The decision is rendered asynchronously; waiting for the result
+     * container means callers can read the outcome immediately afterwards.
+     *
+     * @param {Object} application - See fillLoanForm().
+     */
+    async requestLoan(application) {
+        await this.fillLoanForm(application);
+        await this.applyNowButton.click();
+        await this.resultContainer.waitFor({ state: 'visible' });
+    }
+
+    /**
+     * @returns {Promise<string>} 'Approved' or 'Denied'.
+     */
+    async getLoanStatusText() {
+        return this._getTrimmedText(this.loanStatus);
+    }
+
+    async getLoanProviderNameText() {
+        return this._getTrimmedText(this.loanProviderName);
+    }
+
+    async getDeniedMessageText() {
+        return this._getTrimmedText(this.deniedMessage);
+    }
+
+    /**
+     * Captures the ID of the LOAN account created for an approved application.
+     * WHY: The link is only rendered for approved loans, so this waits for it
+     * rather than returning an empty string for a decision still in flight.
+     */
+    async getNewLoanAccountId() {
+        return this._getTrimmedText(this.newAccountIdLink);
+    }
+}
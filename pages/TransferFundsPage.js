@@ -1,3 +1,5 @@
+import { expect } from '@playwright/test';
+
 /**
  * Page Object Model for the Transfer Funds module.
  * This class encapsulates the form interactions and the verification of
@@ -60,6 +62,21 @@ export class TransferFundsPage {
         return text ? text.trim() : '';
     }
 
+    /**
+     * WHY: A visible <select> may still be empty while the accounts AJAX call is
+     * pending. Waiting for the exact option, with a message naming that call,
+     * turns a lost response into a clear failure instead of a selectOption timeout.
+     *
+     * @param {import('@playwright/test').Locator} dropdown
+     * @param {string} accountId
+     */
+    async _waitForAccountOption(dropdown, accountId) {
+        await expect(
+            dropdown.locator(`option[value="${accountId}"]`),
+            `Account ${accountId} never appeared in the transfer dropdowns (customers/{id}/accounts AJAX call)`,
+        ).toBeAttached();
+    }
+
     // ==================== Actions ====================
 
     /**
@@ -74,6 +91,8 @@ export class TransferFundsPage {
     async fillTransferForm(amount, fromAccountId, toAccountId) {
         // Ensure the dropdowns have finished loading options from the API
         await this.fromAccountDropdown.waitFor({ state: 'visible' });
+        await this._waitForAccountOption(this.fromAccountDropdown, fromAccountId);
+        await this._waitForAccountOption(this.toAccountDropdown, toAccountId);
 
         await this.amountInput.fill(amount);
 
@@ -7,46 +7,69 @@
  */
 
 import { defineConfig, devices } from '@playwright/test';
-import dotenv from 'dotenv';
-import path from 'path';
+import { getConfig, getConfigSource, getEnvFilePath } from './utils/config.js';
+import { getEnvironmentProfile } from './utils/environment-guard.js';
+import { installConsoleRedaction } from './utils/redaction.js';
 
 /**
- * STEP 1: Determine the execution environment.
- * Default to 'dev' if no ENVIRONMENT variable is provided in the terminal.
+ * STEP 1: Load and validate the configuration.
+ * WHY: utils/config.js resolves every setting through the same layers
+ * (defaults → env/.env.<ENVIRONMENT> → command-line variables) and validates them
+ * with Zod, so a malformed URL or timeout stops the run here, before any worker starts.
+ * ENVIRONMENT defaults to 'dev'.
  */
-const ENV = process.env.ENVIRONMENT || 'dev';
+const config = getConfig();
+const ENV = config.environment;
 
 /**
- * WHY: Load environment variables early.
- * We use path.resolve to ensure the .env file is found regardless of where the
- * test runner is invoked from, making the configuration more robust.
- *
- * MODIFICATION: We now resolve the path dynamically based on the ENVIRONMENT variable.
- * Files are expected to be in: /env/.env.dev, /env/.env.staging, etc.
+ * WHY: Global setup and the reporters run in this process; workers install the
+ * same redaction through the config fixtures.
  */
-const envPath = path.resolve(process.cwd(), 'env', `.env.${ENV}`);
-dotenv.config({ path: envPath });
+installConsoleRedaction();
 
-console.log(`🚀 Running tests in [${ENV.toUpperCase()}] mode using: ${envPath}`);
+if (!config.redactSecrets) {
+    console.warn('⚠️  REDACT_SECRETS=false: passwords and session IDs appear in logs and reports.');
+}
+
+console.log(`🚀 Running tests in [${ENV.toUpperCase()}] mode using: ${getEnvFilePath()}`);
 
 /**
- * Validation: Ensure critical environment variables are present.
- * WHY: Failing fast with a clear error message is better than running tests
- * against an 'undefined' URL, saving compute time and debugging effort.
+ * WHY: The environment profile (env/profiles/<ENVIRONMENT>.json) declares which
+ * state-changing operations this environment tolerates. Loading it here fails the
+ * run immediately on an invalid profile instead of inside the first fixture.
  */
-if (!process.env.APP_BASE_URL) {
-    console.warn(`WARNING: APP_BASE_URL is not defined in ${envPath}. Falling back to localhost.`);
+const environmentProfile = getEnvironmentProfile(ENV);
+
+console.log(
+    `🛡️  Environment profile: ${environmentProfile.source}` +
+        (environmentProfile.readOnly ? ' (read-only)' : '') +
+        (environmentProfile.disposable ? ' (disposable)' : ''),
+);
+
+/**
+ * WHY: A single run ID lets the credentials store answer "which users did this
+ * run create?". It is assigned once in the runner process; worker processes
+ * inherit the variable, so the ??= keeps every worker on the same ID.
+ */
+process.env.TEST_RUN_ID ??= new Date().toISOString().replace(/[:.]/g, '-');
+
+/**
+ * WHY: Every setting has a default, so a missing APP_BASE_URL does not fail the
+ * run. We still warn, because the localhost default is rarely what was intended.
+ */
+if (getConfigSource('baseUrl') === 'default') {
+    console.warn(
+        `WARNING: APP_BASE_URL is not defined in ${getEnvFilePath()}. Falling back to ${config.baseUrl}.`,
+    );
 }
 
+const API_SPECS = '**/tests/api/**';
+
 /**
- * Configuration Constants
- * WHY: Centralizing magic numbers (timeouts) follows the DRY principle and
- * makes the configuration easier to maintain.
+ * WHY: The admin specs reset the database and change settings shared by every
+ * user of the instance. They run in their own project, after all others.
  */
-const GLOBAL_TIMEOUT = 60 * 1000; // 60 seconds total for a single test
-const ACTION_TIMEOUT = 15 * 1000; // 15 seconds for clicks/fills
-const NAVIGATION_TIMEOUT = 30 * 1000; // 30 seconds for page loads
-const BASE_URL = process.env.APP_BASE_URL || 'http://localhost:8080';
+const ADMIN_SPECS = '**/tests/e2e/features/admin/**';
 
 export default defineConfig({
     // Root directory for test files
@@ -62,21 +85,21 @@ export default defineConfig({
      * WHY: We fail the build in CI if .only is left in code to prevent
      * accidental exclusion of the rest of the test suite.
      */
-    forbidOnly: !!process.env.CI,
+    forbidOnly: config.ci,
 
     /**
      * WHY: Flakiness management.
      * In CI, we retry to account for transient network or environment issues.
      * Locally, we want tests to fail immediately for faster debugging.
      */
-    retries: process.env.CI ? 2 : 0,
+    retries: config.retries,
 
     /**
      * WHY: Resource management.
      * On local machines, we use all available cores. On CI, we restrict workers
-     * to prevent memory exhaustion and "noisy neighbor" flakiness.
+     * to prevent memory exhaustion and "noisy neighbor" flakiness. WORKERS overrides both.
      */
-    workers: process.env.CI ? 1 : undefined,
+    workers: config.workers,
 
     /**
      * WHY: 'html' for detailed post-run analysis; 'list' for real-time CI console feedback.
@@ -94,14 +117,20 @@ export default defineConfig({
     ],
 
     // Global timeout for the entire test execution
-    timeout: GLOBAL_TIMEOUT,
+    timeout: config.testTimeout,
+
+    /**
+     * WHY: Resets the database before the run, but only when the environment
+     * profile is flagged as disposable.
+     */
+    globalSetup: './global-setup.js',
 
     /**
      * Shared settings applied to all projects.
      * See https://playwright.dev/docs/api/class-testoptions.
      */
     use: {
-        baseURL: BASE_URL,
+        baseURL: config.baseUrl,
 
         /**
          * WHY: We ignore HTTPS errors to allow tests to run in lower environments (Dev/QA)
@@ -109,11 +138,11 @@ export default defineConfig({
          */
         ignoreHTTPSErrors: true,
 
-        // Testing is strictly headless to ensure consistency between local and CI runs.
-        headless: true,
+        // Headless by default to ensure consistency between local and CI runs (HEADLESS=false to watch).
+        headless: config.headless,
 
-        actionTimeout: ACTION_TIMEOUT,
-        navigationTimeout: NAVIGATION_TIMEOUT,
+        actionTimeout: config.actionTimeout,
+        navigationTimeout: config.navigationTimeout,
 
         /**
          * WHY: 'retain-on-failure' saves disk space by only keeping traces
@@ -138,19 +167,51 @@ export default defineConfig({
      * correctly across different rendering engines (Chromium, WebKit, Firefox).
      */
     projects: [
+        /**
+         * WHY: API specs do not depend on a rendering engine, so they run once in a
+         * dedicated project. They provision through the api* fixtures (REST only),
+         * which never request a page, so this project never launches a browser.
+         * provisioningMode 'api' keeps any shared fixture on the REST path too.
+         */
+        {
+            name: 'api',
+            testDir: './tests/api',
+            use: { provisioningMode: 'api' },
+        },
+
+        /**
+         * WHY: Browser projects keep provisioningMode 'ui' so UI specs continue to
+         * exercise the real registration and account opening flows.
+         */
         {
             name: 'chromium',
-            use: { ...devices['Desktop Chrome'] },
+            testIgnore: [API_SPECS, ADMIN_SPECS],
+            use: { ...devices['Desktop Chrome'], provisioningMode: 'ui' },
         },
 
         {
             name: 'firefox',
-            use: { ...devices['Desktop Firefox'] },
+            testIgnore: [API_SPECS, ADMIN_SPECS],
+            use: { ...devices['Desktop Firefox'], provisioningMode: 'ui' },
         },
 
         {
             name: 'webkit',
-            use: { ...devices['Desktop Safari'] },
+            testIgnore: [API_SPECS, ADMIN_SPECS],
+            use: { ...devices['Desktop Safari'], provisioningMode: 'ui' },
+        },
+
+        /**
+         * WHY: With fullyParallel, a database reset running next to other projects
+         * deletes the users and accounts their workers just provisioned. Depending
+         * on every other project makes this one start only after they have all
+         * finished. Run it alone with: npx playwright test --project=admin --no-deps
+         */
+        {
+            name: 'admin',
+            testMatch: ADMIN_SPECS,
+            dependencies: ['api', 'chromium', 'firefox', 'webkit'],
+            use: { ...devices['Desktop Chrome'], provisioningMode: 'ui' },
         },
 
         /**
@@ -166,16 +227,21 @@ export default defineConfig({
     ],
 
     /**
-     * WHY: Automation of environment setup.
-     * This ensures the application is actually running before tests start,
-     * following the "Implement Robust Development Processes" principle.
+     * WHY: ENVIRONMENT=local runs against the bundled in-memory stand-in
+     * (local-parabank/server.js), so the suite needs no network and no shared
+     * public data. Playwright starts it on the port of APP_BASE_URL and waits for
+     * the home page. Locally, an instance already listening there (e.g. a Docker
+     * Parabank) is reused instead.
      */
-    /*
-  webServer: {
-    command: 'npm run start',
-    url: BASE_URL,
-    reuseExistingServer: !process.env.CI,
-    timeout: 120 * 1000,
-  },
-  */
+    webServer:
+        ENV === 'local'
+            ? {
+                  command: `node local-parabank/server.js ${new URL(config.baseUrl).port || 80}`,
+                  url: `${config.baseUrl}/parabank/index.htm`,
+                  reuseExistingServer: !config.ci,
+                  timeout: 30 * 1000,
+                  stdout: 'ignore',
+                  stderr: 'pipe',
+              }
+            : undefined,
 });
@@ -0,0 +1,104 @@
+/**
+ * WHY: Transfer specs used to start from the opening deposit, which kept them
+ * to small amounts. apiAccountWithBalance opens an account at an exact balance, so
+ * these specs can move large amounts and drive an account into overdraft.
+ */
+import { test, expect } from '../../../fixtures/indexFixtures.js';
+import { Money } from '../../../utils/money.js';
+
+const LARGE_BALANCE = '25000.00';
+const LARGE_TRANSFER = Money.parse('18750.25');
+
+const LOW_BALANCE = '40.00';
+const OVERDRAFT_TRANSFER = Money.parse('65.50');
+
+test.describe('API - Account Balance Seeding', { tag: ['@regression', '@api'] }, () => {
+    test('TC-API-21: should open an account with an exact balance and move a large amount from it', async ({
+        apiAccountWithBalance,
+        apiUserCreationFixture,
+        parabankClient,
+    }) => {
+        const { checkingAccountId } = apiUserCreationFixture;
+        let savings;
+        let checkingBefore;
+
+        await test.step(`GIVEN a savings account seeded with $${LARGE_BALANCE}`, async () => {
+            savings = await apiAccountWithBalance({ type: 'SAVINGS', balance: LARGE_BALANCE });
+            ({ balance: checkingBefore } = await parabankClient.getAccount(checkingAccountId));
+        });
+
+        await test.step('THEN the account should report exactly that balance', async () => {
+            const account = await parabankClient.getAccount(savings.accountId);
+
+            expect(account.type).toBe('SAVINGS');
+            expect(account.balance).toEqualCurrency(LARGE_BALANCE);
+            expect(savings.balance).toEqualCurrency(LARGE_BALANCE);
+        });
+
+        await test.step(`WHEN ${LARGE_TRANSFER} is transferred to the checking account`, async () => {
+            await parabankClient.transfer({
+                fromAccountId: savings.accountId,
+                toAccountId: checkingAccountId,
+                amount: LARGE_TRANSFER.toAmountString(),
+            });
+        });
+
+        await test.step('THEN both balances should move by the full amount', async () => {
+            const { balance: savingsAfter } = await parabankClient.getAccount(savings.accountId);
+            const { balance: checkingAfter } = await parabankClient.getAccount(checkingAccountId);
+
+            expect(savingsAfter).toHaveBalanceDelta(LARGE_BALANCE, LARGE_TRANSFER.negate());
+            expect(checkingAfter).toHaveBalanceDelta(checkingBefore, LARGE_TRANSFER);
+        });
+    });
+
+    test('TC-API-22: should lower a new account to an exact balance with a withdrawal', async ({
+        apiAccountWithBalance,
+        parabankClient,
+    }) => {
+        let checking;
+
+        await test.step(`WHEN a checking account is seeded below the opening deposit ($${LOW_BALANCE})`, async () => {
+            checking = await apiAccountWithBalance({ type: 'CHECKING', balance: LOW_BALANCE });
+        });
+
+        await test.step('THEN the account should hold exactly that balance', async () => {
+            const account = await parabankClient.getAccount(checking.accountId);
+            expect(account.balance).toEqualCurrency(LOW_BALANCE);
+        });
+
+        await test.step('AND the ledger should show the seeding withdrawal', async () => {
+            const transactions = await parabankClient.findTransactions(checking.accountId);
+
+            expect(transactions).toContainTransaction({ type: 'Debit', description: 'Withdraw' });
+        });
+    });
+
+    test('TC-API-23: should let a transfer overdraw a seeded account', async ({
+        apiAccountWithBalance,
+        apiUserCreationFixture,
+        parabankClient,
+    }) => {
+        const expectedBalance = Money.parse(LOW_BALANCE).minus(OVERDRAFT_TRANSFER);
+        let checking;
+
+        await test.step(`GIVEN a checking account seeded with $${LOW_BALANCE}`, async () => {
+            checking = await apiAccountWithBalance({ type: 'CHECKING', balance: LOW_BALANCE });
+        });
+
+        await test.step(`WHEN ${OVERDRAFT_TRANSFER} is transferred out of it`, async () => {
+            await parabankClient.transfer({
+                fromAccountId: checking.accountId,
+                toAccountId: apiUserCreationFixture.checkingAccountId,
+                amount: OVERDRAFT_TRANSFER.toAmountString(),
+            });
+        });
+
+        await test.step(`THEN the account should be overdrawn at ${expectedBalance}`, async () => {
+            const { balance } = await parabankClient.getAccount(checking.accountId);
+
+            expect(balance).toEqualCurrency(expectedBalance);
+            expect(Money.parse(balance).isNegative()).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * WHY: The exchange log is checked against a closed local port, so the request
+ * side (redaction, body encoding, cURL command) is verified without depending on
+ * Parabank being reachable.
+ */
+import { test, expect } from '../../../fixtures/indexFixtures.js';
+import { generateRandomUser } from '../../../utils/helpers.js';
+
+const UNREACHABLE_BASE_URL = 'http://127.0.0.1:9';
+
+/**
+ * @returns {import('../../../utils/api-exchange-log.js').ApiExchange}
+ */
+function readExchangeAttachment(attachment) {
+    return JSON.parse(attachment.body.toString());
+}
+
+test.describe('API - Exchange Log', { tag: ['@regression', '@api'] }, () => {
+    test('TC-API-16: should attach every call with redacted headers and a cURL reproduction', async ({
+        apiRequest,
+    }) => {
+        let requestError;
+        let exchangeAttachment;
+
+        await test.step('WHEN a login form with a session cookie is posted to an unreachable server', async () => {
+            requestError = await apiRequest({
+                method: 'POST',
+                url: '/parabank/login.htm',
+                baseUrl: UNREACHABLE_BASE_URL,
+                body: { username: 'john', password: 'demo' },
+                headers: { Cookie: 'JSESSIONID=ABC123', Accept: 'text/html' },
+                isFormData: true,
+                retry: false,
+            }).catch((error) => error);
+        });
+
+        await test.step('THEN the exchange should be attached to the test', async () => {
+            expect(requestError).toBeInstanceOf(Error);
+
+            exchangeAttachment = test
+                .info()
+                .attachments.find((attachment) => attachment.name.startsWith('API #01'));
+
+            expect(exchangeAttachment).toMatchObject({
+                name: 'API #01 POST /parabank/login.htm (no response)',
+                contentType: 'application/json',
+            });
+        });
+
+        await test.step('AND the session cookie should be redacted while other headers are kept', async () => {
+            const { request } = readExchangeAttachment(exchangeAttachment);
+
+            expect(request.headers).toEqual({ Cookie: '[REDACTED]', Accept: 'text/html' });
+            expect(request.curl).not.toContain('ABC123');
+        });
+
+        await test.step('AND the body and cURL command should match what was sent', async () => {
+            const exchange = readExchangeAttachment(exchangeAttachment);
+
+            expect(exchange.request.body).toBe('username=john&password=[REDACTED]');
+            expect(exchange.request.curl).toContain(
+                `curl -X POST '${UNREACHABLE_BASE_URL}/parabank/login.htm'`,
+            );
+            expect(exchange.request.curl).toContain(
+                `--data-raw 'username=john&password=[REDACTED]'`,
+            );
+            expect(exchange.response).toBeNull();
+            expect(exchange.error).toContain('ECONNREFUSED');
+            expect(exchange.attempts).toHaveLength(1);
+        });
+    });
+
+    test('TC-API-17: should redact generated passwords and SSNs from the exchange log', async ({
+        apiRequest,
+    }) => {
+        const user = generateRandomUser();
+        let exchangeText;
+
+        await test.step('WHEN a registration form is posted and the credentials are looked up by URL', async () => {
+            await apiRequest({
+                method: 'POST',
+                url: '/parabank/register.htm',
+                baseUrl: UNREACHABLE_BASE_URL,
+                body: {
+                    'customer.username': user.username,
+                    'customer.password': user.password,
+                    repeatedPassword: user.password,
+                    'customer.ssn': user.ssn,
+                },
+                isFormData: true,
+                retry: false,
+            }).catch((error) => error);
+
+            await apiRequest({
+                method: 'GET',
+                url: `/parabank/services/bank/login/${user.username}/${user.password}`,
+                baseUrl: UNREACHABLE_BASE_URL,
+                retry: false,
+            }).catch((error) => error);
+
+            exchangeText = test
+                .info()
+                .attachments.filter((attachment) => attachment.name.startsWith('API #'))
+                .map((attachment) => attachment.body.toString())
+                .join('\n');
+        });
+
+        await test.step('THEN neither the password nor the SSN should appear in any attachment', async () => {
+            expect(exchangeText).not.toContain(user.password);
+            expect(exchangeText).not.toContain(user.ssn);
+        });
+
+        await test.step('AND the fields should still be identifiable', async () => {
+            expect(exchangeText).toContain(`customer.username=${user.username}`);
+            expect(exchangeText).toContain('customer.password=[REDACTED]');
+            expect(exchangeText).toContain(`/login/${user.username}/[REDACTED]`);
+        });
+    });
+});
@@ -0,0 +1,282 @@
+/**
+ * WHY: The retry policy is exercised against a closed local port, which refuses
+ * every connection immediately, and against a throwaway local server that answers
+ * 503, resets the connection or answers too late. That makes the retry, backoff,
+ * idempotency and timeout behaviour deterministic without depending on Parabank
+ * being flaky.
+ */
+import http from 'http';
+import { test, expect } from '../../../fixtures/indexFixtures.js';
+import { ApiRequestError } from '../../../utils/retry-policy.js';
+
+/**
+ * WHY: Port 9 (discard) is not served on test machines, so connections are refused.
+ */
+const UNREACHABLE_BASE_URL = 'http://127.0.0.1:9';
+
+const FAST_RETRY = { retries: 2, baseDelayMs: 10, maxDelayMs: 20 };
+
+/**
+ * WHY: Longer than any per-call timeout used below, so a slow response is always
+ * cut off by the client rather than delivered.
+ */
+const SLOW_RESPONSE_DELAY_MS = 3000;
+
+/**
+ * Starts a local server whose behaviour is chosen by the first path segment:
+ * /unavailable/... answers 503, /reset/... destroys the socket without answering,
+ * /slow/... answers 200 after SLOW_RESPONSE_DELAY_MS.
+ * WHY: The server counts the requests it received per method and path, so a spec
+ * can prove how often a request reached it, not only what the client reported.
+ *
+ * @returns {Promise<{ baseUrl: string, hits: (method: string, path: string) => number, close: () => Promise<void> }>}
+ */
+async function startFaultyServer() {
+    const hitCounts = new Map();
+    const pendingTimers = new Set();
+
+    const server = http.createServer((req, res) => {
+        const key = `${req.method} ${req.url}`;
+        hitCounts.set(key, (hitCounts.get(key) ?? 0) + 1);
+
+        const [, behaviour] = req.url.split('/');
+
+        if (behaviour === 'unavailable') {
+            res.writeHead(503, { 'Content-Type': 'text/plain' }).end('Service Unavailable');
+        } else if (behaviour === 'reset') {
+            req.socket.destroy();
+        } else if (behaviour === 'slow') {
+            const timer = setTimeout(() => {
+                pendingTimers.delete(timer);
+                res.writeHead(200, { 'Content-Type': 'text/plain' }).end('Too late');
+            }, SLOW_RESPONSE_DELAY_MS);
+            pendingTimers.add(timer);
+        } else {
+            res.writeHead(404).end();
+        }
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        hits: (method, path) => hitCounts.get(`${method} ${path}`) ?? 0,
+        close: () => {
+            pendingTimers.forEach(clearTimeout);
+            server.closeAllConnections();
+            return new Promise((resolve) => server.close(resolve));
+        },
+    };
+}
+
+test.describe('API - Retry Policy', { tag: ['@regression', '@api'] }, () => {
+    test('TC-API-13: should retry a refused connection with backoff and report every attempt', async ({
+        apiRequest,
+    }) => {
+        let requestError;
+
+        await test.step('WHEN a GET request is sent to a server that refuses connections', async () => {
+            requestError = await apiRequest({
+                method: 'GET',
+                url: '/parabank/services/bank/customers/1',
+                baseUrl: UNREACHABLE_BASE_URL,
+                retry: FAST_RETRY,
+            }).catch((error) => error);
+        });
+
+        await test.step('THEN the request should fail after the first attempt and two retries', async () => {
+            expect(requestError).toBeInstanceOf(ApiRequestError);
+            expect(requestError.attempts).toHaveLength(3);
+            expect(requestError.attempts.map((attempt) => attempt.error)).toEqual([
+                expect.stringContaining('ECONNREFUSED'),
+                expect.stringContaining('ECONNREFUSED'),
+                expect.stringContaining('ECONNREFUSED'),
+            ]);
+        });
+
+        await test.step('AND every retry should have waited within the backoff bounds', async () => {
+            const [firstRetry, secondRetry, lastAttempt] = requestError.attempts;
+
+            expect(firstRetry.retryDelayMs).toBeGreaterThanOrEqual(5);
+            expect(firstRetry.retryDelayMs).toBeLessThanOrEqual(10);
+            expect(secondRetry.retryDelayMs).toBeGreaterThanOrEqual(10);
+            expect(secondRetry.retryDelayMs).toBeLessThanOrEqual(20);
+            expect(lastAttempt.retryDelayMs).toBeUndefined();
+        });
+
+        await test.step('AND the retries should be recorded in the test report', async () => {
+            expect(test.info().annotations).toContainEqual({
+                type: 'api-retry',
+                description: expect.stringContaining('GET /parabank/services/bank/customers/1'),
+            });
+        });
+    });
+
+    test('TC-API-14: should retry a refused POST because it never reached the server', async ({
+        apiRequest,
+    }) => {
+        let requestError;
+
+        await test.step('WHEN a transfer POST is sent to a server that refuses connections', async () => {
+            requestError = await apiRequest({
+                method: 'POST',
+                url: '/parabank/services/bank/transfer?fromAccountId=1&toAccountId=2&amount=1',
+                baseUrl: UNREACHABLE_BASE_URL,
+                retry: FAST_RETRY,
+            }).catch((error) => error);
+        });
+
+        await test.step('THEN the POST should have been retried like an idempotent request', async () => {
+            expect(requestError).toBeInstanceOf(ApiRequestError);
+            expect(requestError.attempts).toHaveLength(3);
+        });
+    });
+
+    test('TC-API-15: should make a single attempt when retries are disabled', async ({
+        apiRequest,
+    }) => {
+        let requestError;
+
+        await test.step('WHEN a request with retry: false is sent to a server that refuses connections', async () => {
+            requestError = await apiRequest({
+                method: 'GET',
+                url: '/parabank/services/bank/customers/1',
+                baseUrl: UNREACHABLE_BASE_URL,
+                retry: false,
+            }).catch((error) => error);
+        });
+
+        await test.step('THEN exactly one attempt should have been made', async () => {
+            expect(requestError).toBeInstanceOf(ApiRequestError);
+            expect(requestError.attempts).toHaveLength(1);
+        });
+    });
+});
+
+test.describe(
+    'API - Retry Policy - Idempotency & Timeouts',
+    { tag: ['@regression', '@api'] },
+    () => {
+        /** @type {Awaited<ReturnType<typeof startFaultyServer>>} */
+        let faultyServer;
+
+        test.beforeAll(async () => {
+            faultyServer = await startFaultyServer();
+        });
+
+        test.afterAll(async () => {
+            await faultyServer.close();
+        });
+
+        test('TC-API-24: should retry a GET answered with 503 and return the last response', async ({
+            apiRequest,
+        }) => {
+            const path = '/unavailable/TC-API-24';
+            let response;
+
+            await test.step('WHEN a GET request is answered with 503 every time', async () => {
+                response = await apiRequest({
+                    method: 'GET',
+                    url: path,
+                    baseUrl: faultyServer.baseUrl,
+                    retry: FAST_RETRY,
+                });
+            });
+
+            await test.step('THEN the request should have been sent three times', async () => {
+                expect(response.status).toBe(503);
+                expect(response.attempts.map((attempt) => attempt.status)).toEqual([503, 503, 503]);
+                expect(faultyServer.hits('GET', path)).toBe(3);
+            });
+        });
+
+        test('TC-API-25: should not retry a POST answered with 503', async ({ apiRequest }) => {
+            const path = '/unavailable/TC-API-25?fromAccountId=1&toAccountId=2&amount=1';
+            let response;
+
+            await test.step('WHEN a transfer POST is answered with 503', async () => {
+                response = await apiRequest({
+                    method: 'POST',
+                    url: path,
+                    baseUrl: faultyServer.baseUrl,
+                    retry: FAST_RETRY,
+                });
+            });
+
+            await test.step('THEN exactly one attempt should have been made, because the server received it', async () => {
+                expect(response.status).toBe(503);
+                expect(response.attempts).toHaveLength(1);
+                expect(faultyServer.hits('POST', path)).toBe(1);
+            });
+        });
+
+        test('TC-API-26: should not retry a POST whose connection was reset', async ({
+            apiRequest,
+        }) => {
+            const path = '/reset/TC-API-26?fromAccountId=1&toAccountId=2&amount=1';
+            let requestError;
+
+            await test.step('WHEN the server resets the connection of a transfer POST', async () => {
+                requestError = await apiRequest({
+                    method: 'POST',
+                    url: path,
+                    baseUrl: faultyServer.baseUrl,
+                    retry: FAST_RETRY,
+                }).catch((error) => error);
+            });
+
+            await test.step('THEN exactly one attempt should have been made, because it may have been booked', async () => {
+                expect(requestError).toBeInstanceOf(ApiRequestError);
+                expect(requestError.attempts).toHaveLength(1);
+                expect(requestError.attempts[0].error).toMatch(/ECONNRESET|socket hang up/i);
+                expect(faultyServer.hits('POST', path)).toBe(1);
+            });
+        });
+
+        test('TC-API-27: should retry a GET whose connection was reset', async ({ apiRequest }) => {
+            const path = '/reset/TC-API-27';
+            let requestError;
+
+            await test.step('WHEN the server resets the connection of a GET every time', async () => {
+                requestError = await apiRequest({
+                    method: 'GET',
+                    url: path,
+                    baseUrl: faultyServer.baseUrl,
+                    retry: FAST_RETRY,
+                }).catch((error) => error);
+            });
+
+            await test.step('THEN the GET should have been sent three times', async () => {
+                expect(requestError).toBeInstanceOf(ApiRequestError);
+                expect(requestError.attempts).toHaveLength(3);
+                expect(faultyServer.hits('GET', path)).toBe(3);
+            });
+        });
+
+        test('TC-API-28: should abort an attempt that exceeds the per-call timeout', async ({
+            apiRequest,
+        }) => {
+            const timeout = 300;
+            let requestError;
+
+            await test.step(`WHEN a request with a ${timeout}ms timeout is answered after ${SLOW_RESPONSE_DELAY_MS}ms`, async () => {
+                requestError = await apiRequest({
+                    method: 'GET',
+                    url: '/slow/TC-API-28',
+                    baseUrl: faultyServer.baseUrl,
+                    timeout,
+                    retry: false,
+                }).catch((error) => error);
+            });
+
+            await test.step('THEN the attempt should fail with a timeout well before the response', async () => {
+                expect(requestError).toBeInstanceOf(ApiRequestError);
+                expect(requestError.attempts).toHaveLength(1);
+
+                const [attempt] = requestError.attempts;
+                expect(attempt.error).toMatch(/timeout/i);
+                expect(attempt.durationMs).toBeLessThan(SLOW_RESPONSE_DELAY_MS);
+            });
+        });
+    },
+);
@@ -0,0 +1,275 @@
+/**
+ * WHY: The cookie jar decides which session every API call carries. Its scoping
+ * rules (host, Domain, Path) and expiry are checked directly on ApiSession, and
+ * the automatic replay through apiRequest against a throwaway local server, so
+ * none of it depends on Parabank being reachable.
+ */
+import http from 'http';
+import { test, expect } from '../../../fixtures/indexFixtures.js';
+import { ApiSession } from '../../../utils/api-session.js';
+import { RESPONSE_TYPES } from '../../../utils/api-helper.js';
+
+const PARABANK_URL = 'http://parabank.test:8080/parabank/login.htm';
+
+/**
+ * Starts a local server that issues a session cookie on /login (with a redirect)
+ * and on /index (with an HTML page), and echoes the Cookie header it received on
+ * every other path.
+ *
+ * @returns {Promise<{ baseUrl: string, close: () => Promise<void> }>}
+ */
+async function startCookieServer() {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/parabank/login.htm') {
+            res.writeHead(302, {
+                'Set-Cookie': ['JSESSIONID=ISSUED-BY-LOGIN; Path=/parabank; HttpOnly'],
+                Location: '/parabank/overview.htm',
+            }).end();
+        } else if (req.url === '/parabank/index.htm') {
+            res.writeHead(200, {
+                'Set-Cookie': ['JSESSIONID=ISSUED-BY-INDEX; Path=/parabank; HttpOnly'],
+                'Content-Type': 'text/html',
+            }).end('<html><body>Welcome</body></html>');
+        } else {
+            res.writeHead(200, { 'Content-Type': 'application/json' }).end(
+                JSON.stringify({ cookie: req.headers.cookie ?? null }),
+            );
+        }
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => {
+            server.closeAllConnections();
+            return new Promise((resolve) => server.close(resolve));
+        },
+    };
+}
+
+test.describe('API - Session Cookie Jar', { tag: ['@regression', '@api'] }, () => {
+    test('TC-API-29: should scope cookies to the request path and list the most specific first', async () => {
+        const session = new ApiSession();
+
+        await test.step('WHEN a login page sets one cookie without a Path and one with Path=/parabank/services', async () => {
+            session.captureSetCookies(
+                ['JSESSIONID=ABC', 'lang=en; Path=/parabank/services'],
+                PARABANK_URL,
+            );
+        });
+
+        await test.step('THEN the cookie without a Path should default to the directory of the login page', async () => {
+            expect(session.getCookieHeader('http://parabank.test:8080/parabank/overview.htm')).toBe(
+                'JSESSIONID=ABC',
+            );
+            expect(session.getCookieHeader('http://parabank.test:8080/other/index.htm')).toBeNull();
+            expect(
+                session.getCookieHeader('http://parabank.test:8080/parabankx/index.htm'),
+            ).toBeNull();
+        });
+
+        await test.step('AND requests below /parabank/services should receive both, longest path first', async () => {
+            expect(
+                session.getCookieHeader(
+                    'http://parabank.test:8080/parabank/services/bank/accounts/1',
+                ),
+            ).toBe('lang=en; JSESSIONID=ABC');
+        });
+    });
+
+    test('TC-API-30: should only replay cookies to the host or Domain that set them', async () => {
+        const session = new ApiSession();
+
+        await test.step('WHEN a host-only cookie, a Domain cookie and a foreign Domain cookie are received', async () => {
+            session.captureSetCookies(
+                [
+                    'JSESSIONID=HOST-ONLY; Path=/',
+                    'tracking=SHARED; Domain=.parabank.test; Path=/',
+                    'stolen=FOREIGN; Domain=other.test; Path=/',
+                ],
+                PARABANK_URL,
+            );
+        });
+
+        await test.step('THEN the issuing host should receive the host-only and the Domain cookie', async () => {
+            expect(session.getCookieHeader('http://parabank.test/parabank/index.htm')).toBe(
+                'JSESSIONID=HOST-ONLY; tracking=SHARED',
+            );
+        });
+
+        await test.step('AND a subdomain should only receive the Domain cookie', async () => {
+            expect(session.getCookieHeader('http://api.parabank.test/parabank/index.htm')).toBe(
+                'tracking=SHARED',
+            );
+        });
+
+        await test.step('AND another baseUrl should receive nothing, because the foreign Domain was rejected', async () => {
+            expect(session.getCookieHeader('http://other.test/parabank/index.htm')).toBeNull();
+            expect(session.getCookieHeader('http://127.0.0.1:8080/parabank/index.htm')).toBeNull();
+            expect(session.get('stolen')).toBeNull();
+        });
+    });
+
+    test('TC-API-31: should honour Max-Age and Expires, including deletion', async () => {
+        const session = new ApiSession([
+            {
+                name: 'stale',
+                value: 'OLD',
+                domain: 'parabank.test',
+                hostOnly: true,
+                path: '/',
+                expiresAt: Date.now() - 1000,
+            },
+        ]);
+
+        await test.step('WHEN cookies with a future Max-Age, a future Expires and conflicting attributes are received', async () => {
+            session.captureSetCookies(
+                [
+                    'JSESSIONID=ABC; Path=/; Max-Age=3600',
+                    'remember=YES; Path=/; Expires=Fri, 31 Dec 2100 23:59:59 GMT',
+                    'maxAgeWins=YES; Path=/; Max-Age=3600; Expires=Thu, 01 Jan 1970 00:00:00 GMT',
+                ],
+                PARABANK_URL,
+            );
+        });
+
+        await test.step('THEN the live cookies should be replayed and the expired seed cookie skipped', async () => {
+            expect(session.getCookieHeader(PARABANK_URL)).toBe(
+                'JSESSIONID=ABC; remember=YES; maxAgeWins=YES',
+            );
+        });
+
+        await test.step('WHEN the server deletes cookies with Max-Age=0 and with an Expires in the past', async () => {
+            session.captureSetCookies(
+                [
+                    'JSESSIONID=; Path=/; Max-Age=0',
+                    'remember=; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT',
+                ],
+                PARABANK_URL,
+            );
+        });
+
+        await test.step('THEN only the cookie that was not deleted should remain', async () => {
+            expect(session.getCookieHeader(PARABANK_URL)).toBe('maxAgeWins=YES');
+            expect(session.get('JSESSIONID')).toBeNull();
+            expect(session.toJSON().cookies.map((cookie) => cookie.name)).toEqual(['maxAgeWins']);
+        });
+    });
+
+    test('TC-API-32: should replay a cookie set by one call on the next call', async ({
+        apiRequest,
+    }) => {
+        const cookieServer = await startCookieServer();
+        const session = new ApiSession();
+        let echoed;
+
+        try {
+            await test.step('GIVEN a login call whose response sets JSESSIONID', async () => {
+                const { status } = await apiRequest({
+                    method: 'POST',
+                    url: '/parabank/login.htm',
+                    baseUrl: cookieServer.baseUrl,
+                    session,
+                    retry: false,
+                });
+
+                expect(status).toBe(302);
+            });
+
+            await test.step('WHEN the next call is made with the same session', async () => {
+                ({ body: echoed } = await apiRequest({
+                    method: 'GET',
+                    url: '/parabank/services/bank/customers/1',
+                    baseUrl: cookieServer.baseUrl,
+                    session,
+                    retry: false,
+                }));
+            });
+
+            await test.step('THEN the server should have received the session cookie', async () => {
+                expect(echoed.cookie).toBe('JSESSIONID=ISSUED-BY-LOGIN');
+            });
+        } finally {
+            await cookieServer.close();
+        }
+    });
+
+    test('TC-API-33: should restore the live cookies written by save()', async () => {
+        const sessionFile = test.info().outputPath('session.json');
+        let restored;
+
+        await test.step('GIVEN a session holding a live and an expired cookie is saved', async () => {
+            const session = new ApiSession();
+            session.captureSetCookies(
+                ['JSESSIONID=ABC; Path=/parabank', 'gone=1; Path=/; Max-Age=0'],
+                PARABANK_URL,
+            );
+            session.save(sessionFile);
+        });
+
+        await test.step('WHEN it is loaded into a new jar', async () => {
+            restored = ApiSession.load(sessionFile);
+        });
+
+        await test.step('THEN the live cookie should be replayed with its original scope', async () => {
+            expect(restored.getCookieHeader(PARABANK_URL)).toBe('JSESSIONID=ABC');
+            expect(restored.getCookieHeader('http://other.test/parabank/login.htm')).toBeNull();
+            expect(restored.toJSON().cookies).toEqual([
+                {
+                    name: 'JSESSIONID',
+                    value: 'ABC',
+                    domain: 'parabank.test',
+                    hostOnly: true,
+                    path: '/parabank',
+                    expiresAt: null,
+                },
+            ]);
+        });
+
+        await test.step('AND loading a missing file should fail with its path', async () => {
+            expect(() => ApiSession.load(`${sessionFile}.missing`)).toThrow(
+                `Session file does not exist: ${sessionFile}.missing`,
+            );
+        });
+    });
+
+    test('TC-API-64: should keep the cookies of a response whose body fails to parse', async ({
+        apiRequest,
+    }) => {
+        const cookieServer = await startCookieServer();
+        const session = new ApiSession();
+        let parseError;
+
+        try {
+            await test.step('WHEN an HTML page that sets JSESSIONID is requested as JSON', async () => {
+                parseError = await apiRequest({
+                    method: 'GET',
+                    url: '/parabank/index.htm',
+                    baseUrl: cookieServer.baseUrl,
+                    session,
+                    responseType: RESPONSE_TYPES.JSON,
+                    retry: false,
+                }).catch((error) => error);
+            });
+
+            await test.step('THEN the call should fail on the body', async () => {
+                expect(parseError.message).toContain(
+                    'Expected a JSON response but could not parse it',
+                );
+            });
+
+            /**
+             * WHY: The jar is read directly. A follow-up call would pass anyway,
+             * because Playwright's request context keeps cookies of its own.
+             */
+            await test.step('AND the session should still hold the cookie', async () => {
+                expect(
+                    session.getCookieHeader(`${cookieServer.baseUrl}/parabank/overview.htm`),
+                ).toBe('JSESSIONID=ISSUED-BY-INDEX');
+            });
+        } finally {
+            await cookieServer.close();
+        }
+    });
+});
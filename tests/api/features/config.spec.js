@@ -0,0 +1,140 @@
+/**
+ * WHY: Every setting reaches specs through the layers of utils/config.js. Each
+ * spec writes its own env file under the test output directory and passes its
+ * own variables, so precedence is checked without touching env/ or the
+ * variables of the run itself.
+ */
+import fs from 'fs';
+import path from 'path';
+import { test, expect } from '../../../fixtures/indexFixtures.js';
+import {
+    getConfig,
+    getConfigSource,
+    loadConfig,
+    withConfigOverrides,
+} from '../../../utils/config.js';
+import { SchemaValidationError, toJsonPath } from '../../../utils/schema-validator.js';
+
+/**
+ * Writes env/.env.spec under the test output directory.
+ *
+ * @param {string[]} lines - e.g. ['APP_BASE_URL=https://file.example']
+ * @returns {string} The env directory.
+ */
+function writeEnvFile(lines) {
+    const envDir = test.info().outputPath('env');
+    fs.mkdirSync(envDir, { recursive: true });
+    fs.writeFileSync(path.join(envDir, '.env.spec'), `${lines.join('\n')}\n`);
+    return envDir;
+}
+
+test.describe('API - Typed Configuration', { tag: ['@regression', '@api'] }, () => {
+    test('TC-API-61: should resolve each setting from the highest layer that sets it', async () => {
+        let loaded;
+
+        await test.step('GIVEN an env file and command-line variables that overlap', async () => {
+            const envDir = writeEnvFile([
+                'APP_BASE_URL=https://file.example',
+                'API_RETRIES=4',
+                'HEADLESS=false',
+            ]);
+
+            loaded = loadConfig({
+                envDir,
+                env: { ENVIRONMENT: 'spec', APP_BASE_URL: 'https://cli.example', CI: 'true' },
+            });
+        });
+
+        await test.step('THEN command-line variables should beat the env file', async () => {
+            expect(loaded.config.baseUrl).toBe('https://cli.example');
+            expect(loaded.sources.baseUrl).toBe('environment');
+        });
+
+        await test.step('AND the env file should beat the defaults', async () => {
+            expect(loaded.config).toMatchObject({ apiRetries: 4, headless: false });
+            expect(loaded.sources).toMatchObject({ apiRetries: 'env file', headless: 'env file' });
+        });
+
+        await test.step('AND unset settings should keep their defaults, including the CI ones', async () => {
+            expect(loaded.config).toMatchObject({
+                environment: 'spec',
+                testTimeout: 60 * 1000,
+                retries: 2,
+                workers: 1,
+            });
+            expect(loaded.sources).toMatchObject({ testTimeout: 'default', retries: 'default' });
+        });
+    });
+
+    test('TC-API-62: should treat empty values as unset in both layers', async () => {
+        let loaded;
+
+        await test.step('GIVEN blank lines in the env file and blank command-line variables', async () => {
+            const envDir = writeEnvFile(['APP_BASE_URL=https://file.example', 'HEADLESS=', 'CI=']);
+
+            loaded = loadConfig({
+                envDir,
+                env: { ENVIRONMENT: 'spec', APP_BASE_URL: '', API_RETRIES: '', NETWORK_MODE: '' },
+            });
+        });
+
+        await test.step('THEN a blank variable should fall through to the env file', async () => {
+            expect(loaded.config.baseUrl).toBe('https://file.example');
+            expect(loaded.sources.baseUrl).toBe('env file');
+        });
+
+        await test.step('AND blank values in either layer should fall through to the defaults', async () => {
+            expect(loaded.config).toMatchObject({
+                apiRetries: 2,
+                networkMode: 'live',
+                headless: true,
+                ci: false,
+            });
+            expect(loaded.sources).toMatchObject({
+                apiRetries: 'default',
+                networkMode: 'default',
+                headless: 'default',
+                ci: 'default',
+            });
+        });
+
+        await test.step('AND getConfigSource should report the layers of the current run the same way', async () => {
+            const { sources } = loadConfig();
+
+            for (const key of Object.keys(sources)) {
+                expect(getConfigSource(key), key).toBe(sources[key]);
+            }
+        });
+    });
+
+    test('TC-API-63: should validate per-project overrides on top of the loaded configuration', async () => {
+        const config = getConfig();
+
+        await test.step('THEN no overrides should return the loaded configuration itself', async () => {
+            expect(withConfigOverrides(config, {})).toBe(config);
+        });
+
+        await test.step('AND an override should replace only its own setting', async () => {
+            const overridden = withConfigOverrides(config, { navigationTimeout: 90 * 1000 });
+
+            expect(overridden).toEqual({ ...config, navigationTimeout: 90 * 1000 });
+            expect(Object.isFrozen(overridden)).toBe(true);
+        });
+
+        await test.step('AND an invalid value or a misspelled key should fail with its path', async () => {
+            let overrideError;
+            try {
+                withConfigOverrides(config, { apiRetries: -1, navTimeout: 1 });
+            } catch (error) {
+                overrideError = error;
+            }
+
+            expect(overrideError).toBeInstanceOf(SchemaValidationError);
+            expect(overrideError.issues.map((issue) => toJsonPath(issue.path)).sort()).toEqual([
+                '$',
+                '$.apiRetries',
+            ]);
+            expect(overrideError.message).toContain('Project configuration overrides');
+        });
+    });
+});
@@ -0,0 +1,214 @@
+/**
+ * WHY: The credentials store is shared by every worker of a run. Each spec points
+ * a CredentialsStore at its own file under the test output directory, and the
+ * concurrency case spawns real node processes, so the lock is exercised across
+ * processes exactly as parallel workers exercise it.
+ */
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+import { execFile } from 'child_process';
+import { pathToFileURL } from 'url';
+import { test, expect } from '../../../fixtures/indexFixtures.js';
+import {
+    CredentialsStore,
+    currentEnvironment,
+    currentRunId,
+    currentWorkerIndex,
+} from '../../../utils/credentials-store.js';
+import { generateRandomUser } from '../../../utils/helpers.js';
+
+const runFile = util.promisify(execFile);
+
+const STORE_MODULE_URL = pathToFileURL(path.resolve('./utils/credentials-store.js')).href;
+
+/**
+ * Saves `count` users from a separate node process acting as worker `workerIndex`.
+ */
+function saveFromWorkerProcess(storePath, workerIndex, count) {
+    const script = `
+        import { CredentialsStore } from '${STORE_MODULE_URL}';
+        const store = new CredentialsStore({ storePath: ${JSON.stringify(storePath)} });
+        for (let index = 0; index < ${count}; index++) {
+            store.save({ username: 'worker${workerIndex}-user' + index, password: 'secret' + index });
+        }
+    `;
+
+    return runFile(process.execPath, ['--input-type=module', '-e', script], {
+        env: { ...process.env, TEST_WORKER_INDEX: String(workerIndex) },
+        timeout: 60 * 1000,
+    });
+}
+
+function readLines(storePath) {
+    return fs.readFileSync(storePath, 'utf-8').split('\n').filter(Boolean);
+}
+
+test.describe('API - Credentials Store', { tag: ['@regression', '@api'] }, () => {
+    test('TC-API-39: should wait for a held lock file and give up after the lock timeout', async () => {
+        const storePath = test.info().outputPath('credentials.jsonl');
+        const store = new CredentialsStore({ storePath, lockTimeoutMs: 300 });
+        let saveError;
+
+        await test.step('GIVEN another worker holds a fresh lock on the store', async () => {
+            fs.writeFileSync(store.lockPath, '');
+        });
+
+        await test.step('WHEN a user is saved', async () => {
+            try {
+                store.save(generateRandomUser());
+            } catch (error) {
+                saveError = error;
+            }
+        });
+
+        await test.step('THEN the save should time out without writing or breaking the lock', async () => {
+            expect(saveError?.message).toBe(
+                `Timed out waiting for credentials store lock: ${store.lockPath}`,
+            );
+            expect(fs.existsSync(storePath)).toBe(false);
+            expect(fs.existsSync(store.lockPath)).toBe(true);
+        });
+
+        await test.step('AND once the lock is released, the save should succeed and remove its own lock', async () => {
+            fs.rmSync(store.lockPath);
+            store.save(generateRandomUser());
+
+            expect(readLines(storePath)).toHaveLength(1);
+            expect(fs.existsSync(store.lockPath)).toBe(false);
+        });
+    });
+
+    test('TC-API-40: should keep every record when several worker processes append at once', async () => {
+        const storePath = test.info().outputPath('credentials.jsonl');
+        const workers = 4;
+        const usersPerWorker = 25;
+
+        await test.step(`WHEN ${workers} processes each save ${usersPerWorker} users concurrently`, async () => {
+            await Promise.all(
+                Array.from({ length: workers }, (_, workerIndex) =>
+                    saveFromWorkerProcess(storePath, workerIndex, usersPerWorker),
+                ),
+            );
+        });
+
+        await test.step('THEN every record should be a complete JSON line', async () => {
+            const lines = readLines(storePath);
+
+            expect(lines).toHaveLength(workers * usersPerWorker);
+            expect(() => lines.map((line) => JSON.parse(line))).not.toThrow();
+        });
+
+        await test.step('AND each worker should find exactly its own users', async () => {
+            const store = new CredentialsStore({ storePath });
+
+            for (let workerIndex = 0; workerIndex < workers; workerIndex++) {
+                const usernames = store.find({ workerIndex }).map((record) => record.username);
+
+                expect(usernames).toEqual(
+                    Array.from(
+                        { length: usersPerWorker },
+                        (_, index) => `worker${workerIndex}-user${index}`,
+                    ),
+                );
+            }
+        });
+    });
+
+    test('TC-API-41: should break a lock abandoned by a crashed worker', async () => {
+        const storePath = test.info().outputPath('credentials.jsonl');
+        const store = new CredentialsStore({ storePath, staleLockMs: 1000, lockTimeoutMs: 5000 });
+        let startedAt;
+
+        await test.step('GIVEN a lock file last touched a minute ago', async () => {
+            fs.writeFileSync(store.lockPath, '');
+            const aMinuteAgo = new Date(Date.now() - 60 * 1000);
+            fs.utimesSync(store.lockPath, aMinuteAgo, aMinuteAgo);
+        });
+
+        await test.step('WHEN a user is saved', async () => {
+            startedAt = Date.now();
+            store.save(generateRandomUser());
+        });
+
+        await test.step('THEN the stale lock should have been broken instead of waited for', async () => {
+            expect(Date.now() - startedAt).toBeLessThan(store.lockTimeoutMs);
+            expect(readLines(storePath)).toHaveLength(1);
+            expect(fs.existsSync(store.lockPath)).toBe(false);
+        });
+    });
+
+    test('TC-API-42: should return the latest user of this run, worker and environment', async () => {
+        const storePath = test.info().outputPath('credentials.jsonl');
+        const store = new CredentialsStore({ storePath });
+        const scope = {
+            runId: currentRunId(),
+            workerIndex: currentWorkerIndex(),
+            environment: currentEnvironment(),
+        };
+
+        await test.step('GIVEN users saved by this worker, then later by another run, worker and environment', async () => {
+            const ownRecords = [
+                { username: 'own-first', ...scope },
+                { username: 'own-latest', ...scope },
+            ];
+            const foreignRecords = [
+                { username: 'other-run', ...scope, runId: 'an-earlier-run' },
+                { username: 'other-worker', ...scope, workerIndex: 'another-worker' },
+                { username: 'other-environment', ...scope, environment: 'staging' },
+            ];
+
+            fs.writeFileSync(
+                storePath,
+                [...ownRecords, ...foreignRecords]
+                    .map((record) => `${JSON.stringify({ password: 'secret', ...record })}\n`)
+                    .join(''),
+            );
+        });
+
+        await test.step('THEN the default scope should skip the later foreign users', async () => {
+            expect(store.getLatest().username).toBe('own-latest');
+        });
+
+        await test.step('AND explicit criteria should widen or replace the scope', async () => {
+            expect(store.getLatest({ workerIndex: undefined }).username).toBe('other-worker');
+            expect(store.getLatest({ runId: 'an-earlier-run' }).username).toBe('other-run');
+            expect(store.getLatest({ environment: 'staging' }).username).toBe('other-environment');
+        });
+
+        await test.step('AND a scope without users should fail naming it', async () => {
+            expect(() => store.getLatest({ runId: 'never-ran' })).toThrow(
+                'No saved credentials found for',
+            );
+        });
+    });
+
+    test('TC-API-43: should keep the password for re-login but never persist the SSN', async () => {
+        const storePath = test.info().outputPath('credentials.jsonl');
+        const store = new CredentialsStore({ storePath });
+        const user = generateRandomUser();
+        let storedText;
+
+        await test.step('WHEN a generated user is saved', async () => {
+            store.save(user, { tags: ['@smoke'] });
+            storedText = fs.readFileSync(storePath, 'utf-8');
+        });
+
+        await test.step('THEN the record should hold the login credentials and tags', async () => {
+            expect(store.getByUsername(user.username)).toMatchObject({
+                username: user.username,
+                password: user.password,
+                tags: ['@smoke'],
+            });
+        });
+
+        await test.step('AND the SSN should not be written to disk', async () => {
+            expect(storedText).not.toContain(user.ssn);
+            expect(JSON.parse(storedText)).not.toHaveProperty('ssn');
+        });
+
+        await test.step('AND the file should be readable by its owner only', async () => {
+            expect(fs.statSync(storePath).mode & 0o777).toBe(0o600);
+        });
+    });
+});
@@ -0,0 +1,193 @@
+/**
+ * WHY: The guard is the only thing standing between the suite and a shared
+ * Parabank. Each spec loads a fixture profile from tests/api/data/profiles and
+ * guards it with its own credentials store, so every rule is proven without a
+ * browser, a backend or the profile of the environment the run targets.
+ */
+import path from 'path';
+import { test, expect } from '../../../fixtures/indexFixtures.js';
+import {
+    DESTRUCTIVE_TAG,
+    EnvironmentGuard,
+    EnvironmentGuardError,
+    OPERATIONS,
+    loadEnvironmentProfile,
+} from '../../../utils/environment-guard.js';
+import {
+    CredentialsStore,
+    currentEnvironment,
+    currentRunId,
+} from '../../../utils/credentials-store.js';
+import { SchemaValidationError, toJsonPath } from '../../../utils/schema-validator.js';
+import { generateRandomUser } from '../../../utils/helpers.js';
+
+const PROFILES_DIR = path.resolve('./tests/api/data/profiles');
+
+/**
+ * Loads a fixture profile as the profile of the current environment.
+ * WHY: The credentials store records every save under the current environment,
+ * so that is the environment a fixture profile must guard for its limit to apply.
+ */
+function loadFixtureProfile(name) {
+    return loadEnvironmentProfile(path.join(PROFILES_DIR, `${name}.json`), currentEnvironment());
+}
+
+/**
+ * Guards a fixture profile with a credentials store of the current test.
+ */
+function createGuard(name) {
+    const credentialsStore = new CredentialsStore({
+        storePath: test.info().outputPath('credentials.jsonl'),
+    });
+
+    return {
+        guard: new EnvironmentGuard(loadFixtureProfile(name), { credentialsStore }),
+        credentialsStore,
+    };
+}
+
+test.describe('API - Environment Guard', { tag: ['@regression', '@api'] }, () => {
+    test('TC-API-56: should refuse every operation on a read-only profile', async () => {
+        const { guard } = createGuard('read-only');
+
+        await test.step('THEN even the operations the profile lists should be blocked', async () => {
+            expect(() =>
+                guard.assertOperationAllowed(OPERATIONS.OPEN_ACCOUNT, 'open account'),
+            ).toThrow(
+                new EnvironmentGuardError(
+                    `Blocked "open account": environment "${currentEnvironment()}" is read-only ` +
+                        '(tests/api/data/profiles/read-only.json).',
+                ),
+            );
+        });
+
+        await test.step('AND registering a user should be blocked before the limit is checked', async () => {
+            expect(() => guard.assertCanCreateUsers()).toThrow('is read-only');
+        });
+
+        await test.step('AND feature checks should be unaffected', async () => {
+            expect(guard.isFeatureAvailable('soapService')).toBe(true);
+        });
+    });
+
+    test('TC-API-57: should allow only the listed operations, and the shared defaults without a profile', async () => {
+        const { guard } = createGuard('restricted');
+
+        await test.step('THEN a listed operation should pass', async () => {
+            expect(() => guard.assertOperationAllowed(OPERATIONS.MOVE_FUNDS)).not.toThrow();
+        });
+
+        await test.step('AND an unlisted operation should fail naming what is allowed', async () => {
+            expect(() =>
+                guard.assertOperationAllowed(OPERATIONS.REQUEST_LOAN, 'request loan'),
+            ).toThrow(
+                'Blocked "request loan": operation "requestLoan" is not allowed on environment ' +
+                    `"${currentEnvironment()}" (tests/api/data/profiles/restricted.json). ` +
+                    'Allowed operations: registerUser, moveFunds.',
+            );
+        });
+
+        await test.step('AND an environment without a profile file should get the shared-instance defaults', async () => {
+            const defaultProfile = loadEnvironmentProfile(
+                path.join(PROFILES_DIR, 'missing.json'),
+                'missing',
+            );
+            const defaultGuard = new EnvironmentGuard(defaultProfile);
+
+            expect(defaultProfile).toMatchObject({
+                source: '(default)',
+                readOnly: false,
+                maxUsersPerRun: 100,
+            });
+            expect(() =>
+                defaultGuard.assertOperationAllowed(OPERATIONS.REQUEST_LOAN),
+            ).not.toThrow();
+            expect(() => defaultGuard.assertOperationAllowed(OPERATIONS.RESET_DATABASE)).toThrow(
+                EnvironmentGuardError,
+            );
+        });
+    });
+
+    test('TC-API-58: should stop registrations at the per-run user limit', async () => {
+        const { guard, credentialsStore } = createGuard('restricted');
+
+        await test.step('GIVEN the run has not registered anyone yet', async () => {
+            expect(credentialsStore.countSaved()).toBe(0);
+            expect(() => guard.assertCanCreateUsers(2)).not.toThrow();
+        });
+
+        await test.step('WHEN the run registers two users', async () => {
+            credentialsStore.save(generateRandomUser());
+            credentialsStore.save(generateRandomUser());
+        });
+
+        await test.step('THEN a third registration should fail naming the run and the limit', async () => {
+            expect(credentialsStore.countSaved()).toBe(2);
+            expect(() => guard.assertCanCreateUsers()).toThrow(
+                `Blocked "register user": run ${currentRunId()} already created 2 user(s) on ` +
+                    `environment "${currentEnvironment()}", and the limit is 2 ` +
+                    '(tests/api/data/profiles/restricted.json).',
+            );
+        });
+
+        await test.step('AND the users should count only for this run and environment', async () => {
+            expect(credentialsStore.countSaved({ runId: 'an-earlier-run' })).toBe(0);
+            expect(credentialsStore.countSaved({ environment: 'staging' })).toBe(0);
+        });
+
+        await test.step('AND a profile without a limit should keep allowing registrations', async () => {
+            const { guard: unlimitedGuard } = createGuard('disposable');
+
+            expect(() => unlimitedGuard.assertCanCreateUsers(1000)).not.toThrow();
+        });
+    });
+
+    test('TC-API-59: should reject destructive tests unless the profile allows them', async () => {
+        const { guard: restrictedGuard } = createGuard('restricted');
+        const { guard: disposableGuard } = createGuard('disposable');
+
+        await test.step('THEN a destructive test should be blocked on the restricted profile', async () => {
+            expect(() =>
+                restrictedGuard.assertTagsAllowed(['@regression', DESTRUCTIVE_TAG]),
+            ).toThrow(
+                `Blocked "test tagged ${DESTRUCTIVE_TAG}": operation "destructive" is not allowed`,
+            );
+        });
+
+        await test.step('AND allowed on the disposable profile', async () => {
+            expect(() => disposableGuard.assertTagsAllowed([DESTRUCTIVE_TAG])).not.toThrow();
+        });
+
+        await test.step('AND tests without the tag should pass everywhere', async () => {
+            expect(() => restrictedGuard.assertTagsAllowed(['@regression', '@api'])).not.toThrow();
+        });
+    });
+
+    test('TC-API-60: should reject a malformed profile with the path of every mistake', async () => {
+        let loadError;
+
+        await test.step('WHEN a profile with a wrong type, an unknown operation and a misspelled key is loaded', async () => {
+            try {
+                loadFixtureProfile('malformed');
+            } catch (error) {
+                loadError = error;
+            }
+        });
+
+        await test.step('THEN loading should fail with a SchemaValidationError naming each path', async () => {
+            expect(loadError).toBeInstanceOf(SchemaValidationError);
+            expect(loadError.issues.map((issue) => toJsonPath(issue.path)).sort()).toEqual([
+                '$',
+                '$.allowedOperations[1]',
+                '$.readOnly',
+            ]);
+        });
+
+        await test.step('AND the message should name the profile file and the unknown key', async () => {
+            expect(loadError.message).toContain(
+                'Environment profile tests/api/data/profiles/malformed.json',
+            );
+            expect(loadError.message).toContain('maxUsers');
+        });
+    });
+});
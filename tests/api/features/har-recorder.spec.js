@@ -0,0 +1,200 @@
+/**
+ * WHY: A recording is only useful if its replay matches the requests the browser
+ * sends again, and only readable if nothing else was rewritten. These specs
+ * normalize a hand-written HAR whose headers, sizes, timings and port are
+ * chosen to collide with the recorded IDs, so a rewrite that strays beyond URLs,
+ * post data and bodies shows up as a changed number.
+ */
+import fs from 'fs';
+import { test, expect } from '../../../fixtures/indexFixtures.js';
+import { HarRecorder, NETWORK_MODES, normalizeHar } from '../../../utils/har-recorder.js';
+
+const CUSTOMER_ID = 12212;
+const ACCOUNT_ID = 13344;
+const RECORDED_USERNAME = 'john1a2b3c';
+
+/**
+ * A recording of a login and an accounts call on a Parabank served at port 12212.
+ * WHY: The port, sizes and timings always equal the default IDs, so they collide
+ * with the IDs of the first recording whatever the IDs of a later one.
+ */
+function recordedHar({
+    customerId = CUSTOMER_ID,
+    accountId = ACCOUNT_ID,
+    username = RECORDED_USERNAME,
+} = {}) {
+    const origin = `http://localhost:${CUSTOMER_ID}`;
+
+    return {
+        log: {
+            version: '1.2',
+            creator: { name: 'Playwright', version: '1.58.0' },
+            entries: [
+                {
+                    request: {
+                        method: 'POST',
+                        url: `${origin}/parabank/login.htm`,
+                        headers: [{ name: 'Content-Length', value: String(ACCOUNT_ID) }],
+                        queryString: [],
+                        postData: {
+                            mimeType: 'application/x-www-form-urlencoded',
+                            text: `username=${username}&password=demo`,
+                            params: [{ name: 'username', value: username }],
+                        },
+                        bodySize: ACCOUNT_ID,
+                    },
+                    response: {
+                        status: 302,
+                        headers: [
+                            {
+                                name: 'Location',
+                                value: `${origin}/parabank/overview.htm?id=${customerId}`,
+                            },
+                        ],
+                        content: { size: 0, mimeType: 'text/html' },
+                        redirectURL: `${origin}/parabank/overview.htm?id=${customerId}`,
+                        bodySize: 0,
+                    },
+                    timings: { send: 1, wait: CUSTOMER_ID, receive: 1 },
+                },
+                {
+                    request: {
+                        method: 'GET',
+                        url: `${origin}/parabank/services_proxy/bank/customers/${customerId}/accounts`,
+                        headers: [],
+                        queryString: [],
+                        bodySize: 0,
+                    },
+                    response: {
+                        status: 200,
+                        headers: [{ name: 'Content-Length', value: String(CUSTOMER_ID) }],
+                        content: {
+                            size: CUSTOMER_ID,
+                            mimeType: 'application/json',
+                            text: JSON.stringify([
+                                {
+                                    id: accountId,
+                                    customerId,
+                                    type: 'CHECKING',
+                                    balance: 1344.5,
+                                },
+                            ]),
+                        },
+                        redirectURL: '',
+                        bodySize: CUSTOMER_ID,
+                    },
+                    timings: { send: 1, wait: ACCOUNT_ID, receive: 1 },
+                },
+            ],
+        },
+    };
+}
+
+test.describe('API - HAR Recording Normalization', { tag: ['@regression', '@api'] }, () => {
+    test('TC-API-73: should rewrite IDs and unique values only in URLs, post data and bodies', async () => {
+        const harPath = test.info().outputPath('recording.har');
+        let login;
+        let accounts;
+
+        await test.step('GIVEN a recording whose IDs also appear as a port, sizes and timings', async () => {
+            fs.writeFileSync(harPath, JSON.stringify(recordedHar()));
+        });
+
+        await test.step('WHEN it is normalized with the unique username recorded for "john"', async () => {
+            normalizeHar(harPath, new Map([[RECORDED_USERNAME, 'john']]));
+            [login, accounts] = JSON.parse(fs.readFileSync(harPath, 'utf8')).log.entries;
+        });
+
+        await test.step('THEN the username should be stored as the seeded value in the post data', async () => {
+            expect(login.request.postData.text).toBe('username=john&password=demo');
+            expect(login.request.postData.params).toEqual([{ name: 'username', value: 'john' }]);
+        });
+
+        await test.step('AND IDs should be stable in URLs, redirects and bodies, in order of appearance', async () => {
+            expect(accounts.request.url).toBe(
+                `http://localhost:${CUSTOMER_ID}/parabank/services_proxy/bank/customers/900002/accounts`,
+            );
+            expect(JSON.parse(accounts.response.content.text)).toEqual([
+                { id: 900001, customerId: 900002, type: 'CHECKING', balance: 1344.5 },
+            ]);
+            expect(login.response.redirectURL).toBe(
+                `http://localhost:${CUSTOMER_ID}/parabank/overview.htm?id=900002`,
+            );
+            expect(login.response.headers).toEqual([
+                { name: 'Location', value: login.response.redirectURL },
+            ]);
+        });
+
+        await test.step('AND the port, other headers, sizes and timings should be left as recorded', async () => {
+            expect(login.request.headers).toEqual([
+                { name: 'Content-Length', value: String(ACCOUNT_ID) },
+            ]);
+            expect(login.request.bodySize).toBe(ACCOUNT_ID);
+            expect(login.timings.wait).toBe(CUSTOMER_ID);
+            expect(accounts.response.headers).toEqual([
+                { name: 'Content-Length', value: String(CUSTOMER_ID) },
+            ]);
+            expect(accounts.response.content.size).toBe(CUSTOMER_ID);
+            expect(accounts.response.bodySize).toBe(CUSTOMER_ID);
+            expect(accounts.timings.wait).toBe(ACCOUNT_ID);
+        });
+    });
+
+    test('TC-API-74: should produce the same file when a flow is recorded twice', async () => {
+        const firstPath = test.info().outputPath('first.har');
+        const secondPath = test.info().outputPath('second.har');
+
+        await test.step('GIVEN two recordings of one flow with different IDs and usernames', async () => {
+            const second = recordedHar({
+                customerId: 12323,
+                accountId: 14565,
+                username: 'john4d5e6f',
+            });
+
+            fs.writeFileSync(firstPath, JSON.stringify(recordedHar()));
+            fs.writeFileSync(secondPath, JSON.stringify(second));
+        });
+
+        await test.step('WHEN both are normalized', async () => {
+            normalizeHar(firstPath, new Map([[RECORDED_USERNAME, 'john']]));
+            normalizeHar(secondPath, new Map([['john4d5e6f', 'john']]));
+        });
+
+        await test.step('THEN the files should be identical', async () => {
+            expect(fs.readFileSync(secondPath, 'utf8')).toBe(fs.readFileSync(firstPath, 'utf8'));
+        });
+    });
+
+    test('TC-API-75: should refuse to normalize a recording whose context is still open', async () => {
+        const harPath = test.info().outputPath('recording.har');
+        const recorder = new HarRecorder({ mode: NETWORK_MODES.RECORD, harPath });
+        const context = {
+            listeners: new Map(),
+            once(event, listener) {
+                this.listeners.set(event, listener);
+            },
+            routeFromHAR: async () => {},
+        };
+
+        await test.step('GIVEN a recorder that never attached to a context', async () => {
+            expect(() => recorder.finish()).not.toThrow();
+        });
+
+        await test.step('WHEN it attaches to a context that is still open', async () => {
+            await recorder.attach(context);
+        });
+
+        await test.step('THEN finishing should fail naming the recording', async () => {
+            expect(() => recorder.finish()).toThrow(
+                `Cannot normalize ${harPath} before its context is closed.`,
+            );
+        });
+
+        await test.step('AND once the context closed without writing a recording, finishing is a no-op', async () => {
+            context.listeners.get('close')();
+
+            expect(() => recorder.finish()).not.toThrow();
+            expect(fs.existsSync(harPath)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * WHY: Every balance assertion goes through Money. These specs pin down the
+ * inputs it was written for (UI strings with signs in either position, grouped
+ * thousands, API floats) and prove that its arithmetic is exact in cents, so a
+ * balance mismatch in a feature spec is never an artefact of the value type.
+ */
+import { test, expect } from '../../../fixtures/indexFixtures.js';
+import { Money } from '../../../utils/money.js';
+
+test.describe('API - Money Value Type', { tag: ['@regression', '@api'] }, () => {
+    test('TC-API-50: should parse UI strings and API numbers into exact cents', async () => {
+        await test.step('THEN negative UI amounts should parse with the sign before or after the $', async () => {
+            expect(Money.parse('-$12.34').cents).toBe(-1234);
+            expect(Money.parse('$-12.34').cents).toBe(-1234);
+        });
+
+        await test.step('AND grouped thousands, bare numbers and padding whitespace should parse', async () => {
+            expect(Money.parse('$1,234.56').cents).toBe(123456);
+            expect(Money.parse('-$1,234,567.89').cents).toBe(-123456789);
+            expect(Money.parse('1234.5').cents).toBe(123450);
+            expect(Money.parse('-0.75').cents).toBe(-75);
+            expect(Money.parse('100').cents).toBe(10000);
+            expect(Money.parse(' $100.00 ').cents).toBe(10000);
+        });
+
+        await test.step('AND API numbers should parse without binary rounding errors', async () => {
+            expect(Money.parse(1234.56).cents).toBe(123456);
+            expect(Money.parse(-12.34).cents).toBe(-1234);
+            expect(Money.parse(0.1 + 0.2).cents).toBe(30);
+            expect(Money.parse(1.005).cents).toBe(101);
+            expect(Money.parse(0).cents).toBe(0);
+        });
+
+        await test.step('AND an existing Money instance should be returned as-is', async () => {
+            const money = Money.fromCents(42);
+
+            expect(Money.parse(money)).toBe(money);
+        });
+    });
+
+    test('TC-API-51: should reject values that are not money', async () => {
+        const garbage = [
+            '-$-12.34',
+            '$12.345',
+            '1,23.00',
+            '12,34',
+            '$',
+            '',
+            'abc',
+            '12.34 USD',
+            Number.NaN,
+            Number.POSITIVE_INFINITY,
+            null,
+            undefined,
+            {},
+        ];
+
+        await test.step('THEN tryParse should return null for each of them', async () => {
+            expect(garbage.map((value) => Money.tryParse(value))).toEqual(garbage.map(() => null));
+        });
+
+        await test.step('AND parse should throw a TypeError quoting the value', async () => {
+            expect(() => Money.parse('-$-12.34')).toThrow(
+                new TypeError('Cannot parse money value: "-$-12.34"'),
+            );
+        });
+
+        await test.step('AND the constructor should refuse fractional cents', async () => {
+            expect(() => Money.fromCents(12.5)).toThrow(TypeError);
+        });
+    });
+
+    test('TC-API-52: should add and subtract in whole cents without float drift', async () => {
+        await test.step('THEN amounts that drift as floats should sum exactly', async () => {
+            expect(Money.parse(0.1).plus(0.2).toAmountString()).toBe('0.30');
+
+            const hundredCents = Array.from({ length: 100 }).reduce(
+                (total) => total.plus('0.01'),
+                Money.zero(),
+            );
+            expect(hundredCents.cents).toBe(100);
+        });
+
+        await test.step('AND mixed UI and API operands should combine exactly', async () => {
+            expect(Money.parse('$1,000.00').minus('-$12.34').toString()).toBe('$1,012.34');
+            expect(Money.parse('$40.00').minus(65.5).toString()).toBe('-$25.50');
+            expect(Money.parse('-$25.50').plus('$25.50').isZero()).toBe(true);
+        });
+
+        await test.step('AND negate and abs should flip and drop the sign', async () => {
+            expect(Money.parse('$12.34').negate().cents).toBe(-1234);
+            expect(Money.parse('-$12.34').abs().cents).toBe(1234);
+        });
+    });
+
+    test('TC-API-53: should round multiplication to the nearest cent', async () => {
+        await test.step('THEN products with fractional cents should round half away from zero', async () => {
+            expect(Money.parse('$10.00').times(0.3333).toAmountString()).toBe('3.33');
+            expect(Money.parse('$0.05').times(0.5).toAmountString()).toBe('0.03');
+            expect(Money.parse('-$0.05').times(0.5).toAmountString()).toBe('-0.03');
+        });
+
+        await test.step('AND a float product just below the cent should not lose it', async () => {
+            // 1.15 * 3 === 3.4499999999999997 as a float
+            expect(Money.parse('$1.15').times(3).toAmountString()).toBe('3.45');
+            expect(Money.parse('$25.75').times(12).toString()).toBe('$309.00');
+        });
+
+        await test.step('AND a non-finite factor should be refused', async () => {
+            expect(() => Money.parse('$1.00').times(Number.NaN)).toThrow(TypeError);
+        });
+    });
+
+    test('TC-API-54: should compare amounts across formats', async () => {
+        await test.step('THEN compareTo should order amounts by value', async () => {
+            expect(Money.parse('-$12.34').compareTo('$0.01')).toBe(-1);
+            expect(Money.parse('$1,234.56').compareTo(1234.56)).toBe(0);
+            expect(Money.parse('$100.00').compareTo('99.99')).toBe(1);
+        });
+
+        await test.step('AND equals should accept any money representation', async () => {
+            expect(Money.parse('$1,234.56').equals(1234.56)).toBe(true);
+            expect(Money.parse('-$12.34').equals('$-12.34')).toBe(true);
+            expect(Money.parse('-0.00').equals(0)).toBe(true);
+            expect(Object.is(Money.parse('-0.00').cents, 0)).toBe(true);
+        });
+
+        await test.step('AND garbage should be unequal rather than throw, but not comparable', async () => {
+            expect(Money.parse('$1.00').equals('one dollar')).toBe(false);
+            expect(() => Money.parse('$1.00').compareTo('one dollar')).toThrow(TypeError);
+        });
+    });
+
+    test('TC-API-55: should format amounts the way the Parabank UI renders them', async () => {
+        const uiAmounts = ['$0.00', '$0.05', '$12.34', '-$12.34', '$1,234.56', '-$1,234,567.89'];
+
+        await test.step('THEN toString should round-trip every UI amount', async () => {
+            expect(uiAmounts.map((amount) => Money.parse(amount).toString())).toEqual(uiAmounts);
+        });
+
+        await test.step('AND toAmountString and toJSON should give plain decimal values', async () => {
+            const money = Money.parse('-$1,234.50');
+
+            expect(money.toAmountString()).toBe('-1234.50');
+            expect(JSON.stringify({ balance: money })).toBe('{"balance":-1234.5}');
+        });
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * WHY: Buying and selling shares moves money between the funding account and
+ * the customer's portfolio. These specs check both sides of that movement over
+ * REST: the account is debited and credited by exactly shares × price, and the
+ * positions (and their price history) satisfy their Zod contracts.
+ */
+import { test, expect } from '../../../fixtures/indexFixtures.js';
+import {
+    PositionListSchema,
+    HistoryPointListSchema,
+} from '../../../fixtures/api/schemas/positionSchema.js';
+import { Money } from '../../../utils/money.js';
+
+const ORDER = { name: 'Parasoft Corp.', symbol: 'PRSF', shares: 5, pricePerShare: '12.34' };
+
+/**
+ * WHY: The purchase is the expected debit; computing it with Money keeps the
+ * expectation exact to the cent.
+ */
+const ORDER_TOTAL = Money.parse(ORDER.pricePerShare).times(ORDER.shares);
+
+/**
+ * @param {Date} date
+ * @returns {string} MM-dd-yyyy, the date format of Parabank's REST paths.
+ */
+function toParabankDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${date.getFullYear()}`;
+}
+
+test.describe('API - Positions - Buy & Sell', { tag: ['@regression', '@api'] }, () => {
+    test('TC-API-18: should debit the funding account by shares × price when buying', async ({
+        apiUserCreationFixture,
+        parabankClient,
+    }) => {
+        const { checkingAccountId } = apiUserCreationFixture;
+        let balanceBefore;
+        let positions;
+
+        await test.step('GIVEN the balance of the funding account is captured', async () => {
+            ({ balance: balanceBefore } = await parabankClient.getAccount(checkingAccountId));
+        });
+
+        await test.step(`WHEN ${ORDER.shares} shares of ${ORDER.symbol} are bought at $${ORDER.pricePerShare}`, async () => {
+            positions = await parabankClient.buyPosition({
+                accountId: checkingAccountId,
+                ...ORDER,
+            });
+        });
+
+        await test.step('THEN the portfolio should hold the new position', async () => {
+            expect(positions).toMatchSchema(PositionListSchema);
+            expect(positions).toEqual([
+                expect.objectContaining({
+                    customerId: apiUserCreationFixture.customerId,
+                    symbol: ORDER.symbol,
+                    shares: ORDER.shares,
+                    purchasePrice: Number(ORDER.pricePerShare),
+                }),
+            ]);
+        });
+
+        await test.step('AND the funding account should be debited by shares × price', async () => {
+            const { balance: balanceAfter } = await parabankClient.getAccount(checkingAccountId);
+            expect(balanceAfter).toHaveBalanceDelta(balanceBefore, ORDER_TOTAL.negate());
+        });
+    });
+
+    test('TC-API-19: should credit the account back when the shares are sold at the same price', async ({
+        apiUserCreationFixture,
+        parabankClient,
+    }) => {
+        const { checkingAccountId } = apiUserCreationFixture;
+        let balanceBeforeSale;
+        let position;
+        let positionsAfterSale;
+
+        await test.step('GIVEN the customer holds a freshly bought position', async () => {
+            [position] = await parabankClient.buyPosition({
+                accountId: checkingAccountId,
+                ...ORDER,
+            });
+            ({ balance: balanceBeforeSale } = await parabankClient.getAccount(checkingAccountId));
+        });
+
+        await test.step('WHEN every share is sold at the purchase price', async () => {
+            positionsAfterSale = await parabankClient.sellPosition({
+                accountId: checkingAccountId,
+                positionId: position.positionId,
+                shares: ORDER.shares,
+                pricePerShare: ORDER.pricePerShare,
+            });
+        });
+
+        await test.step('THEN the account should be credited by shares × price', async () => {
+            const { balance: balanceAfterSale } =
+                await parabankClient.getAccount(checkingAccountId);
+            expect(balanceAfterSale).toHaveBalanceDelta(balanceBeforeSale, ORDER_TOTAL);
+        });
+
+        await test.step('AND the sold position should be closed', async () => {
+            expect(positionsAfterSale).toMatchSchema(PositionListSchema);
+            expect(positionsAfterSale.map(({ positionId }) => positionId)).not.toContain(
+                position.positionId,
+            );
+        });
+
+        await test.step('AND the ledger should show the purchase and the sale', async () => {
+            const transactions = await parabankClient.findTransactions(checkingAccountId, {
+                amount: ORDER_TOTAL.toAmountString(),
+            });
+
+            expect(transactions).toContainTransaction({ amount: ORDER_TOTAL, type: 'Debit' });
+            expect(transactions).toContainTransaction({ amount: ORDER_TOTAL, type: 'Credit' });
+        });
+    });
+
+    test('TC-API-20: should return the price history of a position', async ({
+        apiUserCreationFixture,
+        parabankClient,
+    }) => {
+        const endDate = new Date();
+        const startDate = new Date(
+            endDate.getFullYear(),
+            endDate.getMonth(),
+            endDate.getDate() - 6,
+        );
+        let position;
+        let history;
+
+        await test.step('GIVEN the customer holds a position', async () => {
+            [position] = await parabankClient.buyPosition({
+                accountId: apiUserCreationFixture.checkingAccountId,
+                ...ORDER,
+            });
+        });
+
+        await test.step('WHEN the history of the last seven days is requested', async () => {
+            history = await parabankClient.getPositionHistory(position.positionId, {
+                startDate: toParabankDate(startDate),
+                endDate: toParabankDate(endDate),
+            });
+        });
+
+        await test.step('THEN every point should be a closing price of that symbol', async () => {
+            expect(history).toMatchSchema(HistoryPointListSchema);
+            expect(history.length).toBeGreaterThan(0);
+            expect(new Set(history.map(({ symbol }) => symbol))).toEqual(new Set([ORDER.symbol]));
+        });
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * WHY: The REST layer applies the same loan processor as the UI. Running the
+ * decision matrix against /requestLoan validates the LoanResponse contract and
+ * the resulting account state without a browser.
+ */
+import { test, expect } from '../../../fixtures/indexFixtures.js';
+import { LoanResponseSchema } from '../../../fixtures/api/schemas/loanSchema.js';
+
+/**
+ * Loan decision matrix: amount × down payment × funding account balance.
+ * WHY: The loan processor checks both the down payment share of the amount and
+ * whether the funding account can cover the down payment. Each scenario seeds its
+ * funding account with an exact balance (apiAccountWithBalance), mirroring the
+ * UI matrix in request-loan.spec.js, so the REST decision is checked against funds too.
+ */
+const LOAN_SCENARIOS = [
+    {
+        id: 'TC-API-05a',
+        amount: '100.00',
+        downPayment: '25.00',
+        balance: '100.00',
+        approved: true,
+    },
+    {
+        id: 'TC-API-05b',
+        amount: '1000.00',
+        downPayment: '10.00',
+        balance: '100.00',
+        approved: false,
+    },
+    {
+        id: 'TC-API-05c',
+        amount: '200.00',
+        downPayment: '150.00',
+        balance: '100.00',
+        approved: false,
+    },
+    {
+        id: 'TC-API-05d',
+        amount: '100000.00',
+        downPayment: '90.00',
+        balance: '100.00',
+        approved: false,
+    },
+    {
+        id: 'TC-API-05e',
+        amount: '200.00',
+        downPayment: '150.00',
+        balance: '500.00',
+        approved: true,
+    },
+    {
+        id: 'TC-API-05f',
+        amount: '1000.00',
+        downPayment: '10.00',
+        balance: '5000.00',
+        approved: false,
+    },
+];
+
+test.describe('API - Request Loan - Decision Matrix', { tag: ['@regression', '@api'] }, () => {
+    for (const scenario of LOAN_SCENARIOS) {
+        test(`${scenario.id}: should ${scenario.approved ? 'approve' : 'deny'} a $${scenario.amount} loan with a $${scenario.downPayment} down payment from a $${scenario.balance} balance`, async ({
+            apiAccountWithBalance,
+            parabankClient,
+        }) => {
+            let fundingAccount;
+            let decision;
+
+            await test.step(`GIVEN a savings account seeded with $${scenario.balance}`, async () => {
+                fundingAccount = await apiAccountWithBalance({
+                    type: 'SAVINGS',
+                    balance: scenario.balance,
+                });
+            });
+
+            await test.step(`WHEN a loan is requested from the $${scenario.balance} savings account`, async () => {
+                decision = await parabankClient.requestLoan({
+                    amount: scenario.amount,
+                    downPayment: scenario.downPayment,
+                    fromAccountId: fundingAccount.accountId,
+                });
+            });
+
+            await test.step('THEN the loan decision should match the expected outcome', async () => {
+                expect(decision).toMatchSchema(LoanResponseSchema);
+                expect(decision.approved).toBe(scenario.approved);
+
+                // WHY: A new loan account ID is only issued for approved loans
+                expect(Boolean(decision.accountId)).toBe(scenario.approved);
+            });
+
+            await test.step('AND a LOAN account should exist only for approved loans', async () => {
+                const accounts = await parabankClient.getAccounts();
+                const loanAccounts = accounts.filter((account) => account.type === 'LOAN');
+
+                expect(loanAccounts.map((account) => account.id)).toEqual(
+                    [decision.accountId].filter(Boolean),
+                );
+            });
+        });
+    }
+});
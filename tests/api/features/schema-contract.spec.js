@@ -0,0 +1,159 @@
+/**
+ * WHY: apiRequest({ schema }) is the contract mode every typed client call relies
+ * on. A throwaway local server answers each response type with a payload that
+ * honours the contract and one that breaks it, so the typed result, the XML
+ * coercion and the reported Zod issue paths are checked against known bodies.
+ */
+import http from 'http';
+import { z } from 'zod';
+import { test, expect } from '../../../fixtures/indexFixtures.js';
+import { RESPONSE_TYPES } from '../../../utils/api-helper.js';
+import { SchemaValidationError, toJsonPath } from '../../../utils/schema-validator.js';
+import { AccountSchema, AccountListSchema } from '../../../fixtures/api/schemas/accountSchema.js';
+
+const TransferMessageSchema = z.string().regex(/^Successfully transferred \$\d+\.\d{2}/);
+
+/**
+ * WHY: One entry per response type. `valid` must parse into `expected`; `invalid`
+ * must fail with exactly `issuePaths`.
+ */
+const CONTRACTS = [
+    {
+        ids: ['TC-API-44', 'TC-API-45'],
+        responseType: RESPONSE_TYPES.JSON,
+        contentType: 'application/json',
+        schema: AccountSchema,
+        valid: '{"id":13344,"customerId":12212,"type":"CHECKING","balance":-12.5}',
+        invalid: '{"id":"13344","customerId":12212,"type":"BROKERAGE","balance":10}',
+        expected: { id: 13344, customerId: 12212, type: 'CHECKING', balance: -12.5 },
+        issuePaths: ['$.id', '$.type'],
+    },
+    {
+        ids: ['TC-API-46', 'TC-API-47'],
+        responseType: RESPONSE_TYPES.XML,
+        contentType: 'application/xml',
+        schema: AccountListSchema,
+        valid:
+            '<accounts><account><id>13344</id><customerId>12212</customerId>' +
+            '<type>SAVINGS</type><balance>1500.25</balance></account></accounts>',
+        invalid:
+            '<accounts><account><id>13344</id><customerId>unknown</customerId>' +
+            '<type>SAVINGS</type></account></accounts>',
+        expected: [{ id: 13344, customerId: 12212, type: 'SAVINGS', balance: 1500.25 }],
+        issuePaths: ['$[0].customerId', '$[0].balance'],
+    },
+    {
+        ids: ['TC-API-48', 'TC-API-49'],
+        responseType: RESPONSE_TYPES.TEXT,
+        contentType: 'text/plain',
+        schema: TransferMessageSchema,
+        valid: 'Successfully transferred $10.00 from account #13344 to account #13455',
+        invalid: 'Could not find account number 13344 and/or 13455',
+        expected: 'Successfully transferred $10.00 from account #13344 to account #13455',
+        issuePaths: ['$'],
+    },
+];
+
+/**
+ * Starts a local server answering /<responseType>/<valid|invalid> with the
+ * matching payload of CONTRACTS.
+ *
+ * @returns {Promise<{ baseUrl: string, close: () => Promise<void> }>}
+ */
+async function startContractServer() {
+    const server = http.createServer((req, res) => {
+        const [, responseType, variant] = req.url.split('/');
+        const contract = CONTRACTS.find((candidate) => candidate.responseType === responseType);
+
+        if (!contract || !['valid', 'invalid'].includes(variant)) {
+            res.writeHead(404).end();
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': contract.contentType }).end(contract[variant]);
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => {
+            server.closeAllConnections();
+            return new Promise((resolve) => server.close(resolve));
+        },
+    };
+}
+
+test.describe('API - Schema Contract Mode', { tag: ['@regression', '@api'] }, () => {
+    /** @type {Awaited<ReturnType<typeof startContractServer>>} */
+    let contractServer;
+
+    test.beforeAll(async () => {
+        contractServer = await startContractServer();
+    });
+
+    test.afterAll(async () => {
+        await contractServer.close();
+    });
+
+    for (const contract of CONTRACTS) {
+        const [passingId, failingId] = contract.ids;
+
+        test(`${passingId}: should return the typed body of a ${contract.responseType} response that honours its schema`, async ({
+            apiRequest,
+        }) => {
+            let response;
+
+            await test.step(`WHEN a valid ${contract.responseType} body is requested with a schema`, async () => {
+                response = await apiRequest({
+                    method: 'GET',
+                    url: `/${contract.responseType}/valid`,
+                    baseUrl: contractServer.baseUrl,
+                    schema: contract.schema,
+                    responseType: contract.responseType,
+                    retry: false,
+                });
+            });
+
+            await test.step('THEN the body should be the parsed, typed payload', async () => {
+                expect(response.status).toBe(200);
+                expect(response.body).toEqual(contract.expected);
+            });
+        });
+
+        test(`${failingId}: should fail a ${contract.responseType} response that breaks its schema with the Zod issue paths`, async ({
+            apiRequest,
+        }) => {
+            const url = `/${contract.responseType}/invalid`;
+            let contractError;
+
+            await test.step(`WHEN an invalid ${contract.responseType} body is requested with a schema`, async () => {
+                contractError = await apiRequest({
+                    method: 'GET',
+                    url,
+                    baseUrl: contractServer.baseUrl,
+                    schema: contract.schema,
+                    responseType: contract.responseType,
+                    retry: false,
+                }).catch((error) => error);
+            });
+
+            await test.step('THEN the call should fail with a SchemaValidationError naming every broken path', async () => {
+                expect(contractError).toBeInstanceOf(SchemaValidationError);
+                expect(contractError.issues.map((issue) => toJsonPath(issue.path))).toEqual(
+                    contract.issuePaths,
+                );
+            });
+
+            await test.step('AND the message should name the call and list each path', async () => {
+                expect(contractError.message).toContain(
+                    `GET ${url} (status 200) response does not match the expected schema`,
+                );
+
+                for (const issuePath of contract.issuePaths) {
+                    expect(contractError.message).toContain(`  - ${issuePath}: `);
+                }
+            });
+        });
+    }
+});
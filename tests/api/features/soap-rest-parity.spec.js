@@ -0,0 +1,148 @@
+/**
+ * WHY: Parabank serves the same banking operations over SOAP and JSON REST.
+ * Running each operation over both transports and comparing the validated
+ * results catches a transport that drifts (missing fields, rounding, ordering)
+ * even when each one still satisfies its schema on its own.
+ */
+import { test, expect } from '../../../fixtures/indexFixtures.js';
+import { SoapFaultError } from '../../../utils/soap-client.js';
+import { FEATURES, isFeatureAvailable } from '../../../utils/environment-guard.js';
+import { UserResponseSchema } from '../../../fixtures/api/schemas/userSchema.js';
+import { AccountListSchema, AccountSchema } from '../../../fixtures/api/schemas/accountSchema.js';
+import { TransactionListSchema } from '../../../fixtures/api/schemas/transactionSchema.js';
+
+/**
+ * WHY: REST serializes dates as epoch milliseconds while SOAP uses xsd:dateTime
+ * strings. Comparing instants keeps the parity check independent of the format.
+ */
+const toComparableTransactions = (transactions) =>
+    transactions
+        .map((transaction) => ({ ...transaction, date: new Date(transaction.date).getTime() }))
+        .sort((first, second) => first.id - second.id);
+
+const sortById = (records) => [...records].sort((first, second) => first.id - second.id);
+
+test.describe('API - SOAP vs REST Parity', { tag: ['@regression', '@api', '@soap'] }, () => {
+    test.skip(
+        !isFeatureAvailable(FEATURES.SOAP_SERVICE),
+        'The environment profile lists the SOAP service as unavailable',
+    );
+
+    test('TC-API-06: should return the same customer from SOAP and REST login', async ({
+        apiUserCreationFixture,
+        parabankClient,
+        parabankSoapClient,
+    }) => {
+        const { username, password } = apiUserCreationFixture;
+        let restCustomer;
+        let soapCustomer;
+
+        await test.step('WHEN the customer logs in over REST and over SOAP', async () => {
+            restCustomer = await parabankClient.login(username, password);
+            soapCustomer = await parabankSoapClient.login(username, password);
+        });
+
+        await test.step('THEN both transports should return the same customer', async () => {
+            expect(soapCustomer).toMatchSchema(UserResponseSchema);
+            expect(soapCustomer).toEqual(restCustomer);
+        });
+    });
+
+    test('TC-API-07: should return the same accounts from SOAP and REST', async ({
+        apiSavingsAccountCreationFixture,
+        apiUserCreationFixture,
+        parabankClient,
+        parabankSoapClient,
+    }) => {
+        let restAccounts;
+        let soapAccounts;
+
+        await test.step('GIVEN a customer with a checking and a savings account', async () => {
+            expect(apiSavingsAccountCreationFixture.savingsAccountId).toBeTruthy();
+        });
+
+        await test.step('WHEN the accounts are listed over REST and over SOAP', async () => {
+            restAccounts = await parabankClient.getAccounts(apiUserCreationFixture.customerId);
+            soapAccounts = await parabankSoapClient.getAccounts(apiUserCreationFixture.customerId);
+        });
+
+        await test.step('THEN both transports should list the same accounts and balances', async () => {
+            expect(soapAccounts).toMatchSchema(AccountListSchema);
+            expect(soapAccounts).toHaveLength(2);
+            expect(sortById(soapAccounts)).toEqual(sortById(restAccounts));
+        });
+
+        await test.step('AND a single account should match as well', async () => {
+            const soapAccount = await parabankSoapClient.getAccount(
+                apiSavingsAccountCreationFixture.savingsAccountId,
+            );
+            const restAccount = await parabankClient.getAccount(
+                apiSavingsAccountCreationFixture.savingsAccountId,
+            );
+
+            expect(soapAccount).toMatchSchema(AccountSchema);
+            expect(soapAccount).toEqual(restAccount);
+        });
+    });
+
+    test('TC-API-08: should record a SOAP transfer identically in the SOAP and REST ledgers', async ({
+        apiSavingsAccountCreationFixture,
+        apiUserCreationFixture,
+        parabankClient,
+        parabankSoapClient,
+    }) => {
+        const { checkingAccountId } = apiUserCreationFixture;
+        const { savingsAccountId } = apiSavingsAccountCreationFixture;
+        const transferAmount = '12.34';
+        let confirmation;
+
+        await test.step('WHEN funds are transferred over SOAP', async () => {
+            confirmation = await parabankSoapClient.transfer({
+                fromAccountId: checkingAccountId,
+                toAccountId: savingsAccountId,
+                amount: transferAmount,
+            });
+        });
+
+        await test.step('THEN SOAP should confirm the transfer with the REST wording', async () => {
+            expect(confirmation).toBe(
+                `Successfully transferred $${transferAmount} from account #${checkingAccountId} to account #${savingsAccountId}`,
+            );
+        });
+
+        await test.step('AND both transports should return the same ledger for the source account', async () => {
+            const soapTransactions = await parabankSoapClient.getTransactions(checkingAccountId);
+            const restTransactions = await parabankClient.findTransactions(checkingAccountId);
+
+            expect(soapTransactions).toMatchSchema(TransactionListSchema);
+            expect(soapTransactions).toContainTransaction({
+                amount: transferAmount,
+                type: 'Debit',
+                description: 'Funds Transfer Sent',
+            });
+            expect(toComparableTransactions(soapTransactions)).toEqual(
+                toComparableTransactions(restTransactions),
+            );
+        });
+    });
+
+    test('TC-API-09: should raise a typed SOAP fault for invalid credentials', async ({
+        parabankSoapClient,
+    }) => {
+        let loginError;
+
+        await test.step('WHEN logging in over SOAP with unknown credentials', async () => {
+            loginError = await parabankSoapClient
+                .login('no-such-user', 'wrong-password')
+                .catch((error) => error);
+        });
+
+        await test.step('THEN the call should fail with a typed SoapFaultError', async () => {
+            expect(loginError).toBeInstanceOf(SoapFaultError);
+            expect(loginError).toMatchObject({
+                operation: 'login',
+                faultString: expect.stringMatching(/invalid username and\/or password/i),
+            });
+        });
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * WHY: The pool is checked with a counting stand-in for provisioning, so lazy
+ * filling, lease exclusivity and growth are proven by how many users were
+ * actually created, without registering anyone on Parabank.
+ */
+import { test, expect } from '../../../fixtures/indexFixtures.js';
+import { UserPool, MUTATING_TAG } from '../../../utils/user-pool.js';
+
+/**
+ * Creates a pool whose provision() returns numbered users after a short delay.
+ * WHY: The delay lets concurrent leases interleave, as they do with real
+ * registrations.
+ */
+function createCountingPool(size) {
+    let provisioned = 0;
+
+    const pool = new UserPool({
+        size,
+        provision: async () => {
+            provisioned += 1;
+            const user = { username: `pooled-${provisioned}` };
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            return user;
+        },
+    });
+
+    return { pool, provisionedCount: () => provisioned };
+}
+
+test.describe('API - Worker User Pool', { tag: ['@regression', '@api'] }, () => {
+    test('TC-API-34: should provision nothing until the first lease, then fill to its size', async () => {
+        const { pool, provisionedCount } = createCountingPool(3);
+        let leasedUser;
+
+        await test.step('GIVEN a new pool of three users', async () => {
+            expect(provisionedCount()).toBe(0);
+            expect(pool.available).toBe(0);
+        });
+
+        await test.step('WHEN the first user is leased', async () => {
+            leasedUser = await pool.lease('first test');
+        });
+
+        await test.step('THEN the pool should have been filled once and hold two idle users', async () => {
+            expect(provisionedCount()).toBe(3);
+            expect(pool.available).toBe(2);
+            expect(pool.isLeased(leasedUser)).toBe(true);
+        });
+    });
+
+    test('TC-API-35: should lease distinct users to concurrent tests', async () => {
+        const { pool, provisionedCount } = createCountingPool(2);
+        let leasedUsers;
+
+        await test.step('WHEN two tests lease at the same time', async () => {
+            leasedUsers = await Promise.all([pool.lease('test A'), pool.lease('test B')]);
+        });
+
+        await test.step('THEN each should hold a different user from a single fill', async () => {
+            const [first, second] = leasedUsers;
+
+            expect(first).not.toBe(second);
+            expect(provisionedCount()).toBe(2);
+            expect(pool.available).toBe(0);
+        });
+    });
+
+    test('TC-API-36: should grow by one user when every user is leased', async () => {
+        const { pool, provisionedCount } = createCountingPool(1);
+        let extraUser;
+
+        await test.step('GIVEN the only pooled user is leased', async () => {
+            await pool.lease('holder');
+        });
+
+        await test.step('WHEN another test leases', async () => {
+            extraUser = await pool.lease('latecomer');
+        });
+
+        await test.step('THEN a new user should have been provisioned for it', async () => {
+            expect(extraUser.username).toBe('pooled-2');
+            expect(provisionedCount()).toBe(2);
+            expect(pool.users).toHaveLength(2);
+        });
+
+        await test.step('AND a released user should be reused instead of growing again', async () => {
+            pool.release(extraUser);
+
+            expect(await pool.lease('next')).toBe(extraUser);
+            expect(provisionedCount()).toBe(2);
+        });
+    });
+
+    test('TC-API-37: should refuse to release a user that is not leased', async () => {
+        const { pool } = createCountingPool(1);
+        let leasedUser;
+
+        await test.step('GIVEN a user is leased and released', async () => {
+            leasedUser = await pool.lease('holder');
+            pool.release(leasedUser);
+        });
+
+        await test.step('THEN releasing it again should fail naming the user', async () => {
+            expect(() => pool.release(leasedUser)).toThrow(
+                'User pooled-1 was released without an active lease',
+            );
+        });
+
+        await test.step('AND releasing a user the pool never owned should fail too', async () => {
+            expect(() => pool.release({ username: 'stranger' })).toThrow(
+                'User stranger was released without an active lease',
+            );
+        });
+    });
+
+    /**
+     * WHY: The tag is kept out of the title, where Playwright would turn it into
+     * a tag of this test.
+     */
+    test('TC-API-38: should make tests tagged as mutating register a fresh user', async () => {
+        const { pool, provisionedCount } = createCountingPool(2);
+        let mutatingLease;
+        let readOnlyLease;
+
+        await test.step(`WHEN a ${MUTATING_TAG} test and a read-only test ask for a user`, async () => {
+            mutatingLease = await pool.leaseFor({
+                title: 'updates the profile',
+                tags: [MUTATING_TAG],
+            });
+            readOnlyLease = await pool.leaseFor({ title: 'reads the overview', tags: ['@smoke'] });
+        });
+
+        await test.step(`THEN the ${MUTATING_TAG} test should get no pooled user`, async () => {
+            expect(mutatingLease).toBeNull();
+        });
+
+        await test.step('AND only the read-only test should hold a lease', async () => {
+            expect(pool.isLeased(readOnlyLease)).toBe(true);
+            expect(pool.leases.get(readOnlyLease)).toBe('reads the overview');
+            expect(provisionedCount()).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * WHY: Without an Accept header, Parabank's REST services answer in XML. apiRequest
+ * converts XML into the same plain-object shape as JSON, so the existing schemas
+ * validate both formats and the two representations can be compared directly.
+ */
+import { test, expect } from '../../../fixtures/indexFixtures.js';
+import { PARABANK_ENDPOINTS } from '../../../utils/parabank-client.js';
+import { RESPONSE_TYPES } from '../../../utils/api-helper.js';
+import { UserResponseSchema } from '../../../fixtures/api/schemas/userSchema.js';
+import { AccountListSchema } from '../../../fixtures/api/schemas/accountSchema.js';
+import { TransactionListSchema } from '../../../fixtures/api/schemas/transactionSchema.js';
+
+/**
+ * WHY: The JSON serializer writes dates as epoch milliseconds and the XML one as
+ * xsd:dateTime, so transactions are compared by instant.
+ */
+const toComparableTransactions = (transactions) =>
+    transactions.map((transaction) => ({
+        ...transaction,
+        date: new Date(transaction.date).getTime(),
+    }));
+
+/**
+ * Fetches the same resource as JSON and as XML.
+ */
+async function fetchAsJsonAndXml(apiRequest, url, schema) {
+    const jsonResponse = await apiRequest({
+        method: 'GET',
+        url,
+        headers: { Accept: 'application/json' },
+        schema,
+    });
+
+    const xmlResponse = await apiRequest({
+        method: 'GET',
+        url,
+        headers: { Accept: 'application/xml' },
+        schema,
+    });
+
+    return { jsonResponse, xmlResponse };
+}
+
+test.describe('API - XML Responses', { tag: ['@regression', '@api'] }, () => {
+    test('TC-API-10: should validate the customer XML with the JSON customer schema', async ({
+        userAndAccountCreationForApiFixture,
+        authenticatedApiSession,
+        apiRequest,
+    }) => {
+        let responses;
+
+        await test.step('GIVEN a valid authenticated session', async () => {
+            expect(authenticatedApiSession.get('JSESSIONID')).toBeTruthy();
+        });
+
+        await test.step('WHEN the customer is requested as JSON and as XML', async () => {
+            responses = await fetchAsJsonAndXml(
+                apiRequest,
+                PARABANK_ENDPOINTS.customer(userAndAccountCreationForApiFixture.customerId),
+                UserResponseSchema,
+            );
+        });
+
+        await test.step('THEN the XML response should be XML and equal the JSON customer', async () => {
+            expect(responses.xmlResponse.headers['content-type']).toContain('xml');
+            expect(responses.xmlResponse.body).toEqual(responses.jsonResponse.body);
+        });
+    });
+
+    test('TC-API-11: should map repeated XML elements to the same lists as JSON', async ({
+        userAndAccountCreationForApiFixture,
+        authenticatedApiSession,
+        parabankClient,
+        apiRequest,
+    }) => {
+        const { customerId, checkingAccountId, savingsAccountId } =
+            userAndAccountCreationForApiFixture;
+
+        await test.step('GIVEN the checking account has a transfer in its ledger', async () => {
+            expect(authenticatedApiSession.get('JSESSIONID')).toBeTruthy();
+
+            await parabankClient.transfer({
+                fromAccountId: checkingAccountId,
+                toAccountId: savingsAccountId,
+                amount: '7.50',
+            });
+        });
+
+        await test.step('THEN the accounts list should be identical in XML and JSON', async () => {
+            const { jsonResponse, xmlResponse } = await fetchAsJsonAndXml(
+                apiRequest,
+                PARABANK_ENDPOINTS.customerAccounts(customerId),
+                AccountListSchema,
+            );
+
+            expect(xmlResponse.body).toHaveLength(2);
+            expect(xmlResponse.body).toEqual(jsonResponse.body);
+        });
+
+        await test.step('AND the transaction list should be identical in XML and JSON', async () => {
+            const { jsonResponse, xmlResponse } = await fetchAsJsonAndXml(
+                apiRequest,
+                PARABANK_ENDPOINTS.transactions(checkingAccountId),
+                TransactionListSchema,
+            );
+
+            expect(xmlResponse.body).toContainTransaction({
+                amount: '7.50',
+                type: 'Debit',
+                description: 'Funds Transfer Sent',
+            });
+            expect(toComparableTransactions(xmlResponse.body)).toEqual(
+                toComparableTransactions(jsonResponse.body),
+            );
+        });
+    });
+
+    test('TC-API-12: should return the raw document when the text response type is forced', async ({
+        userAndAccountCreationForApiFixture,
+        authenticatedApiSession,
+        apiRequest,
+    }) => {
+        let response;
+
+        await test.step('GIVEN a valid authenticated session', async () => {
+            expect(authenticatedApiSession.get('JSESSIONID')).toBeTruthy();
+        });
+
+        await test.step('WHEN the accounts are requested as XML with responseType "text"', async () => {
+            response = await apiRequest({
+                method: 'GET',
+                url: PARABANK_ENDPOINTS.customerAccounts(
+                    userAndAccountCreationForApiFixture.customerId,
+                ),
+                headers: { Accept: 'application/xml' },
+                responseType: RESPONSE_TYPES.TEXT,
+            });
+        });
+
+        await test.step('THEN the body should be the unparsed XML document', async () => {
+            expect(response.status).toBe(200);
+            expect(typeof response.body).toBe('string');
+            expect(response.body).toContain(
+                `<id>${userAndAccountCreationForApiFixture.checkingAccountId}</id>`,
+            );
+        });
+    });
+});
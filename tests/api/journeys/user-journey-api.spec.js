@@ -1,42 +1,26 @@
 /**
  * WHY: This suite validates the full lifecycle of a user's financial session.
- * We use .serial because each test depends on the authentication and state
- * (JSESSIONID and account funds) created by the previous step.
+ * Each test receives its own provisioned user and authenticated cookie jar from
+ * fixtures, so the tests are independent and can run in parallel.
  */
 import { test, expect } from '../../../fixtures/indexFixtures.js';
-import { UserResponseSchema } from '../../../fixtures/api/schemas/userSchema';
-import { TransactionListSchema } from '../../../fixtures/api/schemas/transactionSchema';
-import { extractCookie } from '../../../utils/api-helper.js';
 
 /**
- * WHY: Centralizing endpoints follows the DRY principle. If the Parabank API
- * version updates or paths change, we only modify this single object.
+ * WHY: Generating a random amount makes the ledger search unambiguous, since
+ * no other transaction on the account will share the same value.
  */
-const PARABANK_ENDPOINTS = {
-    loginHtml: '/parabank/login.htm',
-    accounts: (accountId) => `/parabank/services/bank/accounts/${accountId}/transactions/amount`,
-    transfer: '/parabank/services/bank/transfer',
-    userDetails: (user, pass) => `/parabank/services/bank/login/${user}/${pass}`,
-};
-
-test.describe.serial(
+const generateTransferAmount = () => (Math.random() * (10 - 1) + 1).toFixed(2);
+
+test.describe(
     'API - User Banking Journey - Ledger Validation',
     {
         tag: ['@smoke', '@journey', '@api'],
     },
     () => {
-        let userContext;
-        let sharedSessionId;
-
-        /**
-         * WHY: Generating the amount at the suite level ensures data parity
-         * between the "Transfer" action and the "Search" verification steps.
-         */
-        const transferAmount = (Math.random() * (10 - 1) + 1).toFixed(2);
-
         test('TC-API-01: should authenticate and capture a valid session ID', async ({
             userAndAccountCreationForApiFixture,
-            apiRequest,
+            parabankClient,
+            apiSession,
         }) => {
             await test.step('GIVEN a newly registered user with bank accounts', async () => {
                 /**
@@ -44,33 +28,18 @@ test.describe.serial(
                  * This follows the Single Responsibility Principle, ensuring this
                  * test focuses only on the API communication.
                  */
-                userContext = userAndAccountCreationForApiFixture;
+                expect(userAndAccountCreationForApiFixture.username).toBeTruthy();
             });
 
-            let response;
-
             await test.step('WHEN the user authenticates via the legacy login form', async () => {
-                response = await apiRequest({
-                    method: 'POST',
-                    url: PARABANK_ENDPOINTS.loginHtml,
-                    baseUrl: process.env.APP_BASE_URL,
-                    isFormData: true, // WHY: Parabank's legacy .htm endpoint expects form-data
-                    body: {
-                        username: userContext.username,
-                        password: userContext.password,
-                    },
-                });
-
                 /**
-                 * WHY: A successful login in Parabank results in a 302 Redirect.
-                 * We verify the redirect status to ensure authentication was successful.
+                 * WHY: The SDK asserts the 302 redirect, and the apiSession cookie
+                 * jar captures every Set-Cookie header from the response.
                  */
-                expect([301, 302], `Login failed with status ${response.status}`).toContain(
-                    response.status,
+                await parabankClient.login(
+                    userAndAccountCreationForApiFixture.username,
+                    userAndAccountCreationForApiFixture.password,
                 );
-
-                // Capture the session cookie required for subsequent REST calls
-                sharedSessionId = extractCookie(response.headers, 'JSESSIONID');
             });
 
             await test.step('THEN a valid JSESSIONID should be captured for stateful requests', async () => {
@@ -79,80 +48,57 @@ test.describe.serial(
                  * return a 401/403 or empty data sets.
                  */
                 expect(
-                    sharedSessionId,
+                    apiSession.get('JSESSIONID'),
                     'Session ID (JSESSIONID) was not found in response headers',
-                ).toBeTruthy();
+                ).toMatch(/^JSESSIONID=/);
             });
         });
 
         test('TC-API-02: should validate user profile details against the contract schema', async ({
-            apiRequest,
+            userAndAccountCreationForApiFixture,
+            authenticatedApiSession,
+            parabankClient,
         }) => {
-            await test.step('GIVEN a valid authenticated session', async () => {
-                expect(sharedSessionId).toBeTruthy();
-            });
+            let customer;
 
-            let response;
-
-            await test.step('WHEN the user profile details are requested', async () => {
-                response = await apiRequest({
-                    method: 'GET',
-                    url: PARABANK_ENDPOINTS.userDetails(userContext.username, userContext.password),
-                    baseUrl: process.env.APP_BASE_URL,
-                    headers: {
-                        Cookie: sharedSessionId,
-                        Accept: 'application/json',
-                    },
-                });
-
-                expect(response.status).toBe(200);
+            await test.step('GIVEN a valid authenticated session', async () => {
+                expect(authenticatedApiSession.get('JSESSIONID')).toBeTruthy();
             });
 
             /**
-             * WHY: We use Zod's safeParse to perform contract testing. This ensures
-             * the API provides all required PII (Personally Identifiable Information)
-             * in the correct format, catching backend regressions.
-             *
-             * NOTE: This step is moved outside the previous step to avoid nesting.
+             * WHY: The SDK validates the response with UserResponseSchema and throws
+             * a descriptive error listing the Zod issues if the contract is broken.
              */
-            await test.step('THEN user profile details should match the schema', async () => {
-                const validation = UserResponseSchema.safeParse(response.body);
+            await test.step('WHEN the user profile details are requested', async () => {
+                customer = await parabankClient.getCustomer();
+            });
 
-                /**
-                 * WHY: We avoid 'if' statements here to satisfy 'playwright/no-conditional-in-test'.
-                 * If validation fails, the error format is included in the assertion message.
-                 */
-                expect(
-                    validation.success,
-                    `User profile API response does not match the expected schema: ${JSON.stringify(validation.error?.format())}`,
-                ).toBe(true);
+            await test.step('THEN user profile details should match the registered identity', async () => {
+                expect(customer.firstName).toBe(userAndAccountCreationForApiFixture.firstName);
+                expect(customer.lastName).toBe(userAndAccountCreationForApiFixture.lastName);
+                expect(customer.address.street).toBe(userAndAccountCreationForApiFixture.street);
             });
         });
 
         test('TC-API-03: should successfully transfer funds between checking and savings accounts', async ({
-            apiRequest,
+            userAndAccountCreationForApiFixture,
+            authenticatedApiSession,
+            parabankClient,
         }) => {
-            const { checkingAccountId, savingsAccountId } = userContext;
-            let response;
+            const { checkingAccountId, savingsAccountId } = userAndAccountCreationForApiFixture;
+            const transferAmount = generateTransferAmount();
+            let confirmation;
+
+            await test.step('GIVEN a valid authenticated session', async () => {
+                expect(authenticatedApiSession.get('JSESSIONID')).toBeTruthy();
+            });
 
             await test.step('WHEN a POST request is sent to the transfer endpoint', async () => {
-                const queryParams = new URLSearchParams({
+                confirmation = await parabankClient.transfer({
                     fromAccountId: checkingAccountId,
                     toAccountId: savingsAccountId,
                     amount: transferAmount,
-                }).toString();
-
-                response = await apiRequest({
-                    method: 'POST',
-                    url: `${PARABANK_ENDPOINTS.transfer}?${queryParams}`,
-                    baseUrl: process.env.APP_BASE_URL,
-                    headers: {
-                        Accept: 'application/json',
-                        Cookie: sharedSessionId,
-                    },
                 });
-
-                expect(response.status).toBe(200);
             });
 
             /**
@@ -161,49 +107,47 @@ test.describe.serial(
              */
             await test.step('THEN transfer funds should be successful', async () => {
                 const expectedMessage = `Successfully transferred $${transferAmount} from account #${checkingAccountId} to account #${savingsAccountId}`;
-                expect(response.body).toBe(expectedMessage);
+                expect(confirmation).toBe(expectedMessage);
             });
         });
 
         test('TC-API-04: should verify the transaction ledger entry matches the transfer amount', async ({
-            apiRequest,
+            userAndAccountCreationForApiFixture,
+            authenticatedApiSession,
+            parabankClient,
         }) => {
-            const { checkingAccountId } = userContext;
-            let response;
+            const { checkingAccountId, savingsAccountId } = userAndAccountCreationForApiFixture;
+            const transferAmount = generateTransferAmount();
+            let transactions;
 
-            await test.step('WHEN querying the account transactions by amount', async () => {
-                const searchUrl = `${PARABANK_ENDPOINTS.accounts(checkingAccountId)}/${transferAmount}`;
-
-                response = await apiRequest({
-                    method: 'GET',
-                    url: searchUrl,
-                    baseUrl: process.env.APP_BASE_URL,
-                    headers: {
-                        Accept: 'application/json',
-                        Cookie: sharedSessionId,
-                    },
+            await test.step('GIVEN a transfer has been posted from an authenticated session', async () => {
+                expect(authenticatedApiSession.get('JSESSIONID')).toBeTruthy();
+
+                await parabankClient.transfer({
+                    fromAccountId: checkingAccountId,
+                    toAccountId: savingsAccountId,
+                    amount: transferAmount,
                 });
+            });
 
-                expect(response.status).toBe(200);
+            await test.step('WHEN querying the account transactions by amount', async () => {
+                // Schema validation of the ledger list is performed by the SDK
+                transactions = await parabankClient.findTransactions(checkingAccountId, {
+                    amount: transferAmount,
+                });
             });
 
             await test.step('THEN the transaction ledger should be valid and match the transfer', async () => {
-                // Perform Schema Validation to ensure the list structure is intact
-                const validation = TransactionListSchema.safeParse(response.body);
-                expect(
-                    validation.success,
-                    'Ledger response does not match Transaction schema',
-                ).toBe(true);
-
-                const latestTransaction = response.body[0];
-
                 /**
-                 * WHY: We verify the top ledger entry specifically to ensure
-                 * data integrity (IDs, amounts, and descriptions) across the system.
+                 * WHY: We verify the top ledger entry's account, then search the whole
+                 * result for the debit so amounts are compared in exact cents.
                  */
-                expect(latestTransaction.accountId).toBe(Number(checkingAccountId));
-                expect(latestTransaction.amount).toBe(Number(transferAmount));
-                expect(latestTransaction.description).toContain('Funds Transfer Sent');
+                expect(transactions[0].accountId).toBe(Number(checkingAccountId));
+                expect(transactions).toContainTransaction({
+                    amount: transferAmount,
+                    type: 'Debit',
+                    description: 'Funds Transfer Sent',
+                });
             });
         });
     },
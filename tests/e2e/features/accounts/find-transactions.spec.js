@@ -0,0 +1,202 @@
+/**
+ * WHY: This maintains a single source of truth for all Page Objects and custom fixtures,
+ * preventing import bloat and ensuring consistent configuration across the suite.
+ */
+import { test, expect } from '../../../../fixtures/indexFixtures.js';
+import { FEATURES, isFeatureAvailable } from '../../../../utils/environment-guard.js';
+
+const INDEX_PAGE_URL = '/parabank/index.htm';
+
+/**
+ * WHY: A random amount makes the seeded transfer the only match for an amount
+ * search, so UI and REST results can be compared without noise.
+ */
+const generateTransferAmount = () => (Math.random() * (10 - 1) + 1).toFixed(2);
+
+/**
+ * Seeds a transfer through the REST layer and returns the resulting debit.
+ * WHY: The transaction only needs to exist; creating it through the API keeps the
+ * UI steps focused on the Find Transactions screen. The API session is separate
+ * from the browser session, so the browser stays logged in.
+ */
+async function seedTransfer(parabankClient, user, savingsAccountId) {
+    const amount = generateTransferAmount();
+
+    await parabankClient.login(user.username, user.password);
+    await parabankClient.transfer({
+        fromAccountId: user.checkingAccountId,
+        toAccountId: savingsAccountId,
+        amount,
+    });
+
+    const [debit] = await parabankClient.findTransactions(user.checkingAccountId, { amount });
+
+    return { amount, debit };
+}
+
+/**
+ * WHY: Comparing by ID first gives a precise diff when a transaction is missing,
+ * then each REST entry is matched on amount, type and description.
+ */
+function expectSameTransactions(uiRows, restTransactions) {
+    const byId = (a, b) => a - b;
+
+    expect(uiRows.map((row) => row.id).sort(byId)).toEqual(
+        restTransactions.map((transaction) => transaction.id).sort(byId),
+    );
+
+    for (const { amount, type, description } of restTransactions) {
+        expect(uiRows).toContainTransaction({ amount, type, description });
+    }
+}
+
+test.describe('Find Transactions - UI vs REST Search', { tag: ['@regression', '@ui'] }, () => {
+    test.skip(
+        !isFeatureAvailable(FEATURES.FIND_TRANSACTIONS_PAGE),
+        'The environment profile lists the Find Transactions page as unavailable',
+    );
+
+    test.beforeEach(async ({ basePage, loginPage }) => {
+        /**
+         * WHY: We navigate to the entry page before every test to ensure a clean
+         * browser state and verify the application is responsive.
+         */
+        await basePage.navigateTo(INDEX_PAGE_URL);
+        await expect(loginPage.page).toHaveURL(new RegExp(INDEX_PAGE_URL));
+    });
+
+    test('TC-09: should find a transfer by amount and match the REST search', async ({
+        userCreationFixture,
+        savingsAccountCreationFixture,
+        parabankClient,
+        homePage,
+        findTransactionsPage,
+    }) => {
+        const { checkingAccountId } = userCreationFixture;
+        let seeded;
+        let uiRows;
+
+        await test.step('GIVEN a transfer has been posted from the checking account', async () => {
+            seeded = await seedTransfer(
+                parabankClient,
+                userCreationFixture,
+                savingsAccountCreationFixture.savingsAccountId,
+            );
+        });
+
+        await test.step('WHEN the user searches the checking account by amount', async () => {
+            await homePage.navigateViaLeftMenu('Find Transactions');
+            await findTransactionsPage.findByAmount(checkingAccountId, seeded.amount);
+            uiRows = await findTransactionsPage.getTransactions();
+        });
+
+        await test.step('THEN the UI results should match the REST amount search', async () => {
+            const restTransactions = await parabankClient.findTransactions(checkingAccountId, {
+                amount: seeded.amount,
+            });
+
+            expect(uiRows).toContainTransaction({
+                amount: seeded.amount,
+                type: 'Debit',
+                description: 'Funds Transfer Sent',
+            });
+            expectSameTransactions(uiRows, restTransactions);
+        });
+    });
+
+    test('TC-10: should find a single transaction by its ID', async ({
+        userCreationFixture,
+        savingsAccountCreationFixture,
+        parabankClient,
+        homePage,
+        findTransactionsPage,
+    }) => {
+        const { checkingAccountId } = userCreationFixture;
+        let seeded;
+        let uiRows;
+
+        await test.step('GIVEN a transfer has been posted from the checking account', async () => {
+            seeded = await seedTransfer(
+                parabankClient,
+                userCreationFixture,
+                savingsAccountCreationFixture.savingsAccountId,
+            );
+        });
+
+        await test.step('WHEN the user searches by the transaction ID', async () => {
+            await homePage.navigateViaLeftMenu('Find Transactions');
+            await findTransactionsPage.findById(checkingAccountId, seeded.debit.id);
+            uiRows = await findTransactionsPage.getTransactions();
+        });
+
+        await test.step('THEN exactly that transaction should be listed', async () => {
+            expect(uiRows).toHaveLength(1);
+            expectSameTransactions(uiRows, [seeded.debit]);
+        });
+    });
+
+    test('TC-11: should find transactions by date and date range and match the REST search', async ({
+        userCreationFixture,
+        savingsAccountCreationFixture,
+        parabankClient,
+        homePage,
+        findTransactionsPage,
+    }) => {
+        const { checkingAccountId } = userCreationFixture;
+        let seeded;
+        let transactionDate;
+
+        await test.step('GIVEN a transfer has been posted and its UI date is known', async () => {
+            seeded = await seedTransfer(
+                parabankClient,
+                userCreationFixture,
+                savingsAccountCreationFixture.savingsAccountId,
+            );
+
+            /**
+             * WHY: The date is read back from the UI rather than computed locally,
+             * so the test does not depend on the server's timezone.
+             */
+            await homePage.navigateViaLeftMenu('Find Transactions');
+            await findTransactionsPage.findById(checkingAccountId, seeded.debit.id);
+            [{ date: transactionDate }] = await findTransactionsPage.getTransactions();
+
+            expect(transactionDate).toMatch(/^\d{2}-\d{2}-\d{4}$/);
+        });
+
+        await test.step('WHEN the user searches by the transaction date', async () => {
+            await homePage.navigateViaLeftMenu('Find Transactions');
+            await findTransactionsPage.findByDate(checkingAccountId, transactionDate);
+        });
+
+        await test.step('THEN the UI results should match the REST date search', async () => {
+            const uiRows = await findTransactionsPage.getTransactions();
+            const restTransactions = await parabankClient.findTransactions(checkingAccountId, {
+                onDate: transactionDate,
+            });
+
+            expect(uiRows.map((row) => row.id)).toContain(seeded.debit.id);
+            expectSameTransactions(uiRows, restTransactions);
+        });
+
+        await test.step('WHEN the user searches by a date range covering the transaction', async () => {
+            await homePage.navigateViaLeftMenu('Find Transactions');
+            await findTransactionsPage.findByDateRange(
+                checkingAccountId,
+                transactionDate,
+                transactionDate,
+            );
+        });
+
+        await test.step('THEN the UI results should match the REST date range search', async () => {
+            const uiRows = await findTransactionsPage.getTransactions();
+            const restTransactions = await parabankClient.findTransactions(checkingAccountId, {
+                fromDate: transactionDate,
+                toDate: transactionDate,
+            });
+
+            expect(uiRows.map((row) => row.id)).toContain(seeded.debit.id);
+            expectSameTransactions(uiRows, restTransactions);
+        });
+    });
+});
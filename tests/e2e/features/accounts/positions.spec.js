@@ -0,0 +1,107 @@
+/**
+ * WHY: Centralizing fixtures ensures that Page Objects and custom setup logic (like
+ * user/account creation) are consistently initialized across the suite.
+ */
+import { test, expect } from '../../../../fixtures/indexFixtures.js';
+import { Money } from '../../../../utils/money.js';
+
+const INDEX_URL = '/parabank/index.htm';
+
+/**
+ * WHY: Parabank's menu does not link the trading page, so it is opened by URL.
+ */
+const POSITIONS_URL = '/parabank/positions.htm';
+
+const ORDER = { name: 'Parasoft Corp.', symbol: 'PRSF', shares: 4, pricePerShare: '25.50' };
+const ORDER_TOTAL = Money.parse(ORDER.pricePerShare).times(ORDER.shares);
+
+test.describe('Positions - Buy & Sell Shares', { tag: ['@regression', '@ui'] }, () => {
+    test.beforeEach(async ({ basePage, loginPage, userCreationFixture }) => {
+        await basePage.navigateTo(INDEX_URL);
+        await loginPage.login(userCreationFixture.username, userCreationFixture.password);
+    });
+
+    test('TC-25: should debit the funding account by shares × price when buying shares', async ({
+        userCreationFixture,
+        basePage,
+        homePage,
+        accountsOverviewPage,
+        positionsPage,
+    }) => {
+        const { checkingAccountId } = userCreationFixture;
+        let balanceBefore;
+
+        await test.step('GIVEN the balance of the funding account is captured', async () => {
+            await homePage.navigateViaLeftMenu('Accounts Overview');
+            balanceBefore = await accountsOverviewPage.getAccountBalance(checkingAccountId);
+        });
+
+        await test.step(`WHEN ${ORDER.shares} shares of ${ORDER.symbol} are bought at $${ORDER.pricePerShare}`, async () => {
+            await basePage.navigateTo(POSITIONS_URL);
+            await positionsPage.buyShares({ accountId: checkingAccountId, ...ORDER });
+        });
+
+        await test.step('THEN the portfolio should list the new position', async () => {
+            expect(await positionsPage.getTradeSummaryText()).toBe(
+                `Bought ${ORDER.shares} shares of ${ORDER.symbol}.`,
+            );
+
+            const [position] = await positionsPage.getPositions();
+            expect(position).toMatchObject({ symbol: ORDER.symbol, shares: ORDER.shares });
+            expect(position.purchasePrice).toEqualCurrency(ORDER.pricePerShare);
+        });
+
+        await test.step('AND the funding account should be debited by shares × price', async () => {
+            await homePage.navigateViaLeftMenu('Accounts Overview');
+            const balanceAfter = await accountsOverviewPage.getAccountBalance(checkingAccountId);
+
+            expect(balanceAfter).toHaveBalanceDelta(balanceBefore, ORDER_TOTAL.negate());
+        });
+    });
+
+    test('TC-26: should credit the account back when the shares are sold at the same price', async ({
+        userCreationFixture,
+        basePage,
+        homePage,
+        accountsOverviewPage,
+        positionsPage,
+    }) => {
+        const { checkingAccountId } = userCreationFixture;
+        let balanceBeforeSale;
+
+        await test.step('GIVEN the user holds a freshly bought position', async () => {
+            await basePage.navigateTo(POSITIONS_URL);
+            await positionsPage.buyShares({ accountId: checkingAccountId, ...ORDER });
+
+            await homePage.navigateViaLeftMenu('Accounts Overview');
+            balanceBeforeSale = await accountsOverviewPage.getAccountBalance(checkingAccountId);
+        });
+
+        await test.step('WHEN every share is sold at the purchase price', async () => {
+            await basePage.navigateTo(POSITIONS_URL);
+
+            // WHY: The portfolio table is filled via AJAX after the page loads
+            await expect(positionsPage.positionRows).toHaveCount(1);
+            const [position] = await positionsPage.getPositions();
+
+            await positionsPage.sellShares({
+                positionId: position.positionId,
+                accountId: checkingAccountId,
+                shares: ORDER.shares,
+                pricePerShare: ORDER.pricePerShare,
+            });
+        });
+
+        await test.step('THEN the position should be closed', async () => {
+            await expect(positionsPage.positionRows).toHaveCount(0);
+        });
+
+        await test.step('AND the account should be credited by shares × price', async () => {
+            await homePage.navigateViaLeftMenu('Accounts Overview');
+            const balanceAfterSale =
+                await accountsOverviewPage.getAccountBalance(checkingAccountId);
+
+            expect(balanceAfterSale).toHaveBalanceDelta(balanceBeforeSale, ORDER_TOTAL);
+        });
+    });
+});
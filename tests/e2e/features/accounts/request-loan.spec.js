@@ -0,0 +1,203 @@
+/**
+ * WHY: This maintains a single source of truth for all Page Objects and custom fixtures,
+ * preventing import bloat and ensuring consistent configuration across the suite.
+ */
+import { test, expect } from '../../../../fixtures/indexFixtures.js';
+
+const INDEX_PAGE_URL = '/parabank/index.htm';
+
+/**
+ * Loan decision matrix: amount × down payment × funding account balance.
+ * WHY: Parabank's default (combined) loan processor approves a loan only when the
+ * down payment covers a minimum share of the amount AND the funding account can
+ * cover the down payment. Each scenario seeds its funding account with an exact
+ * balance (accountWithBalance), so the balance is a dimension of the matrix
+ * instead of whatever the opening deposit happens to be.
+ */
+const LOAN_SCENARIOS = [
+    {
+        id: 'TC-12a',
+        description: 'approve a small loan with an adequate down payment',
+        amount: '100.00',
+        downPayment: '25.00',
+        balance: '100.00',
+        expectedStatus: 'Approved',
+    },
+    {
+        id: 'TC-12b',
+        description: 'deny a loan whose down payment is too small for the amount',
+        amount: '1000.00',
+        downPayment: '10.00',
+        balance: '100.00',
+        expectedStatus: 'Denied',
+    },
+    {
+        id: 'TC-12c',
+        description: 'deny a loan whose down payment exceeds the account balance',
+        amount: '200.00',
+        downPayment: '150.00',
+        balance: '100.00',
+        expectedStatus: 'Denied',
+    },
+    {
+        id: 'TC-12d',
+        description: 'deny a loan far larger than the available funds',
+        amount: '100000.00',
+        downPayment: '90.00',
+        balance: '100.00',
+        expectedStatus: 'Denied',
+    },
+    {
+        id: 'TC-12e',
+        description: 'approve the loan of TC-12c when the balance covers the down payment',
+        amount: '200.00',
+        downPayment: '150.00',
+        balance: '500.00',
+        expectedStatus: 'Approved',
+    },
+    {
+        id: 'TC-12f',
+        description: 'deny a too-small down payment even from a well-funded account',
+        amount: '1000.00',
+        downPayment: '10.00',
+        balance: '5000.00',
+        expectedStatus: 'Denied',
+    },
+];
+
+/**
+ * Seeds the scenario's funding account and logs the user in.
+ * WHY: Shared by the approved and denied loops so both start from the same state.
+ *
+ * @returns {Promise<string>} The funding account ID.
+ */
+async function prepareFundingAccount(
+    { accountWithBalance, userCreationFixture, loginPage },
+    scenario,
+) {
+    const { accountId } = await accountWithBalance({ type: 'SAVINGS', balance: scenario.balance });
+    await loginPage.login(userCreationFixture.username, userCreationFixture.password);
+
+    return accountId;
+}
+
+/**
+ * Submits a loan application from the given funding account.
+ * WHY: Shared by the approved and denied loops so both exercise the same flow.
+ */
+async function applyForLoan({ homePage, requestLoanPage }, scenario, fromAccountId) {
+    await homePage.navigateViaLeftMenu('Request Loan');
+    await requestLoanPage.requestLoan({
+        amount: scenario.amount,
+        downPayment: scenario.downPayment,
+        fromAccountId,
+    });
+}
+
+test.describe('Request Loan - Decision Matrix', () => {
+    test.beforeEach(async ({ basePage, loginPage }) => {
+        /**
+         * WHY: We navigate to the entry page before every test to ensure a clean
+         * browser state and verify the application is responsive.
+         */
+        await basePage.navigateTo(INDEX_PAGE_URL);
+        await expect(loginPage.page).toHaveURL(new RegExp(INDEX_PAGE_URL));
+    });
+
+    /**
+     * WHY: Approved and denied scenarios assert different end states, so they are
+     * generated by two loops instead of branching on the outcome inside a test.
+     */
+    const approvedScenarios = LOAN_SCENARIOS.filter(
+        ({ expectedStatus }) => expectedStatus === 'Approved',
+    );
+    const deniedScenarios = LOAN_SCENARIOS.filter(
+        ({ expectedStatus }) => expectedStatus === 'Denied',
+    );
+
+    for (const scenario of approvedScenarios) {
+        test(
+            `${scenario.id}: should ${scenario.description}`,
+            { tag: ['@regression', '@ui'] },
+            async ({
+                accountWithBalance,
+                userCreationFixture,
+                loginPage,
+                homePage,
+                requestLoanPage,
+                accountsOverviewPage,
+                accountActivityPage,
+            }) => {
+                let fundingAccountId;
+                let loanAccountId;
+
+                await test.step(`GIVEN a funding account holding $${scenario.balance}`, async () => {
+                    fundingAccountId = await prepareFundingAccount(
+                        { accountWithBalance, userCreationFixture, loginPage },
+                        scenario,
+                    );
+                });
+
+                await test.step(`WHEN the user requests a $${scenario.amount} loan with a $${scenario.downPayment} down payment`, async () => {
+                    await applyForLoan({ homePage, requestLoanPage }, scenario, fundingAccountId);
+                });
+
+                await test.step('THEN the loan should be approved with a new account', async () => {
+                    expect(await requestLoanPage.getLoanStatusText()).toBe('Approved');
+                    expect(await requestLoanPage.getLoanProviderNameText()).toBeTruthy();
+
+                    loanAccountId = await requestLoanPage.getNewLoanAccountId();
+                    expect(loanAccountId).toMatch(/^\d+$/);
+                });
+
+                await test.step('AND the new loan should appear as a LOAN account in the overview', async () => {
+                    await homePage.navigateViaLeftMenu('Accounts Overview');
+                    expect(await accountsOverviewPage.isAccountListed(loanAccountId)).toBe(true);
+
+                    /**
+                     * WHY: The overview table has no type column, so the account
+                     * type is verified on the account's details page.
+                     */
+                    await accountsOverviewPage.openAccountDetails(loanAccountId);
+                    expect(await accountActivityPage.getAccountTypeText()).toBe('LOAN');
+                });
+            },
+        );
+    }
+
+    for (const scenario of deniedScenarios) {
+        test(
+            `${scenario.id}: should ${scenario.description}`,
+            { tag: ['@regression', '@ui'] },
+            async ({
+                accountWithBalance,
+                userCreationFixture,
+                loginPage,
+                homePage,
+                requestLoanPage,
+            }) => {
+                let fundingAccountId;
+
+                await test.step(`GIVEN a funding account holding $${scenario.balance}`, async () => {
+                    fundingAccountId = await prepareFundingAccount(
+                        { accountWithBalance, userCreationFixture, loginPage },
+                        scenario,
+                    );
+                });
+
+                await test.step(`WHEN the user requests a $${scenario.amount} loan with a $${scenario.downPayment} down payment`, async () => {
+                    await applyForLoan({ homePage, requestLoanPage }, scenario, fundingAccountId);
+                });
+
+                await test.step('THEN the loan should be denied', async () => {
+                    expect(await requestLoanPage.getLoanStatusText()).toBe('Denied');
+                    await expect(requestLoanPage.deniedMessage).toBeVisible();
+                });
+
+                await test.step('AND no loan account should be created', async () => {
+                    await expect(requestLoanPage.newAccountIdLink).toBeHidden();
+                });
+            },
+        );
+    }
+});
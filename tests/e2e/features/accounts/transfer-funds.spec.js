@@ -5,16 +5,16 @@
 import { test, expect } from '../../../../fixtures/indexFixtures.js';
 
 const TRANSFER_AMOUNT = '10.00';
+
+/**
+ * WHY: Far above the opening deposit, so the source account has to be seeded
+ * with accountWithBalance rather than funded by Parabank's initial balance.
+ */
+const SEEDED_BALANCE = '20000.00';
+const LARGE_TRANSFER_AMOUNT = '15000.00';
 const INDEX_URL = '/parabank/index.htm';
 
 test.describe('Transfer Funds - Ledger Validation', () => {
-    /**
-     * Helper: Sanitizes currency strings and converts them to floats.
-     * WHY: Playwright retrieves balances as strings (e.g., "$1,200.00").
-     * To perform mathematical verification on account ledgers, we must normalize the data.
-     */
-    const parseBalance = (balanceStr) => parseFloat(balanceStr.replace(/[$,]/g, ''));
-
     test.beforeEach(async ({ basePage, loginPage }) => {
         /**
          * WHY: We verify the URL after navigation to ensure the environment is
@@ -35,7 +35,7 @@ test.describe('Transfer Funds - Ledger Validation', () => {
             accountsOverviewPage,
         }) => {
             // Local state to track balances across steps
-            const balanceBefore = { checking: 0, savings: 0 };
+            const balanceBefore = { checking: null, savings: null };
 
             await test.step('GIVEN the initial account balances are captured', async () => {
                 /**
@@ -62,8 +62,8 @@ test.describe('Transfer Funds - Ledger Validation', () => {
                 expect(rawChecking).toMatch(/^\$\d+\.\d{2}$/);
                 expect(rawSavings).toMatch(/^\$\d+\.\d{2}$/);
 
-                balanceBefore.checking = parseBalance(rawChecking);
-                balanceBefore.savings = parseBalance(rawSavings);
+                balanceBefore.checking = rawChecking;
+                balanceBefore.savings = rawSavings;
             });
 
             await test.step('WHEN the user performs a fund transfer via the UI', async () => {
@@ -94,31 +94,84 @@ test.describe('Transfer Funds - Ledger Validation', () => {
             await test.step('AND the updated balances should reflect the transaction amount', async () => {
                 await homePage.navigateViaLeftMenu('Accounts Overview');
 
-                const checkingAfter = parseBalance(
-                    await accountsOverviewPage.getAccountBalance(
-                        userCreationFixture.checkingAccountId,
-                    ),
+                const checkingAfter = await accountsOverviewPage.getAccountBalance(
+                    userCreationFixture.checkingAccountId,
                 );
-                const savingsAfter = parseBalance(
-                    await accountsOverviewPage.getAccountBalance(
-                        savingsAccountCreationFixture.savingsAccountId,
-                    ),
+                const savingsAfter = await accountsOverviewPage.getAccountBalance(
+                    savingsAccountCreationFixture.savingsAccountId,
                 );
-                const transferVal = parseFloat(TRANSFER_AMOUNT);
 
                 /**
-                 * WHY: toBeCloseTo(X, 2) is used to handle floating-point precision
-                 * issues inherent in JavaScript math when dealing with cents.
+                 * WHY: toHaveBalanceDelta compares whole cents, avoiding the
+                 * floating-point precision issues of JavaScript math on currency.
                  */
-                expect(checkingAfter, 'Checking account balance should increase').toBeCloseTo(
-                    balanceBefore.checking + transferVal,
-                    2,
+                expect(
+                    checkingAfter,
+                    'Checking account balance should increase',
+                ).toHaveBalanceDelta(balanceBefore.checking, TRANSFER_AMOUNT);
+
+                expect(savingsAfter, 'Savings account balance should decrease').toHaveBalanceDelta(
+                    balanceBefore.savings,
+                    `-${TRANSFER_AMOUNT}`,
+                );
+            });
+        },
+    );
+
+    test(
+        'TC-27: should transfer a large amount from an account seeded with an exact balance',
+        { tag: ['@regression', '@ui'] },
+        async ({
+            userCreationFixture,
+            accountWithBalance,
+            loginPage,
+            homePage,
+            transferFundsPage,
+            accountsOverviewPage,
+        }) => {
+            const { checkingAccountId } = userCreationFixture;
+            let savings;
+            let checkingBefore;
+
+            await test.step(`GIVEN a savings account seeded with $${SEEDED_BALANCE}`, async () => {
+                savings = await accountWithBalance({ type: 'SAVINGS', balance: SEEDED_BALANCE });
+
+                await loginPage.login(userCreationFixture.username, userCreationFixture.password);
+                await homePage.navigateViaLeftMenu('Accounts Overview');
+
+                expect(
+                    await accountsOverviewPage.getAccountBalance(savings.accountId),
+                ).toEqualCurrency(SEEDED_BALANCE);
+                checkingBefore = await accountsOverviewPage.getAccountBalance(checkingAccountId);
+            });
+
+            await test.step(`WHEN $${LARGE_TRANSFER_AMOUNT} is transferred to the checking account`, async () => {
+                await homePage.navigateViaLeftMenu('Transfer Funds');
+                await transferFundsPage.transferFunds(
+                    LARGE_TRANSFER_AMOUNT,
+                    savings.accountId,
+                    checkingAccountId,
+                );
+
+                await expect(transferFundsPage.successMessage).toContainText(
+                    `has been transferred from account #${savings.accountId} to account #${checkingAccountId}.`,
+                );
+            });
+
+            await test.step('THEN both balances should move by the full amount', async () => {
+                await homePage.navigateViaLeftMenu('Accounts Overview');
+
+                const savingsAfter = await accountsOverviewPage.getAccountBalance(
+                    savings.accountId,
                 );
+                const checkingAfter =
+                    await accountsOverviewPage.getAccountBalance(checkingAccountId);
 
-                expect(savingsAfter, 'Savings account balance should decrease').toBeCloseTo(
-                    balanceBefore.savings - transferVal,
-                    2,
+                expect(savingsAfter).toHaveBalanceDelta(
+                    SEEDED_BALANCE,
+                    `-${LARGE_TRANSFER_AMOUNT}`,
                 );
+                expect(checkingAfter).toHaveBalanceDelta(checkingBefore, LARGE_TRANSFER_AMOUNT);
             });
         },
     );
@@ -0,0 +1,114 @@
+/**
+ * WHY: This maintains a single source of truth for all Page Objects and custom fixtures,
+ * preventing import bloat and ensuring consistent configuration across the suite.
+ */
+import { test, expect } from '../../../../fixtures/indexFixtures.js';
+import { LOAN_PROCESSORS, isDisposableEnvironment } from '../../../../utils/parabank-admin.js';
+import { FEATURES, isFeatureAvailable } from '../../../../utils/environment-guard.js';
+
+const ADMIN_URL = '/parabank/admin.htm';
+const INDEX_URL = '/parabank/index.htm';
+
+/**
+ * WHY: Parabank's seed data always contains this demo customer, so a successful
+ * login proves the database was restored. Its credentials come from the config
+ * fixture (seedUsername / seedPassword).
+ */
+const SEED_CUSTOMER_FULL_NAME = 'John Smith';
+
+test.describe(
+    'Administration - Database & Settings',
+    { tag: ['@regression', '@ui', '@admin', '@destructive'] },
+    () => {
+        /**
+         * WHY: These tests change state shared by every user of the instance. They run
+         * serially, in the 'admin' project that starts only after every other project
+         * has finished (see playwright.config.js), and only against environments whose
+         * profile is flagged as disposable. The @destructive tag additionally requires
+         * the profile to allow the 'destructive' operation (see utils/environment-guard.js).
+         * The pre-run reset itself happens in global-setup.js.
+         */
+        test.describe.configure({ mode: 'serial' });
+
+        test.skip(
+            !isDisposableEnvironment(),
+            'Admin operations only run on environments whose profile is disposable',
+        );
+
+        test.skip(
+            !isFeatureAvailable(FEATURES.ADMIN_PAGE),
+            'The environment profile lists the Admin page as unavailable',
+        );
+
+        test.beforeEach(async ({ basePage, adminPage }) => {
+            await basePage.navigateTo(ADMIN_URL);
+            await adminPage.verifyOnAdminPage();
+        });
+
+        test('TC-17: should initialize the database to the seed data', async ({
+            adminPage,
+            basePage,
+            loginPage,
+            homePage,
+            config,
+        }) => {
+            await test.step('WHEN the administrator initializes the database', async () => {
+                await adminPage.initializeDatabase();
+            });
+
+            await test.step('THEN the seed customer should be able to log in', async () => {
+                await basePage.navigateTo(INDEX_URL);
+                await loginPage.login(config.seedUsername, config.seedPassword);
+
+                await expect(homePage.welcomeMessage).toContainText(
+                    `Welcome ${SEED_CUSTOMER_FULL_NAME}`,
+                );
+            });
+        });
+
+        test('TC-18: should persist loan settings saved through the Admin page', async ({
+            adminPage,
+            basePage,
+            parabankAdmin,
+        }) => {
+            let originalThreshold;
+            let originalProcessor;
+
+            await test.step('GIVEN the current loan settings are captured', async () => {
+                originalThreshold = await adminPage.loanProcessorThresholdInput.inputValue();
+                originalProcessor = await adminPage.loanProcessorDropdown.inputValue();
+            });
+
+            await test.step('WHEN the administrator saves a new loan processor and threshold', async () => {
+                await adminPage.saveSettings({
+                    loanProcessor: LOAN_PROCESSORS.DOWN_PAYMENT,
+                    loanProcessorThreshold: 35,
+                });
+            });
+
+            await test.step('THEN the settings should be shown after reloading the page', async () => {
+                await basePage.navigateTo(ADMIN_URL);
+
+                await expect(adminPage.loanProcessorDropdown).toHaveValue(
+                    LOAN_PROCESSORS.DOWN_PAYMENT,
+                );
+                await expect(adminPage.loanProcessorThresholdInput).toHaveValue('35');
+            });
+
+            await test.step('AND the original settings are restored through the REST admin API', async () => {
+                /**
+                 * WHY: Restoring via the API also verifies that setParameter updates the
+                 * same settings the Admin page reads.
+                 */
+                await parabankAdmin.configureLoans({
+                    processor: originalProcessor,
+                    threshold: originalThreshold,
+                });
+
+                await basePage.navigateTo(ADMIN_URL);
+                await expect(adminPage.loanProcessorDropdown).toHaveValue(originalProcessor);
+                await expect(adminPage.loanProcessorThresholdInput).toHaveValue(originalThreshold);
+            });
+        });
+    },
+);
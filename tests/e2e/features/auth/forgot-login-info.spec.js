@@ -0,0 +1,114 @@
+/**
+ * WHY: This maintains a single source of truth for all Page Objects and custom fixtures,
+ * preventing import bloat and ensuring consistent configuration across the suite.
+ */
+import { test, expect } from '../../../../fixtures/indexFixtures.js';
+import { FEATURES, isFeatureAvailable } from '../../../../utils/environment-guard.js';
+
+const INDEX_URL = '/parabank/index.htm';
+const LOOKUP_NOT_FOUND_ERROR = 'The customer information provided could not be found.';
+
+/**
+ * Builds an SSN guaranteed to differ from the registered one.
+ * WHY: Flipping the last digit keeps a realistic 9-digit value that is "almost
+ * right", which is the mismatch most likely to slip through a weak lookup.
+ */
+const withLastDigitChanged = (ssn) => `${ssn.slice(0, -1)}${(Number(ssn.slice(-1)) + 1) % 10}`;
+
+/**
+ * Negative lookup matrix: the identity is correct except for the SSN.
+ */
+const MISMATCHED_SSN_CASES = [
+    {
+        id: 'TC-16a',
+        description: 'an SSN that differs in the last digit',
+        buildSsn: withLastDigitChanged,
+    },
+    {
+        id: 'TC-16b',
+        description: 'an all-zero SSN that belongs to nobody',
+        buildSsn: () => '000000000',
+    },
+];
+
+test.describe('Authentication - Forgot Login Info', () => {
+    test.skip(
+        !isFeatureAvailable(FEATURES.CUSTOMER_LOOKUP),
+        'The environment profile lists the customer lookup page as unavailable',
+    );
+
+    test.beforeEach(async ({ basePage, loginPage }) => {
+        /**
+         * WHY: Navigating to the index page ensures every test starts from a
+         * clean, unauthenticated state and verifies the system's entry point.
+         */
+        await basePage.navigateTo(INDEX_URL);
+        await expect(loginPage.page).toHaveURL(new RegExp(INDEX_URL));
+    });
+
+    test(
+        'TC-15: should recover login credentials and authenticate with them',
+        { tag: ['@regression', '@ui'] },
+        async ({ userCreationFixture, loginPage, customerLookupPage, homePage }) => {
+            let recovered;
+
+            await test.step('GIVEN a registered user opens the "Forgot login info?" page', async () => {
+                await loginPage.clickForgotLoginInfoLink();
+                await expect(customerLookupPage.findLoginInfoButton).toBeVisible();
+            });
+
+            await test.step('WHEN the user submits their name, address and SSN', async () => {
+                await customerLookupPage.lookupCustomer(userCreationFixture);
+                await expect(customerLookupPage.successMessage).toBeVisible();
+            });
+
+            await test.step('THEN the recovered credentials should match the registered ones', async () => {
+                recovered = await customerLookupPage.getRecoveredCredentials();
+
+                expect(recovered).toEqual({
+                    username: userCreationFixture.username,
+                    password: userCreationFixture.password,
+                });
+            });
+
+            await test.step('AND the user should be able to log in with the recovered credentials', async () => {
+                /**
+                 * WHY: A successful lookup also logs the user in. We log out first
+                 * so the login below proves the recovered credentials work.
+                 */
+                await homePage.clickLogout();
+                await loginPage.login(recovered.username, recovered.password);
+
+                await expect(homePage.welcomeMessage).toContainText(
+                    `Welcome ${userCreationFixture.firstName} ${userCreationFixture.lastName}`,
+                );
+            });
+        },
+    );
+
+    for (const testCase of MISMATCHED_SSN_CASES) {
+        test(
+            `${testCase.id}: should not recover credentials for ${testCase.description}`,
+            { tag: ['@regression', '@ui'] },
+            async ({ userCreationFixture, loginPage, customerLookupPage }) => {
+                await test.step('GIVEN a registered user opens the "Forgot login info?" page', async () => {
+                    await loginPage.clickForgotLoginInfoLink();
+                });
+
+                await test.step('WHEN the lookup is submitted with a mismatched SSN', async () => {
+                    await customerLookupPage.lookupCustomer({
+                        ...userCreationFixture,
+                        ssn: testCase.buildSsn(userCreationFixture.ssn),
+                    });
+                });
+
+                await test.step('THEN an error should be shown and no credentials revealed', async () => {
+                    expect(await customerLookupPage.getErrorMessageText()).toBe(
+                        LOOKUP_NOT_FOUND_ERROR,
+                    );
+                    await expect(customerLookupPage.recoveredCredentials).toBeHidden();
+                });
+            },
+        );
+    }
+});
@@ -3,11 +3,8 @@
  * preventing import bloat and ensuring consistent configuration across the suite.
  */
 import { test, expect } from '../../../../fixtures/indexFixtures.js';
-import {
-    generateRandomUser,
-    saveCredentials,
-    getLatestCredentials,
-} from '../../../../utils/helpers';
+import { generateRandomUser } from '../../../../utils/helpers';
+import { saveCredentials, getLatestCredentials } from '../../../../utils/credentials-store.js';
 
 const INDEX_URL = '/parabank/index.htm';
 
@@ -40,18 +37,7 @@ test.describe.serial('Authentication - Login Flow', () => {
                  * persistence for subsequent tests in the serial block and
                  * to assist in manual debugging if a failure occurs.
                  */
-                await saveCredentials(
-                    newIdentity.username,
-                    newIdentity.password,
-                    newIdentity.firstName,
-                    newIdentity.lastName,
-                    newIdentity.address.street,
-                    newIdentity.address.city,
-                    newIdentity.address.state,
-                    newIdentity.address.zipCode,
-                    newIdentity.phoneNumber,
-                    newIdentity.ssn,
-                );
+                saveCredentials(newIdentity, { tags: test.info().tags });
             });
 
             await test.step('WHEN the user logs out and attempts to log back in with valid credentials', async () => {
@@ -3,7 +3,8 @@
  * pre-configured and share a single source of truth for dependencies.
  */
 import { test, expect } from '../../../../fixtures/indexFixtures.js';
-import { generateRandomUser, saveCredentials } from '../../../../utils/helpers';
+import { generateRandomUser } from '../../../../utils/helpers';
+import { saveCredentials } from '../../../../utils/credentials-store.js';
 
 const INDEX_PAGE = '/parabank/index.htm';
 const REGISTER_PAGE_URL = /.*register.htm/;
@@ -35,21 +36,10 @@ test.describe('Authentication - Registration Flow', () => {
                 await registerPage.registerNewUser(newUserData);
 
                 /**
-                 * WHY: Credentials are persisted to a JSON file to facilitate
+                 * WHY: Credentials are persisted to the credentials store to facilitate
                  * downstream API or UI tests (serial execution) and manual debugging.
                  */
-                await saveCredentials(
-                    newUserData.username,
-                    newUserData.password,
-                    newUserData.firstName,
-                    newUserData.lastName,
-                    newUserData.address.street,
-                    newUserData.address.city,
-                    newUserData.address.state,
-                    newUserData.address.zipCode,
-                    newUserData.phoneNumber,
-                    newUserData.ssn,
-                );
+                saveCredentials(newUserData, { tags: test.info().tags });
             });
 
             await test.step('THEN the account should be created and a success message displayed', async () => {
@@ -0,0 +1,116 @@
+/**
+ * WHY: This maintains a single source of truth for all Page Objects and custom fixtures,
+ * preventing import bloat and ensuring consistent configuration across the suite.
+ */
+import { test, expect } from '../../../../fixtures/indexFixtures.js';
+import { generateRandomUser } from '../../../../utils/helpers';
+import { UserResponseSchema } from '../../../../fixtures/api/schemas/userSchema.js';
+
+const INDEX_PAGE_URL = '/parabank/index.htm';
+
+/**
+ * Required fields of the Update Contact Info form.
+ * WHY: Each entry pairs the ProfilePage input with its error locator, so the
+ * validation matrix below stays in sync with the page object's getters.
+ */
+const REQUIRED_FIELDS = [
+    {
+        id: 'TC-14a',
+        input: 'firstNameInput',
+        error: 'firstNameError',
+        message: 'First name is required.',
+    },
+    {
+        id: 'TC-14b',
+        input: 'lastNameInput',
+        error: 'lastNameError',
+        message: 'Last name is required.',
+    },
+    { id: 'TC-14c', input: 'addressInput', error: 'streetError', message: 'Address is required.' },
+    { id: 'TC-14d', input: 'cityInput', error: 'cityError', message: 'City is required.' },
+    { id: 'TC-14e', input: 'stateInput', error: 'stateError', message: 'State is required.' },
+    {
+        id: 'TC-14f',
+        input: 'zipCodeInput',
+        error: 'zipCodeError',
+        message: 'Zip Code is required.',
+    },
+];
+
+test.describe('Update Contact Info - Profile Management', () => {
+    test.beforeEach(async ({ basePage, loginPage, userCreationFixture }) => {
+        /**
+         * WHY: The user fixture logs out after onboarding, so every test starts
+         * by authenticating the freshly registered user.
+         */
+        await basePage.navigateTo(INDEX_PAGE_URL);
+        await expect(loginPage.page).toHaveURL(new RegExp(INDEX_PAGE_URL));
+        await loginPage.login(userCreationFixture.username, userCreationFixture.password);
+    });
+
+    test(
+        'TC-13: should update contact info and persist it to the customer record',
+        { tag: ['@regression', '@ui', '@mutating'] },
+        async ({ userCreationFixture, homePage, profilePage, parabankClient }) => {
+            /**
+             * WHY: Only the contact details change; the name is kept so the
+             * welcome banner and the stored credentials remain valid.
+             */
+            const { address, phoneNumber } = generateRandomUser();
+            const updatedProfile = {
+                firstName: userCreationFixture.firstName,
+                lastName: userCreationFixture.lastName,
+                address,
+                phoneNumber,
+            };
+
+            await test.step('GIVEN the user is on the Update Contact Info page', async () => {
+                await homePage.navigateViaLeftMenu('Update Contact Info');
+                await profilePage.verifyOnProfilePage();
+            });
+
+            await test.step('WHEN the user submits new address and phone details', async () => {
+                await profilePage.updateProfile(updatedProfile);
+            });
+
+            await test.step('THEN a success message should confirm the update', async () => {
+                await expect(profilePage.successMessage).toBeVisible();
+            });
+
+            await test.step('AND the REST customer record should reflect the new contact info', async () => {
+                await parabankClient.login(
+                    userCreationFixture.username,
+                    userCreationFixture.password,
+                );
+                const customer = await parabankClient.getCustomer();
+
+                expect(customer).toMatchSchema(UserResponseSchema);
+                expect(customer.address).toEqual(address);
+                expect(customer.phoneNumber).toBe(phoneNumber);
+            });
+        },
+    );
+
+    for (const field of REQUIRED_FIELDS) {
+        test(
+            `${field.id}: should show "${field.message}" when the field is blank`,
+            { tag: ['@regression', '@ui'] },
+            async ({ homePage, profilePage }) => {
+                await test.step('GIVEN the user is on the Update Contact Info page', async () => {
+                    await homePage.navigateViaLeftMenu('Update Contact Info');
+                    await profilePage.waitForProfileLoaded();
+                });
+
+                await test.step('WHEN the required field is cleared and the form is submitted', async () => {
+                    await profilePage[field.input].fill('');
+                    await profilePage.clickUpdateProfile();
+                });
+
+                await test.step('THEN the field-specific error should be displayed', async () => {
+                    await expect(profilePage[field.error]).toHaveText(field.message);
+                    await expect(profilePage.successMessage).toBeHidden();
+                });
+            },
+        );
+    }
+});
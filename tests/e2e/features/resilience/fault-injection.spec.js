@@ -0,0 +1,243 @@
+/**
+ * WHY: The page objects' retry and wait logic exists because Parabank's AJAX
+ * calls are slow or fail now and then. Each scenario injects one such fault
+ * through the faultPolicy option (fixtures/network/faultFixtures.js) and proves
+ * the page object either recovers or fails with a message naming the cause.
+ */
+import { test, expect } from '../../../../fixtures/indexFixtures.js';
+import {
+    FAULT_TARGETS,
+    abortRequest,
+    dropResponse,
+    latency,
+    serverError,
+} from '../../../../utils/fault-injection.js';
+
+const INDEX_PAGE_URL = '/parabank/index.htm';
+const TRANSFER_AMOUNT = '10.00';
+
+/**
+ * WHY: A distinctive amount makes the payment the only ledger entry of that
+ * value, so the REST search can count how many times it was booked.
+ */
+const BILL_AMOUNT = '12.34';
+
+/**
+ * WHY: Users and accounts are provisioned over REST, which page.route does not
+ * intercept, so the faults only hit the browser flow under test.
+ */
+test.use({ provisioningMode: 'api' });
+
+test.describe(
+    'Resilience - Fault Injection',
+    { tag: ['@regression', '@ui', '@resilience'] },
+    () => {
+        test.beforeEach(async ({ basePage, loginPage, userCreationFixture }) => {
+            await basePage.navigateTo(INDEX_PAGE_URL);
+            await loginPage.login(userCreationFixture.username, userCreationFixture.password);
+        });
+
+        test.describe('slow account dropdowns', () => {
+            test.use({ faultPolicy: [latency(FAULT_TARGETS.accountDropdowns, 2500)] });
+
+            test('TC-19: should open an account when the funding accounts load slowly', async ({
+                userCreationFixture,
+                homePage,
+                openAccountPage,
+                faultInjector,
+            }) => {
+                await test.step('GIVEN the user is on the Open New Account page', async () => {
+                    await homePage.navigateViaLeftMenu('Open New Account');
+                });
+
+                await test.step('WHEN a savings account is opened while the accounts call is delayed', async () => {
+                    await openAccountPage.openAccount(
+                        'SAVINGS',
+                        userCreationFixture.checkingAccountId,
+                    );
+                });
+
+                await test.step('THEN the account should be opened', async () => {
+                    await expect(openAccountPage.successMessage).toContainText(
+                        'Congratulations, your account is now open.',
+                    );
+                });
+
+                await test.step('AND the delay should actually have been injected', async () => {
+                    expect(faultInjector.injected.length).toBeGreaterThan(0);
+                });
+            });
+        });
+
+        test.describe('dropped account dropdowns', () => {
+            test.use({ faultPolicy: [dropResponse(FAULT_TARGETS.accountDropdowns)] });
+
+            test('TC-20: should name the accounts call when the funding accounts never load', async ({
+                userCreationFixture,
+                homePage,
+                openAccountPage,
+            }) => {
+                await test.step('GIVEN the user is on the Open New Account page', async () => {
+                    await homePage.navigateViaLeftMenu('Open New Account');
+                });
+
+                await test.step('WHEN opening an account THEN it should fail with a clear message', async () => {
+                    await expect(
+                        openAccountPage.openAccount(
+                            'SAVINGS',
+                            userCreationFixture.checkingAccountId,
+                        ),
+                    ).rejects.toThrow(/never appeared in the "From account" dropdown/);
+                });
+            });
+        });
+
+        test.describe('delayed transfer confirmation', () => {
+            test.use({ faultPolicy: [latency(FAULT_TARGETS.transfer, 3000)] });
+
+            test('TC-21: should wait for a delayed #showResult after a transfer', async ({
+                userCreationFixture,
+                savingsAccountCreationFixture,
+                homePage,
+                transferFundsPage,
+                faultInjector,
+            }) => {
+                const { savingsAccountId } = savingsAccountCreationFixture;
+                const { checkingAccountId } = userCreationFixture;
+
+                await test.step('GIVEN the user is on the Transfer Funds page', async () => {
+                    await homePage.navigateViaLeftMenu('Transfer Funds');
+                });
+
+                await test.step('WHEN funds are transferred while the confirmation is delayed', async () => {
+                    await transferFundsPage.transferFunds(
+                        TRANSFER_AMOUNT,
+                        savingsAccountId,
+                        checkingAccountId,
+                    );
+                });
+
+                await test.step('THEN the confirmation should still be read', async () => {
+                    expect(await transferFundsPage.getSuccessMessageText()).toContain(
+                        `$${TRANSFER_AMOUNT} has been transferred from account #${savingsAccountId} to account #${checkingAccountId}.`,
+                    );
+                });
+
+                await test.step('AND exactly one transfer response should have been delayed', async () => {
+                    expect(faultInjector.injected).toHaveLength(1);
+                });
+            });
+        });
+
+        test.describe('failing transfer dropdowns', () => {
+            test.use({ faultPolicy: [abortRequest(FAULT_TARGETS.accountDropdowns)] });
+
+            test('TC-22: should name the accounts call when the transfer dropdowns fail', async ({
+                userCreationFixture,
+                savingsAccountCreationFixture,
+                homePage,
+                transferFundsPage,
+            }) => {
+                await test.step('GIVEN the user is on the Transfer Funds page', async () => {
+                    await homePage.navigateViaLeftMenu('Transfer Funds');
+                });
+
+                await test.step('WHEN transferring THEN it should fail with a clear message', async () => {
+                    await expect(
+                        transferFundsPage.transferFunds(
+                            TRANSFER_AMOUNT,
+                            savingsAccountCreationFixture.savingsAccountId,
+                            userCreationFixture.checkingAccountId,
+                        ),
+                    ).rejects.toThrow(/never appeared in the transfer dropdowns/);
+                });
+            });
+        });
+
+        test.describe('one failed bill payment', () => {
+            test.use({ faultPolicy: [serverError(FAULT_TARGETS.billPay, { times: 1 })] });
+
+            test('TC-23: should retry a bill payment that failed once and book it exactly once', async ({
+                userCreationFixture,
+                savingsAccountCreationFixture,
+                homePage,
+                billPayPage,
+                parabankClient,
+                faultInjector,
+            }) => {
+                const { savingsAccountId } = savingsAccountCreationFixture;
+
+                await test.step('GIVEN the user is on the Bill Pay page', async () => {
+                    await homePage.navigateViaLeftMenu('Bill Pay');
+                });
+
+                await test.step('WHEN a bill is paid and the first attempt answers HTTP 500', async () => {
+                    await billPayPage.payBill({
+                        payeeName: `${userCreationFixture.firstName} ${userCreationFixture.lastName}`,
+                        address: {
+                            street: userCreationFixture.street,
+                            city: userCreationFixture.city,
+                            state: userCreationFixture.state,
+                            zipCode: userCreationFixture.zipCode,
+                        },
+                        phoneNumber: userCreationFixture.phoneNumber,
+                        accountNumber: savingsAccountId,
+                        amount: BILL_AMOUNT,
+                        fromAccountId: savingsAccountId,
+                    });
+                });
+
+                await test.step('THEN the retry should complete the payment', async () => {
+                    await expect(billPayPage.paymentSuccessTitle).toHaveText(
+                        'Bill Payment Complete',
+                    );
+                    expect(faultInjector.injected).toHaveLength(1);
+                });
+
+                await test.step('AND the ledger should contain the payment exactly once', async () => {
+                    const payments = await parabankClient.findTransactions(savingsAccountId, {
+                        amount: BILL_AMOUNT,
+                    });
+                    expect(payments).toHaveLength(1);
+                });
+            });
+        });
+
+        test.describe('persistently failing bill payments', () => {
+            test.use({ faultPolicy: [serverError(FAULT_TARGETS.billPay, { status: 503 })] });
+
+            test('TC-24: should report an unconfirmed bill payment once retries are exhausted', async ({
+                userCreationFixture,
+                savingsAccountCreationFixture,
+                homePage,
+                billPayPage,
+            }) => {
+                const { savingsAccountId } = savingsAccountCreationFixture;
+
+                await test.step('GIVEN the user is on the Bill Pay page', async () => {
+                    await homePage.navigateViaLeftMenu('Bill Pay');
+                });
+
+                await test.step('WHEN every payment answers HTTP 503 THEN payBill should fail clearly', async () => {
+                    await expect(
+                        billPayPage.payBill({
+                            payeeName: userCreationFixture.lastName,
+                            address: {
+                                street: userCreationFixture.street,
+                                city: userCreationFixture.city,
+                                state: userCreationFixture.state,
+                                zipCode: userCreationFixture.zipCode,
+                            },
+                            phoneNumber: userCreationFixture.phoneNumber,
+                            accountNumber: savingsAccountId,
+                            amount: BILL_AMOUNT,
+                            fromAccountId: savingsAccountId,
+                        }),
+                    ).rejects.toThrow(
+                        `Bill payment to ${userCreationFixture.lastName} was not confirmed`,
+                    );
+                });
+            });
+        });
+    },
+);
@@ -0,0 +1,114 @@
+/**
+ * WHY: NETWORK_MODE=record is only worth its files if NETWORK_MODE=replay can
+ * serve them back. This spec records one flow through HarRecorder against a
+ * throwaway local server, shuts the server down and replays the same flow from
+ * the normalized recording, exactly as the harRecorder fixture does across two
+ * runs. The page learns the customer ID from one call and uses it in the next,
+ * as Parabank's pages do, so the replay only matches if IDs were rewritten
+ * consistently in bodies and URLs.
+ */
+import http from 'http';
+import { test, expect } from '../../../../fixtures/indexFixtures.js';
+import { HarRecorder, NETWORK_MODES } from '../../../../utils/har-recorder.js';
+
+const CUSTOMER_ID = 12212;
+const ACCOUNT_ID = 13344;
+
+const OVERVIEW_PAGE = `<!doctype html>
+<html>
+    <body>
+        <p id="accounts">Loading…</p>
+        <script>
+            (async () => {
+                const customer = await (await fetch('/parabank/services_proxy/bank/customer')).json();
+                const accounts = await (
+                    await fetch('/parabank/services_proxy/bank/customers/' + customer.id + '/accounts')
+                ).json();
+                document.querySelector('#accounts').textContent =
+                    'Customer ' + customer.id + ': accounts ' + accounts.map((account) => account.id).join(', ');
+            })();
+        </script>
+    </body>
+</html>`;
+
+/**
+ * Starts a local server serving the overview page and the two calls it makes.
+ *
+ * @returns {Promise<{ baseUrl: string, close: () => Promise<void> }>}
+ */
+async function startOverviewServer() {
+    const server = http.createServer((req, res) => {
+        const json = (body) =>
+            res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+
+        if (req.url === '/parabank/overview.htm') {
+            res.writeHead(200, { 'Content-Type': 'text/html' }).end(OVERVIEW_PAGE);
+        } else if (req.url === '/parabank/services_proxy/bank/customer') {
+            json({ id: CUSTOMER_ID });
+        } else if (req.url === `/parabank/services_proxy/bank/customers/${CUSTOMER_ID}/accounts`) {
+            json([{ id: ACCOUNT_ID, customerId: CUSTOMER_ID, balance: 100 }]);
+        } else {
+            res.writeHead(404).end();
+        }
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => {
+            server.closeAllConnections();
+            return new Promise((resolve) => server.close(resolve));
+        },
+    };
+}
+
+test.describe('Resilience - HAR Record & Replay', { tag: ['@regression', '@ui'] }, () => {
+    test('TC-28: should replay a recorded flow without the server, with stable IDs', async ({
+        browser,
+    }) => {
+        const harPath = test.info().outputPath('overview.har');
+        const server = await startOverviewServer();
+        const overviewUrl = `${server.baseUrl}/parabank/overview.htm`;
+
+        await test.step('GIVEN the flow is recorded against the live server', async () => {
+            const recorder = new HarRecorder({ mode: NETWORK_MODES.RECORD, harPath });
+            const context = await browser.newContext();
+
+            try {
+                await recorder.attach(context);
+                const page = await context.newPage();
+                await page.goto(overviewUrl);
+                await expect(page.locator('#accounts')).toHaveText(
+                    `Customer ${CUSTOMER_ID}: accounts ${ACCOUNT_ID}`,
+                );
+            } finally {
+                await context.close();
+                await server.close();
+            }
+
+            recorder.finish();
+        });
+
+        const replayContext = await browser.newContext();
+        try {
+            let replayPage;
+
+            await test.step('WHEN the same flow is replayed with the server gone', async () => {
+                await new HarRecorder({ mode: NETWORK_MODES.REPLAY, harPath }).attach(
+                    replayContext,
+                );
+                replayPage = await replayContext.newPage();
+                await replayPage.goto(overviewUrl);
+            });
+
+            await test.step('THEN the page should render the recorded data under the stable IDs', async () => {
+                await expect(replayPage.locator('#accounts')).toHaveText(
+                    'Customer 900001: accounts 900002',
+                );
+            });
+        } finally {
+            await replayContext.close();
+        }
+    });
+});
@@ -3,7 +3,9 @@
  * preventing import bloat and ensuring consistent configuration across the suite.
  */
 import { test, expect } from '../../../fixtures/indexFixtures.js';
-import { generateRandomUser, saveCredentials } from '../../../utils/helpers';
+import { generateRandomUser } from '../../../utils/helpers';
+import { saveCredentials } from '../../../utils/credentials-store.js';
+import { Money } from '../../../utils/money.js';
 
 /**
  * WHY: Centralizing values prevents "magic numbers" and ensures that if the
@@ -18,13 +20,6 @@ test.describe('Complete User Banking Journey - End to End Flow', () => {
     let savingsAccountId;
     let checkingAccountId;
 
-    /**
-     * Helper: Sanitizes currency strings and converts them to floats.
-     * WHY: Playwright retrieves balances as strings (e.g., "$100.00").
-     * Numerical values are required for mathematical delta-assertions.
-     */
-    const parseCurrency = (value) => parseFloat(value.replace(/[$,]/g, ''));
-
     test.beforeAll(async () => {
         /**
          * WHY: Generating the user identity once per suite ensures all
@@ -139,20 +134,7 @@ test.describe('Complete User Banking Journey - End to End Flow', () => {
                  * WHY: Persisting credentials acts as an audit trail for CI/CD,
                  * allowing manual reproduction of failures using the generated identity.
                  */
-                saveCredentials(
-                    userProfile.username,
-                    userProfile.password,
-                    userProfile.firstName,
-                    userProfile.lastName,
-                    userProfile.address.street,
-                    userProfile.address.city,
-                    userProfile.address.state,
-                    userProfile.address.zipCode,
-                    userProfile.phoneNumber,
-                    userProfile.ssn,
-                    checkingAccountId,
-                    savingsAccountId,
-                );
+                saveCredentials(userProfile, { tags: test.info().tags });
             });
 
             await test.step('THEN the savings account details should reflect the correct initial balance', async () => {
@@ -173,12 +155,9 @@ test.describe('Complete User Banking Journey - End to End Flow', () => {
 
             await test.step('WHEN capturing initial account balances for comparison', async () => {
                 await homePage.navigateViaLeftMenu('Accounts Overview');
-                checkingBefore = parseCurrency(
-                    await accountsOverviewPage.getAccountBalance(checkingAccountId),
-                );
-                savingsBefore = parseCurrency(
-                    await accountsOverviewPage.getAccountBalance(savingsAccountId),
-                );
+                checkingBefore =
+                    await accountsOverviewPage.getAccountBalanceMoney(checkingAccountId);
+                savingsBefore = await accountsOverviewPage.getAccountBalanceMoney(savingsAccountId);
             });
 
             await test.step('AND the user transfers funds between checking and savings accounts', async () => {
@@ -193,21 +172,18 @@ test.describe('Complete User Banking Journey - End to End Flow', () => {
 
             await test.step('THEN the ledger should update correctly with the transaction amounts', async () => {
                 await homePage.navigateViaLeftMenu('Accounts Overview');
-                const checkingAfter = parseCurrency(
-                    await accountsOverviewPage.getAccountBalance(checkingAccountId),
-                );
-                const savingsAfter = parseCurrency(
-                    await accountsOverviewPage.getAccountBalance(savingsAccountId),
-                );
-
-                const amount = parseFloat(TRANSACTION_AMOUNT);
+                const checkingAfter =
+                    await accountsOverviewPage.getAccountBalanceMoney(checkingAccountId);
+                const savingsAfter =
+                    await accountsOverviewPage.getAccountBalanceMoney(savingsAccountId);
+                const amount = Money.parse(TRANSACTION_AMOUNT);
 
                 /**
-                 * WHY: toBeCloseTo(X, 2) handles floating-point math issues inherent
-                 * in JS currency calculations (e.g., handling cents accurately).
+                 * WHY: Money does exact cent arithmetic, so no floating-point
+                 * tolerance (toBeCloseTo) is needed.
                  */
-                expect(checkingAfter).toBeCloseTo(checkingBefore + amount, 2);
-                expect(savingsAfter).toBeCloseTo(savingsBefore - amount, 2);
+                expect(checkingAfter).toHaveBalanceDelta(checkingBefore, amount);
+                expect(savingsAfter).toHaveBalanceDelta(savingsBefore, amount.negate());
             });
 
             await test.step('WHEN the user completes a third-party bill payment', async () => {
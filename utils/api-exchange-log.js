@@ -0,0 +1,158 @@
+/**
+ * Structured log of API exchanges (request, response, timing, cURL reproduction).
+ *
+ * WHY: When an API test fails, the assertion message says what was expected but
+ * not what was sent or received. apiRequest describes every call as an
+ * ApiExchange, and the apiRequest fixture attaches it to the test, so a failure
+ * in the report comes with the exact request, the response and a cURL command
+ * that replays it. Every part of an exchange is passed through utils/redaction.js
+ * before it leaves this module.
+ */
+
+import { redactHeaders, redactText } from './redaction.js';
+
+/**
+ * WHY: A few endpoints return large lists; the first part of a body is enough to
+ * diagnose a failure and keeps the report small.
+ */
+export const MAX_LOGGED_BODY_LENGTH = 20000;
+
+/**
+ * @typedef {Object} ApiExchange
+ * @property {Object} request
+ * @property {string} request.method
+ * @property {string} request.url - Full URL, including the base URL.
+ * @property {Object<string, string>} request.headers - Sensitive values redacted.
+ * @property {string | null} request.body - Body as sent on the wire.
+ * @property {string} request.curl - Shell command that reproduces the request.
+ * @property {Object | null} response - Null when no attempt received a response.
+ * @property {number} response.status
+ * @property {string} response.statusText
+ * @property {Object<string, string>} response.headers - Sensitive values redacted.
+ * @property {string | null} response.body - Raw body text (truncated), or a size note for binaries.
+ * @property {string} [response.bodyReadError] - Why the body could not be read.
+ * @property {string} startedAt - ISO-8601 timestamp of the first attempt.
+ * @property {number} durationMs - Total time, including retries and their delays.
+ * @property {import('./retry-policy.js').AttemptRecord[]} attempts
+ * @property {string} [error] - Why the request failed without a response.
+ */
+
+// ==================== Private Helpers ====================
+
+function quoteForShell(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function truncate(text) {
+    if (text.length <= MAX_LOGGED_BODY_LENGTH) return text;
+
+    return `${text.slice(0, MAX_LOGGED_BODY_LENGTH)}… [truncated, ${text.length} characters in total]`;
+}
+
+// ==================== Public API ====================
+
+/**
+ * Renders the body exactly as Playwright sends it.
+ * WHY: Playwright encodes `form` as x-www-form-urlencoded and serializes object
+ * `data` as JSON; the log and the cURL command must show those bytes, not the
+ * JavaScript object.
+ *
+ * @param {{ data?: unknown, form?: Object }} requestOptions - Playwright request options.
+ * @returns {string | null} The body, redacted.
+ */
+export function serializeRequestBody({ data, form }) {
+    if (form) return redactText(new URLSearchParams(form).toString());
+    if (data === undefined || data === null) return null;
+    if (typeof data === 'string') return redactText(data);
+    if (Buffer.isBuffer(data)) return `<binary, ${data.length} bytes>`;
+
+    return redactText(JSON.stringify(data));
+}
+
+/**
+ * @param {string} method
+ * @param {string} url - Full request URL.
+ * @param {Object<string, string>} headers - Request headers as sent.
+ * @param {string | null} body - Output of serializeRequestBody().
+ * @param {number} [timeout]
+ * @returns {ApiExchange['request']}
+ */
+export function describeRequest({ method, url, headers, body, timeout }) {
+    const request = {
+        method: method.toUpperCase(),
+        url: redactText(url),
+        headers: redactHeaders(headers),
+        body,
+    };
+
+    return { ...request, curl: toCurlCommand({ ...request, timeout }) };
+}
+
+/**
+ * Builds a cURL command equivalent to the request.
+ * WHY: Redirects are not followed (curl's default), matching apiRequest's
+ * maxRedirects: 0. Redacted headers stay in the command as placeholders so it is
+ * obvious which values to fill in before running it.
+ *
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {string} request.url
+ * @param {Object<string, string>} request.headers - Already redacted.
+ * @param {string | null} request.body - Already redacted.
+ * @param {number} [request.timeout] - Per-attempt timeout in ms.
+ * @returns {string}
+ */
+export function toCurlCommand({ method, url, headers, body, timeout }) {
+    const parts = [`curl -X ${method.toUpperCase()} ${quoteForShell(url)}`];
+
+    for (const [name, value] of Object.entries(headers)) {
+        parts.push(`-H ${quoteForShell(`${name}: ${value}`)}`);
+    }
+
+    if (body !== null) parts.push(`--data-raw ${quoteForShell(body)}`);
+    if (timeout) parts.push(`--max-time ${Math.ceil(timeout / 1000)}`);
+
+    return parts.join(' \\\n  ');
+}
+
+/**
+ * Describes the response side of an exchange.
+ *
+ * @param {import('@playwright/test').APIResponse} response
+ * @param {{ rawText?: string, rawBytes?: Buffer, readError?: string }} body - What
+ * parseResponseBody() read.
+ * @returns {ApiExchange['response']}
+ */
+export function describeResponse(response, { rawText, rawBytes, readError }) {
+    const description = {
+        status: response.status(),
+        statusText: response.statusText(),
+        headers: redactHeaders(response.headers()),
+        body: null,
+    };
+
+    if (rawBytes) {
+        description.body = `<binary, ${rawBytes.length} bytes>`;
+    } else if (rawText) {
+        description.body = truncate(redactText(rawText));
+    }
+
+    if (readError) description.bodyReadError = readError;
+
+    return description;
+}
+
+/**
+ * Short, readable attachment name, e.g. "API #03 POST /parabank/services/bank/transfer (200)".
+ * WHY: Query strings are dropped from the name; they are in the attachment itself.
+ *
+ * @param {ApiExchange} exchange
+ * @param {number} sequence - 1-based position of the call within the test.
+ * @returns {string}
+ */
+export function exchangeAttachmentName(exchange, sequence) {
+    const path = exchange.request.url.replace(/^https?:\/\/[^/]+/, '').split('?')[0];
+    const outcome = exchange.response ? exchange.response.status : 'no response';
+
+    return `API #${String(sequence).padStart(2, '0')} ${exchange.request.method} ${path} (${outcome})`;
+}
@@ -1,3 +1,31 @@
+import { validateSchema } from './schema-validator.js';
+import { parseXml, xmlElementToValue, coerceToSchema } from './xml-parser.js';
+import { getConfig } from './config.js';
+import {
+    ApiRequestError,
+    resolveRetryPolicy,
+    isRetryable,
+    computeBackoffDelay,
+    describeAttempts,
+    sleep,
+} from './retry-policy.js';
+import { serializeRequestBody, describeRequest, describeResponse } from './api-exchange-log.js';
+import { redactHeaders, redactText } from './redaction.js';
+
+/**
+ * How apiRequest turns the response into `body`.
+ * WHY: Parabank answers in JSON, XML or plain text depending on the Accept header
+ * and the endpoint. AUTO follows the Content-Type; the other values force a
+ * format when a test needs it (e.g. the raw XML text, or a binary download).
+ */
+export const RESPONSE_TYPES = {
+    AUTO: 'auto',
+    JSON: 'json',
+    XML: 'xml',
+    TEXT: 'text',
+    BINARY: 'binary',
+};
+
 /**
  * @typedef {Object} ApiRequestParams
  * @property {import('@playwright/test').APIRequestContext} request - The Playwright request object.
@@ -7,6 +35,20 @@
  * @property {Object | null} [body=null] - The payload to send with the request.
  * @property {string | Object} [headers] - Authorization Token (string) or a Header Object.
  * @property {boolean} [isFormData=false] - Whether to send the body as x-www-form-urlencoded.
+ * @property {import('./api-session.js').ApiSession | null} [session=null] - Cookie jar that is
+ * replayed on the request and updated from the response's Set-Cookie headers.
+ * @property {import('zod').ZodType} [schema] - When provided, the parsed body is validated
+ * against this schema and returned in its typed form; a mismatch throws a SchemaValidationError.
+ * @property {string} [responseType='auto'] - One of RESPONSE_TYPES. 'auto' parses JSON or XML
+ * according to the Content-Type and falls back to text; 'binary' returns a Buffer.
+ * @property {number} [timeout] - Per-attempt timeout in ms. Defaults to config.apiTimeout.
+ * @property {Partial<import('./retry-policy.js').RetryPolicy> | boolean} [retry] - Overrides
+ * the retry policy for this call; false disables retries. Defaults to config.apiRetries retries.
+ * @property {(attempt: import('./retry-policy.js').AttemptRecord) => void} [onAttempt] - Called
+ * after every attempt, e.g. to report retries.
+ * @property {(exchange: import('./api-exchange-log.js').ApiExchange) => void} [onExchange] -
+ * Called once per call with the full request/response exchange, including calls that
+ * failed without a response or whose body did not match the schema.
  */
 
 /**
@@ -18,7 +60,8 @@
  * follow the DRY (Don't Repeat Yourself) principle.
  *
  * @param {ApiRequestParams} params
- * @returns {Promise<{ status: number, body: any, headers: Object }>}
+ * @returns {Promise<{ status: number, body: any, headers: Object, attempts: import('./retry-policy.js').AttemptRecord[] }>}
+ * @throws {ApiRequestError} When no attempt received a response.
  */
 export async function apiRequest({
     request,
@@ -28,6 +71,13 @@ export async function apiRequest({
     body = null,
     headers,
     isFormData = false,
+    session = null,
+    schema,
+    responseType = RESPONSE_TYPES.AUTO,
+    timeout = getConfig().apiTimeout,
+    retry,
+    onAttempt,
+    onExchange,
 }) {
     /**
      * WHY: We set maxRedirects to 0 because many legacy systems (like Parabank)
@@ -37,6 +87,7 @@ export async function apiRequest({
     const httpRequestOptions = {
         headers: {},
         maxRedirects: 0,
+        timeout,
     };
 
     // 1. Header Orchestration
@@ -71,26 +122,163 @@ export async function apiRequest({
     // 3. URL Construction
     const requestUrl = baseUrl ? `${baseUrl}${url}` : url;
 
-    // 4. Request Execution
-    const networkResponse = await executeNetworkCall(
-        request,
+    /**
+     * WHY: When a session is supplied we replay its cookies automatically.
+     * An explicit 'Cookie' header from the caller always wins, so existing
+     * call sites that thread cookies by hand keep their behavior.
+     */
+    if (session && !httpRequestOptions.headers['Cookie']) {
+        const cookieHeader = session.getCookieHeader(requestUrl);
+        if (cookieHeader) {
+            httpRequestOptions.headers['Cookie'] = cookieHeader;
+        }
+    }
+
+    // 4. Request Execution (with retries)
+    const startedAt = Date.now();
+    const loggedRequest = describeRequest({
         method,
-        requestUrl,
-        httpRequestOptions,
-    );
+        url: requestUrl,
+        headers: httpRequestOptions.headers,
+        body: serializeRequestBody(httpRequestOptions),
+        timeout,
+    });
+
+    /**
+     * WHY: The exchange is reported before any error is thrown, so a failing call
+     * is always in the report alongside the error it caused.
+     */
+    const reportExchange = ({ response = null, attempts, error }) => {
+        onExchange?.({
+            request: loggedRequest,
+            response,
+            startedAt: new Date(startedAt).toISOString(),
+            durationMs: Date.now() - startedAt,
+            attempts,
+            ...(error && { error }),
+        });
+    };
+
+    let networkResponse;
+    let attempts;
+    try {
+        ({ networkResponse, attempts } = await executeWithRetries(
+            () => executeNetworkCall(request, method, requestUrl, httpRequestOptions),
+            {
+                method,
+                url,
+                policy: resolveRetryPolicy(retry, { retries: getConfig().apiRetries }),
+                onAttempt,
+            },
+        ));
+    } catch (error) {
+        reportExchange({ attempts: error.attempts ?? [], error: error.message });
+        throw error;
+    }
 
     // 5. Response Sanitization and Parsing
     const statusCode = networkResponse.status();
     const responseHeaders = networkResponse.headers();
-    const parsedBody = await parseResponseBody(networkResponse);
+
+    /**
+     * WHY: headersArray() preserves each Set-Cookie header individually, which is
+     * more reliable than splitting the merged value returned by headers().
+     * Cookies are captured before the body is read or parsed: the server has set
+     * them whatever the body holds, and a parse failure must not drop them.
+     */
+    if (session) {
+        const setCookieHeaders = networkResponse
+            .headersArray()
+            .filter((header) => header.name.toLowerCase() === 'set-cookie')
+            .map((header) => header.value);
+        session.captureSetCookies(setCookieHeaders, requestUrl);
+    }
+
+    const rawResponse = await readResponseBody(networkResponse, responseType);
+
+    reportExchange({ response: describeResponse(networkResponse, rawResponse), attempts });
+
+    const parsedResponse = parseResponseBody(networkResponse, rawResponse, responseType);
+    let parsedBody = parsedResponse.body;
+
+    /**
+     * WHY: Opt-in contract mode. Callers that pass a schema get a typed body or
+     * a failure listing every Zod issue with its JSON path, instead of asserting
+     * on an unvalidated payload. XML leaves are all strings, so they are first
+     * coerced to the types the schema expects.
+     */
+    if (schema) {
+        parsedBody = validateSchema(
+            schema,
+            parsedResponse.isXml ? coerceToSchema(schema, parsedBody) : parsedBody,
+            redactText(`${method.toUpperCase()} ${url} (status ${statusCode}) response`),
+        );
+    }
 
     return {
         status: statusCode,
         body: parsedBody,
         headers: responseHeaders,
+        attempts,
     };
 }
 
+/**
+ * Runs a network call until it succeeds or the retry policy gives up.
+ * WHY: A response with a non-retryable status is returned as-is (callers assert on
+ * status codes); only when no attempt produced a response does this throw, with
+ * every attempt attached for the report.
+ */
+async function executeWithRetries(call, { method, url, policy, onAttempt }) {
+    const attempts = [];
+
+    for (let attemptNumber = 1; ; attemptNumber++) {
+        const startedAt = Date.now();
+        /** @type {import('./retry-policy.js').AttemptRecord} */
+        const attempt = { attempt: attemptNumber, startedAt: new Date(startedAt).toISOString() };
+        let networkResponse;
+        let networkError;
+
+        try {
+            networkResponse = await call();
+            attempt.status = networkResponse.status();
+        } catch (error) {
+            networkError = error;
+            attempt.error = redactText(error.message.split('\n')[0]);
+        }
+
+        attempt.durationMs = Date.now() - startedAt;
+        attempts.push(attempt);
+
+        const canRetry =
+            attemptNumber <= policy.retries &&
+            isRetryable(policy, method, { status: attempt.status, error: networkError });
+
+        if (canRetry) {
+            attempt.retryDelayMs = computeBackoffDelay(policy, attemptNumber);
+        }
+
+        onAttempt?.(attempt);
+
+        if (canRetry) {
+            await sleep(attempt.retryDelayMs);
+            continue;
+        }
+
+        if (networkError) {
+            throw new ApiRequestError(
+                redactText(
+                    `${method.toUpperCase()} ${url} failed after ${attempts.length} attempt(s): ${describeAttempts(attempts)}`,
+                ),
+                attempts,
+                networkError,
+            );
+        }
+
+        return { networkResponse, attempts };
+    }
+}
+
 /**
  * Internal helper to map HTTP methods to Playwright request actions.
  *
@@ -115,30 +303,96 @@ async function executeNetworkCall(request, method, url, options) {
     }
 }
 
+function isXmlContentType(contentType) {
+    return /[/+]xml\b/i.test(contentType);
+}
+
+function parseXmlBody(rawText) {
+    return xmlElementToValue(parseXml(rawText));
+}
+
 /**
- * Intelligent response body parser.
+ * Reads the response body once, as bytes for 'binary' and as text otherwise.
+ * WHY: Reading is separate from parsing so the raw body can be logged in the
+ * exchange before a parse error (e.g. a forced 'json' on an HTML error page) is thrown.
  *
- * WHY: API responses are not always JSON. This helper attempts to parse JSON
- * first but gracefully falls back to plain text (common for success messages
- * in Parabank), ensuring tests don't crash on non-JSON payloads.
+ * @returns {Promise<{ rawText?: string, rawBytes?: Buffer, readError?: string }>}
  */
-async function parseResponseBody(response) {
+async function readResponseBody(response, responseType) {
     try {
-        const rawText = await response.text();
-        if (!rawText) return null;
+        if (responseType === RESPONSE_TYPES.BINARY) return { rawBytes: await response.body() };
+        return { rawText: await response.text() };
+    } catch (readError) {
+        /**
+         * WHY: The body stays null; the read error is recorded in the exchange
+         * attached to the test, so it is visible next to the failure it causes.
+         */
+        return { readError: readError.message };
+    }
+}
 
+/**
+ * Intelligent response body parser.
+ *
+ * WHY: API responses are not always JSON. In 'auto' mode the Content-Type decides:
+ * XML (e.g. Parabank REST without an Accept header, or SOAP) is converted into
+ * plain objects, anything else is tried as JSON and falls back to plain text
+ * (common for success messages in Parabank), so tests don't crash on non-JSON
+ * payloads. A forced responseType fails loudly when the body does not match.
+ *
+ * @returns {{ body: any, isXml: boolean }}
+ */
+function parseResponseBody(response, { rawText, rawBytes, readError }, responseType) {
+    if (responseType === RESPONSE_TYPES.BINARY) return { body: rawBytes ?? null, isXml: false };
+    if (readError) return { body: null, isXml: false };
+
+    switch (responseType) {
+        case RESPONSE_TYPES.TEXT:
+            return { body: rawText, isXml: false };
+
+        case RESPONSE_TYPES.JSON:
+            try {
+                return { body: rawText ? JSON.parse(rawText) : null, isXml: false };
+            } catch (jsonError) {
+                throw new Error(
+                    `Expected a JSON response but could not parse it: ${jsonError.message}`,
+                );
+            }
+
+        case RESPONSE_TYPES.XML:
+            return { body: rawText ? parseXmlBody(rawText) : null, isXml: true };
+
+        case RESPONSE_TYPES.AUTO:
+            break;
+
+        default:
+            throw new Error(
+                `Unsupported responseType "${responseType}". Expected one of: ${Object.values(RESPONSE_TYPES).join(', ')}`,
+            );
+    }
+
+    if (!rawText) return { body: null, isXml: false };
+
+    if (isXmlContentType(response.headers()['content-type'] ?? '')) {
         try {
-            return JSON.parse(rawText);
-        } catch (_jsonError) {
+            return { body: parseXmlBody(rawText), isXml: true };
+        } catch {
             /**
-             * WHY: If JSON parsing fails, we return the raw text. This is
-             * intentional for endpoints that return simple confirmation strings.
+             * WHY: A malformed document is still returned as text so the caller
+             * can see what the server sent.
              */
-            return rawText;
+            return { body: rawText, isXml: false };
         }
-    } catch (readError) {
-        console.warn(`CRITICAL: Could not read response body: ${readError.message}`);
-        return null;
+    }
+
+    try {
+        return { body: JSON.parse(rawText), isXml: false };
+    } catch {
+        /**
+         * WHY: If JSON parsing fails, we return the raw text. This is
+         * intentional for endpoints that return simple confirmation strings.
+         */
+        return { body: rawText, isXml: false };
     }
 }
 
@@ -154,7 +408,10 @@ export function extractCookie(headers, cookieName) {
     const setCookie = headers['set-cookie'];
 
     if (!setCookie) {
-        console.error(' [DEBUG] No set-cookie header found in: ', JSON.stringify(headers));
+        console.error(
+            ' [DEBUG] No set-cookie header found in: ',
+            JSON.stringify(redactHeaders(headers)),
+        );
         return null;
     }
 
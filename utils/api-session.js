@@ -0,0 +1,290 @@
+/**
+ * Cookie jar for stateful API sessions.
+ *
+ * WHY: Parabank is a stateful legacy application that relies on cookies
+ * (JSESSIONID and friends). Capturing every Set-Cookie header and replaying the
+ * matching cookies automatically means specs no longer thread session IDs by
+ * hand, and an authenticated session can be persisted to disk and restored.
+ * Cookies are scoped by host, Domain and Path like a browser scopes them, so a
+ * session issued by one server is never replayed to another baseUrl.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * @typedef {Object} StoredCookie
+ * @property {string} name
+ * @property {string} value
+ * @property {string} domain - The host that set the cookie, or its Domain attribute.
+ * @property {boolean} hostOnly - True when no Domain attribute was sent, so only the
+ * exact host receives the cookie (RFC 6265 5.3).
+ * @property {string} path - The cookie scope (defaults per RFC 6265).
+ * @property {number | null} expiresAt - Epoch milliseconds, or null for session cookies.
+ */
+
+/**
+ * WHY: apiRequest always passes absolute URLs, but a relative one must not throw;
+ * it is treated as a request to localhost.
+ */
+const RELATIVE_URL_BASE = 'http://localhost';
+
+/**
+ * WHY: Hosts are compared case-insensitively and without the port: cookies are
+ * not isolated by port (RFC 6265 8.5).
+ */
+function hostOf(requestUrl) {
+    return new URL(requestUrl, RELATIVE_URL_BASE).hostname.toLowerCase();
+}
+
+export class ApiSession {
+    /**
+     * @param {StoredCookie[]} [cookies] - Cookies to seed the jar with.
+     */
+    constructor(cookies = []) {
+        /** @type {Map<string, StoredCookie>} */
+        this.cookies = new Map();
+
+        for (const cookie of cookies) {
+            this._put(cookie);
+        }
+    }
+
+    // ==================== Private Helpers ====================
+
+    /**
+     * WHY: A cookie is identified by its domain, its path AND its name. Two cookies
+     * with the same name but different hosts or paths coexist in a browser, so
+     * they must here too.
+     */
+    _key({ domain, path: cookiePath, name }) {
+        return `${domain};${cookiePath};${name}`;
+    }
+
+    _put(cookie) {
+        this.cookies.set(this._key(cookie), cookie);
+    }
+
+    _isExpired(cookie, now = Date.now()) {
+        return cookie.expiresAt !== null && cookie.expiresAt <= now;
+    }
+
+    /**
+     * Computes the default cookie path for a request URL.
+     * WHY: RFC 6265 (5.1.4) scopes a cookie without a Path attribute to the
+     * "directory" of the request path, e.g. '/parabank/login.htm' -> '/parabank'.
+     */
+    _defaultPath(requestUrl) {
+        const { pathname } = new URL(requestUrl, RELATIVE_URL_BASE);
+        const lastSlash = pathname.lastIndexOf('/');
+
+        return lastSlash <= 0 ? '/' : pathname.slice(0, lastSlash);
+    }
+
+    /**
+     * WHY: RFC 6265 (5.1.3) domain-match: 'parabank.com' matches 'parabank.com'
+     * and 'www.parabank.com' but not 'evilparabank.com'. IP addresses only match
+     * themselves.
+     */
+    _domainMatches(cookieDomain, requestHost) {
+        if (requestHost === cookieDomain) return true;
+        if (/^[\d.]+$|:/.test(requestHost)) return false;
+
+        return requestHost.endsWith(`.${cookieDomain}`);
+    }
+
+    _appliesTo(cookie, requestHost) {
+        return cookie.hostOnly
+            ? cookie.domain === requestHost
+            : this._domainMatches(cookie.domain, requestHost);
+    }
+
+    /**
+     * WHY: RFC 6265 (5.1.4) path-match: '/parabank' matches '/parabank' and
+     * '/parabank/services' but not '/parabankx'.
+     */
+    _pathMatches(cookiePath, requestPath) {
+        if (requestPath === cookiePath) return true;
+        if (!requestPath.startsWith(cookiePath)) return false;
+
+        return cookiePath.endsWith('/') || requestPath.charAt(cookiePath.length) === '/';
+    }
+
+    /**
+     * Parses a single Set-Cookie header value into a StoredCookie.
+     * Returns null when the header is malformed, or when its Domain attribute
+     * does not cover the host that sent it (RFC 6265 5.3, step 6).
+     */
+    _parseSetCookie(headerValue, requestUrl) {
+        const [pair, ...attributes] = headerValue.split(';');
+        const separatorIndex = pair.indexOf('=');
+
+        if (separatorIndex <= 0) return null;
+
+        const requestHost = hostOf(requestUrl);
+        const cookie = {
+            name: pair.slice(0, separatorIndex).trim(),
+            value: pair.slice(separatorIndex + 1).trim(),
+            domain: requestHost,
+            hostOnly: true,
+            path: this._defaultPath(requestUrl),
+            expiresAt: null,
+        };
+
+        let maxAge = null;
+        let domainAttribute = '';
+
+        for (const attribute of attributes) {
+            const [rawKey, ...rawValue] = attribute.split('=');
+            const key = rawKey.trim().toLowerCase();
+            const value = rawValue.join('=').trim();
+
+            if (key === 'path' && value.startsWith('/')) {
+                cookie.path = value;
+            } else if (key === 'domain') {
+                domainAttribute = value.replace(/^\./, '').toLowerCase();
+            } else if (key === 'expires') {
+                const parsedDate = Date.parse(value);
+                if (!Number.isNaN(parsedDate)) cookie.expiresAt = parsedDate;
+            } else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+                maxAge = Number(value);
+            }
+        }
+
+        if (domainAttribute) {
+            if (!this._domainMatches(domainAttribute, requestHost)) return null;
+
+            cookie.domain = domainAttribute;
+            cookie.hostOnly = false;
+        }
+
+        /**
+         * WHY: Per RFC 6265, Max-Age takes precedence over Expires. A value of
+         * zero or less means "delete this cookie now".
+         */
+        if (maxAge !== null) {
+            cookie.expiresAt = maxAge <= 0 ? 0 : Date.now() + maxAge * 1000;
+        }
+
+        return cookie;
+    }
+
+    // ==================== Actions ====================
+
+    /**
+     * Stores (or deletes) cookies from a response's Set-Cookie headers.
+     * WHY: Playwright may merge multiple 'set-cookie' headers into a single
+     * newline-separated string, so both arrays and merged strings are accepted.
+     *
+     * @param {string | string[] | undefined} setCookieHeaders
+     * @param {string} requestUrl - The URL that produced the response.
+     */
+    captureSetCookies(setCookieHeaders, requestUrl) {
+        if (!setCookieHeaders) return;
+
+        const entries = Array.isArray(setCookieHeaders)
+            ? setCookieHeaders
+            : setCookieHeaders.split('\n');
+
+        for (const entry of entries) {
+            const cookie = this._parseSetCookie(entry, requestUrl);
+            if (!cookie) continue;
+
+            /**
+             * WHY: Servers "log out" by sending an already expired cookie.
+             * Honoring that removes the stale session instead of replaying it.
+             */
+            if (this._isExpired(cookie)) {
+                this.cookies.delete(this._key(cookie));
+            } else {
+                this._put(cookie);
+            }
+        }
+    }
+
+    /**
+     * Builds the Cookie request header for a URL.
+     * WHY: Only cookies whose host/Domain and Path cover the URL are sent. Cookies
+     * with longer (more specific) paths are listed first, matching browser
+     * behavior (RFC 6265 5.4).
+     *
+     * @param {string} requestUrl
+     * @returns {string | null} e.g. "JSESSIONID=123; lang=en", or null if no cookie applies.
+     */
+    getCookieHeader(requestUrl) {
+        const { pathname } = new URL(requestUrl, RELATIVE_URL_BASE);
+        const requestHost = hostOf(requestUrl);
+        const now = Date.now();
+
+        const applicable = [...this.cookies.values()]
+            .filter((cookie) => !this._isExpired(cookie, now))
+            .filter((cookie) => this._appliesTo(cookie, requestHost))
+            .filter((cookie) => this._pathMatches(cookie.path, pathname))
+            .sort((a, b) => b.path.length - a.path.length);
+
+        if (applicable.length === 0) return null;
+
+        return applicable.map((cookie) => `${cookie.name}=${cookie.value}`).join('; ');
+    }
+
+    /**
+     * Returns the "name=value" pair of a live cookie, or null.
+     * WHY: Mirrors the return format of extractCookie() so existing assertions
+     * (e.g. toMatch(/^JSESSIONID=/)) keep working.
+     *
+     * @param {string} name
+     */
+    get(name) {
+        const cookie = [...this.cookies.values()].find(
+            (candidate) =>
+                candidate.name.toLowerCase() === name.toLowerCase() && !this._isExpired(candidate),
+        );
+
+        return cookie ? `${cookie.name}=${cookie.value}` : null;
+    }
+
+    /**
+     * Removes every cookie from the jar.
+     */
+    clear() {
+        this.cookies.clear();
+    }
+
+    // ==================== Persistence ====================
+
+    /**
+     * @returns {{ cookies: StoredCookie[] }}
+     */
+    toJSON() {
+        return {
+            cookies: [...this.cookies.values()].filter((cookie) => !this._isExpired(cookie)),
+        };
+    }
+
+    /**
+     * Persists the live cookies to disk.
+     * WHY: Allows an authenticated session to be created once (e.g. in setup)
+     * and reused by later tests or workers without logging in again.
+     *
+     * @param {string} filePath
+     */
+    save(filePath) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(this.toJSON(), null, 2));
+    }
+
+    /**
+     * Restores a session previously written by save().
+     *
+     * @param {string} filePath
+     * @returns {ApiSession}
+     */
+    static load(filePath) {
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Session file does not exist: ${filePath}`);
+        }
+
+        const { cookies = [] } = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        return new ApiSession(cookies);
+    }
+}
@@ -0,0 +1,260 @@
+/**
+ * Typed, validated framework configuration.
+ *
+ * WHY: The base URL used to be read from process.env in several places, each with
+ * its own fallback (the Playwright config fell back to localhost, BasePage threw).
+ * This module is now the only reader of the environment. It resolves every
+ * setting through the same layers and validates the result once with Zod:
+ *
+ *   defaults  →  env/.env.<ENVIRONMENT>  →  variables set on the command line  →  per-project overrides
+ *
+ * The env file is parsed rather than loaded into process.env, so nothing else can
+ * quietly come to depend on it. Specs and page objects receive the result through
+ * the `config` fixture (fixtures/config/configFixtures.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { z } from 'zod';
+import { validateSchema } from './schema-validator.js';
+import { NETWORK_MODES } from './har-recorder.js';
+
+const ENV_DIR = path.resolve('./env');
+
+/**
+ * WHY: Environment variables are strings. z.coerce.boolean() would turn "false"
+ * into true, so flags accept only explicit values. An empty value never gets
+ * here: it leaves the setting unset (see resolveLayers).
+ */
+const flag = z.union([
+    z.boolean(),
+    z.enum(['true', 'false', '1', '0']).transform((value) => value === 'true' || value === '1'),
+]);
+
+const milliseconds = z.coerce.number().int().positive();
+
+/**
+ * WHY: Config keys are camelCase for code; each maps to the environment variable
+ * that sets it. ENVIRONMENT is not listed because it selects the env file and
+ * therefore cannot come from it.
+ */
+const ENV_VARIABLES = {
+    baseUrl: 'APP_BASE_URL',
+    testTimeout: 'TEST_TIMEOUT_MS',
+    actionTimeout: 'ACTION_TIMEOUT_MS',
+    navigationTimeout: 'NAVIGATION_TIMEOUT_MS',
+    apiTimeout: 'API_TIMEOUT_MS',
+    apiRetries: 'API_RETRIES',
+    retries: 'RETRIES',
+    workers: 'WORKERS',
+    ci: 'CI',
+    headless: 'HEADLESS',
+    redactSecrets: 'REDACT_SECRETS',
+    networkMode: 'NETWORK_MODE',
+    seedUsername: 'PARABANK_SEED_USERNAME',
+    seedPassword: 'PARABANK_SEED_PASSWORD',
+};
+
+const ConfigSchema = z
+    .object({
+        environment: z.string().min(1),
+
+        /** Root of the Parabank instance, e.g. https://parabank.parasoft.com */
+        baseUrl: z.url().default('http://localhost:8080'),
+
+        /** Total time allowed for a single test. */
+        testTimeout: milliseconds.default(60 * 1000),
+
+        /** Time allowed for a single click or fill. */
+        actionTimeout: milliseconds.default(15 * 1000),
+
+        /** Time allowed for a page load. */
+        navigationTimeout: milliseconds.default(30 * 1000),
+
+        /** Time allowed for a single API attempt (see utils/retry-policy.js). */
+        apiTimeout: milliseconds.default(30 * 1000),
+
+        /** Extra attempts for API calls that fail with a retryable error. */
+        apiRetries: z.coerce.number().int().min(0).default(2),
+
+        /**
+         * WHY: Left undefined unless set, so the CI-dependent defaults below apply.
+         */
+        retries: z.coerce.number().int().min(0).optional(),
+        workers: z.coerce.number().int().positive().optional(),
+
+        /** Set by CI providers. Forbids test.only and enables CI defaults. */
+        ci: flag.default(false),
+
+        headless: flag.default(true),
+
+        /** Replace passwords, SSNs and session IDs in logs and reports (utils/redaction.js). */
+        redactSecrets: flag.default(true),
+
+        /** Record or replay the browser traffic as HAR (utils/har-recorder.js). */
+        networkMode: z.enum(Object.values(NETWORK_MODES)).default(NETWORK_MODES.LIVE),
+
+        /**
+         * WHY: Parabank's seed data always contains this customer. Instances with
+         * different seed data can override the credentials.
+         */
+        seedUsername: z.string().min(1).default('john'),
+        seedPassword: z.string().min(1).default('demo'),
+    })
+    .strict()
+    .transform((config) => ({
+        ...config,
+
+        /**
+         * WHY: In CI we retry transient failures and restrict workers to avoid
+         * memory exhaustion. Locally, tests fail immediately and use every core.
+         */
+        retries: config.retries ?? (config.ci ? 2 : 0),
+        workers: config.workers ?? (config.ci ? 1 : undefined),
+
+        /**
+         * WHY: Turning redaction off is for local debugging. CI reports and
+         * artifacts are shared, so there it is always on.
+         */
+        redactSecrets: config.redactSecrets || config.ci,
+    }));
+
+/**
+ * @typedef {Object} FrameworkConfig
+ * @property {string} environment
+ * @property {string} baseUrl
+ * @property {number} testTimeout
+ * @property {number} actionTimeout
+ * @property {number} navigationTimeout
+ * @property {number} apiTimeout
+ * @property {number} apiRetries
+ * @property {number} retries
+ * @property {number | undefined} workers
+ * @property {boolean} ci
+ * @property {boolean} headless
+ * @property {boolean} redactSecrets
+ * @property {'live' | 'record' | 'replay'} networkMode
+ * @property {string} seedUsername
+ * @property {string} seedPassword
+ */
+
+/** @type {{ config: FrameworkConfig, sources: Record<string, string>, envFile: string } | null} */
+let loadedConfig = null;
+
+// ==================== Private Helpers ====================
+
+function readEnvFile(envFile) {
+    return fs.existsSync(envFile) ? dotenv.parse(fs.readFileSync(envFile)) : {};
+}
+
+/**
+ * WHY: `APP_BASE_URL= npm test` and a blank `APP_BASE_URL=` line in an env file
+ * both mean "not set here". Passing '' on would fail validation (or, for flags,
+ * silently mean false) instead of falling through to the next layer.
+ */
+function isSet(value) {
+    return value !== undefined && value !== '';
+}
+
+/**
+ * Collects raw values by layer and records which layer supplied each key.
+ * WHY: Variables set on the command line win over the env file, matching the
+ * behaviour of dotenv.config() the framework used before.
+ */
+function resolveLayers(env, fileValues) {
+    const rawConfig = {};
+    const sources = {};
+
+    for (const [key, variable] of Object.entries(ENV_VARIABLES)) {
+        if (isSet(env[variable])) {
+            rawConfig[key] = env[variable];
+            sources[key] = 'environment';
+        } else if (isSet(fileValues[variable])) {
+            rawConfig[key] = fileValues[variable];
+            sources[key] = 'env file';
+        } else {
+            sources[key] = 'default';
+        }
+    }
+
+    return { rawConfig, sources };
+}
+
+// ==================== Public API ====================
+
+/**
+ * Resolves and validates the configuration from a set of variables and an env directory.
+ * WHY: getConfig() resolves the real environment once; specs call this directly
+ * with their own variables and env files to check the layers.
+ *
+ * @param {Object} [options]
+ * @param {Record<string, string | undefined>} [options.env] - Variables set on the command line.
+ * @param {string} [options.envDir] - Directory holding the .env.<ENVIRONMENT> files.
+ * @returns {{ config: FrameworkConfig, sources: Record<string, 'default' | 'env file' | 'environment'>, envFile: string }}
+ * @throws {import('./schema-validator.js').SchemaValidationError}
+ */
+export function loadConfig({ env = process.env, envDir = ENV_DIR } = {}) {
+    const environment = env.ENVIRONMENT || 'dev';
+    const envFile = path.join(envDir, `.env.${environment}`);
+    const { rawConfig, sources } = resolveLayers(env, readEnvFile(envFile));
+
+    const config = Object.freeze(
+        validateSchema(ConfigSchema, { environment, ...rawConfig }, `Configuration (${envFile})`),
+    );
+
+    return { config, sources, envFile };
+}
+
+/**
+ * Loads and validates the configuration (once per process).
+ * WHY: playwright.config.js calls this first, so an invalid value fails the run
+ * before any worker starts. Workers load the same layers lazily.
+ *
+ * @returns {FrameworkConfig}
+ * @throws {import('./schema-validator.js').SchemaValidationError}
+ */
+export function getConfig() {
+    loadedConfig ??= loadConfig();
+    return loadedConfig.config;
+}
+
+/**
+ * @returns {string} Absolute path of the env file for the current ENVIRONMENT.
+ */
+export function getEnvFilePath() {
+    getConfig();
+    return loadedConfig.envFile;
+}
+
+/**
+ * Reports which layer supplied a setting.
+ *
+ * @param {keyof FrameworkConfig} key
+ * @returns {'default' | 'env file' | 'environment'}
+ */
+export function getConfigSource(key) {
+    getConfig();
+    return loadedConfig.sources[key];
+}
+
+/**
+ * Applies the last layer: per-project overrides from playwright.config.js.
+ * WHY: The merged result is validated again, so a project cannot override a
+ * setting with an invalid value or a misspelled key.
+ *
+ * @param {FrameworkConfig} config
+ * @param {Partial<FrameworkConfig>} overrides
+ * @returns {FrameworkConfig}
+ */
+export function withConfigOverrides(config, overrides = {}) {
+    if (Object.keys(overrides).length === 0) return config;
+
+    return Object.freeze(
+        validateSchema(
+            ConfigSchema,
+            { ...config, ...overrides },
+            'Project configuration overrides',
+        ),
+    );
+}
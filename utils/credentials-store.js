@@ -0,0 +1,396 @@
+/**
+ * Concurrency-safe store for generated test credentials.
+ *
+ * WHY: With fullyParallel enabled, several workers register users at the same
+ * time. A single JSON array rewritten with readFileSync/writeFileSync loses
+ * records when two workers interleave, and "the last entry" means nothing across
+ * workers. Instead, every record is appended as one JSON line (JSONL) under an
+ * exclusive lock file, and each record is stamped with its run, worker,
+ * environment and tags so lookups can be scoped precisely.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getConfig } from './config.js';
+import { registerSecret } from './redaction.js';
+
+/**
+ * WHY: Default location of the store (one JSON record per line). It is listed in
+ * .gitignore by exact path, so a record can never be committed by accident.
+ */
+const DEFAULT_STORE_PATH = path.resolve('./utils/credentials.jsonl');
+
+/**
+ * WHY: Appends take microseconds, so a lock held longer than this belongs to a
+ * worker that crashed mid-write and can safely be broken.
+ */
+const STALE_LOCK_MS = 10 * 1000;
+const LOCK_TIMEOUT_MS = 15 * 1000;
+const LOCK_RETRY_MS = 25;
+
+/**
+ * WHY: The store holds passwords, so only the owner of the checkout may read it.
+ */
+const STORE_FILE_MODE = 0o600;
+
+// Used with Atomics.wait to sleep synchronously between lock attempts
+const SLEEP_BUFFER = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * @typedef {Object} CredentialRecord
+ * @property {string} username
+ * @property {string} password
+ * @property {string} firstName
+ * @property {string} lastName
+ * @property {{ street: string, city: string, state: string, zipCode: string }} address
+ * @property {string} phoneNumber
+ * @property {string} [checkingAccountId]
+ * @property {string} [savingsAccountId]
+ * @property {string[]} tags - e.g. the tags of the test that created the user.
+ * @property {string} environment - The ENVIRONMENT the user was created in.
+ * @property {string} runId - Identifies the Playwright run (see playwright.config.js).
+ * @property {string} workerIndex - The Playwright worker that created the user.
+ * @property {string} createdAt - ISO-8601 timestamp.
+ */
+
+// ==================== Run Context ====================
+
+/**
+ * WHY: playwright.config.js assigns TEST_RUN_ID once in the runner process;
+ * workers inherit it, so every record of a run shares the same ID.
+ */
+export function currentRunId() {
+    return process.env.TEST_RUN_ID || 'local';
+}
+
+/**
+ * WHY: Playwright exposes the worker index to worker processes through
+ * TEST_WORKER_INDEX. Outside the runner (e.g. a node script) we fall back to 'main'.
+ */
+export function currentWorkerIndex() {
+    return process.env.TEST_WORKER_INDEX ?? 'main';
+}
+
+export function currentEnvironment() {
+    return getConfig().environment;
+}
+
+// ==================== Private Helpers ====================
+
+/**
+ * WHY: A stored user may have been created by another worker or an earlier run,
+ * so its password is unknown to this process's redaction until it is handed out.
+ */
+function handOut(record) {
+    registerSecret(record.password);
+    return record;
+}
+
+/**
+ * WHY: Accepts the user object produced by generateRandomUser() (nested address)
+ * or a fixture result (flattened street/city/state/zipCode).
+ */
+function addressOf(user) {
+    const address =
+        typeof user.address === 'object' && user.address !== null
+            ? user.address
+            : {
+                  street: user.street ?? user.address,
+                  city: user.city,
+                  state: user.state,
+                  zipCode: user.zipCode,
+              };
+
+    return {
+        street: address.street,
+        city: address.city,
+        state: address.state,
+        zipCode: address.zipCode,
+    };
+}
+
+// ==================== Store ====================
+
+/**
+ * An append-only JSONL file of generated users, shared by every worker.
+ *
+ * WHY: What is stored is deliberate. The password is kept in clear text because
+ * the store exists to log a failing test's user in again by hand; a hash could
+ * not do that. The SSN is not needed for that and is never written. The file is
+ * git-ignored, created readable by its owner only, and never attached to reports.
+ */
+export class CredentialsStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storePath] - Defaults to utils/credentials.jsonl.
+     * @param {number} [options.staleLockMs] - Age after which a lock is considered abandoned.
+     * @param {number} [options.lockTimeoutMs] - How long save() waits for the lock.
+     */
+    constructor({
+        storePath = DEFAULT_STORE_PATH,
+        staleLockMs = STALE_LOCK_MS,
+        lockTimeoutMs = LOCK_TIMEOUT_MS,
+    } = {}) {
+        this.storePath = storePath;
+        this.lockPath = `${storePath}.lock`;
+        this.runCountersDir = `${storePath}.runs`;
+        this.staleLockMs = staleLockMs;
+        this.lockTimeoutMs = lockTimeoutMs;
+    }
+
+    // ==================== Private Helpers ====================
+
+    /**
+     * Runs a callback while holding an exclusive lock on the store.
+     * WHY: Opening the lock file with the 'wx' flag fails if it already exists,
+     * which makes lock acquisition atomic across processes.
+     */
+    _withLock(callback) {
+        const deadline = Date.now() + this.lockTimeoutMs;
+        let lockDescriptor;
+
+        while (lockDescriptor === undefined) {
+            try {
+                lockDescriptor = fs.openSync(this.lockPath, 'wx');
+            } catch (lockError) {
+                if (lockError.code !== 'EEXIST') throw lockError;
+
+                this._breakStaleLock();
+
+                if (Date.now() > deadline) {
+                    throw new Error(
+                        `Timed out waiting for credentials store lock: ${this.lockPath}`,
+                    );
+                }
+
+                Atomics.wait(SLEEP_BUFFER, 0, 0, LOCK_RETRY_MS);
+            }
+        }
+
+        try {
+            return callback();
+        } finally {
+            fs.closeSync(lockDescriptor);
+            fs.rmSync(this.lockPath, { force: true });
+        }
+    }
+
+    _breakStaleLock() {
+        try {
+            const { mtimeMs } = fs.statSync(this.lockPath);
+            if (Date.now() - mtimeMs > this.staleLockMs) {
+                fs.rmSync(this.lockPath, { force: true });
+            }
+        } catch {
+            // The lock was released between our attempt and the stat call.
+        }
+    }
+
+    /**
+     * WHY: One counter file per run and environment, named after both (encoded,
+     * because run IDs and environments come from the command line).
+     */
+    _runCounterPath(runId, environment) {
+        return path.join(
+            this.runCountersDir,
+            `${encodeURIComponent(runId)}.${encodeURIComponent(environment)}.count`,
+        );
+    }
+
+    /**
+     * Reads every record from the store.
+     * WHY: Appends are whole lines written under the lock, but a reader may still
+     * observe a line that is mid-write. Unparseable lines are skipped rather than
+     * failing the lookup.
+     *
+     * @returns {CredentialRecord[]}
+     */
+    _readAll() {
+        if (!fs.existsSync(this.storePath)) return [];
+
+        return fs
+            .readFileSync(this.storePath, 'utf-8')
+            .split('\n')
+            .filter((line) => line.trim())
+            .flatMap((line) => {
+                try {
+                    return [JSON.parse(line)];
+                } catch {
+                    return [];
+                }
+            });
+    }
+
+    // ==================== Actions ====================
+
+    /**
+     * Appends a user record to the store.
+     *
+     * @param {Object} user
+     * @param {Object} [options]
+     * @param {string[]} [options.tags] - Labels used for later lookups (e.g. testInfo.tags).
+     * @returns {CredentialRecord}
+     */
+    save(user, { tags = [] } = {}) {
+        /** @type {CredentialRecord} */
+        const record = {
+            username: user.username,
+            password: user.password,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            address: addressOf(user),
+            phoneNumber: user.phoneNumber,
+            checkingAccountId: user.checkingAccountId,
+            savingsAccountId: user.savingsAccountId,
+            tags,
+            environment: currentEnvironment(),
+            runId: currentRunId(),
+            workerIndex: currentWorkerIndex(),
+
+            // Timestamp when record was created
+            createdAt: new Date().toISOString(),
+        };
+
+        this._withLock(() => {
+            fs.mkdirSync(this.runCountersDir, { recursive: true });
+            fs.appendFileSync(this.storePath, `${JSON.stringify(record)}\n`, {
+                mode: STORE_FILE_MODE,
+            });
+            fs.appendFileSync(this._runCounterPath(record.runId, record.environment), '.');
+        });
+
+        return record;
+    }
+
+    /**
+     * Number of users a run saved on an environment.
+     * WHY: The environment guard asks this before every registration. Each save
+     * appends one byte to a run-scoped counter file, so the answer is a single
+     * stat instead of a parse of the store's whole history.
+     *
+     * @param {Object} [scope]
+     * @param {string} [scope.runId] - Defaults to the current run.
+     * @param {string} [scope.environment] - Defaults to the current environment.
+     * @returns {number}
+     */
+    countSaved({ runId = currentRunId(), environment = currentEnvironment() } = {}) {
+        try {
+            return fs.statSync(this._runCounterPath(runId, environment)).size;
+        } catch (statError) {
+            if (statError.code === 'ENOENT') return 0;
+            throw statError;
+        }
+    }
+
+    /**
+     * Returns every record matching all of the provided criteria, oldest first.
+     *
+     * @param {Object} [criteria]
+     * @param {string} [criteria.username]
+     * @param {string} [criteria.tag] - Record must contain this tag.
+     * @param {string} [criteria.environment]
+     * @param {string} [criteria.runId]
+     * @param {string} [criteria.workerIndex]
+     * @returns {CredentialRecord[]}
+     */
+    find({ username, tag, environment, runId, workerIndex } = {}) {
+        return this._readAll().filter(
+            (record) =>
+                (username === undefined || record.username === username) &&
+                (tag === undefined || (record.tags ?? []).includes(tag)) &&
+                (environment === undefined || record.environment === environment) &&
+                (runId === undefined || record.runId === runId) &&
+                (workerIndex === undefined || String(record.workerIndex) === String(workerIndex)),
+        );
+    }
+
+    /**
+     * Looks up the most recent record for a username.
+     *
+     * @param {string} username
+     * @returns {CredentialRecord}
+     */
+    getByUsername(username) {
+        const matches = this.find({ username });
+
+        if (matches.length === 0) {
+            throw new Error(`No saved credentials found for username: ${username}`);
+        }
+
+        return handOut(matches[matches.length - 1]);
+    }
+
+    /**
+     * Returns the latest user created in this run by this worker.
+     * WHY: "Latest" is only meaningful within a single worker's timeline. Scoping
+     * by run and worker by default guarantees a serial test reads back the user its
+     * own predecessor created, never one registered concurrently by another worker.
+     * Pass explicit criteria to widen or narrow the scope.
+     *
+     * @param {Object} [criteria] - Same criteria as find().
+     * @returns {CredentialRecord}
+     */
+    getLatest(criteria = {}) {
+        const scope = {
+            runId: currentRunId(),
+            workerIndex: currentWorkerIndex(),
+            environment: currentEnvironment(),
+            ...criteria,
+        };
+
+        const matches = this.find(scope);
+
+        if (matches.length === 0) {
+            throw new Error(`No saved credentials found for ${JSON.stringify(scope)}`);
+        }
+
+        return handOut(matches[matches.length - 1]);
+    }
+}
+
+// ==================== Default Store ====================
+
+/**
+ * WHY: Specs and fixtures share the default store through these functions; a
+ * separate CredentialsStore is only needed to point at another file.
+ */
+export const defaultCredentialsStore = new CredentialsStore();
+
+/**
+ * Appends a user record to the default store.
+ *
+ * @param {Object} user
+ * @param {{ tags?: string[] }} [options]
+ * @returns {CredentialRecord}
+ */
+export function saveCredentials(user, options) {
+    return defaultCredentialsStore.save(user, options);
+}
+
+/**
+ * Returns every record of the default store matching all of the criteria.
+ *
+ * @param {Parameters<CredentialsStore['find']>[0]} [criteria]
+ * @returns {CredentialRecord[]}
+ */
+export function findCredentials(criteria) {
+    return defaultCredentialsStore.find(criteria);
+}
+
+/**
+ * @param {string} username
+ * @returns {CredentialRecord}
+ */
+export function getCredentialsByUsername(username) {
+    return defaultCredentialsStore.getByUsername(username);
+}
+
+/**
+ * Returns the latest user created in this run by this worker (see CredentialsStore.getLatest).
+ *
+ * @param {Parameters<CredentialsStore['find']>[0]} [criteria]
+ * @returns {CredentialRecord}
+ */
+export function getLatestCredentials(criteria) {
+    return defaultCredentialsStore.getLatest(criteria);
+}
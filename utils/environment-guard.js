@@ -0,0 +1,302 @@
+/**
+ * Environment profiles and the safety guard that enforces them.
+ *
+ * WHY: The same suite runs against a throwaway local container and against the
+ * shared public Parabank instance. Nothing used to stop a database reset, a mass
+ * registration or a loan matrix from hitting the shared one. Each environment now
+ * declares what it tolerates in env/profiles/<ENVIRONMENT>.json, and fixtures and
+ * API clients ask the guard before they change state, failing fast with a message
+ * that names the environment and the profile that refused the operation.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import { validateSchema } from './schema-validator.js';
+import { currentEnvironment, currentRunId, defaultCredentialsStore } from './credentials-store.js';
+
+const PROFILES_DIR = path.resolve('./env/profiles');
+
+/**
+ * State-changing operations a profile can allow.
+ * WHY: Operations are named by business effect rather than by endpoint, so one
+ * entry covers both the UI and the REST path of the same action.
+ */
+export const OPERATIONS = {
+    REGISTER_USER: 'registerUser',
+    OPEN_ACCOUNT: 'openAccount',
+    MOVE_FUNDS: 'moveFunds',
+    REQUEST_LOAN: 'requestLoan',
+    UPDATE_PROFILE: 'updateProfile',
+    RESET_DATABASE: 'resetDatabase',
+    CHANGE_SETTINGS: 'changeSettings',
+    DESTRUCTIVE: 'destructive',
+};
+
+/**
+ * Parts of Parabank that not every environment serves.
+ * WHY: The bundled stand-in (local-parabank/) implements the pages and REST
+ * services most specs use, but not these. Specs that need one skip themselves
+ * when the profile lists it as unavailable, instead of failing with 404s.
+ */
+export const FEATURES = {
+    SOAP_SERVICE: 'soapService',
+    ADMIN_PAGE: 'adminPage',
+    CUSTOMER_LOOKUP: 'customerLookup',
+    FIND_TRANSACTIONS_PAGE: 'findTransactionsPage',
+};
+
+/**
+ * WHY: Tests carrying this tag affect data beyond their own users (e.g. database
+ * resets), so they need the DESTRUCTIVE operation in the profile.
+ */
+export const DESTRUCTIVE_TAG = '@destructive';
+
+/**
+ * WHY: Used when an environment has no profile file. It allows what the suite
+ * needs against a shared instance and nothing that affects other users.
+ */
+const SHARED_INSTANCE_OPERATIONS = [
+    OPERATIONS.REGISTER_USER,
+    OPERATIONS.OPEN_ACCOUNT,
+    OPERATIONS.MOVE_FUNDS,
+    OPERATIONS.REQUEST_LOAN,
+    OPERATIONS.UPDATE_PROFILE,
+];
+
+const EnvironmentProfileSchema = z
+    .object({
+        description: z.string().optional(),
+
+        /**
+         * WHY: A read-only profile refuses every operation, whatever
+         * allowedOperations says. Useful for smoke checks against production.
+         */
+        readOnly: z.boolean().default(false),
+
+        /**
+         * WHY: A disposable instance may be reset before a run (see global-setup.js).
+         */
+        disposable: z.boolean().default(false),
+
+        allowedOperations: z
+            .array(z.enum(Object.values(OPERATIONS)))
+            .default(SHARED_INSTANCE_OPERATIONS),
+
+        /**
+         * WHY: Caps how many customers one run may register, across all workers.
+         * null means unlimited.
+         */
+        maxUsersPerRun: z.number().int().positive().nullable().default(100),
+
+        /**
+         * WHY: A real Parabank serves every feature; only partial implementations
+         * such as the bundled stand-in need to list what they lack.
+         */
+        unavailableFeatures: z.array(z.enum(Object.values(FEATURES))).default([]),
+    })
+    .strict();
+
+/**
+ * @typedef {Object} EnvironmentProfile
+ * @property {string} environment - The ENVIRONMENT the profile applies to.
+ * @property {string} source - The profile file, or "(default)".
+ * @property {string} [description]
+ * @property {boolean} readOnly
+ * @property {boolean} disposable
+ * @property {string[]} allowedOperations
+ * @property {number | null} maxUsersPerRun
+ * @property {string[]} unavailableFeatures
+ */
+
+/** @type {Map<string, EnvironmentProfile>} */
+const profileCache = new Map();
+
+export class EnvironmentGuardError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'EnvironmentGuardError';
+    }
+}
+
+// ==================== Profile Loading ====================
+
+/**
+ * Reads and validates a profile file.
+ * WHY: Validation is strict, so a misspelled key or an unknown operation fails
+ * with its JSON path instead of silently falling back to a default.
+ *
+ * @param {string} profilePath - A missing file yields the default (shared instance) profile.
+ * @param {string} environment - The ENVIRONMENT the profile applies to.
+ * @returns {EnvironmentProfile}
+ * @throws {import('./schema-validator.js').SchemaValidationError}
+ */
+export function loadEnvironmentProfile(profilePath, environment) {
+    const hasProfileFile = fs.existsSync(profilePath);
+    const rawProfile = hasProfileFile ? JSON.parse(fs.readFileSync(profilePath, 'utf-8')) : {};
+
+    const source = hasProfileFile ? path.relative(process.cwd(), profilePath) : '(default)';
+    const parsedProfile = validateSchema(
+        EnvironmentProfileSchema,
+        rawProfile,
+        `Environment profile ${source}`,
+    );
+
+    return { environment, source, ...parsedProfile };
+}
+
+/**
+ * Loads (once per process) the profile of an environment.
+ * WHY: playwright.config.js calls this right after loading the dotenv file so an
+ * invalid profile fails the run before any worker starts. Workers load the same
+ * file lazily on first use.
+ *
+ * @param {string} [environment] - Defaults to ENVIRONMENT (or 'dev').
+ * @returns {EnvironmentProfile}
+ */
+export function getEnvironmentProfile(environment = currentEnvironment()) {
+    if (!profileCache.has(environment)) {
+        profileCache.set(
+            environment,
+            loadEnvironmentProfile(path.join(PROFILES_DIR, `${environment}.json`), environment),
+        );
+    }
+
+    return profileCache.get(environment);
+}
+
+// ==================== Guard ====================
+
+/**
+ * Enforces one environment profile.
+ * WHY: Fixtures and clients use the module functions below, which guard the
+ * current environment; a guard over any other profile (e.g. in specs) behaves
+ * exactly the same.
+ */
+export class EnvironmentGuard {
+    /**
+     * @param {EnvironmentProfile} profile
+     * @param {Object} [options]
+     * @param {import('./credentials-store.js').CredentialsStore} [options.credentialsStore] -
+     * Counts the users this run has created.
+     */
+    constructor(profile, { credentialsStore = defaultCredentialsStore } = {}) {
+        this.profile = profile;
+        this.credentialsStore = credentialsStore;
+    }
+
+    /**
+     * @param {string} feature - One of FEATURES.
+     * @returns {boolean} False when the profile lists the feature as unavailable.
+     */
+    isFeatureAvailable(feature) {
+        return !this.profile.unavailableFeatures.includes(feature);
+    }
+
+    /**
+     * Throws unless the profile allows an operation.
+     *
+     * @param {string} operation - One of OPERATIONS.
+     * @param {string} [detail] - What was attempted, for the error message.
+     */
+    assertOperationAllowed(operation, detail = operation) {
+        const { readOnly, allowedOperations, environment, source } = this.profile;
+
+        if (readOnly) {
+            throw new EnvironmentGuardError(
+                `Blocked "${detail}": environment "${environment}" is read-only (${source}).`,
+            );
+        }
+
+        if (!allowedOperations.includes(operation)) {
+            throw new EnvironmentGuardError(
+                `Blocked "${detail}": operation "${operation}" is not allowed on environment ` +
+                    `"${environment}" (${source}). ` +
+                    `Allowed operations: ${allowedOperations.join(', ') || 'none'}.`,
+            );
+        }
+    }
+
+    /**
+     * Throws if a test's tags require operations the profile does not allow.
+     *
+     * @param {string[]} tags - e.g. testInfo.tags
+     */
+    assertTagsAllowed(tags) {
+        if (tags.includes(DESTRUCTIVE_TAG)) {
+            this.assertOperationAllowed(OPERATIONS.DESTRUCTIVE, `test tagged ${DESTRUCTIVE_TAG}`);
+        }
+    }
+
+    /**
+     * Throws if registering more users would exceed the profile's per-run limit.
+     * WHY: Every registered user is saved to the credentials store, which keeps a
+     * run-scoped counter across all workers. Workers registering at the same
+     * instant may overshoot by a user or two; the limit is a safety net, not an
+     * exact quota.
+     *
+     * @param {number} [count=1] - Number of users about to be created.
+     */
+    assertCanCreateUsers(count = 1) {
+        this.assertOperationAllowed(OPERATIONS.REGISTER_USER, 'register user');
+
+        const { maxUsersPerRun, environment, source } = this.profile;
+        if (maxUsersPerRun === null) return;
+
+        const createdThisRun = this.credentialsStore.countSaved({
+            runId: currentRunId(),
+            environment,
+        });
+
+        if (createdThisRun + count > maxUsersPerRun) {
+            throw new EnvironmentGuardError(
+                `Blocked "register user": run ${currentRunId()} already created ${createdThisRun} ` +
+                    `user(s) on environment "${environment}", and the limit is ${maxUsersPerRun} (${source}).`,
+            );
+        }
+    }
+}
+
+// ==================== Guards ====================
+
+function currentGuard() {
+    return new EnvironmentGuard(getEnvironmentProfile());
+}
+
+/**
+ * @param {string} feature - One of FEATURES.
+ * @returns {boolean} False when the current environment's profile lists the feature as unavailable.
+ *
+ * @example test.skip(!isFeatureAvailable(FEATURES.SOAP_SERVICE), 'No SOAP service on this environment');
+ */
+export function isFeatureAvailable(feature) {
+    return currentGuard().isFeatureAvailable(feature);
+}
+
+/**
+ * Throws unless the current environment's profile allows an operation.
+ *
+ * @param {string} operation - One of OPERATIONS.
+ * @param {string} [detail] - What was attempted, for the error message.
+ */
+export function assertOperationAllowed(operation, detail) {
+    currentGuard().assertOperationAllowed(operation, detail);
+}
+
+/**
+ * Throws if a test's tags require operations the current profile does not allow.
+ *
+ * @param {string[]} tags - e.g. testInfo.tags
+ */
+export function assertTagsAllowed(tags) {
+    currentGuard().assertTagsAllowed(tags);
+}
+
+/**
+ * Throws if registering more users would exceed the current profile's per-run limit.
+ *
+ * @param {number} [count=1] - Number of users about to be created.
+ */
+export function assertCanCreateUsers(count) {
+    currentGuard().assertCanCreateUsers(count);
+}
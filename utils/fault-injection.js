@@ -0,0 +1,245 @@
+/**
+ * Network fault injection for the browser layer.
+ *
+ * WHY: Page objects carry retry and wait logic (OpenAccountPage's dropdown wait,
+ * BillPayPage.payBill's toPass, the transfer confirmation wait) because Parabank
+ * is flaky, but that flakiness cannot be reproduced on demand. A FaultInjector
+ * routes the page's requests through page.route and applies the faults of a
+ * per-test policy (latency, server errors, aborted or dropped responses), so a
+ * spec can prove each page object recovers, or fails with a clear message when
+ * it cannot. Every injected fault is logged and attached to the test.
+ */
+
+import { z } from 'zod';
+import { validateSchema } from './schema-validator.js';
+import { redactText } from './redaction.js';
+
+export const FAULT_TYPES = {
+    /** Forwards the request and holds the real response back for delayMs. */
+    LATENCY: 'latency',
+    /** Answers with `status` without reaching the server. */
+    SERVER_ERROR: 'serverError',
+    /** Fails the request with a network error. */
+    ABORT: 'abort',
+    /** Never answers; the request stays pending until the page closes. */
+    DROP: 'drop',
+};
+
+/**
+ * URLs of the AJAX calls Parabank's pages depend on.
+ * WHY: The pages fill dropdowns and show results through /services_proxy/bank,
+ * so these calls are where Parabank's flakiness becomes visible. REST calls from
+ * ParabankClient use APIRequestContext and are never routed.
+ */
+export const FAULT_TARGETS = {
+    accountDropdowns: /\/services_proxy\/bank\/customers\/\d+\/accounts(\?|$)/,
+    createAccount: /\/services_proxy\/bank\/createAccount\?/,
+    transfer: /\/services_proxy\/bank\/transfer\?/,
+    billPay: /\/services_proxy\/bank\/billpay\?/,
+    requestLoan: /\/services_proxy\/bank\/requestLoan\?/,
+};
+
+const FaultRuleSchema = z
+    .object({
+        /** Shown in the fault log; defaults to "<fault> <url>". */
+        name: z.string().min(1).optional(),
+
+        /** Glob or RegExp, matched like page.route(). */
+        url: z.union([z.string().min(1), z.instanceof(RegExp)]),
+
+        /** Only requests with this method are affected, e.g. 'POST'. */
+        method: z
+            .string()
+            .transform((method) => method.toUpperCase())
+            .optional(),
+
+        fault: z.enum(Object.values(FAULT_TYPES)),
+
+        /** Latency to add; also delays a SERVER_ERROR answer. */
+        delayMs: z.number().int().min(0).default(0),
+
+        status: z.number().int().min(400).max(599).default(500),
+
+        /** Matching requests that pass untouched before the first fault. */
+        skip: z.number().int().min(0).default(0),
+
+        /** Number of faults to inject; every later match passes. Unlimited when omitted. */
+        times: z.number().int().positive().optional(),
+    })
+    .strict()
+    .refine((rule) => rule.fault !== FAULT_TYPES.LATENCY || rule.delayMs > 0, {
+        message: 'A latency fault needs a positive delayMs',
+        path: ['delayMs'],
+    });
+
+/**
+ * @typedef {z.input<typeof FaultRuleSchema>} FaultRule
+ * @typedef {FaultRule[]} FaultPolicy
+ */
+
+/**
+ * @typedef {Object} InjectedFault
+ * @property {string} rule - Name of the rule that fired.
+ * @property {string} fault - One of FAULT_TYPES.
+ * @property {string} method
+ * @property {string} url - Redacted request URL.
+ * @property {string} at - ISO-8601 timestamp.
+ */
+
+// ==================== Rule Builders ====================
+
+/**
+ * @param {string | RegExp} url
+ * @param {number} delayMs
+ * @param {Partial<FaultRule>} [options]
+ * @returns {FaultRule}
+ */
+export function latency(url, delayMs, options = {}) {
+    return { ...options, url, fault: FAULT_TYPES.LATENCY, delayMs };
+}
+
+/**
+ * @param {string | RegExp} url
+ * @param {Partial<FaultRule>} [options] - e.g. { status: 503, times: 1 }
+ * @returns {FaultRule}
+ */
+export function serverError(url, options = {}) {
+    return { ...options, url, fault: FAULT_TYPES.SERVER_ERROR };
+}
+
+/**
+ * @param {string | RegExp} url
+ * @param {Partial<FaultRule>} [options]
+ * @returns {FaultRule}
+ */
+export function abortRequest(url, options = {}) {
+    return { ...options, url, fault: FAULT_TYPES.ABORT };
+}
+
+/**
+ * @param {string | RegExp} url
+ * @param {Partial<FaultRule>} [options]
+ * @returns {FaultRule}
+ */
+export function dropResponse(url, options = {}) {
+    return { ...options, url, fault: FAULT_TYPES.DROP };
+}
+
+// ==================== Injector ====================
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class FaultInjector {
+    /**
+     * @param {FaultPolicy} [policy]
+     * @throws {import('./schema-validator.js').SchemaValidationError} On an invalid rule.
+     */
+    constructor(policy = []) {
+        this.rules = validateSchema(z.array(FaultRuleSchema), policy, 'Fault policy');
+
+        /** @type {InjectedFault[]} */
+        this.injected = [];
+
+        /** @type {import('@playwright/test').Page | null} */
+        this.page = null;
+    }
+
+    /**
+     * Routes the page's requests through the policy.
+     *
+     * @param {import('@playwright/test').Page} page
+     */
+    async install(page) {
+        this.page = page;
+
+        for (const rule of this.rules) {
+            await this._route(rule);
+        }
+    }
+
+    /**
+     * Adds a rule mid-test, e.g. after the setup the fault must not affect.
+     *
+     * @param {FaultRule} rule
+     */
+    async add(rule) {
+        const [validRule] = validateSchema(z.array(FaultRuleSchema), [rule], 'Fault rule');
+        this.rules.push(validRule);
+
+        if (this.page) await this._route(validRule);
+    }
+
+    /**
+     * WHY: Handlers of dropped requests never settle; 'ignoreErrors' stops waiting
+     * for them so the page can close.
+     */
+    async uninstall() {
+        if (this.page && this.rules.length > 0) {
+            await this.page.unrouteAll({ behavior: 'ignoreErrors' });
+        }
+    }
+
+    /**
+     * @returns {Object} Rules and injected faults, as attached to the test.
+     */
+    toJSON() {
+        return {
+            rules: this.rules.map((rule) => ({ ...rule, url: String(rule.url) })),
+            injected: this.injected,
+        };
+    }
+
+    // ==================== Private Helpers ====================
+
+    async _route(rule) {
+        let matches = 0;
+        let faults = 0;
+
+        await this.page.route(rule.url, async (route) => {
+            const request = route.request();
+
+            if (rule.method && request.method() !== rule.method) return route.fallback();
+
+            matches += 1;
+            const exhausted = rule.times !== undefined && faults >= rule.times;
+            if (matches <= rule.skip || exhausted) return route.fallback();
+
+            faults += 1;
+            this.injected.push({
+                rule: rule.name ?? `${rule.fault} ${rule.url}`,
+                fault: rule.fault,
+                method: request.method(),
+                url: redactText(request.url()),
+                at: new Date().toISOString(),
+            });
+
+            return this._inject(route, rule);
+        });
+    }
+
+    /**
+     * WHY: Latency is added after the server answered, so the request has its
+     * real effect and only the page sees it late (e.g. a delayed #showResult).
+     * Server errors are answered here, so nothing is executed twice on retry.
+     */
+    async _inject(route, rule) {
+        switch (rule.fault) {
+            case FAULT_TYPES.LATENCY: {
+                const response = await route.fetch();
+                await sleep(rule.delayMs);
+                return route.fulfill({ response });
+            }
+            case FAULT_TYPES.SERVER_ERROR:
+                await sleep(rule.delayMs);
+                return route.fulfill({
+                    status: rule.status,
+                    contentType: 'text/plain',
+                    body: `Injected fault: HTTP ${rule.status}`,
+                });
+            case FAULT_TYPES.ABORT:
+                return route.abort('connectionreset');
+            case FAULT_TYPES.DROP:
+                return new Promise(() => {});
+        }
+    }
+}
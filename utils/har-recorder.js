@@ -0,0 +1,317 @@
+/**
+ * HAR record and replay for the browser layer.
+ *
+ * WHY: UI specs always talk to the live backend, so a failing transfer or bill
+ * payment cannot be reproduced once the shared data has moved on. With
+ * NETWORK_MODE=record every test stores its browser traffic in a HAR file at a
+ * path derived from its spec and title; NETWORK_MODE=replay serves the same
+ * flow from that file through routeFromHAR, without a backend.
+ *
+ * A replay only matches when the browser sends the same requests again, so:
+ *  - generated test data is seeded from the test's path (see seedRandomData),
+ *  - usernames, which must be unique on the server, are recorded under a unique
+ *    variant and normalized back to the seeded value,
+ *  - customer, account and transaction IDs are rewritten to stable values, so
+ *    recording a test twice produces the same file.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const NETWORK_MODES = {
+    /** Talk to the backend; nothing is recorded. */
+    LIVE: 'live',
+    /** Talk to the backend and store the browser traffic as HAR. */
+    RECORD: 'record',
+    /** Serve the browser traffic from a stored HAR; unmatched requests fail. */
+    REPLAY: 'replay',
+};
+
+const RECORDINGS_DIR = path.resolve('./recordings');
+
+/**
+ * WHY: Only Parabank's own traffic is recorded; third-party requests (fonts,
+ * analytics on the public instance) would make replays depend on the internet.
+ */
+const RECORDED_URLS = '**/parabank/**';
+
+/**
+ * JSON keys whose values are server-generated IDs.
+ */
+const ID_KEYS = new Set(['id', 'customerId', 'accountId', 'fromAccountId', 'toAccountId']);
+
+/**
+ * WHY: Stable IDs start far above Parabank's own (5-digit) IDs, so a rewritten
+ * ID never collides with one that was left alone.
+ */
+const FIRST_STABLE_ID = 900001;
+
+/**
+ * WHY: Small numbers also appear as amounts and counts; only values this large
+ * are treated as IDs.
+ */
+const MIN_ID = 1000;
+
+// ==================== Paths ====================
+
+function slugify(text) {
+    return text
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 120);
+}
+
+/**
+ * Deterministic recording location of a test.
+ * WHY: Keyed by spec and title path only, so every browser project and every
+ * retry of a test reads and writes the same file.
+ *
+ * @param {import('@playwright/test').TestInfo} testInfo
+ * @returns {string} e.g. recordings/e2e/features/accounts/bill-pay/<test-title>.har
+ */
+export function harPathFor(testInfo) {
+    const specPath = path
+        .relative(testInfo.project.testDir, testInfo.file)
+        .replace(/\.spec\.[cm]?js$/, '');
+
+    return path.join(
+        RECORDINGS_DIR,
+        specPath,
+        `${slugify(testInfo.titlePath.slice(1).join(' '))}.har`,
+    );
+}
+
+/**
+ * @param {string} key - e.g. the HAR path relative to the recordings directory.
+ * @returns {number} A 32-bit seed derived from the key.
+ */
+export function seedFor(key) {
+    return crypto.createHash('sha256').update(key).digest().readUInt32BE(0);
+}
+
+// ==================== Normalization ====================
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Collects the server-generated IDs in the JSON responses of a HAR.
+ * WHY: The pages learn every customer, account and transaction ID from the
+ * services_proxy JSON responses, so these cover all IDs the browser sends back.
+ *
+ * @param {Object} har
+ * @returns {number[]} IDs in order of first appearance.
+ */
+function collectIds(har) {
+    const ids = new Set();
+
+    const visit = (value) => {
+        if (Array.isArray(value)) return value.forEach(visit);
+        if (!value || typeof value !== 'object') return;
+
+        for (const [key, child] of Object.entries(value)) {
+            if (ID_KEYS.has(key) && Number.isInteger(child) && child >= MIN_ID) ids.add(child);
+            else visit(child);
+        }
+    };
+
+    for (const { response } of har.log.entries) {
+        const { mimeType = '', text, encoding } = response.content ?? {};
+        if (!text || encoding === 'base64' || !mimeType.includes('json')) continue;
+
+        try {
+            visit(JSON.parse(text));
+        } catch {
+            // Not JSON after all; it cannot contain IDs we know how to read.
+        }
+    }
+
+    return [...ids];
+}
+
+/**
+ * Rewrites recorded values in one field in a single pass.
+ * WHY: One pass over one alternation means a replacement is never replaced again,
+ * even when a stable value equals another recorded value.
+ *
+ * @param {string} text
+ * @param {Map<string, string>} values - Recorded value → stable value.
+ * @param {Map<string, string>} ids - Recorded ID → stable ID.
+ * @returns {string}
+ */
+function rewrite(text, values, ids) {
+    let rewritten = text;
+
+    if (values.size > 0) {
+        // Longest first, so a value is not cut short by a shorter one it contains.
+        const pattern = [...values.keys()]
+            .sort((a, b) => b.length - a.length)
+            .map(escapeRegExp)
+            .join('|');
+        rewritten = rewritten.replace(new RegExp(pattern, 'g'), (match) => values.get(match));
+    }
+
+    if (ids.size > 0) {
+        // Whole numbers only: 13344 must not match inside 133445 or 13344.50.
+        const pattern = new RegExp(`(?<![\\w.])(${[...ids.keys()].join('|')})(?!\\w|\\.\\d)`, 'g');
+        rewritten = rewritten.replace(pattern, (match) => ids.get(match));
+    }
+
+    return rewritten;
+}
+
+/**
+ * Rewrites recorded values where a replay matches or reads them.
+ * WHY: Replays match requests by URL and post data and serve the recorded
+ * bodies; a redirect is followed through its Location. Everything else (other
+ * headers, sizes, timings, ports) is left as recorded, where a number that
+ * happens to equal an ID is not one.
+ *
+ * @param {Object} har - Parsed HAR, rewritten in place.
+ * @param {Map<string, string>} values - Recorded value → stable value.
+ * @param {Map<string, string>} ids - Recorded ID → stable ID.
+ */
+function rewriteEntries(har, values, ids) {
+    const rewriteField = (holder, key) => {
+        if (typeof holder?.[key] === 'string') holder[key] = rewrite(holder[key], values, ids);
+    };
+
+    // The origin is kept as recorded: a port is not an ID.
+    const rewriteUrl = (holder, key) => {
+        if (typeof holder?.[key] !== 'string') return;
+
+        const url = holder[key];
+        const parsedOrigin = URL.canParse(url) ? new URL(url).origin : '';
+        const origin = url.startsWith(parsedOrigin) ? parsedOrigin : '';
+        holder[key] = origin + rewrite(url.slice(origin.length), values, ids);
+    };
+
+    for (const { request, response } of har.log.entries) {
+        rewriteUrl(request, 'url');
+        request.queryString?.forEach((param) => rewriteField(param, 'value'));
+        rewriteField(request.postData, 'text');
+        request.postData?.params?.forEach((param) => rewriteField(param, 'value'));
+
+        rewriteUrl(response, 'redirectURL');
+        response.headers
+            ?.filter(({ name }) => name.toLowerCase() === 'location')
+            .forEach((header) => rewriteUrl(header, 'value'));
+        if (response.content?.encoding !== 'base64') rewriteField(response.content, 'text');
+    }
+}
+
+/**
+ * Normalizes a recorded HAR file in place.
+ * WHY: HarRecorder.finish() calls this for every recording; specs call it on
+ * hand-written HARs to check what is and is not rewritten.
+ *
+ * @param {string} harPath
+ * @param {Map<string, string>} [values] - Recorded value → stable value.
+ */
+export function normalizeHar(harPath, values = new Map()) {
+    const har = JSON.parse(fs.readFileSync(harPath, 'utf8'));
+    const ids = new Map(
+        collectIds(har).map((id, index) => [String(id), String(FIRST_STABLE_ID + index)]),
+    );
+
+    rewriteEntries(har, values, ids);
+    fs.writeFileSync(harPath, JSON.stringify(har, null, 2));
+}
+
+// ==================== Recorder ====================
+
+export class HarRecorder {
+    /**
+     * @param {Object} options
+     * @param {string} options.mode - One of NETWORK_MODES.
+     * @param {string} options.harPath - See harPathFor().
+     */
+    constructor({ mode, harPath }) {
+        this.mode = mode;
+        this.harPath = harPath;
+
+        /** Seed for the test's generated data; the same in record and replay. */
+        this.seed = seedFor(path.relative(RECORDINGS_DIR, harPath));
+
+        /** @type {Map<string, string>} Recorded value → value stored in the HAR. */
+        this.normalizedValues = new Map();
+
+        /** @type {boolean | undefined} Undefined until a context is recorded. */
+        this.contextClosed = undefined;
+    }
+
+    get active() {
+        return this.mode !== NETWORK_MODES.LIVE;
+    }
+
+    /**
+     * Returns the value to send for data that must be unique on the server.
+     * WHY: A seeded username would already exist when a test is recorded again.
+     * While recording, a unique variant is sent and stored under the seeded value;
+     * replays then send the seeded value and match.
+     *
+     * @param {string} value - The seeded value.
+     * @returns {string}
+     */
+    uniqueValue(value) {
+        if (this.mode !== NETWORK_MODES.RECORD) return value;
+
+        const unique = `${value}${Date.now().toString(36)}`;
+        this.normalizedValues.set(unique, value);
+        return unique;
+    }
+
+    /**
+     * Routes the context's Parabank traffic through the HAR.
+     * WHY: In record mode Playwright writes the HAR itself when it closes the
+     * context (routeFromHAR with update), so the recorder never closes it early.
+     *
+     * @param {import('@playwright/test').BrowserContext} context
+     * @throws {Error} In replay mode when the test has not been recorded.
+     */
+    async attach(context) {
+        if (this.mode === NETWORK_MODES.RECORD) {
+            fs.mkdirSync(path.dirname(this.harPath), { recursive: true });
+            this.contextClosed = false;
+            context.once('close', () => {
+                this.contextClosed = true;
+            });
+            await context.routeFromHAR(this.harPath, {
+                url: RECORDED_URLS,
+                update: true,
+                updateContent: 'embed',
+                updateMode: 'minimal',
+            });
+        }
+
+        if (this.mode === NETWORK_MODES.REPLAY) {
+            if (!fs.existsSync(this.harPath)) {
+                throw new Error(
+                    `No recording at ${this.harPath}. Run this test with NETWORK_MODE=record first.`,
+                );
+            }
+
+            await context.routeFromHAR(this.harPath, { url: RECORDED_URLS, notFound: 'abort' });
+        }
+    }
+
+    /**
+     * Normalizes the recording once Playwright has closed its context.
+     * WHY: The HAR only exists after the context closed. harFixtures.js calls this
+     * from the harRecorder teardown, which Playwright runs after the context's.
+     *
+     * @throws {Error} When the recorded context is still open.
+     */
+    finish() {
+        if (this.mode !== NETWORK_MODES.RECORD || this.contextClosed === undefined) return;
+
+        if (!this.contextClosed) {
+            throw new Error(`Cannot normalize ${this.harPath} before its context is closed.`);
+        }
+
+        if (fs.existsSync(this.harPath)) normalizeHar(this.harPath, this.normalizedValues);
+    }
+}
@@ -3,17 +3,26 @@
  * Used to generate realistic random test data
  */
 import { faker } from '@faker-js/faker';
+import { registerSecret } from './redaction.js';
 
 /**
- * Import Node.js File System module
- * Used for reading and writing files
+ * ========================================
+ * SEEDING
+ * ========================================
  */
-import fs from 'fs';
-
-import path from 'path';
 
-// Path where user credentials are stored
-const filePath = path.resolve('./utils/credentials.json');
+/**
+ * Makes the generated data repeatable
+ * - Same seed, same users and payees
+ * - No seed restores random data
+ * WHY: HAR replays (utils/har-recorder.js) only match when the browser sends
+ * the same form data that was recorded.
+ *
+ * @param {number} [seed]
+ */
+export function seedRandomData(seed) {
+    faker.seed(seed);
+}
 
 /**
  * ========================================
@@ -88,6 +97,13 @@ export function generateRandomUser() {
     const username = generateRandomUsername();
     const password = generateRandomPassword();
 
+    /**
+     * WHY: From here on these values appear in form fills, URLs and step titles;
+     * registering them keeps them out of logs and reports (utils/redaction.js).
+     */
+    registerSecret(password);
+    registerSecret(ssn);
+
     /**
      * Return user object
      * Structure matches registration form fields
@@ -112,91 +128,3 @@ export function generateRandomUser() {
         confirmPassword: password,
     };
 }
-
-/**
- * =====================================================
- * SAVE USER CREDENTIALS TO FILE
- * =====================================================
- */
-
-/**
- * Saves a new set of credentials into credentials.json
- * Each call appends a new user record
- */
-export function saveCredentials(
-    username,
-    password,
-    firstName,
-    lastName,
-    address,
-    city,
-    state,
-    zipCode,
-    phoneNumber,
-    ssn,
-    checkingAccountId,
-    savingsAccountId,
-) {
-    // Local container for file data
-    let data = [];
-
-    // Check if credentials file already exists
-    if (fs.existsSync(filePath)) {
-        // Read file and convert JSON string into object
-        data = JSON.parse(fs.readFileSync(filePath));
-    }
-
-    // Add new user record to array
-    data.push({
-        username,
-        password,
-        firstName,
-        lastName,
-        address,
-        city,
-        state,
-        zipCode,
-        phoneNumber,
-        ssn,
-        checkingAccountId,
-        savingsAccountId,
-
-        // Timestamp when record was created
-        createdAt: new Date().toISOString(),
-    });
-
-    // Write updated array back to file in formatted JSON
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-}
-
-/**
- * =====================================================
- * GET MOST RECENTLY SAVED CREDENTIALS
- * =====================================================
- */
-
-/**
- * Returns the last saved user from credentials.json
- */
-export function getLatestCredentials() {
-    // Throw clear error if file does not exist
-    if (!fs.existsSync(filePath)) {
-        throw new Error('credentials.json does not exist');
-    }
-
-    // Read file and convert JSON string into object
-    const fileContent = fs.readFileSync(filePath, 'utf-8');
-
-    if (!fileContent.trim()) {
-        throw new Error('credentials.json is empty');
-    }
-
-    const data = JSON.parse(fileContent);
-
-    if (!Array.isArray(data) || data.length === 0) {
-        throw new Error('No saved credentials found');
-    }
-
-    // Return last entry in the array
-    return data[data.length - 1];
-}
@@ -0,0 +1,203 @@
+/**
+ * Immutable money value with exact cent arithmetic.
+ *
+ * WHY: Parabank shows balances as UI strings ("$1,234.56", "-$12.34") and returns
+ * amounts from the API as floating-point numbers. Parsing with parseFloat and
+ * adding floats drifts (0.1 + 0.2 !== 0.3) and silently turns "-$12.34" into NaN.
+ * Money stores whole cents as an integer, so every comparison and sum is exact.
+ */
+
+/**
+ * Matches "$1,234.56", "-$12.34", "$-12.34", "1234.5" and "-0.75".
+ * The sign may appear before or after the currency symbol; never both.
+ */
+const MONEY_PATTERN = /^(-)?\$?(-)?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?$/;
+
+export class Money {
+    /**
+     * WHY: The constructor is private by convention. Use Money.parse() or
+     * Money.fromCents() so every instance is built from validated input.
+     *
+     * @param {number} cents - An integer amount of cents.
+     */
+    constructor(cents) {
+        if (!Number.isSafeInteger(cents)) {
+            throw new TypeError(`Money requires an integer amount of cents, received: ${cents}`);
+        }
+
+        /** @type {number} */
+        this.cents = cents === 0 ? 0 : cents; // Normalizes -0 so equality stays predictable
+        Object.freeze(this);
+    }
+
+    // ==================== Factories ====================
+
+    /**
+     * @param {number} cents
+     * @returns {Money}
+     */
+    static fromCents(cents) {
+        return new Money(cents);
+    }
+
+    static zero() {
+        return new Money(0);
+    }
+
+    /**
+     * Parses a UI string, an API number, or an existing Money instance.
+     *
+     * @param {Money | string | number} value
+     * @returns {Money}
+     * @throws {TypeError} When the value cannot be interpreted as money.
+     */
+    static parse(value) {
+        const money = Money.tryParse(value);
+
+        if (money === null) {
+            throw new TypeError(`Cannot parse money value: ${JSON.stringify(value)}`);
+        }
+
+        return money;
+    }
+
+    /**
+     * Same as parse(), but returns null instead of throwing.
+     * WHY: Assertions (see fixtures/expect/customMatchers.js) need to report an
+     * unparseable value as a failed expectation rather than an exception.
+     *
+     * @param {unknown} value
+     * @returns {Money | null}
+     */
+    static tryParse(value) {
+        if (value instanceof Money) return value;
+
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) return null;
+
+            /**
+             * WHY: Shifting the exponent in the string form ("1.005e2") avoids the
+             * binary rounding error of value * 100 (1.005 * 100 = 100.49999...).
+             */
+            const absolute = Math.abs(value);
+            const shifted = Number(`${absolute}e2`);
+            const cents = Math.round(Number.isNaN(shifted) ? absolute * 100 : shifted);
+
+            return new Money(value < 0 ? -cents : cents);
+        }
+
+        if (typeof value !== 'string') return null;
+
+        const match = value.trim().match(MONEY_PATTERN);
+        if (!match) return null;
+
+        const [, leadingSign, innerSign, dollars, fraction = ''] = match;
+        if (leadingSign && innerSign) return null;
+
+        const cents = Number(dollars.replace(/,/g, '')) * 100 + Number(fraction.padEnd(2, '0'));
+        return new Money(leadingSign || innerSign ? -cents : cents);
+    }
+
+    // ==================== Arithmetic ====================
+
+    /**
+     * @param {Money | string | number} other
+     * @returns {Money}
+     */
+    plus(other) {
+        return new Money(this.cents + Money.parse(other).cents);
+    }
+
+    /**
+     * @param {Money | string | number} other
+     * @returns {Money}
+     */
+    minus(other) {
+        return new Money(this.cents - Money.parse(other).cents);
+    }
+
+    /**
+     * Multiplies by a plain number (e.g. shares x price), rounding to the nearest cent.
+     *
+     * @param {number} factor
+     * @returns {Money}
+     */
+    times(factor) {
+        if (!Number.isFinite(factor)) {
+            throw new TypeError(
+                `Money can only be multiplied by a finite number, received: ${factor}`,
+            );
+        }
+
+        return Money.parse(this.toNumber() * factor);
+    }
+
+    negate() {
+        return new Money(-this.cents);
+    }
+
+    abs() {
+        return new Money(Math.abs(this.cents));
+    }
+
+    // ==================== Comparison ====================
+
+    /**
+     * @param {Money | string | number} other
+     */
+    equals(other) {
+        const money = Money.tryParse(other);
+        return money !== null && money.cents === this.cents;
+    }
+
+    /**
+     * @param {Money | string | number} other
+     * @returns {-1 | 0 | 1}
+     */
+    compareTo(other) {
+        return Math.sign(this.cents - Money.parse(other).cents);
+    }
+
+    isNegative() {
+        return this.cents < 0;
+    }
+
+    isZero() {
+        return this.cents === 0;
+    }
+
+    // ==================== Formatting ====================
+
+    /**
+     * @returns {number} The amount in dollars, e.g. 1234.56 (as the API returns it).
+     */
+    toNumber() {
+        return this.cents / 100;
+    }
+
+    /**
+     * WHY: Form fields and REST query parameters expect a plain decimal string
+     * without currency symbol or separators, e.g. "1234.56".
+     */
+    toAmountString() {
+        const sign = this.cents < 0 ? '-' : '';
+        const absolute = Math.abs(this.cents);
+
+        return `${sign}${Math.floor(absolute / 100)}.${String(absolute % 100).padStart(2, '0')}`;
+    }
+
+    /**
+     * Formats the amount the way the Parabank UI renders it, e.g. "-$1,234.56".
+     */
+    toString() {
+        const sign = this.cents < 0 ? '-' : '';
+        const absolute = Math.abs(this.cents);
+        const dollars = Math.floor(absolute / 100).toLocaleString('en-US');
+
+        return `${sign}$${dollars}.${String(absolute % 100).padStart(2, '0')}`;
+    }
+
+    toJSON() {
+        return this.toNumber();
+    }
+}
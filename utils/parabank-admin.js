@@ -0,0 +1,174 @@
+/**
+ * Administrative client for Parabank's database and runtime settings.
+ *
+ * WHY: Parabank exposes the same operations as its Admin page through REST
+ * (initializeDB, cleanDB, setParameter). Driving them from code lets a run start
+ * from a known database and a known loan/data-access configuration. These calls
+ * affect every user of the instance, so every call is checked against the
+ * environment profile (see utils/environment-guard.js) before it is sent.
+ */
+
+import { PARABANK_ENDPOINTS } from './parabank-client.js';
+import { getConfig } from './config.js';
+import { OPERATIONS, assertOperationAllowed, getEnvironmentProfile } from './environment-guard.js';
+
+/**
+ * WHY: Values are the identifiers Parabank stores for the "Data Access Mode"
+ * radio buttons on the Admin page.
+ */
+export const DATA_ACCESS_MODES = {
+    SOAP: 'soap',
+    XML_REST: 'restxml',
+    JSON_REST: 'restjson',
+    JDBC: 'jdbc',
+};
+
+export const LOAN_PROVIDERS = {
+    WEB_SERVICE: 'ws',
+    LOCAL: 'local',
+    JMS: 'jms',
+};
+
+export const LOAN_PROCESSORS = {
+    AVAILABLE_FUNDS: 'funds',
+    DOWN_PAYMENT: 'down',
+    COMBINED: 'combined',
+};
+
+/**
+ * Whether the target environment may be reset.
+ * WHY: Resetting the shared public instance would wipe data other people rely
+ * on. Only environments whose profile explicitly opts in (e.g. a local Docker
+ * container) are treated as disposable.
+ */
+export function isDisposableEnvironment() {
+    return getEnvironmentProfile().disposable;
+}
+
+export class ParabankAdminClient {
+    /**
+     * @param {Object} options
+     * @param {Function} options.apiRequest - The apiRequest fixture function (or a bound api-helper).
+     * @param {string} [options.baseUrl] - Defaults to the configured baseUrl (utils/config.js).
+     */
+    constructor({ apiRequest, baseUrl = getConfig().baseUrl }) {
+        this.apiRequest = apiRequest;
+        this.baseUrl = baseUrl;
+    }
+
+    // ==================== Private Helpers ====================
+
+    /**
+     * WHY: Admin endpoints return an empty body or a plain confirmation string,
+     * so only the status code is meaningful.
+     */
+    async _post(url) {
+        const response = await this.apiRequest({
+            method: 'POST',
+            url,
+            baseUrl: this.baseUrl,
+            headers: { Accept: 'application/json' },
+            session: null,
+        });
+
+        if (response.status < 200 || response.status >= 300) {
+            throw new Error(
+                `POST ${url} failed with status ${response.status}: ${JSON.stringify(response.body)}`,
+            );
+        }
+
+        return response.body;
+    }
+
+    /**
+     * WHY: Rejecting unknown values here gives a clear error instead of a
+     * silently ignored setting on the server.
+     */
+    _assertOneOf(label, value, allowed) {
+        if (!Object.values(allowed).includes(value)) {
+            throw new Error(
+                `Unsupported ${label} "${value}". Expected one of: ${Object.values(allowed).join(', ')}`,
+            );
+        }
+    }
+
+    // ==================== Database ====================
+
+    /**
+     * Restores the database to Parabank's seed data (including john/demo).
+     */
+    async initializeDatabase() {
+        assertOperationAllowed(OPERATIONS.RESET_DATABASE, 'initialize database');
+        await this._post(PARABANK_ENDPOINTS.initializeDb);
+    }
+
+    /**
+     * Removes every customer, account and transaction.
+     */
+    async cleanDatabase() {
+        assertOperationAllowed(OPERATIONS.RESET_DATABASE, 'clean database');
+        await this._post(PARABANK_ENDPOINTS.cleanDb);
+    }
+
+    // ==================== Settings ====================
+
+    /**
+     * Sets a single Admin page parameter.
+     *
+     * @param {string} name - e.g. 'loanProcessorThreshold'
+     * @param {string | number} value
+     */
+    async setParameter(name, value) {
+        assertOperationAllowed(OPERATIONS.CHANGE_SETTINGS, `set parameter ${name}`);
+        await this._post(PARABANK_ENDPOINTS.setParameter(name, String(value)));
+    }
+
+    /**
+     * @param {string} mode - One of DATA_ACCESS_MODES.
+     */
+    async setDataAccessMode(mode) {
+        this._assertOneOf('data access mode', mode, DATA_ACCESS_MODES);
+        await this.setParameter('accessMode', mode);
+    }
+
+    /**
+     * Configures how loan applications are decided.
+     *
+     * @param {Object} settings
+     * @param {string} [settings.provider] - One of LOAN_PROVIDERS.
+     * @param {string} [settings.processor] - One of LOAN_PROCESSORS.
+     * @param {number} [settings.threshold] - Percentage used by the processor.
+     */
+    async configureLoans({ provider, processor, threshold } = {}) {
+        if (provider !== undefined) {
+            this._assertOneOf('loan provider', provider, LOAN_PROVIDERS);
+            await this.setParameter('loanProvider', provider);
+        }
+
+        if (processor !== undefined) {
+            this._assertOneOf('loan processor', processor, LOAN_PROCESSORS);
+            await this.setParameter('loanProcessor', processor);
+        }
+
+        if (threshold !== undefined) {
+            await this.setParameter('loanProcessorThreshold', threshold);
+        }
+    }
+
+    /**
+     * Sets the balances used when customers and accounts are created.
+     *
+     * @param {Object} balances
+     * @param {number | string} [balances.initialBalance] - Balance of a new customer's first account.
+     * @param {number | string} [balances.minimumBalance] - Minimum deposit for new accounts.
+     */
+    async setBalances({ initialBalance, minimumBalance } = {}) {
+        if (initialBalance !== undefined) {
+            await this.setParameter('initialBalance', initialBalance);
+        }
+
+        if (minimumBalance !== undefined) {
+            await this.setParameter('minimumBalance', minimumBalance);
+        }
+    }
+}
@@ -0,0 +1,641 @@
+/**
+ * Typed SDK for the Parabank REST surface.
+ *
+ * WHY: Specs used to hand-roll endpoint paths and query strings around the
+ * generic apiRequest helper. Centralizing that knowledge here means a path
+ * change is fixed once, every call replays the session cookies automatically,
+ * and every response is validated against its Zod contract before a test sees it.
+ */
+
+import { z } from 'zod';
+import { ApiSession } from './api-session.js';
+import { Money } from './money.js';
+import { getConfig } from './config.js';
+import { validateSchema } from './schema-validator.js';
+import { OPERATIONS, assertOperationAllowed, assertCanCreateUsers } from './environment-guard.js';
+import { UserResponseSchema } from '../fixtures/api/schemas/userSchema.js';
+import { AccountSchema, AccountListSchema } from '../fixtures/api/schemas/accountSchema.js';
+import {
+    TransactionSchema,
+    TransactionListSchema,
+} from '../fixtures/api/schemas/transactionSchema.js';
+import { LoanResponseSchema } from '../fixtures/api/schemas/loanSchema.js';
+import { PayeeSchema, BillPayResultSchema } from '../fixtures/api/schemas/billPaySchema.js';
+import {
+    PositionSchema,
+    PositionListSchema,
+    HistoryPointListSchema,
+} from '../fixtures/api/schemas/positionSchema.js';
+
+const REST_ROOT = '/parabank/services/bank';
+
+/**
+ * WHY: Centralizing endpoints follows the DRY principle. If the Parabank API
+ * version updates or paths change, we only modify this single object.
+ */
+export const PARABANK_ENDPOINTS = {
+    loginHtml: '/parabank/login.htm',
+    registerHtml: '/parabank/register.htm',
+    userDetails: (user, pass) =>
+        `${REST_ROOT}/login/${encodeURIComponent(user)}/${encodeURIComponent(pass)}`,
+    customer: (customerId) => `${REST_ROOT}/customers/${customerId}`,
+    customerAccounts: (customerId) => `${REST_ROOT}/customers/${customerId}/accounts`,
+    customerUpdate: (customerId) => `${REST_ROOT}/customers/update/${customerId}`,
+    account: (accountId) => `${REST_ROOT}/accounts/${accountId}`,
+    transactions: (accountId) => `${REST_ROOT}/accounts/${accountId}/transactions`,
+    transaction: (transactionId) => `${REST_ROOT}/transactions/${transactionId}`,
+    transfer: `${REST_ROOT}/transfer`,
+    deposit: `${REST_ROOT}/deposit`,
+    withdraw: `${REST_ROOT}/withdraw`,
+    billPay: `${REST_ROOT}/billpay`,
+    createAccount: `${REST_ROOT}/createAccount`,
+    requestLoan: `${REST_ROOT}/requestLoan`,
+    positions: (customerId) => `${REST_ROOT}/customers/${customerId}/positions`,
+    buyPosition: (customerId) => `${REST_ROOT}/customers/${customerId}/buyPosition`,
+    sellPosition: (customerId) => `${REST_ROOT}/customers/${customerId}/sellPosition`,
+    position: (positionId) => `${REST_ROOT}/positions/${positionId}`,
+    positionHistory: (positionId, startDate, endDate) =>
+        `${REST_ROOT}/positions/${positionId}/${startDate}/${endDate}`,
+    initializeDb: `${REST_ROOT}/initializeDB`,
+    cleanDb: `${REST_ROOT}/cleanDB`,
+    setParameter: (name, value) =>
+        `${REST_ROOT}/setParameter/${encodeURIComponent(name)}/${encodeURIComponent(value)}`,
+};
+
+/**
+ * WHY: Parabank's /createAccount endpoint expects the numeric ordinal of the
+ * AccountType enum rather than its name.
+ */
+const ACCOUNT_TYPE_CODES = {
+    CHECKING: 0,
+    SAVINGS: 1,
+    LOAN: 2,
+};
+
+/**
+ * @param {Object} criteria
+ * @returns {string} The sorted names of the criteria that are set, e.g. "fromDate,toDate".
+ */
+function criteriaShape(criteria) {
+    return Object.keys(criteria)
+        .filter(
+            (key) => criteria[key] !== undefined && criteria[key] !== null && criteria[key] !== '',
+        )
+        .sort()
+        .join(',');
+}
+
+export class ParabankClient {
+    /**
+     * @param {Object} options
+     * @param {Function} options.apiRequest - The apiRequest fixture function.
+     * @param {string} [options.baseUrl] - Defaults to the configured baseUrl (utils/config.js).
+     * @param {ApiSession} [options.session] - Cookie jar shared by every call of this client.
+     */
+    constructor({ apiRequest, baseUrl = getConfig().baseUrl, session = new ApiSession() }) {
+        this.apiRequest = apiRequest;
+        this.baseUrl = baseUrl;
+        this.session = session;
+
+        /** @type {number | null} Customer ID of the authenticated user. */
+        this.customerId = null;
+    }
+
+    /**
+     * The "JSESSIONID=XXXX" pair captured during login, or null.
+     */
+    get sessionCookie() {
+        return this.session.get('JSESSIONID');
+    }
+
+    // ==================== Private Helpers ====================
+
+    /**
+     * Executes a request and enforces a successful status code.
+     * WHY: Every SDK method shares the same header orchestration (JSON accept
+     * header and session cookies) and the same "fail fast" policy on errors.
+     */
+    async _send({ method, url, query, body = null }) {
+        const queryString = query ? `?${new URLSearchParams(query).toString()}` : '';
+
+        const response = await this.apiRequest({
+            method,
+            url: `${url}${queryString}`,
+            baseUrl: this.baseUrl,
+            body,
+            headers: { Accept: 'application/json' },
+            session: this.session,
+        });
+
+        if (response.status < 200 || response.status >= 300) {
+            throw new Error(
+                `${method} ${url} failed with status ${response.status}: ${JSON.stringify(response.body)}`,
+            );
+        }
+
+        return response.body;
+    }
+
+    /**
+     * Validates a response body against its contract.
+     * WHY: Failing at the SDK boundary with every Zod issue and its JSON path is far
+     * easier to diagnose than a downstream "cannot read property of undefined".
+     */
+    _parse(schema, body, label) {
+        return validateSchema(schema, body, `${label} response`);
+    }
+
+    /**
+     * WHY: Most endpoints are scoped to the authenticated customer. Defaulting
+     * to the ID captured at login keeps call sites concise.
+     */
+    _resolveCustomerId(customerId) {
+        const resolvedId = customerId ?? this.customerId;
+
+        if (resolvedId === null || resolvedId === undefined) {
+            throw new Error(
+                'No customerId provided and no authenticated customer. Call login() first.',
+            );
+        }
+
+        return resolvedId;
+    }
+
+    // ==================== Authentication ====================
+
+    /**
+     * Registers a new customer by posting the legacy registration form.
+     * WHY: Parabank has no REST endpoint for onboarding. Posting the same form the
+     * browser submits lets API tests provision users without paying for a UI flow.
+     *
+     * @param {Object} identity - The user object produced by generateRandomUser().
+     */
+    async register(identity) {
+        assertCanCreateUsers();
+
+        const response = await this.apiRequest({
+            method: 'POST',
+            url: PARABANK_ENDPOINTS.registerHtml,
+            baseUrl: this.baseUrl,
+            isFormData: true,
+            body: {
+                'customer.firstName': identity.firstName,
+                'customer.lastName': identity.lastName,
+                'customer.address.street': identity.address.street,
+                'customer.address.city': identity.address.city,
+                'customer.address.state': identity.address.state,
+                'customer.address.zipCode': identity.address.zipCode,
+                'customer.phoneNumber': identity.phoneNumber,
+                'customer.ssn': identity.ssn,
+                'customer.username': identity.username,
+                'customer.password': identity.password,
+                repeatedPassword: identity.confirmPassword || identity.password,
+            },
+            session: this.session,
+        });
+
+        /**
+         * WHY: The form re-renders with HTTP 200 on both success and validation
+         * failure, so the confirmation text is the only reliable success signal.
+         */
+        const html = typeof response.body === 'string' ? response.body : '';
+
+        if (!html.includes('Your account was created successfully')) {
+            const validationErrors = [...html.matchAll(/class="error"[^>]*>([^<]+)</g)].map(
+                (match) => match[1].trim(),
+            );
+
+            throw new Error(
+                `Registration failed for ${identity.username} with status ${response.status}: ${validationErrors.join('; ') || 'no confirmation message'}`,
+            );
+        }
+    }
+
+    /**
+     * Authenticates through the legacy login form and resolves the customer profile.
+     * WHY: The form login issues the JSESSIONID (captured by the session) used by
+     * stateful endpoints, while the REST login lookup is the only way to discover
+     * the customer ID from credentials.
+     *
+     * @param {string} username
+     * @param {string} password
+     */
+    async login(username, password) {
+        const response = await this.apiRequest({
+            method: 'POST',
+            url: PARABANK_ENDPOINTS.loginHtml,
+            baseUrl: this.baseUrl,
+            isFormData: true, // WHY: Parabank's legacy .htm endpoint expects form-data
+            body: { username, password },
+            session: this.session,
+        });
+
+        /**
+         * WHY: A successful login in Parabank results in a 302 Redirect.
+         */
+        if (![301, 302].includes(response.status)) {
+            throw new Error(`Login failed for ${username} with status ${response.status}`);
+        }
+
+        const customer = await this.getCustomerByCredentials(username, password);
+        this.customerId = customer.id ?? null;
+
+        return customer;
+    }
+
+    /**
+     * Looks up a customer profile by credentials.
+     *
+     * @param {string} username
+     * @param {string} password
+     */
+    async getCustomerByCredentials(username, password) {
+        const body = await this._send({
+            method: 'GET',
+            url: PARABANK_ENDPOINTS.userDetails(username, password),
+        });
+
+        return this._parse(UserResponseSchema, body, 'Customer login');
+    }
+
+    // ==================== Customers ====================
+
+    /**
+     * @param {number} [customerId] - Defaults to the authenticated customer.
+     */
+    async getCustomer(customerId) {
+        const body = await this._send({
+            method: 'GET',
+            url: PARABANK_ENDPOINTS.customer(this._resolveCustomerId(customerId)),
+        });
+
+        return this._parse(UserResponseSchema, body, 'Customer');
+    }
+
+    /**
+     * Updates the contact information of a customer.
+     * WHY: Parabank expects every profile field as a query parameter, so we accept
+     * the same user object shape produced by generateRandomUser().
+     *
+     * @param {Object} profile
+     * @param {number} [customerId] - Defaults to the authenticated customer.
+     */
+    async updateCustomer(profile, customerId) {
+        assertOperationAllowed(OPERATIONS.UPDATE_PROFILE, 'update customer');
+
+        const body = await this._send({
+            method: 'POST',
+            url: PARABANK_ENDPOINTS.customerUpdate(this._resolveCustomerId(customerId)),
+            query: {
+                firstName: profile.firstName,
+                lastName: profile.lastName,
+                street: profile.address.street,
+                city: profile.address.city,
+                state: profile.address.state,
+                zipCode: profile.address.zipCode,
+                phoneNumber: profile.phoneNumber,
+                ssn: profile.ssn,
+                username: profile.username,
+                password: profile.password,
+            },
+        });
+
+        return this._parse(z.string(), body, 'Customer update');
+    }
+
+    // ==================== Accounts ====================
+
+    /**
+     * @param {number} [customerId] - Defaults to the authenticated customer.
+     */
+    async getAccounts(customerId) {
+        const body = await this._send({
+            method: 'GET',
+            url: PARABANK_ENDPOINTS.customerAccounts(this._resolveCustomerId(customerId)),
+        });
+
+        return this._parse(AccountListSchema, body, 'Account list');
+    }
+
+    /**
+     * @param {number|string} accountId
+     */
+    async getAccount(accountId) {
+        const body = await this._send({
+            method: 'GET',
+            url: PARABANK_ENDPOINTS.account(accountId),
+        });
+
+        return this._parse(AccountSchema, body, 'Account');
+    }
+
+    /**
+     * Opens a new account funded by an existing one.
+     *
+     * @param {Object} params
+     * @param {'CHECKING' | 'SAVINGS' | 'LOAN'} params.type
+     * @param {number|string} params.fromAccountId
+     * @param {number} [params.customerId] - Defaults to the authenticated customer.
+     */
+    async createAccount({ type, fromAccountId, customerId }) {
+        if (!(type in ACCOUNT_TYPE_CODES)) {
+            throw new Error(`Unsupported account type: ${type}`);
+        }
+
+        assertOperationAllowed(OPERATIONS.OPEN_ACCOUNT, `open ${type} account`);
+
+        const body = await this._send({
+            method: 'POST',
+            url: PARABANK_ENDPOINTS.createAccount,
+            query: {
+                customerId: this._resolveCustomerId(customerId),
+                newAccountType: ACCOUNT_TYPE_CODES[type],
+                fromAccountId,
+            },
+        });
+
+        return this._parse(AccountSchema, body, 'Created account');
+    }
+
+    // ==================== Money Movement ====================
+
+    /**
+     * @param {Object} params
+     * @param {number|string} params.fromAccountId
+     * @param {number|string} params.toAccountId
+     * @param {number|string} params.amount
+     * @returns {Promise<string>} The confirmation message.
+     */
+    async transfer({ fromAccountId, toAccountId, amount }) {
+        assertOperationAllowed(OPERATIONS.MOVE_FUNDS, 'transfer');
+
+        const body = await this._send({
+            method: 'POST',
+            url: PARABANK_ENDPOINTS.transfer,
+            query: { fromAccountId, toAccountId, amount },
+        });
+
+        return this._parse(z.string(), body, 'Transfer');
+    }
+
+    /**
+     * @param {Object} params
+     * @param {number|string} params.accountId
+     * @param {number|string} params.amount
+     * @returns {Promise<string>} The confirmation message.
+     */
+    async deposit({ accountId, amount }) {
+        assertOperationAllowed(OPERATIONS.MOVE_FUNDS, 'deposit');
+
+        const body = await this._send({
+            method: 'POST',
+            url: PARABANK_ENDPOINTS.deposit,
+            query: { accountId, amount },
+        });
+
+        return this._parse(z.string(), body, 'Deposit');
+    }
+
+    /**
+     * @param {Object} params
+     * @param {number|string} params.accountId
+     * @param {number|string} params.amount
+     * @returns {Promise<string>} The confirmation message.
+     */
+    async withdraw({ accountId, amount }) {
+        assertOperationAllowed(OPERATIONS.MOVE_FUNDS, 'withdraw');
+
+        const body = await this._send({
+            method: 'POST',
+            url: PARABANK_ENDPOINTS.withdraw,
+            query: { accountId, amount },
+        });
+
+        return this._parse(z.string(), body, 'Withdraw');
+    }
+
+    /**
+     * Brings an account to an exact balance with one deposit or withdrawal.
+     * WHY: New accounts start with Parabank's configured opening deposit. Specs
+     * that need large amounts or an overdrawn account declare the balance they
+     * start from instead of chaining transfers from that deposit.
+     *
+     * @param {Object} params
+     * @param {number|string} params.accountId
+     * @param {Money | string | number} params.balance - May be negative (overdrawn).
+     * @returns {Promise<Object>} The account after the adjustment.
+     */
+    async setBalance({ accountId, balance }) {
+        const { balance: currentBalance } = await this.getAccount(accountId);
+        const difference = Money.parse(balance).minus(currentBalance);
+
+        if (!difference.isZero()) {
+            const adjustment = { accountId, amount: difference.abs().toAmountString() };
+            await (difference.isNegative() ? this.withdraw(adjustment) : this.deposit(adjustment));
+        }
+
+        return this.getAccount(accountId);
+    }
+
+    /**
+     * Pays a third-party payee.
+     *
+     * @param {Object} params
+     * @param {number|string} params.accountId - The funding account.
+     * @param {number|string} params.amount
+     * @param {Object} params.payee - { name, address, phoneNumber, accountNumber }
+     */
+    async payBill({ accountId, amount, payee }) {
+        assertOperationAllowed(OPERATIONS.MOVE_FUNDS, 'bill pay');
+
+        /**
+         * WHY: Validating the outgoing payee catches malformed test data before it
+         * reaches Parabank, which otherwise answers with an opaque 400.
+         */
+        const validPayee = validateSchema(PayeeSchema, payee, 'Bill pay payee');
+
+        const body = await this._send({
+            method: 'POST',
+            url: PARABANK_ENDPOINTS.billPay,
+            query: { accountId, amount },
+            body: validPayee,
+        });
+
+        return this._parse(BillPayResultSchema, body, 'Bill pay');
+    }
+
+    /**
+     * Submits a loan application to the configured loan provider.
+     *
+     * @param {Object} params
+     * @param {number|string} params.amount
+     * @param {number|string} params.downPayment
+     * @param {number|string} params.fromAccountId
+     * @param {number} [params.customerId] - Defaults to the authenticated customer.
+     */
+    async requestLoan({ amount, downPayment, fromAccountId, customerId }) {
+        assertOperationAllowed(OPERATIONS.REQUEST_LOAN, 'request loan');
+
+        const body = await this._send({
+            method: 'POST',
+            url: PARABANK_ENDPOINTS.requestLoan,
+            query: {
+                customerId: this._resolveCustomerId(customerId),
+                amount,
+                downPayment,
+                fromAccountId,
+            },
+        });
+
+        return this._parse(LoanResponseSchema, body, 'Loan');
+    }
+
+    // ==================== Positions ====================
+
+    /**
+     * @param {number} [customerId] - Defaults to the authenticated customer.
+     */
+    async getPositions(customerId) {
+        const body = await this._send({
+            method: 'GET',
+            url: PARABANK_ENDPOINTS.positions(this._resolveCustomerId(customerId)),
+        });
+
+        return this._parse(PositionListSchema, body, 'Position list');
+    }
+
+    /**
+     * @param {number|string} positionId
+     */
+    async getPosition(positionId) {
+        const body = await this._send({
+            method: 'GET',
+            url: PARABANK_ENDPOINTS.position(positionId),
+        });
+
+        return this._parse(PositionSchema, body, 'Position');
+    }
+
+    /**
+     * Buys shares; Parabank debits shares × pricePerShare from the funding account.
+     *
+     * @param {Object} params
+     * @param {number|string} params.accountId - The funding account.
+     * @param {string} params.name - e.g. 'Apple Inc.'
+     * @param {string} params.symbol - e.g. 'AAPL'
+     * @param {number} params.shares - Whole shares.
+     * @param {number|string} params.pricePerShare
+     * @param {number} [params.customerId] - Defaults to the authenticated customer.
+     * @returns {Promise<Array>} The customer's positions after the purchase.
+     */
+    async buyPosition({ accountId, name, symbol, shares, pricePerShare, customerId }) {
+        assertOperationAllowed(OPERATIONS.MOVE_FUNDS, 'buy position');
+
+        const body = await this._send({
+            method: 'POST',
+            url: PARABANK_ENDPOINTS.buyPosition(this._resolveCustomerId(customerId)),
+            query: { accountId, name, symbol, shares, pricePerShare },
+        });
+
+        return this._parse(PositionListSchema, body, 'Buy position');
+    }
+
+    /**
+     * Sells shares of a position; Parabank credits shares × pricePerShare to the account.
+     *
+     * @param {Object} params
+     * @param {number|string} params.accountId - The receiving account.
+     * @param {number|string} params.positionId
+     * @param {number} params.shares - Whole shares.
+     * @param {number|string} params.pricePerShare
+     * @param {number} [params.customerId] - Defaults to the authenticated customer.
+     * @returns {Promise<Array>} The customer's positions after the sale.
+     */
+    async sellPosition({ accountId, positionId, shares, pricePerShare, customerId }) {
+        assertOperationAllowed(OPERATIONS.MOVE_FUNDS, 'sell position');
+
+        const body = await this._send({
+            method: 'POST',
+            url: PARABANK_ENDPOINTS.sellPosition(this._resolveCustomerId(customerId)),
+            query: { accountId, positionId, shares, pricePerShare },
+        });
+
+        return this._parse(PositionListSchema, body, 'Sell position');
+    }
+
+    /**
+     * Closing prices of a position's symbol between two dates.
+     * Dates use Parabank's MM-dd-yyyy format, as in findTransactions().
+     *
+     * @param {number|string} positionId
+     * @param {Object} range
+     * @param {string} range.startDate
+     * @param {string} range.endDate
+     */
+    async getPositionHistory(positionId, { startDate, endDate }) {
+        const body = await this._send({
+            method: 'GET',
+            url: PARABANK_ENDPOINTS.positionHistory(positionId, startDate, endDate),
+        });
+
+        return this._parse(HistoryPointListSchema, body, 'Position history');
+    }
+
+    // ==================== Transactions ====================
+
+    /**
+     * @param {number|string} transactionId
+     */
+    async getTransaction(transactionId) {
+        const body = await this._send({
+            method: 'GET',
+            url: PARABANK_ENDPOINTS.transaction(transactionId),
+        });
+
+        return this._parse(TransactionSchema, body, 'Transaction');
+    }
+
+    /**
+     * Searches the ledger of an account.
+     * WHY: Parabank exposes one path per search criterion. Mapping a single criteria
+     * object onto those paths mirrors the "Find Transactions" screen in the UI.
+     * Dates use Parabank's MM-dd-yyyy format.
+     *
+     * @param {number|string} accountId
+     * @param {Object} [criteria] - One of { amount }, { onDate } or { fromDate, toDate }.
+     *                              Omit to list every transaction.
+     * @throws {Error} When the criteria match none of those shapes (e.g. only fromDate).
+     */
+    async findTransactions(accountId, criteria = {}) {
+        const basePath = PARABANK_ENDPOINTS.transactions(accountId);
+        let url;
+
+        switch (criteriaShape(criteria)) {
+            case '':
+                url = basePath;
+                break;
+            case 'amount':
+                url = `${basePath}/amount/${criteria.amount}`;
+                break;
+            case 'onDate':
+                url = `${basePath}/onDate/${criteria.onDate}`;
+                break;
+            case 'fromDate,toDate':
+                url = `${basePath}/fromDate/${criteria.fromDate}/toDate/${criteria.toDate}`;
+                break;
+            default:
+                /**
+                 * WHY: Falling back to the full ledger would let a test pass against the
+                 * wrong data set, e.g. when a half-filled date range is passed.
+                 */
+                throw new Error(
+                    `Unsupported transaction search criteria: ${JSON.stringify(criteria)}. ` +
+                        'Use { amount }, { onDate } or { fromDate, toDate }.',
+                );
+        }
+
+        const body = await this._send({ method: 'GET', url });
+
+        return this._parse(TransactionListSchema, body, 'Transaction search');
+    }
+}
@@ -0,0 +1,229 @@
+/**
+ * Central secret redaction for logs, reports and attachments.
+ *
+ * WHY: Generated passwords and SSNs travel through URLs
+ * (/services/bank/login/{user}/{password}), form bodies, step titles and console
+ * output, and from there into the HTML report, Allure results and CI artifacts.
+ * Every place that writes something a person may later read passes it through
+ * this module, so what counts as a secret is defined once.
+ *
+ * Two mechanisms complement each other:
+ * - Rules: patterns for labelled secrets (password=…, "ssn":"…", JSESSIONID=…,
+ *   Authorization: …) wherever they appear.
+ * - Registered secrets: exact values (e.g. a generated password) that are
+ *   redacted even where nothing labels them, such as a step title.
+ *
+ * Redaction can be switched off for local debugging with REDACT_SECRETS=false;
+ * it is always on when CI=true (see utils/config.js).
+ */
+
+import util from 'util';
+import { getConfig } from './config.js';
+
+export const REDACTED = '[REDACTED]';
+
+/**
+ * @typedef {Object} RedactionRule
+ * @property {string} name - Identifies the rule, e.g. in removeRedactionRule().
+ * @property {RegExp} pattern - Must be global. Capture group 1 is kept (the label);
+ * the rest of the match is replaced.
+ */
+
+/**
+ * WHY: Each pattern keeps the label and replaces only the value, so a redacted
+ * log still shows which field was present.
+ *
+ * @type {ReadonlyArray<RedactionRule>}
+ */
+export const DEFAULT_REDACTION_RULES = Object.freeze([
+    {
+        // password=…, customer.password=…, repeatedPassword=…, "password":"…"
+        name: 'password',
+        pattern: /((?:password|passwd|pwd)\w*["']?\s*[:=]\s*["']?)[^"'&\s,;}]+/gi,
+    },
+    {
+        // customer.ssn=…, "ssn":"…"
+        name: 'ssn',
+        pattern: /(ssn\w*["']?\s*[:=]\s*["']?)[^"'&\s,;}]+/gi,
+    },
+    {
+        // Cookie and Set-Cookie values, and ;jsessionid= URL rewriting
+        name: 'jsessionid',
+        pattern: /(jsessionid=)[^;\s&"',]+/gi,
+    },
+    {
+        // Authorization: Token …, "Authorization":"Bearer …"
+        name: 'authorization',
+        pattern: /((?:proxy-)?authorization["']?\s*[:=]\s*["']?)[^"'\r\n,}]+/gi,
+    },
+    {
+        // Parabank's credential lookup: /services/bank/login/{username}/{password}
+        name: 'login-path',
+        pattern: /(\/login\/[^/\s?#"']+\/)[^/\s?#"']+/g,
+    },
+]);
+
+/**
+ * WHY: These headers are credentials or the session in their entirety, so the
+ * whole value is replaced rather than matched by a rule.
+ */
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+
+/**
+ * WHY: Shorter values (e.g. a two-digit amount) would blank out unrelated text.
+ */
+const MIN_SECRET_LENGTH = 4;
+
+/**
+ * WHY: Every generated user registers its password and SSN, and a worker lives for
+ * many tests. Only the most recent secrets are kept, so memory and the size of
+ * the secrets pattern stay bounded; an evicted secret belongs to a user no
+ * running test still uses.
+ */
+export const MAX_REGISTERED_SECRETS = 500;
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+
+/** @type {RedactionRule[]} */
+let rules = [...DEFAULT_REDACTION_RULES];
+
+/** WHY: A Set keeps insertion order, so the first entry is always the oldest. */
+const registeredSecrets = new Set();
+
+/**
+ * WHY: One alternation of every registered secret, compiled on the first
+ * redaction after the set changes instead of one RegExp per secret per call.
+ *
+ * @type {RegExp | null | undefined} null when no secret is registered,
+ * undefined when it must be recompiled.
+ */
+let secretsPattern = null;
+
+/** @type {WeakSet<Console>} */
+const redactedConsoles = new WeakSet();
+
+// ==================== Private Helpers ====================
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * WHY: Longest first, so a secret that contains another one is replaced whole
+ * rather than leaving its remainder behind.
+ */
+function compileSecretsPattern() {
+    if (registeredSecrets.size === 0) return null;
+
+    const alternatives = [...registeredSecrets]
+        .sort((first, second) => second.length - first.length)
+        .map(escapeRegExp);
+
+    return new RegExp(alternatives.join('|'), 'g');
+}
+
+// ==================== Configuration ====================
+
+/**
+ * @returns {boolean} False only when REDACT_SECRETS=false outside CI.
+ */
+export function isRedactionEnabled() {
+    return getConfig().redactSecrets;
+}
+
+/**
+ * Adds a project-specific rule, e.g. for an API key header.
+ *
+ * @param {RedactionRule} rule
+ */
+export function addRedactionRule(rule) {
+    if (!rule.pattern.global) {
+        throw new Error(`Redaction rule "${rule.name}" needs a global (/g) pattern`);
+    }
+
+    rules = [...rules.filter((existing) => existing.name !== rule.name), rule];
+}
+
+/**
+ * @param {string} name
+ */
+export function removeRedactionRule(name) {
+    rules = rules.filter((rule) => rule.name !== name);
+}
+
+/**
+ * Marks an exact value as secret while it is among the MAX_REGISTERED_SECRETS
+ * most recently registered.
+ * WHY: A generated password can show up anywhere (a step title, an error
+ * message) without a label next to it that a rule could match.
+ *
+ * @param {string | number | null | undefined} value
+ */
+export function registerSecret(value) {
+    const secret = value === null || value === undefined ? '' : String(value);
+    if (secret.length < MIN_SECRET_LENGTH) return;
+
+    // Re-registering moves a secret to the newest end.
+    registeredSecrets.delete(secret);
+    registeredSecrets.add(secret);
+
+    if (registeredSecrets.size > MAX_REGISTERED_SECRETS) {
+        registeredSecrets.delete(registeredSecrets.values().next().value);
+    }
+
+    secretsPattern = undefined;
+}
+
+// ==================== Redaction ====================
+
+/**
+ * @param {string | null | undefined} text
+ * @returns {string | null | undefined} The text with every secret replaced.
+ */
+export function redactText(text) {
+    if (typeof text !== 'string' || text === '' || !isRedactionEnabled()) return text;
+
+    if (secretsPattern === undefined) secretsPattern = compileSecretsPattern();
+
+    let redacted = secretsPattern ? text.replace(secretsPattern, REDACTED) : text;
+
+    for (const { pattern } of rules) {
+        redacted = redacted.replace(pattern, `$1${REDACTED}`);
+    }
+
+    return redacted;
+}
+
+/**
+ * @param {Object<string, string>} headers
+ * @returns {Object<string, string>} A copy with sensitive values replaced.
+ */
+export function redactHeaders(headers = {}) {
+    if (!isRedactionEnabled()) return { ...headers };
+
+    return Object.fromEntries(
+        Object.entries(headers).map(([name, value]) => [
+            name,
+            SENSITIVE_HEADERS.includes(name.toLowerCase()) ? REDACTED : redactText(value),
+        ]),
+    );
+}
+
+/**
+ * Redacts console output of the current process.
+ * WHY: Specs, fixtures and libraries log with console.*, and Playwright copies
+ * worker output into the reports. Patching console once per process covers all
+ * of them. Arguments are formatted exactly as console would format them, then
+ * redacted. Safe to call more than once.
+ *
+ * @param {Console} [target] - The console to patch; the global one by default.
+ */
+export function installConsoleRedaction(target = console) {
+    if (redactedConsoles.has(target)) return;
+    redactedConsoles.add(target);
+
+    for (const method of CONSOLE_METHODS) {
+        const original = target[method].bind(target);
+        target[method] = (...args) => original(redactText(util.format(...args)));
+    }
+}
@@ -0,0 +1,149 @@
+/**
+ * Retry policy for apiRequest.
+ *
+ * WHY: Parabank (especially the shared public instance) drops connections and
+ * answers 502/503 under load. Retrying in one place, with exponential backoff and
+ * jitter, replaces ad-hoc waits in specs. Retries are idempotency-aware: a POST
+ * such as a transfer is only retried when it provably never reached the server,
+ * so a flaky network can never book the same transfer twice.
+ */
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} retries - Extra attempts after the first one (0 disables retries).
+ * @property {number[]} retryOnStatuses - Status codes worth retrying.
+ * @property {boolean} retryOnNetworkErrors - Retry connection failures and timeouts.
+ * @property {number} baseDelayMs - Delay before the first retry; doubles on each retry.
+ * @property {number} maxDelayMs - Upper bound for a single delay.
+ * @property {boolean} retryNonIdempotent - Also retry POST/PATCH after a response or a
+ * failure that may have reached the server. Only enable for requests known to be safe.
+ */
+
+/**
+ * @typedef {Object} AttemptRecord
+ * @property {number} attempt - 1-based attempt number.
+ * @property {string} startedAt - ISO-8601 timestamp.
+ * @property {number} durationMs
+ * @property {number} [status] - HTTP status, when a response was received.
+ * @property {string} [error] - Error message, when no response was received.
+ * @property {number} [retryDelayMs] - Wait before the next attempt, when one follows.
+ */
+
+/** @type {RetryPolicy} */
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+    retries: 2,
+    retryOnStatuses: [502, 503, 504],
+    retryOnNetworkErrors: true,
+    baseDelayMs: 250,
+    maxDelayMs: 4000,
+    retryNonIdempotent: false,
+});
+
+/**
+ * WHY: Repeating these methods leaves the server in the same state (RFC 9110).
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * WHY: These failures happen before the request is sent (DNS lookup, refused
+ * connection), so even a POST can be retried without risk of duplication.
+ */
+const NOT_SENT_ERROR_PATTERN = /ECONNREFUSED|ENOTFOUND|EAI_AGAIN/;
+
+/**
+ * WHY: These failures may happen after the server received the request, so only
+ * idempotent requests are retried.
+ */
+const MAYBE_SENT_ERROR_PATTERN = /ECONNRESET|EPIPE|ETIMEDOUT|socket hang up|timed? ?out/i;
+
+export class ApiRequestError extends Error {
+    /**
+     * @param {string} message
+     * @param {AttemptRecord[]} attempts
+     * @param {Error} cause
+     */
+    constructor(message, attempts, cause) {
+        super(message, { cause });
+        this.name = 'ApiRequestError';
+        this.attempts = attempts;
+    }
+}
+
+/**
+ * Merges a per-call retry option with the defaults.
+ *
+ * @param {Partial<RetryPolicy> | boolean | undefined} retry - false disables retries.
+ * @param {Partial<RetryPolicy>} [defaults]
+ * @returns {RetryPolicy}
+ */
+export function resolveRetryPolicy(retry, defaults = {}) {
+    const basePolicy = { ...DEFAULT_RETRY_POLICY, ...defaults };
+
+    if (retry === false) return { ...basePolicy, retries: 0 };
+    if (retry === true || retry === undefined) return basePolicy;
+
+    return { ...basePolicy, ...retry };
+}
+
+export function isIdempotentMethod(method) {
+    return IDEMPOTENT_METHODS.includes(method.toUpperCase());
+}
+
+/**
+ * Decides whether a failed attempt may be repeated.
+ *
+ * @param {RetryPolicy} policy
+ * @param {string} method
+ * @param {{ status?: number, error?: Error }} outcome
+ * @returns {boolean}
+ */
+export function isRetryable(policy, method, { status, error }) {
+    const safeToRepeat = policy.retryNonIdempotent || isIdempotentMethod(method);
+
+    if (error) {
+        if (!policy.retryOnNetworkErrors) return false;
+        if (NOT_SENT_ERROR_PATTERN.test(error.message)) return true;
+        return safeToRepeat && MAYBE_SENT_ERROR_PATTERN.test(error.message);
+    }
+
+    return safeToRepeat && policy.retryOnStatuses.includes(status);
+}
+
+/**
+ * Exponential backoff with "equal jitter": half the delay is fixed, half random.
+ * WHY: Jitter keeps parallel workers from retrying in lockstep against a
+ * struggling server.
+ *
+ * @param {RetryPolicy} policy
+ * @param {number} retryNumber - 1 for the first retry.
+ * @returns {number} Milliseconds to wait.
+ */
+export function computeBackoffDelay(policy, retryNumber) {
+    const exponentialDelay = Math.min(
+        policy.maxDelayMs,
+        policy.baseDelayMs * 2 ** (retryNumber - 1),
+    );
+
+    return Math.round(exponentialDelay / 2 + (Math.random() * exponentialDelay) / 2);
+}
+
+export function sleep(milliseconds) {
+    return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * One-line summary of the attempts of a request, for annotations and errors.
+ *
+ * @param {AttemptRecord[]} attempts
+ * @returns {string} e.g. "503 → (wait 240ms) → 200"
+ */
+export function describeAttempts(attempts) {
+    return attempts
+        .map((attempt) => {
+            const outcome = attempt.status ?? attempt.error;
+            return attempt.retryDelayMs === undefined
+                ? `${outcome}`
+                : `${outcome} → (wait ${attempt.retryDelayMs}ms)`;
+        })
+        .join(' → ');
+}
@@ -0,0 +1,79 @@
+/**
+ * Reusable Zod contract validation for API responses.
+ *
+ * WHY: Specs used to repeat the same safeParse + JSON.stringify(error.format())
+ * pattern, which produced a hard-to-read error tree. This helper validates once
+ * and, on failure, throws an error listing every Zod issue with its JSON path
+ * (e.g. "$.address.zipCode"), so a broken contract is diagnosable at a glance.
+ */
+
+/**
+ * Error raised when a payload does not satisfy its schema.
+ * WHY: Exposing the raw issues lets callers (e.g. custom matchers) build their
+ * own messages without re-running the validation.
+ */
+export class SchemaValidationError extends Error {
+    /**
+     * @param {string} message
+     * @param {import('zod').ZodIssue[]} issues
+     * @param {unknown} received
+     */
+    constructor(message, issues, received) {
+        super(message);
+        this.name = 'SchemaValidationError';
+        this.issues = issues;
+        this.received = received;
+    }
+}
+
+/**
+ * Converts a Zod issue path into a JSON path string.
+ * e.g. ['accounts', 0, 'balance'] -> '$.accounts[0].balance'
+ *
+ * @param {(string | number)[]} issuePath
+ */
+export function toJsonPath(issuePath) {
+    return issuePath.reduce(
+        (jsonPath, segment) =>
+            typeof segment === 'number'
+                ? `${jsonPath}[${segment}]`
+                : `${jsonPath}.${String(segment)}`,
+        '$',
+    );
+}
+
+/**
+ * Renders Zod issues as one readable line per issue.
+ *
+ * @param {import('zod').ZodIssue[]} issues
+ */
+export function formatSchemaIssues(issues) {
+    return issues.map((issue) => `  - ${toJsonPath(issue.path)}: ${issue.message}`).join('\n');
+}
+
+/**
+ * Validates data against a schema and returns the parsed (typed) result.
+ *
+ * @template T
+ * @param {import('zod').ZodType<T>} schema
+ * @param {unknown} data
+ * @param {string} [label='Response'] - Names the payload in the error message.
+ * @returns {T}
+ * @throws {SchemaValidationError}
+ */
+export function validateSchema(schema, data, label = 'Response') {
+    const validation = schema.safeParse(data);
+
+    if (!validation.success) {
+        const issues = validation.error.issues;
+        throw new SchemaValidationError(
+            `${label} does not match the expected schema (${issues.length} issue(s)):\n` +
+                `${formatSchemaIssues(issues)}\n` +
+                `Received: ${JSON.stringify(data, null, 2)}`,
+            issues,
+            data,
+        );
+    }
+
+    return validation.data;
+}
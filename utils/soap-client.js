@@ -0,0 +1,217 @@
+/**
+ * SOAP client for Parabank's "ParaBank" web service.
+ *
+ * WHY: Parabank publishes the same banking operations over SOAP
+ * (/parabank/services/ParaBank?wsdl) as over JSON REST. This client builds SOAP
+ * 1.1 envelopes, sends them through apiRequest, turns SOAP faults into typed
+ * errors and validates results with the same Zod schemas as ParabankClient, so
+ * parity specs can compare both transports field by field.
+ */
+
+import { z } from 'zod';
+import { getConfig } from './config.js';
+import { RESPONSE_TYPES } from './api-helper.js';
+import { validateSchema } from './schema-validator.js';
+import { OPERATIONS, assertOperationAllowed } from './environment-guard.js';
+import {
+    parseXml,
+    findXmlElement,
+    xmlElementToValue,
+    coerceToSchema,
+    XmlParseError,
+} from './xml-parser.js';
+import { UserResponseSchema } from '../fixtures/api/schemas/userSchema.js';
+import { AccountSchema, AccountListSchema } from '../fixtures/api/schemas/accountSchema.js';
+import { TransactionListSchema } from '../fixtures/api/schemas/transactionSchema.js';
+
+export const PARABANK_SOAP_ENDPOINT = '/parabank/services/ParaBank';
+
+export const SOAP_NAMESPACES = {
+    ENVELOPE: 'http://schemas.xmlsoap.org/soap/envelope/',
+    PARABANK: 'http://service.parabank.parasoft.com/',
+};
+
+/**
+ * Raised when the service answers with a <soap:Fault>.
+ * WHY: Faults arrive with HTTP 500 and an XML body. Exposing the fault code and
+ * message as fields lets tests assert on business errors (e.g. invalid
+ * credentials) without parsing XML themselves.
+ */
+export class SoapFaultError extends Error {
+    /**
+     * @param {Object} fault
+     * @param {string} fault.operation
+     * @param {string} fault.faultCode - e.g. 'soap:Server'
+     * @param {string} fault.faultString - Human-readable message.
+     * @param {Object | string | null} fault.detail - Parsed <detail> element, if any.
+     */
+    constructor({ operation, faultCode, faultString, detail }) {
+        super(`SOAP ${operation} failed with ${faultCode}: ${faultString}`);
+        this.name = 'SoapFaultError';
+        this.operation = operation;
+        this.faultCode = faultCode;
+        this.faultString = faultString;
+        this.detail = detail;
+    }
+}
+
+// ==================== Envelope ====================
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Builds a document/literal SOAP 1.1 request.
+ * WHY: Parabank's WSDL qualifies only the operation element; its parameters are
+ * unqualified, so they are written without a prefix. Parameter order follows
+ * insertion order, which must match the WSDL sequence.
+ *
+ * @param {string} operation - e.g. 'getAccounts'
+ * @param {Object<string, string | number>} [params]
+ * @returns {string}
+ */
+export function buildSoapEnvelope(operation, params = {}) {
+    const paramElements = Object.entries(params)
+        .map(([name, value]) => `<${name}>${escapeXml(value)}</${name}>`)
+        .join('');
+
+    return (
+        `<?xml version="1.0" encoding="UTF-8"?>` +
+        `<soapenv:Envelope xmlns:soapenv="${SOAP_NAMESPACES.ENVELOPE}" xmlns:ser="${SOAP_NAMESPACES.PARABANK}">` +
+        `<soapenv:Header/>` +
+        `<soapenv:Body><ser:${operation}>${paramElements}</ser:${operation}></soapenv:Body>` +
+        `</soapenv:Envelope>`
+    );
+}
+
+export class ParabankSoapClient {
+    /**
+     * @param {Object} options
+     * @param {Function} options.apiRequest - The apiRequest fixture function.
+     * @param {string} [options.baseUrl] - Defaults to the configured baseUrl (utils/config.js).
+     */
+    constructor({ apiRequest, baseUrl = getConfig().baseUrl }) {
+        this.apiRequest = apiRequest;
+        this.baseUrl = baseUrl;
+    }
+
+    // ==================== Private Helpers ====================
+
+    /**
+     * Sends one operation and returns the parsed <operationResponse> element.
+     * WHY: SOAP has no session; every call is stateless, so no cookie jar is sent.
+     * The body is requested as text because the envelope and fault structure are
+     * needed here, not just the plain-object form apiRequest would produce.
+     */
+    async _call(operation, params) {
+        const response = await this.apiRequest({
+            method: 'POST',
+            url: PARABANK_SOAP_ENDPOINT,
+            baseUrl: this.baseUrl,
+            body: buildSoapEnvelope(operation, params),
+            headers: { 'Content-Type': 'text/xml; charset=utf-8', SOAPAction: '""' },
+            session: null,
+            responseType: RESPONSE_TYPES.TEXT,
+        });
+
+        let envelope;
+        try {
+            envelope = parseXml(String(response.body ?? ''));
+        } catch (error) {
+            if (!(error instanceof XmlParseError)) throw error;
+            throw new Error(
+                `SOAP ${operation} returned a non-XML body (status ${response.status}): ${response.body}`,
+            );
+        }
+
+        const fault = findXmlElement(envelope, 'Fault');
+        if (fault) {
+            const faultValue = xmlElementToValue(fault);
+            throw new SoapFaultError({
+                operation,
+                faultCode: faultValue.faultcode ?? '',
+                faultString: faultValue.faultstring ?? '',
+                detail: faultValue.detail ?? null,
+            });
+        }
+
+        const result = findXmlElement(envelope, `${operation}Response`);
+        if (!result) {
+            throw new Error(
+                `SOAP ${operation} response (status ${response.status}) has no <${operation}Response> element`,
+            );
+        }
+
+        return result;
+    }
+
+    /**
+     * Reads the single return element of a response and validates it.
+     * WHY: List results repeat the element (<account>…</account><account>…</account>),
+     * and an empty list omits it entirely; coerceToSchema() normalizes both to arrays.
+     */
+    _parse(result, elementName, schema, label) {
+        const value = xmlElementToValue(result);
+        const rawValue =
+            value !== null && typeof value === 'object' ? value[elementName] : undefined;
+
+        return validateSchema(schema, coerceToSchema(schema, rawValue), `SOAP ${label} response`);
+    }
+
+    // ==================== Operations ====================
+
+    /**
+     * @returns {Promise<import('zod').infer<typeof UserResponseSchema>>} The customer.
+     * @throws {SoapFaultError} For invalid credentials.
+     */
+    async login(username, password) {
+        const result = await this._call('login', { username, password });
+        return this._parse(result, 'customer', UserResponseSchema, 'Login');
+    }
+
+    /**
+     * @param {number|string} customerId
+     */
+    async getAccounts(customerId) {
+        const result = await this._call('getAccounts', { customerId });
+        return this._parse(result, 'account', AccountListSchema, 'Account list');
+    }
+
+    /**
+     * @param {number|string} accountId
+     */
+    async getAccount(accountId) {
+        const result = await this._call('getAccount', { accountId });
+        return this._parse(result, 'account', AccountSchema, 'Account');
+    }
+
+    /**
+     * @param {Object} params
+     * @param {number|string} params.fromAccountId
+     * @param {number|string} params.toAccountId
+     * @param {number|string} params.amount
+     * @returns {Promise<string>} The confirmation message.
+     */
+    async transfer({ fromAccountId, toAccountId, amount }) {
+        assertOperationAllowed(OPERATIONS.MOVE_FUNDS, 'transfer (SOAP)');
+
+        const result = await this._call('transfer', { fromAccountId, toAccountId, amount });
+        return this._parse(result, 'transferReturn', z.string(), 'Transfer');
+    }
+
+    /**
+     * Lists every transaction of an account.
+     *
+     * @param {number|string} accountId
+     */
+    async getTransactions(accountId) {
+        const result = await this._call('getTransactions', { accountId });
+        return this._parse(result, 'transaction', TransactionListSchema, 'Transaction list');
+    }
+}
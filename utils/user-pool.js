@@ -0,0 +1,117 @@
+/**
+ * Worker-scoped pool of pre-provisioned Parabank users.
+ *
+ * WHY: Registering a brand-new customer for every test is the single most
+ * expensive setup step in the suite. Tests that only read shared state can
+ * safely reuse a user, as long as two tests never hold the same user at once.
+ */
+
+/**
+ * WHY: Tests carrying this tag change the user's state, so they never lease a
+ * shared user, even when leasing is enabled for their file or project.
+ */
+export const MUTATING_TAG = '@mutating';
+
+export class UserPool {
+    /**
+     * @param {Object} options
+     * @param {number} options.size - Number of users provisioned on first use.
+     * @param {() => Promise<Object>} options.provision - Creates one fresh user.
+     */
+    constructor({ size, provision }) {
+        this.size = size;
+        this.provision = provision;
+
+        /** @type {Object[]} Every user owned by this pool. */
+        this.users = [];
+
+        /** @type {Map<Object, string>} Leased user -> title of the test holding it. */
+        this.leases = new Map();
+
+        /** @type {Promise<void> | null} */
+        this._fillPromise = null;
+    }
+
+    // ==================== Private Helpers ====================
+
+    /**
+     * Provisions the initial batch of users.
+     * WHY: Filling lazily on the first lease means workers that never run an
+     * opted-in test do not pay any registration cost at all.
+     */
+    async _fill() {
+        if (!this._fillPromise) {
+            this._fillPromise = (async () => {
+                while (this.users.length < this.size) {
+                    this.users.push(await this.provision());
+                }
+            })();
+        }
+
+        await this._fillPromise;
+    }
+
+    // ==================== Actions ====================
+
+    /**
+     * Leases an idle user to a test.
+     * WHY: If every pooled user is already leased, the pool grows by one rather
+     * than handing out a user that another test is still using.
+     *
+     * @param {string} holder - Identifies the lease holder in error messages.
+     */
+    async lease(holder) {
+        await this._fill();
+
+        let user = this.users.find((candidate) => !this.leases.has(candidate));
+
+        if (!user) {
+            user = await this.provision();
+            this.users.push(user);
+        }
+
+        this.leases.set(user, holder);
+        return user;
+    }
+
+    /**
+     * Leases a user for a test, or returns null when the test must register its own.
+     * WHY: Leasing is only safe for tests that declare they do not mutate shared
+     * state, so a test tagged MUTATING_TAG falls back to fresh registration.
+     *
+     * @param {{ title: string, tags: string[] }} testInfo
+     * @returns {Promise<Object | null>}
+     */
+    async leaseFor({ title, tags }) {
+        if (tags.includes(MUTATING_TAG)) return null;
+
+        return this.lease(title);
+    }
+
+    /**
+     * Returns a user to the pool.
+     *
+     * @param {Object} user
+     */
+    release(user) {
+        if (!this.leases.delete(user)) {
+            throw new Error(`User ${user.username} was released without an active lease`);
+        }
+    }
+
+    /**
+     * Whether a user is currently leased from this pool.
+     *
+     * @param {Object} user
+     */
+    isLeased(user) {
+        return this.leases.has(user);
+    }
+
+    /**
+     * Number of users currently available for leasing.
+     */
+    get available() {
+        return this.users.length - this.leases.size;
+    }
+}
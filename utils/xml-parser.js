@@ -0,0 +1,342 @@
+/**
+ * Minimal XML parser for Parabank's SOAP and XML responses.
+ *
+ * WHY: Parabank answers in XML over SOAP (and over REST when JSON is not
+ * requested), but the framework's contracts are Zod schemas written for JSON.
+ * This module turns an XML document into the same plain-object shape the JSON
+ * endpoints return, so one schema validates both. It supports what Parabank
+ * emits (elements, attributes, text, CDATA, entities, namespaces) and nothing
+ * more; DTDs and processing instructions are skipped.
+ */
+
+const XML_ENTITIES = {
+    lt: '<',
+    gt: '>',
+    amp: '&',
+    quot: '"',
+    apos: "'",
+};
+
+/**
+ * @typedef {Object} XmlElement
+ * @property {string} name - Qualified name, e.g. 'soap:Body'.
+ * @property {string} localName - Name without its namespace prefix, e.g. 'Body'.
+ * @property {Object<string, string>} attributes
+ * @property {XmlElement[]} children
+ * @property {string} text - Concatenated text content of this element (not its children).
+ */
+
+export class XmlParseError extends Error {
+    constructor(message, position) {
+        super(`${message} (at position ${position})`);
+        this.name = 'XmlParseError';
+        this.position = position;
+    }
+}
+
+// ==================== Private Helpers ====================
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint =
+                entity[1].toLowerCase() === 'x'
+                    ? parseInt(entity.slice(2), 16)
+                    : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(codePoint);
+        }
+
+        return XML_ENTITIES[entity] ?? match;
+    });
+}
+
+function toLocalName(qualifiedName) {
+    return qualifiedName.slice(qualifiedName.indexOf(':') + 1);
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+    for (const [, name, doubleQuoted, singleQuoted] of source.matchAll(attributePattern)) {
+        attributes[name] = decodeEntities(doubleQuoted ?? singleQuoted);
+    }
+
+    return attributes;
+}
+
+/**
+ * Returns the index just past `terminator`, or throws if the document ends first.
+ */
+function skipPast(xml, terminator, from) {
+    const index = xml.indexOf(terminator, from);
+    if (index === -1) {
+        throw new XmlParseError(`Unterminated markup, expected "${terminator}"`, from);
+    }
+
+    return index + terminator.length;
+}
+
+/**
+ * Returns the items of a single-key list container, or undefined.
+ */
+function unwrapListContainer(value) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) return undefined;
+
+    const keys = Object.keys(value);
+    if (keys.length !== 1 || keys[0].startsWith('@')) return undefined;
+
+    const [items] = Object.values(value);
+    return typeof items === 'object' && items !== null ? items : undefined;
+}
+
+// ==================== Public API ====================
+
+/**
+ * Parses an XML document into an element tree.
+ *
+ * @param {string} xml
+ * @returns {XmlElement} The root element.
+ * @throws {XmlParseError}
+ */
+export function parseXml(xml) {
+    const root = {
+        name: '#document',
+        localName: '#document',
+        attributes: {},
+        children: [],
+        text: '',
+    };
+    const stack = [root];
+    let position = 0;
+
+    while (position < xml.length) {
+        const current = stack[stack.length - 1];
+        const tagStart = xml.indexOf('<', position);
+
+        if (tagStart === -1) {
+            current.text += decodeEntities(xml.slice(position));
+            break;
+        }
+
+        if (tagStart > position) {
+            current.text += decodeEntities(xml.slice(position, tagStart));
+        }
+
+        if (xml.startsWith('<![CDATA[', tagStart)) {
+            const end = skipPast(xml, ']]>', tagStart);
+            current.text += xml.slice(tagStart + '<![CDATA['.length, end - ']]>'.length);
+            position = end;
+        } else if (xml.startsWith('<!--', tagStart)) {
+            position = skipPast(xml, '-->', tagStart);
+        } else if (xml.startsWith('<?', tagStart)) {
+            position = skipPast(xml, '?>', tagStart);
+        } else if (xml.startsWith('<!', tagStart)) {
+            position = skipPast(xml, '>', tagStart);
+        } else if (xml.startsWith('</', tagStart)) {
+            const end = skipPast(xml, '>', tagStart);
+            const closingName = xml.slice(tagStart + 2, end - 1).trim();
+
+            if (stack.length === 1 || current.name !== closingName) {
+                throw new XmlParseError(
+                    `Unexpected closing tag </${closingName}>, expected </${current.name}>`,
+                    tagStart,
+                );
+            }
+
+            stack.pop();
+            position = end;
+        } else {
+            const end = skipPast(xml, '>', tagStart);
+            const isSelfClosing = xml[end - 2] === '/';
+            const tagBody = xml.slice(tagStart + 1, isSelfClosing ? end - 2 : end - 1).trim();
+            const nameEnd = tagBody.search(/\s|$/);
+            const name = tagBody.slice(0, nameEnd);
+
+            const element = {
+                name,
+                localName: toLocalName(name),
+                attributes: parseAttributes(tagBody.slice(nameEnd)),
+                children: [],
+                text: '',
+            };
+
+            current.children.push(element);
+            if (!isSelfClosing) stack.push(element);
+            position = end;
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new XmlParseError(`Unclosed tag <${stack[stack.length - 1].name}>`, xml.length);
+    }
+
+    const [documentElement] = root.children;
+    if (!documentElement) throw new XmlParseError('Document has no root element', 0);
+
+    return documentElement;
+}
+
+/**
+ * Depth-first search for the first element with a given local name.
+ *
+ * @param {XmlElement} element
+ * @param {string} localName
+ * @returns {XmlElement | null}
+ */
+export function findXmlElement(element, localName) {
+    if (element.localName === localName) return element;
+
+    for (const child of element.children) {
+        const match = findXmlElement(child, localName);
+        if (match) return match;
+    }
+
+    return null;
+}
+
+/**
+ * WHY: xmlns declarations and xsi: hints describe the document, not the data, so
+ * they never become keys. xsi:nil="true" is how JAXB writes a null value.
+ */
+function isNamespaceDeclaration(attributeName) {
+    return attributeName === 'xmlns' || attributeName.startsWith('xmlns:');
+}
+
+function isNil(element) {
+    return Object.entries(element.attributes).some(
+        ([name, value]) => toLocalName(name) === 'nil' && value === 'true',
+    );
+}
+
+/**
+ * Converts an element into the plain value its JSON counterpart would have.
+ * WHY: Namespace prefixes are dropped and repeated child elements become arrays,
+ * which is how Parabank's JSON serializer represents the same objects. Leaf
+ * elements stay strings; coerceToSchema() restores numbers and booleans.
+ *
+ * Mapping rules:
+ * - A leaf element without attributes becomes its trimmed text.
+ * - Attributes become '@name' keys; the text of an element that also has
+ *   attributes is kept under '#text'.
+ * - A child element that appears more than once becomes an array.
+ * - An element with xsi:nil="true" becomes null.
+ *
+ * @param {XmlElement} element
+ * @returns {string | Object | null}
+ */
+export function xmlElementToValue(element) {
+    if (isNil(element)) return null;
+
+    const attributes = Object.entries(element.attributes).filter(
+        ([name]) => !isNamespaceDeclaration(name) && !name.startsWith('xsi:'),
+    );
+
+    if (element.children.length === 0 && attributes.length === 0) return element.text.trim();
+
+    const value = {};
+
+    for (const [name, attributeValue] of attributes) {
+        value[`@${toLocalName(name)}`] = attributeValue;
+    }
+
+    if (element.children.length === 0) {
+        value['#text'] = element.text.trim();
+        return value;
+    }
+
+    for (const child of element.children) {
+        const childValue = xmlElementToValue(child);
+
+        if (!(child.localName in value)) {
+            value[child.localName] = childValue;
+        } else if (Array.isArray(value[child.localName])) {
+            value[child.localName].push(childValue);
+        } else {
+            value[child.localName] = [value[child.localName], childValue];
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Converts the string leaves of an XML-derived value into the types a Zod schema expects.
+ * WHY: XML carries no types, so "12345" could be an account ID (number) or a zip
+ * code (string). Walking the schema resolves this per field instead of guessing,
+ * and turns a single repeated element into a one-item array where a list is expected.
+ *
+ * @param {import('zod').ZodType} schema
+ * @param {unknown} value - Output of xmlElementToValue().
+ * @returns {unknown} A value ready for validateSchema().
+ */
+export function coerceToSchema(schema, value) {
+    const definition = schema.def;
+
+    switch (definition.type) {
+        case 'optional':
+        case 'default':
+            /**
+             * WHY: An empty (<message/>) or nil element is how XML serializers write
+             * a missing value.
+             */
+            if (value === '' || value === undefined || value === null) return undefined;
+            return coerceToSchema(definition.innerType, value);
+
+        case 'nullable':
+            if (value === '' || value === null) return null;
+            return coerceToSchema(definition.innerType, value);
+
+        case 'number':
+            return typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+        case 'boolean':
+            if (value === 'true') return true;
+            if (value === 'false') return false;
+            return value;
+
+        case 'array': {
+            if (value === '' || value === undefined) return [];
+
+            /**
+             * WHY: REST wraps lists in a container element
+             * (<transactions><transaction/>…</transactions>), which maps to
+             * { transaction: [...] }. The JSON equivalent is the bare array.
+             */
+            const wrappedItems = unwrapListContainer(value);
+            if (wrappedItems !== undefined) value = wrappedItems;
+
+            const items = Array.isArray(value) ? value : [value];
+            return items.map((item) => coerceToSchema(definition.element, item));
+        }
+
+        case 'object': {
+            if (typeof value !== 'object' || value === null) return value;
+
+            const coerced = { ...value };
+            for (const [key, fieldSchema] of Object.entries(definition.shape)) {
+                if (key in coerced) coerced[key] = coerceToSchema(fieldSchema, coerced[key]);
+            }
+            return coerced;
+        }
+
+        case 'union': {
+            /**
+             * WHY: When a union accepts the raw value as-is (e.g. date as string or
+             * number), keep it; otherwise use the first option that coerces cleanly.
+             */
+            if (definition.options.some((option) => option.safeParse(value).success)) {
+                return value;
+            }
+
+            for (const option of definition.options) {
+                const candidate = coerceToSchema(option, value);
+                if (option.safeParse(candidate).success) return candidate;
+            }
+            return value;
+        }
+
+        default:
+            return value;
+    }
+}